@@ -6,6 +6,58 @@
 class MarkdownEditor {
     constructor() {
         this.parser = new MarkdownParser();
+        this.sanitizer = new HtmlSanitizer();
+        this.exporter = new HtmlExporter({ parser: this.parser, sanitizer: this.sanitizer });
+        this.docxWriter = new DocxWriter({ exporter: this.exporter });
+        this.epubWriter = new EpubWriter({ exporter: this.exporter });
+        this.plainTextWriter = new PlainTextWriter({ exporter: this.exporter });
+        this.htmlToMarkdown = new HtmlToMarkdown();
+        this.plainTextPaste = false;
+        this.trustedDocument = false;
+        this.sanitizeReport = [];
+        this.headings = [];
+        this.scrollSync = true;
+        this.scrollLock = null;
+        this.scrollFrame = null;
+        this.lineOffsets = null;
+        this.previewRenderer = new PreviewRenderer();
+        this.previewWorker = null;
+        this.previewBlocks = [];
+        this.renderRequestId = 0;
+        this.renderInFlight = null;
+        this.pendingRender = null;
+        this.documentStore = new DocumentStore({
+            onVersionChange: () => this.showToast('The editor was updated in another tab - reload this tab to keep saving documents')
+        });
+        this.documents = new Map();
+        this.openTabs = [];
+        this.activeDocumentId = null;
+        this.documentChanged = false;
+        this.pendingPreviewScroll = null;
+        this.textDiff = new TextDiff();
+        this.snapshotInterval = 5 * 60 * 1000; // Automatic snapshots at most every 5 minutes
+        this.historySnapshots = [];
+        this.historySelection = { from: 'current', to: 'current' };
+        this.undoHistories = new Map();
+        this.assetUrls = new Map();
+        this.exportTheme = 'github';
+        this.exportTemplates = [];
+        this.exportTemplateId = '';
+        this.customCss = '';
+        this.printSettings = {
+            paperSize: 'A4',
+            orientation: 'portrait',
+            margin: '20mm',
+            header: '{{title}}',
+            footer: 'Page {{page}} of {{pages}}'
+        };
+        this.textSearch = new TextSearch();
+        this.cssScoper = new CssScoper();
+        this.findMatches = [];
+        this.findIndex = -1;
+        this.findPattern = null;
+        this.maxPreviewHighlights = 1000;
+        this.imageTypes = ['image/png', 'image/jpeg', 'image/gif', 'image/webp', 'image/bmp', 'image/svg+xml'];
         this.elements = this.initializeElements();
         this.debounceTimer = null;
         this.autoSaveTimer = null;
@@ -19,18 +71,82 @@ class MarkdownEditor {
         return {
             markdownInput: document.getElementById('markdownInput'),
             previewPane: document.getElementById('previewPane'),
+            previewWrapper: document.querySelector('.preview-wrapper'),
+            openFileBtn: document.getElementById('openFileBtn'),
             saveMarkdownBtn: document.getElementById('saveMarkdownBtn'),
+            saveAsBtn: document.getElementById('saveAsBtn'),
+            fileStatus: document.getElementById('fileStatus'),
             saveHtmlBtn: document.getElementById('saveHtmlBtn'),
+            saveZipBtn: document.getElementById('saveZipBtn'),
+            saveDocxBtn: document.getElementById('saveDocxBtn'),
+            saveTextBtn: document.getElementById('saveTextBtn'),
+            saveEpubBtn: document.getElementById('saveEpubBtn'),
+            exportSettingsBtn: document.getElementById('exportSettingsBtn'),
+            exportDialog: document.getElementById('exportDialog'),
+            exportThemeSelect: document.getElementById('exportThemeSelect'),
+            exportTemplateSelect: document.getElementById('exportTemplateSelect'),
+            exportTemplateInput: document.getElementById('exportTemplateInput'),
+            newTemplateBtn: document.getElementById('newTemplateBtn'),
+            deleteTemplateBtn: document.getElementById('deleteTemplateBtn'),
+            customCssInput: document.getElementById('customCssInput'),
+            closeExportBtn: document.getElementById('closeExportBtn'),
+            printDialog: document.getElementById('printDialog'),
+            printForm: document.getElementById('printForm'),
+            printPaperSelect: document.getElementById('printPaperSelect'),
+            printOrientationSelect: document.getElementById('printOrientationSelect'),
+            printMarginSelect: document.getElementById('printMarginSelect'),
+            printHeaderInput: document.getElementById('printHeaderInput'),
+            printFooterInput: document.getElementById('printFooterInput'),
+            printConfirmBtn: document.getElementById('printConfirmBtn'),
+            closePrintBtn: document.getElementById('closePrintBtn'),
             printBtn: document.getElementById('printBtn'),
             clearBtn: document.getElementById('clearBtn'),
             copyHtmlBtn: document.getElementById('copyHtmlBtn'),
             fullscreenBtn: document.getElementById('fullscreenBtn'),
+            trustBtn: document.getElementById('trustBtn'),
+            scrollSyncBtn: document.getElementById('scrollSyncBtn'),
+            sanitizeStatus: document.getElementById('sanitizeStatus'),
             fileInput: document.getElementById('fileInput'),
             wordCount: document.getElementById('wordCount'),
             charCount: document.getElementById('charCount'),
             saveStatus: document.getElementById('saveStatus'),
             helpBtn: document.getElementById('helpBtn'),
+            outlinePanel: document.getElementById('outlinePanel'),
+            outlineList: document.getElementById('outlineList'),
+            outlineBtn: document.getElementById('outlineBtn'),
+            closeOutlineBtn: document.getElementById('closeOutlineBtn'),
+            tabList: document.getElementById('tabList'),
+            newDocumentBtn: document.getElementById('newDocumentBtn'),
+            libraryBtn: document.getElementById('libraryBtn'),
+            libraryDialog: document.getElementById('libraryDialog'),
+            librarySearch: document.getElementById('librarySearch'),
+            libraryList: document.getElementById('libraryList'),
+            closeLibraryBtn: document.getElementById('closeLibraryBtn'),
+            historyBtn: document.getElementById('historyBtn'),
+            historyDialog: document.getElementById('historyDialog'),
+            historyList: document.getElementById('historyList'),
+            takeSnapshotBtn: document.getElementById('takeSnapshotBtn'),
+            closeHistoryBtn: document.getElementById('closeHistoryBtn'),
+            diffFromSelect: document.getElementById('diffFromSelect'),
+            diffToSelect: document.getElementById('diffToSelect'),
+            diffStats: document.getElementById('diffStats'),
+            diffView: document.getElementById('diffView'),
+            findBtn: document.getElementById('findBtn'),
+            findBar: document.getElementById('findBar'),
+            findInput: document.getElementById('findInput'),
+            findCount: document.getElementById('findCount'),
+            findPrevBtn: document.getElementById('findPrevBtn'),
+            findNextBtn: document.getElementById('findNextBtn'),
+            findCaseToggle: document.getElementById('findCaseToggle'),
+            findWordToggle: document.getElementById('findWordToggle'),
+            findRegexToggle: document.getElementById('findRegexToggle'),
+            replaceInput: document.getElementById('replaceInput'),
+            replaceBtn: document.getElementById('replaceBtn'),
+            replaceAllBtn: document.getElementById('replaceAllBtn'),
+            closeFindBtn: document.getElementById('closeFindBtn'),
             // Toolbar buttons
+            undoBtn: document.getElementById('undoBtn'),
+            redoBtn: document.getElementById('redoBtn'),
             boldBtn: document.getElementById('boldBtn'),
             italicBtn: document.getElementById('italicBtn'),
             strikeBtn: document.getElementById('strikeBtn'),
@@ -44,6 +160,7 @@ class MarkdownEditor {
             listBtn: document.getElementById('listBtn'),
             numListBtn: document.getElementById('numListBtn'),
             quoteBtn: document.getElementById('quoteBtn'),
+            calloutBtn: document.getElementById('calloutBtn'),
             hrBtn: document.getElementById('hrBtn'),
             themeBtn: document.getElementById('themeBtn')
         };
@@ -53,12 +170,18 @@ class MarkdownEditor {
      * Initialize the application
      */
     initialize() {
+        this.startPreviewWorker();
         this.setupEventListeners();
         this.loadTheme();
-        this.loadAutoSavedContent();
+        this.loadExportSettings();
+        this.loadPrintSettings();
+        this.setOutlineVisible(localStorage.getItem('markdownEditor_outline') === 'open');
+        this.setTrustedDocument(false);
+        this.setScrollSync(localStorage.getItem('markdownEditor_scrollSync') !== 'off');
         this.updatePreview();
         this.updateWordCount();
         this.updateSaveStatus('Ready');
+        this.restoreWorkspace();
         
         // Focus on the editor
         this.elements.markdownInput.focus();
@@ -69,20 +192,138 @@ class MarkdownEditor {
      */
     setupEventListeners() {
         // Editor input events
-        this.elements.markdownInput.addEventListener('input', () => {
-            this.handleInput();
+        this.elements.markdownInput.addEventListener('input', (e) => {
+            this.handleInput(e);
+        });
+
+        // Pasted images are stored with the document and rich text is
+        // converted to Markdown
+        this.elements.markdownInput.addEventListener('paste', (e) => {
+            this.handlePaste(e);
+        });
+
+        // Undo from the browser's Edit or context menu uses our history
+        this.elements.markdownInput.addEventListener('beforeinput', (e) => {
+            if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') {
+                e.preventDefault();
+                if (e.inputType === 'historyUndo') this.undo();
+                else this.redo();
+            }
+        });
+
+        // Scroll sync between the editor and the preview
+        this.elements.markdownInput.addEventListener('scroll', () => {
+            this.handleScroll('editor');
+        });
+
+        this.elements.previewWrapper.addEventListener('scroll', () => {
+            this.handleScroll('preview');
+        });
+
+        this.elements.previewPane.addEventListener('click', (e) => {
+            this.handlePreviewClick(e);
         });
 
         // Button events
+        this.elements.openFileBtn.addEventListener('click', () => {
+            this.openFile();
+        });
+
+        this.elements.fileInput.addEventListener('change', () => {
+            const [file] = this.elements.fileInput.files;
+            if (file) this.loadFile(file);
+            this.elements.fileInput.value = '';
+        });
+
         this.elements.saveMarkdownBtn.addEventListener('click', () => {
             this.saveAsMarkdown();
         });
 
+        this.elements.saveAsBtn.addEventListener('click', () => {
+            this.saveAsMarkdownFile();
+        });
+
         this.elements.saveHtmlBtn.addEventListener('click', () => {
             this.saveAsHtml();
         });
 
+        this.elements.saveZipBtn.addEventListener('click', () => {
+            this.saveAsZip();
+        });
+
+        this.elements.saveDocxBtn.addEventListener('click', () => {
+            this.saveAsDocx();
+        });
+
+        this.elements.saveTextBtn.addEventListener('click', () => {
+            this.saveAsText();
+        });
+
+        this.elements.saveEpubBtn.addEventListener('click', () => {
+            this.saveAsEpub();
+        });
+
+        // Export style
+        this.elements.exportSettingsBtn.addEventListener('click', () => {
+            this.openExportSettings();
+        });
+
+        this.elements.closeExportBtn.addEventListener('click', () => {
+            this.closeExportSettings();
+        });
+
+        this.elements.exportDialog.addEventListener('click', (e) => {
+            if (e.target === this.elements.exportDialog) this.closeExportSettings();
+        });
+
+        this.elements.exportThemeSelect.addEventListener('change', () => {
+            this.exportTheme = this.elements.exportThemeSelect.value;
+            localStorage.setItem('markdownEditor_exportTheme', this.exportTheme);
+        });
+
+        this.elements.exportTemplateSelect.addEventListener('change', () => {
+            this.exportTemplateId = this.elements.exportTemplateSelect.value;
+            localStorage.setItem('markdownEditor_exportTemplate', this.exportTemplateId);
+            this.renderExportSettings();
+        });
+
+        this.elements.exportTemplateInput.addEventListener('input', () => {
+            const template = this.getExportTemplate();
+            if (!template) return;
+            template.html = this.elements.exportTemplateInput.value;
+            this.saveExportTemplates();
+        });
+
+        this.elements.newTemplateBtn.addEventListener('click', () => {
+            this.newExportTemplate();
+        });
+
+        this.elements.deleteTemplateBtn.addEventListener('click', () => {
+            this.deleteExportTemplate();
+        });
+
+        this.elements.customCssInput.addEventListener('input', () => {
+            this.customCss = this.elements.customCssInput.value;
+            localStorage.setItem('markdownEditor_customCss', this.customCss);
+            this.applyCustomCss();
+        });
+
         this.elements.printBtn.addEventListener('click', () => {
+            this.openPrintDialog();
+        });
+
+        this.elements.closePrintBtn.addEventListener('click', () => {
+            this.closePrintDialog();
+        });
+
+        this.elements.printDialog.addEventListener('click', (e) => {
+            if (e.target === this.elements.printDialog) this.closePrintDialog();
+        });
+
+        this.elements.printForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.savePrintSettings();
+            this.closePrintDialog();
             this.printDocument();
         });
 
@@ -98,11 +339,32 @@ class MarkdownEditor {
             this.toggleFullscreenPreview();
         });
 
+        this.elements.trustBtn.addEventListener('click', () => {
+            this.toggleTrustedDocument();
+        });
+
+        this.elements.scrollSyncBtn.addEventListener('click', () => {
+            this.setScrollSync(!this.scrollSync);
+            this.showToast(`Scroll sync ${this.scrollSync ? 'on' : 'off'}`);
+        });
+
+        this.elements.sanitizeStatus.addEventListener('click', () => {
+            this.showSanitizeReport();
+        });
+
         this.elements.helpBtn.addEventListener('click', () => {
             this.showHelp();
         });
 
         // Toolbar button events
+        this.elements.undoBtn.addEventListener('click', () => {
+            this.undo();
+        });
+
+        this.elements.redoBtn.addEventListener('click', () => {
+            this.redo();
+        });
+
         this.elements.boldBtn.addEventListener('click', () => {
             this.formatSelection('**', '**');
         });
@@ -155,6 +417,10 @@ class MarkdownEditor {
             this.formatLine('> ');
         });
 
+        this.elements.calloutBtn.addEventListener('click', () => {
+            this.insertCallout();
+        });
+
         this.elements.hrBtn.addEventListener('click', () => {
             this.insertHorizontalRule();
         });
@@ -163,6 +429,163 @@ class MarkdownEditor {
             this.toggleTheme();
         });
 
+        this.elements.outlineBtn.addEventListener('click', () => {
+            this.toggleOutline();
+        });
+
+        this.elements.closeOutlineBtn.addEventListener('click', () => {
+            this.setOutlineVisible(false);
+        });
+
+        // Find and replace
+        this.elements.findBtn.addEventListener('click', () => {
+            if (this.elements.findBar.hidden) this.openFind();
+            else this.closeFind();
+        });
+
+        this.elements.findInput.addEventListener('input', () => {
+            this.updateFind({ reveal: true });
+        });
+
+        this.elements.findInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.findNext(e.shiftKey ? -1 : 1);
+            }
+        });
+
+        this.elements.replaceInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && (e.ctrlKey || e.metaKey) && e.altKey) {
+                e.preventDefault();
+                this.replaceAllMatches();
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.replaceMatch();
+            }
+        });
+
+        [this.elements.findCaseToggle, this.elements.findWordToggle, this.elements.findRegexToggle].forEach(toggle => {
+            toggle.addEventListener('change', () => {
+                this.updateFind({ reveal: true });
+            });
+        });
+
+        this.elements.findPrevBtn.addEventListener('click', () => {
+            this.findNext(-1);
+        });
+
+        this.elements.findNextBtn.addEventListener('click', () => {
+            this.findNext(1);
+        });
+
+        this.elements.replaceBtn.addEventListener('click', () => {
+            this.replaceMatch();
+        });
+
+        this.elements.replaceAllBtn.addEventListener('click', () => {
+            this.replaceAllMatches();
+        });
+
+        this.elements.closeFindBtn.addEventListener('click', () => {
+            this.closeFind();
+        });
+
+        // Document tabs and library
+        this.elements.tabList.addEventListener('click', (e) => {
+            const tab = e.target.closest('[data-document-id]');
+            if (!tab) return;
+            if (e.target.closest('.document-tab-close')) {
+                this.closeDocument(tab.dataset.documentId);
+            } else {
+                this.switchDocument(tab.dataset.documentId);
+            }
+        });
+
+        this.elements.tabList.addEventListener('dblclick', (e) => {
+            const tab = e.target.closest('[data-document-id]');
+            if (tab && !e.target.closest('.document-tab-close')) {
+                this.renameDocument(tab.dataset.documentId);
+            }
+        });
+
+        this.elements.newDocumentBtn.addEventListener('click', () => {
+            this.newDocument();
+        });
+
+        this.elements.libraryBtn.addEventListener('click', () => {
+            this.openLibrary();
+        });
+
+        this.elements.closeLibraryBtn.addEventListener('click', () => {
+            this.closeLibrary();
+        });
+
+        this.elements.libraryDialog.addEventListener('click', (e) => {
+            if (e.target === this.elements.libraryDialog) {
+                this.closeLibrary();
+                return;
+            }
+            const button = e.target.closest('[data-action]');
+            if (button) {
+                this.handleLibraryAction(button.dataset.action, button.closest('[data-document-id]').dataset.documentId);
+            }
+        });
+
+        this.elements.librarySearch.addEventListener('input', () => {
+            this.renderLibrary();
+        });
+
+        // Version history
+        this.elements.historyBtn.addEventListener('click', () => {
+            this.openHistory();
+        });
+
+        this.elements.takeSnapshotBtn.addEventListener('click', () => {
+            this.takeSnapshot();
+        });
+
+        this.elements.closeHistoryBtn.addEventListener('click', () => {
+            this.closeHistory();
+        });
+
+        this.elements.historyDialog.addEventListener('click', (e) => {
+            if (e.target === this.elements.historyDialog) {
+                this.closeHistory();
+                return;
+            }
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            const id = button.closest('[data-snapshot-id]').dataset.snapshotId;
+            if (button.dataset.action === 'compare') {
+                this.historySelection = { from: id, to: 'current' };
+                this.renderHistory();
+            } else if (button.dataset.action === 'restore') {
+                this.restoreSnapshot(id);
+            } else if (button.dataset.action === 'delete') {
+                this.deleteSnapshot(id);
+            }
+        });
+
+        [[this.elements.diffFromSelect, 'from'], [this.elements.diffToSelect, 'to']].forEach(([select, side]) => {
+            select.addEventListener('change', () => {
+                this.historySelection[side] = select.value;
+                this.renderHistory();
+            });
+        });
+
+        // Save the open document when the page is hidden or closed
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this.saveActiveDocument();
+        });
+
+        // Warn before leaving with changes that are not in a file
+        window.addEventListener('beforeunload', (e) => {
+            if (this.hasUnsavedChanges()) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
+
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             this.handleKeyboardShortcuts(e);
@@ -183,15 +606,24 @@ class MarkdownEditor {
     }
 
     /**
-     * Handle input changes with debouncing
+     * Handle input changes with debouncing. Edits are recorded for undo
+     * unless they come from the undo history itself.
      */
-    handleInput() {
+    handleInput(e = null, { recordUndo = true } = {}) {
+        if (recordUndo) this.recordUndo(e ? e.inputType : null);
         this.updateSaveStatus('Typing...');
         this.updateWordCount();
+        if (!this.documentChanged && this.activeDocumentId) {
+            this.documentChanged = true;
+            this.renderTabs();
+        }
+        if (!this.elements.findBar.hidden) this.updateFind();
         
-        // Dynamic debouncing based on content length for better performance
+        // Rendering in the worker never blocks typing, so it can follow
+        // closely; on the main thread, back off for longer documents
         const content = this.elements.markdownInput.value;
-        const debounceTime = content.length > 10000 ? 500 : content.length > 5000 ? 400 : 300;
+        const debounceTime = this.previewWorker ? 150
+            : content.length > 10000 ? 500 : content.length > 5000 ? 400 : 300;
         
         clearTimeout(this.debounceTimer);
         this.debounceTimer = setTimeout(() => {
@@ -201,35 +633,257 @@ class MarkdownEditor {
     }
 
     /**
-     * Update the preview pane with performance optimization
+     * Start the background preview renderer. Browsers refuse workers in
+     * some contexts (e.g. pages opened from file://); rendering then stays
+     * on the main thread.
+     */
+    startPreviewWorker() {
+        if (typeof Worker === 'undefined') return;
+
+        try {
+            this.previewWorker = new Worker('preview-worker.js');
+        } catch (error) {
+            this.previewWorker = null;
+            return;
+        }
+
+        this.previewWorker.addEventListener('message', (e) => {
+            this.handleWorkerResult(e.data);
+        });
+
+        this.previewWorker.addEventListener('error', (e) => {
+            e.preventDefault();
+            console.warn('Preview worker unavailable, rendering on the main thread:', e.message);
+            this.previewWorker.terminate();
+            this.previewWorker = null;
+            this.renderInFlight = null;
+            this.pendingRender = null;
+            this.updatePreview();
+        });
+    }
+
+    /**
+     * Update the preview pane. Rendering happens in the worker when there
+     * is one; only the newest request waits while a render is in flight.
      */
     updatePreview() {
+        const request = {
+            id: ++this.renderRequestId,
+            markdown: this.elements.markdownInput.value,
+            trusted: this.trustedDocument,
+            documentId: this.activeDocumentId
+        };
+
+        if (this.previewWorker) {
+            if (this.renderInFlight) {
+                this.pendingRender = request;
+            } else {
+                this.sendRenderRequest(request);
+            }
+            return;
+        }
+
         try {
-            const markdown = this.elements.markdownInput.value;
-            
-            // Performance monitoring for large documents
-            const startTime = performance.now();
-            const html = this.parser.parse(markdown);
-            const parseTime = performance.now() - startTime;
-            
-            // Use requestAnimationFrame for smooth updates
-            requestAnimationFrame(() => {
-                this.elements.previewPane.innerHTML = html;
-                
-                // Performance warning for very slow parsing
-                if (parseTime > 100) {
-                    console.warn(`Markdown parsing took ${parseTime.toFixed(2)}ms - consider breaking down large documents`);
-                }
-                
-                // Update performance stats in footer (if enabled)
-                this.updatePerformanceStats(parseTime, markdown.length);
-            });
-            
+            const result = this.previewRenderer.render(request.markdown, { trusted: request.trusted });
+            this.applyRenderResult(request, result);
         } catch (error) {
-            console.error('Error updating preview:', error);
-            this.elements.previewPane.innerHTML = '<p style="color: red;">Error rendering preview. Please check your Markdown syntax.</p>';
-            this.showToast('Preview render error - check console for details');
+            this.showPreviewError(error);
+        }
+    }
+
+    sendRenderRequest(request) {
+        this.renderInFlight = request;
+        this.previewWorker.postMessage({ id: request.id, markdown: request.markdown, trusted: request.trusted });
+    }
+
+    handleWorkerResult(data) {
+        const request = this.renderInFlight;
+        this.renderInFlight = null;
+
+        if (data.error) {
+            this.showPreviewError(new Error(data.error));
+        } else if (request && request.id === data.id) {
+            this.applyRenderResult(request, data.result);
+        }
+
+        if (this.pendingRender) {
+            const next = this.pendingRender;
+            this.pendingRender = null;
+            this.sendRenderRequest(next);
+        }
+    }
+
+    /**
+     * Show a render result: patch the changed blocks into the preview and
+     * refresh everything derived from the document
+     */
+    applyRenderResult(request, result) {
+        // Use requestAnimationFrame for smooth updates
+        requestAnimationFrame(() => {
+            const patchStart = performance.now();
+            const titleBlock = this.exporter.buildTitleBlock(result);
+            const blocks = titleBlock ? [{ html: titleBlock, start: null, end: null }, ...result.blocks] : result.blocks;
+            this.clearPreviewHighlights();
+            const { reused } = this.patchPreview(blocks);
+            this.highlightPreviewMatches();
+            const patchTime = performance.now() - patchStart;
+
+            this.updateSanitizeStatus(result.report);
+            this.updateOutline(result.headings);
+            this.updateDocumentTitle(request.documentId, result);
+            if (this.pendingPreviewScroll !== null && request.documentId === this.activeDocumentId) {
+                this.elements.previewWrapper.scrollTop = this.pendingPreviewScroll;
+                this.pendingPreviewScroll = null;
+            } else if (this.scrollSync) {
+                this.syncScroll('editor');
+            }
+
+            // Performance warning for very slow parsing
+            const parseTime = result.timings.total;
+            if (parseTime > 100) {
+                console.warn(`Markdown parsing took ${parseTime.toFixed(2)}ms - consider breaking down large documents`);
+            }
+
+            // Update performance stats in footer (if enabled)
+            this.updatePerformanceStats(parseTime, request.markdown.length, {
+                patchTime,
+                reused,
+                blocks: blocks.length,
+                worker: Boolean(this.previewWorker)
+            });
+        });
+    }
+
+    showPreviewError(error) {
+        console.error('Error updating preview:', error);
+        this.previewBlocks = [];
+        this.elements.previewPane.innerHTML = '<p style="color: red;">Error rendering preview. Please check your Markdown syntax.</p>';
+        this.showToast('Preview render error - check console for details');
+    }
+
+    /**
+     * Bring the preview in line with a list of rendered blocks. DOM nodes of
+     * blocks whose HTML is unchanged are kept (and moved if needed), so
+     * images, media and state inside them survive re-rendering; only
+     * changed blocks are created from HTML.
+     */
+    patchPreview(blocks) {
+        const pane = this.elements.previewPane;
+        const pool = new Map();
+        this.previewBlocks.forEach(group => {
+            if (!pool.has(group.html)) pool.set(group.html, []);
+            pool.get(group.html).push(group);
+        });
+
+        let reused = 0;
+        const groups = blocks.map(block => {
+            const candidates = pool.get(block.html);
+            let group = candidates && candidates.shift();
+            if (group) {
+                reused++;
+            } else {
+                const template = document.createElement('template');
+                template.innerHTML = block.html;
+                this.resolveAssetImages(template.content);
+                group = { html: block.html, nodes: [...template.content.childNodes] };
+            }
+            this.setBlockSourceLines(group, block);
+            return group;
+        });
+
+        pool.forEach(unused => unused.forEach(group => group.nodes.forEach(node => node.remove())));
+
+        let cursor = pane.firstChild;
+        groups.forEach(group => group.nodes.forEach(node => {
+            if (node === cursor) {
+                cursor = cursor.nextSibling;
+            } else {
+                pane.insertBefore(node, cursor);
+            }
+        }));
+
+        // Whatever is left was not produced by a block (e.g. an error message)
+        while (cursor) {
+            const next = cursor.nextSibling;
+            cursor.remove();
+            cursor = next;
+        }
+
+        this.previewBlocks = groups;
+        return { reused };
+    }
+
+    /**
+     * Tag a block's first element with its source lines for scroll sync
+     */
+    setBlockSourceLines(group, block) {
+        const element = group.nodes.find(node => node.nodeType === Node.ELEMENT_NODE);
+        if (!element) return;
+
+        if (block.start) {
+            element.setAttribute('data-source-line', block.start);
+            element.setAttribute('data-source-end', block.end);
+        } else {
+            element.removeAttribute('data-source-line');
+            element.removeAttribute('data-source-end');
+        }
+    }
+
+    /**
+     * Render Markdown to HTML, sanitizing it unless the document is trusted
+     */
+    renderMarkdown(markdown) {
+        return this.exporter.render(markdown, { trusted: this.trustedDocument });
+    }
+
+    /**
+     * Toggle whether the current document may render raw HTML unfiltered
+     */
+    toggleTrustedDocument() {
+        if (!this.trustedDocument &&
+            !confirm('Trust this document? Scripts, event handlers and unsafe links in it will no longer be removed.')) {
+            return;
         }
+        this.setTrustedDocument(!this.trustedDocument);
+        this.updatePreview();
+        this.showToast(this.trustedDocument ? 'Document marked as trusted' : 'Document marked as untrusted');
+    }
+
+    /**
+     * Set the trust state and update the toggle button
+     */
+    setTrustedDocument(trusted) {
+        this.trustedDocument = trusted;
+        this.elements.trustBtn.textContent = trusted ? '🔓' : '🛡️';
+        this.elements.trustBtn.title = trusted
+            ? 'Trusted document - raw HTML is not sanitized (click to sanitize)'
+            : 'Untrusted document - HTML is sanitized (click to trust)';
+    }
+
+    /**
+     * Show how many items the sanitizer removed from the preview
+     */
+    updateSanitizeStatus(report) {
+        this.sanitizeReport = report;
+        const status = this.elements.sanitizeStatus;
+
+        if (report.length === 0) {
+            status.hidden = true;
+            return;
+        }
+
+        status.hidden = false;
+        status.textContent = `🛡️ ${report.length} unsafe item${report.length === 1 ? '' : 's'} removed`;
+        status.title = this.sanitizer.describeReport(report).join('\n');
+    }
+
+    /**
+     * Show the full sanitizer report
+     */
+    showSanitizeReport() {
+        if (this.sanitizeReport.length === 0) return;
+        const lines = this.sanitizer.describeReport(this.sanitizeReport).map(item => `• ${item}`);
+        alert(`Removed from the preview and exports:\n\n${lines.join('\n')}`);
     }
 
     /**
@@ -258,12 +912,17 @@ class MarkdownEditor {
     }
 
     /**
-     * Update performance statistics
+     * Update performance statistics. details carries the preview patch
+     * time, how many blocks were reused and where rendering ran.
      */
-    updatePerformanceStats(parseTime, contentLength) {
+    updatePerformanceStats(parseTime, contentLength, details = {}) {
         // Only show performance stats in development or when explicitly enabled
         if (window.location.search.includes('debug=true')) {
-            const perfInfo = `Parse: ${parseTime.toFixed(1)}ms | Size: ${(contentLength/1000).toFixed(1)}k`;
+            let perfInfo = `Parse: ${parseTime.toFixed(1)}ms | Size: ${(contentLength/1000).toFixed(1)}k`;
+            if (details.patchTime !== undefined) {
+                perfInfo += ` | Patch: ${details.patchTime.toFixed(1)}ms | Reused: ${details.reused}/${details.blocks}` +
+                    ` | ${details.worker ? 'Worker' : 'Main thread'}`;
+            }
             
             // Update footer with performance info
             let perfElement = document.getElementById('perf-stats');
@@ -292,104 +951,413 @@ class MarkdownEditor {
     }
 
     /**
-     * Save content as Markdown file
+     * Open a Markdown file. Where the File System Access API is available
+     * the document keeps the file handle, so saving writes the file in
+     * place; elsewhere the hidden file input reads a copy.
      */
-    saveAsMarkdown() {
+    async openFile() {
+        if (!window.showOpenFilePicker) {
+            this.elements.fileInput.click();
+            return;
+        }
+
         try {
-            const content = this.elements.markdownInput.value;
-            if (!content.trim()) {
-                this.showToast('Cannot save empty document');
-                return;
-            }
-            const filename = this.generateFilename('.md');
-            this.downloadFile(content, filename, 'text/markdown');
+            const [fileHandle] = await window.showOpenFilePicker({ types: this.getFilePickerTypes({ html: true }) });
+            await this.openFileHandle(fileHandle);
         } catch (error) {
-            console.error('Error saving Markdown:', error);
-            this.showToast('Failed to save Markdown file');
+            if (error.name === 'AbortError') return;
+            console.error('Error opening file:', error);
+            this.showToast('Failed to open file');
         }
     }
 
     /**
-     * Save content as HTML file
+     * Open a file handle in a new tab, or switch to the tab that already
+     * has it open
      */
-    saveAsHtml() {
-        const markdownContent = this.elements.markdownInput.value;
-        const htmlContent = this.parser.parse(markdownContent);
-        
-        const fullHtml = `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>Markdown Document</title>
-    <style>
-        body { 
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            line-height: 1.6;
-            max-width: 800px;
-            margin: 0 auto;
-            padding: 2rem;
-            color: #333;
-        }
-        h1, h2 { border-bottom: 1px solid #eee; padding-bottom: 0.3rem; }
-        code { 
-            background-color: #f6f8fa; 
-            padding: 0.2em 0.4em; 
-            border-radius: 3px;
-            font-family: 'Consolas', 'Monaco', monospace;
-        }
-        pre { 
-            background-color: #f6f8fa; 
-            padding: 1rem; 
-            border-radius: 6px;
-            overflow-x: auto;
-        }
-        blockquote { 
-            border-left: 4px solid #dfe2e5; 
-            padding-left: 1rem; 
-            color: #6a737d;
-        }
-        table { border-collapse: collapse; width: 100%; }
-        th, td { border: 1px solid #dfe2e5; padding: 0.5rem; text-align: left; }
-        th { background-color: #f6f8fa; }
-    </style>
-</head>
-<body>
-${htmlContent}
-</body>
-</html>`;
-        
-        const filename = this.generateFilename('.html');
-        this.downloadFile(fullHtml, filename, 'text/html');
+    async openFileHandle(fileHandle) {
+        for (const id of this.openTabs) {
+            const doc = this.documents.get(id);
+            if (doc.fileHandle && await doc.fileHandle.isSameEntry(fileHandle)) {
+                await this.switchDocument(id);
+                return;
+            }
+        }
+        await this.loadFile(await fileHandle.getFile(), fileHandle);
     }
 
     /**
-     * Print or save as PDF
+     * Save the open document to its file, or ask where to save it when it
+     * has none yet
      */
-    printDocument() {
-        window.print();
-    }
+    async saveAsMarkdown() {
+        const doc = this.documents.get(this.activeDocumentId);
+        if (!doc) return;
+        if (!doc.fileHandle) {
+            await this.saveAsMarkdownFile();
+            return;
+        }
 
-    /**
-     * Clear the editor
-     */
-    clearEditor() {
-        if (confirm('Are you sure you want to clear the editor? This action cannot be undone.')) {
-            this.elements.markdownInput.value = '';
-            this.updatePreview();
-            this.updateWordCount();
-            this.elements.markdownInput.focus();
-            localStorage.removeItem('markdownEditor_autoSave');
+        try {
+            await this.writeFile(doc.fileHandle, this.elements.markdownInput.value);
+            await this.markFileSaved(doc, doc.fileHandle.name, doc.fileHandle);
+            this.showToast(`Saved: ${doc.fileName}`);
+        } catch (error) {
+            console.error('Error saving Markdown:', error);
+            this.showToast('Failed to save Markdown file');
         }
     }
 
     /**
-     * Copy HTML to clipboard
+     * Save the open document under a new name. Without the File System
+     * Access API the file is downloaded instead.
      */
-    async copyHtmlToClipboard() {
-        const html = this.elements.previewPane.innerHTML;
+    async saveAsMarkdownFile() {
+        const doc = this.documents.get(this.activeDocumentId);
+        const content = this.elements.markdownInput.value;
+        if (!doc) return;
+
+        try {
+            if (!window.showSaveFilePicker) {
+                if (!content.trim()) {
+                    this.showToast('Cannot save empty document');
+                    return;
+                }
+                const filename = this.getMarkdownFilename(doc);
+                this.downloadFile(content, filename, 'text/markdown');
+                await this.markFileSaved(doc, filename, null);
+                return;
+            }
+
+            const fileHandle = await window.showSaveFilePicker({
+                suggestedName: this.getMarkdownFilename(doc),
+                types: this.getFilePickerTypes()
+            });
+            await this.writeFile(fileHandle, content);
+            await this.markFileSaved(doc, fileHandle.name, fileHandle);
+            this.showToast(`Saved: ${fileHandle.name}`);
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Error saving Markdown:', error);
+            this.showToast('Failed to save Markdown file');
+        }
+    }
+
+    async writeFile(fileHandle, content) {
+        const options = { mode: 'readwrite' };
+        if (await fileHandle.queryPermission(options) !== 'granted' &&
+            await fileHandle.requestPermission(options) !== 'granted') {
+            throw new Error(`Permission to write ${fileHandle.name} was denied`);
+        }
+
+        const writable = await fileHandle.createWritable();
+        await writable.write(content);
+        await writable.close();
+    }
+
+    /**
+     * Record that the open document now matches the file it was saved to
+     */
+    async markFileSaved(doc, fileName, fileHandle) {
+        await this.saveActiveDocument();
+        Object.assign(doc, { fileName, fileHandle, dirty: false });
+        await this.documentStore.put(doc);
+        this.renderTabs();
+    }
+
+    /**
+     * File types for the file pickers. Opening also takes HTML files,
+     * which are converted to Markdown.
+     */
+    getFilePickerTypes({ html = false } = {}) {
+        const accept = { 'text/markdown': ['.md', '.markdown'], 'text/plain': ['.txt'] };
+        if (html) accept['text/html'] = ['.html', '.htm'];
+        return [{ description: html ? 'Markdown and HTML files' : 'Markdown files', accept }];
+    }
+
+    /**
+     * Filename for saving a document: the file it came from, else one
+     * based on its title
+     */
+    getMarkdownFilename(doc) {
+        if (doc.fileName) return doc.fileName;
+        const slug = this.parser.slugify(doc.title);
+        return doc.title !== 'Untitled' && slug ? `${slug}.md` : this.generateFilename('.md');
+    }
+
+    /**
+     * Whether any open document has changes that are not in its file
+     */
+    hasUnsavedChanges() {
+        return this.openTabs.some(id => this.isDirty(this.documents.get(id)));
+    }
+
+    hasFile(doc) {
+        return Boolean(doc.fileName || doc.fileHandle);
+    }
+
+    /**
+     * Whether a document has changes that are not in the file it was
+     * opened from or saved to. Documents without a file are never dirty.
+     */
+    isDirty(doc) {
+        if (!doc || !this.hasFile(doc)) return false;
+        return Boolean(doc.dirty || (doc.id === this.activeDocumentId && this.documentChanged));
+    }
+
+    /**
+     * Show the open document's filename and whether it has unsaved changes
+     * in the header and the page title
+     */
+    updateFileStatus() {
+        const doc = this.documents.get(this.activeDocumentId);
+        if (!doc) return;
+
+        const dirty = this.isDirty(doc);
+        const name = doc.fileName || doc.title;
+        const status = this.elements.fileStatus;
+        status.textContent = name;
+        status.classList.toggle('dirty', dirty);
+        status.classList.toggle('no-file', !doc.fileName);
+        status.title = (doc.fileName ? doc.fileName : 'Not saved to a file') + (dirty ? ' - unsaved changes' : '');
+        document.title = `${dirty ? '• ' : ''}${name} - Markdown Editor`;
+    }
+
+    /**
+     * Save content as HTML file
+     */
+    async saveAsHtml() {
+        const markdownContent = this.elements.markdownInput.value;
+        const { html, ast } = this.renderMarkdown(markdownContent);
+        const htmlContent = await this.inlineAssets(html);
+        const template = this.getExportTemplate();
+        const fullHtml = this.exporter.buildPage(htmlContent, ast, {
+            theme: this.exportTheme,
+            template: template ? template.html : '',
+            customCss: this.customCss,
+            title: this.getRenamedTitle()
+        });
+        
+        const filename = this.generateFilename('.html');
+        this.downloadFile(fullHtml, filename, 'text/html');
+    }
+
+    /**
+     * The title the user gave the open document, if any. Exports use it
+     * when the document has no title or heading of its own.
+     */
+    getRenamedTitle() {
+        const doc = this.documents.get(this.activeDocumentId);
+        return doc && doc.renamed ? doc.title : '';
+    }
+
+    /**
+     * Read the export theme, page templates and custom CSS
+     */
+    loadExportSettings() {
+        const theme = localStorage.getItem('markdownEditor_exportTheme');
+        if (theme && HtmlExporter.themes[theme]) this.exportTheme = theme;
+
+        try {
+            const templates = JSON.parse(localStorage.getItem('markdownEditor_exportTemplates') || '[]');
+            if (Array.isArray(templates)) this.exportTemplates = templates;
+        } catch (error) {
+            console.warn('Ignoring unreadable export templates:', error);
+        }
+        this.exportTemplateId = localStorage.getItem('markdownEditor_exportTemplate') || '';
+        if (!this.getExportTemplate()) this.exportTemplateId = '';
+
+        this.customCss = localStorage.getItem('markdownEditor_customCss') || '';
+        this.applyCustomCss();
+    }
+
+    saveExportTemplates() {
+        localStorage.setItem('markdownEditor_exportTemplates', JSON.stringify(this.exportTemplates));
+        localStorage.setItem('markdownEditor_exportTemplate', this.exportTemplateId);
+    }
+
+    /**
+     * The chosen user template, or null for the built-in page
+     */
+    getExportTemplate() {
+        return this.exportTemplates.find(template => template.id === this.exportTemplateId) || null;
+    }
+
+    openExportSettings() {
+        this.renderExportSettings();
+        this.elements.customCssInput.value = this.customCss;
+        this.elements.exportDialog.hidden = false;
+        this.elements.exportThemeSelect.focus();
+    }
+
+    closeExportSettings() {
+        this.elements.exportDialog.hidden = true;
+        this.elements.exportSettingsBtn.focus();
+    }
+
+    renderExportSettings() {
+        const { exportThemeSelect, exportTemplateSelect, exportTemplateInput, deleteTemplateBtn } = this.elements;
+        const escape = text => this.parser.escapeHtml(text);
+
+        exportThemeSelect.innerHTML = Object.entries(HtmlExporter.themes)
+            .map(([id, theme]) => `<option value="${id}">${escape(theme.name)}</option>`)
+            .join('');
+        exportThemeSelect.value = this.exportTheme;
+
+        exportTemplateSelect.innerHTML = '<option value="">Standard page</option>' + this.exportTemplates
+            .map(template => `<option value="${escape(template.id)}">${escape(template.name)}</option>`)
+            .join('');
+        exportTemplateSelect.value = this.exportTemplateId;
+
+        const template = this.getExportTemplate();
+        exportTemplateInput.value = template ? template.html : HtmlExporter.defaultTemplate;
+        exportTemplateInput.readOnly = !template;
+        deleteTemplateBtn.disabled = !template;
+    }
+
+    /**
+     * Add a page template, starting from the one currently shown
+     */
+    newExportTemplate() {
+        const name = prompt('Template name:', 'My template');
+        if (name === null) return;
+
+        const template = {
+            id: this.documentStore.generateId(),
+            name: name.trim() || 'My template',
+            html: this.elements.exportTemplateInput.value
+        };
+        this.exportTemplates.push(template);
+        this.exportTemplateId = template.id;
+        this.saveExportTemplates();
+        this.renderExportSettings();
+        this.elements.exportTemplateInput.focus();
+    }
+
+    deleteExportTemplate() {
+        const template = this.getExportTemplate();
+        if (!template || !confirm(`Delete the template "${template.name}"?`)) return;
+
+        this.exportTemplates = this.exportTemplates.filter(entry => entry !== template);
+        this.exportTemplateId = '';
+        this.saveExportTemplates();
+        this.renderExportSettings();
+    }
+
+    /**
+     * Apply the custom CSS to the preview. Its selectors are scoped to the
+     * preview so they do not restyle the editor itself; rules for the
+     * page body style the preview the way they style an exported page.
+     */
+    applyCustomCss() {
+        let style = document.getElementById('customPreviewCss');
+        if (!style) {
+            style = document.createElement('style');
+            style.id = 'customPreviewCss';
+            document.head.appendChild(style);
+        }
+        style.textContent = this.cssScoper.scope(this.customCss, '.preview-content');
+    }
+
+    loadPrintSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem('markdownEditor_printSettings') || '{}');
+            Object.keys(this.printSettings).forEach(key => {
+                if (typeof saved[key] === 'string') this.printSettings[key] = saved[key];
+            });
+        } catch (error) {
+            console.warn('Ignoring unreadable print settings:', error);
+        }
+    }
+
+    openPrintDialog() {
+        const settings = this.printSettings;
+        this.elements.printPaperSelect.value = settings.paperSize;
+        this.elements.printOrientationSelect.value = settings.orientation;
+        this.elements.printMarginSelect.value = settings.margin;
+        this.elements.printHeaderInput.value = settings.header;
+        this.elements.printFooterInput.value = settings.footer;
+        this.elements.printDialog.hidden = false;
+        this.elements.printConfirmBtn.focus();
+    }
+
+    closePrintDialog() {
+        this.elements.printDialog.hidden = true;
+        this.elements.markdownInput.focus();
+    }
+
+    savePrintSettings() {
+        this.printSettings = {
+            paperSize: this.elements.printPaperSelect.value,
+            orientation: this.elements.printOrientationSelect.value,
+            margin: this.elements.printMarginSelect.value,
+            header: this.elements.printHeaderInput.value,
+            footer: this.elements.printFooterInput.value
+        };
+        localStorage.setItem('markdownEditor_printSettings', JSON.stringify(this.printSettings));
+    }
+
+    /**
+     * Print or save as PDF. Only the document is printed: it is rendered
+     * into a print-ready page, styled with the export theme and the page
+     * settings, inside a hidden frame.
+     */
+    async printDocument() {
+        const { html, ast } = this.renderMarkdown(this.elements.markdownInput.value);
+        const content = await this.inlineAssets(html);
+        const title = this.exporter.getDocumentTitle(ast, this.getRenamedTitle());
+        const printCss = this.exporter.getPrintCss(this.printSettings, { title, date: new Date().toLocaleDateString() });
+        const page = this.exporter.buildPage(content, ast, {
+            theme: this.exportTheme,
+            customCss: `${this.customCss}\n${printCss}`,
+            title
+        });
+
+        document.querySelectorAll('.print-frame').forEach(frame => frame.remove());
+        const frame = document.createElement('iframe');
+        frame.className = 'print-frame';
+        frame.setAttribute('aria-hidden', 'true');
+        frame.setAttribute('tabindex', '-1');
+        // Trusted documents may contain scripts; they stay inert here
+        frame.setAttribute('sandbox', 'allow-same-origin allow-modals');
+        frame.srcdoc = page;
+        await new Promise(resolve => {
+            frame.addEventListener('load', resolve, { once: true });
+            document.body.appendChild(frame);
+        });
+
+        // Browsers name the PDF after the page title. print() blocks until
+        // the dialog closes in most browsers; others print after it returns.
+        const originalTitle = document.title;
+        document.title = title;
+        frame.contentWindow.addEventListener('afterprint', () => frame.remove());
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+        document.title = originalTitle;
+    }
+
+    /**
+     * Clear the editor
+     */
+    clearEditor() {
+        if (confirm('Are you sure you want to clear the editor? The current text stays available in the history.')) {
+            this.snapshotBeforeChange('Before clear');
+            this.elements.markdownInput.value = '';
+            this.recordUndo();
+            this.updatePreview();
+            this.updateWordCount();
+            this.elements.markdownInput.focus();
+            this.saveActiveDocument();
+        }
+    }
+
+    /**
+     * Copy HTML to clipboard
+     */
+    async copyHtmlToClipboard() {
+        const { html } = this.renderMarkdown(this.elements.markdownInput.value);
         try {
-            await navigator.clipboard.writeText(html);
+            await navigator.clipboard.writeText(await this.inlineAssets(html));
             this.showToast('HTML copied to clipboard!');
         } catch (err) {
             console.error('Failed to copy HTML: ', err);
@@ -424,16 +1392,41 @@ ${htmlContent}
      * Handle keyboard shortcuts
      */
     handleKeyboardShortcuts(e) {
-        // Ctrl/Cmd + S: Save as Markdown
+        // Ctrl/Cmd + Shift + V: Paste as plain text, without converting HTML
+        this.plainTextPaste = (e.ctrlKey || e.metaKey) && e.shiftKey && (e.key === 'V' || e.key === 'v');
+
+        // Ctrl/Cmd + Z: Undo, Ctrl/Cmd + Shift + Z or Ctrl/Cmd + Y: Redo.
+        // Other text fields keep their native undo.
+        const otherField = e.target !== this.elements.markdownInput && e.target.matches && e.target.matches('input, textarea');
+        if ((e.ctrlKey || e.metaKey) && !otherField && (e.key === 'z' || e.key === 'Z' || e.key === 'y')) {
+            e.preventDefault();
+            if (e.key === 'y' || e.shiftKey) this.redo();
+            else this.undo();
+            return;
+        }
+        
+        // Ctrl/Cmd + O: Open
+        if ((e.ctrlKey || e.metaKey) && e.key === 'o') {
+            e.preventDefault();
+            this.openFile();
+        }
+        
+        // Ctrl/Cmd + S: Save
         if ((e.ctrlKey || e.metaKey) && e.key === 's') {
             e.preventDefault();
             this.saveAsMarkdown();
         }
         
+        // Ctrl/Cmd + Shift + S: Save As
+        if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key === 'S') {
+            e.preventDefault();
+            this.saveAsMarkdownFile();
+        }
+        
         // Ctrl/Cmd + P: Print
         if ((e.ctrlKey || e.metaKey) && e.key === 'p') {
             e.preventDefault();
-            this.printDocument();
+            this.openPrintDialog();
         }
         
         // Ctrl/Cmd + D: Clear
@@ -496,10 +1489,23 @@ ${htmlContent}
             this.formatLine('> ');
         }
         
-        // Ctrl/Cmd + H: Headers
-        if ((e.ctrlKey || e.metaKey) && e.key === 'h') {
+        // Ctrl/Cmd + Shift + O: Toggle outline
+        if ((e.ctrlKey || e.metaKey) && e.shiftKey && e.key === 'O') {
             e.preventDefault();
-            this.formatLine('# ');
+            this.toggleOutline();
+        }
+        
+        // Ctrl/Cmd + F: Find, Ctrl/Cmd + H: Find and replace
+        if ((e.ctrlKey || e.metaKey) && (e.key === 'f' || e.key === 'h')) {
+            e.preventDefault();
+            this.openFind({ replace: e.key === 'h' });
+        }
+        
+        // F3 / Shift + F3: Next or previous match
+        if (e.key === 'F3') {
+            e.preventDefault();
+            if (this.elements.findBar.hidden) this.openFind();
+            else this.findNext(e.shiftKey ? -1 : 1);
         }
         
         // Ctrl/Cmd + 1-6: Headers
@@ -515,7 +1521,27 @@ ${htmlContent}
             this.toggleFullscreenPreview();
         }
         
-        // Escape: Exit fullscreen
+        // Escape: Close a dialog or the find bar, or exit fullscreen
+        if (e.key === 'Escape' && !this.elements.printDialog.hidden) {
+            this.closePrintDialog();
+            return;
+        }
+        if (e.key === 'Escape' && !this.elements.exportDialog.hidden) {
+            this.closeExportSettings();
+            return;
+        }
+        if (e.key === 'Escape' && !this.elements.libraryDialog.hidden) {
+            this.closeLibrary();
+            return;
+        }
+        if (e.key === 'Escape' && !this.elements.historyDialog.hidden) {
+            this.closeHistory();
+            return;
+        }
+        if (e.key === 'Escape' && !this.elements.findBar.hidden) {
+            this.closeFind();
+            return;
+        }
         if (e.key === 'Escape') {
             const previewPanel = document.querySelector('.preview-panel');
             if (previewPanel.classList.contains('fullscreen')) {
@@ -529,30 +1555,58 @@ ${htmlContent}
      */
     handleFileDrop(e) {
         const files = e.dataTransfer.files;
+        const images = [...files].filter(file => this.imageTypes.includes(file.type));
+        if (images.length > 0) {
+            this.insertImageFiles(images);
+            return;
+        }
         if (files.length > 0) {
             const file = files[0];
-            if (file.type === 'text/markdown' || file.name.endsWith('.md') || file.type === 'text/plain') {
+            if (this.isHtmlFile(file)) {
                 this.loadFile(file);
+            } else if (file.type === 'text/markdown' || file.name.endsWith('.md') || file.type === 'text/plain') {
+                // Browsers with the File System Access API hand out a
+                // writable handle for dropped files
+                const item = e.dataTransfer.items && e.dataTransfer.items[0];
+                if (item && item.getAsFileSystemHandle) {
+                    item.getAsFileSystemHandle()
+                        .then(fileHandle => (fileHandle ? this.openFileHandle(fileHandle) : this.loadFile(file)))
+                        .catch(() => this.loadFile(file));
+                } else {
+                    this.loadFile(file);
+                }
             } else {
-                this.showToast('Please drop a Markdown (.md) or text file');
+                this.showToast('Please drop a Markdown (.md), text or HTML file, or images');
             }
         }
     }
 
     /**
-     * Load file content
+     * Load file content into a new document, keeping the file handle when
+     * there is one. Documents always open untrusted, so files from disk
+     * never run scripts. HTML files are converted to Markdown and open as
+     * new documents, so saving never overwrites the HTML.
      */
-    loadFile(file) {
+    loadFile(file, fileHandle = null) {
+        const html = this.isHtmlFile(file);
         const reader = new FileReader();
-        reader.onload = (e) => {
-            this.elements.markdownInput.value = e.target.result;
-            this.updatePreview();
-            this.updateWordCount();
-            this.showToast(`Loaded: ${file.name}`);
+        reader.onload = async (e) => {
+            const markdown = html ? this.htmlToMarkdown.convert(e.target.result) : '';
+            await this.newDocument({
+                title: file.name.replace(/\.(?:md|markdown|txt|html?)$/i, ''),
+                content: html ? (markdown && `${markdown}\n`) : e.target.result,
+                fileName: html ? null : file.name,
+                fileHandle: html ? null : fileHandle
+            });
+            this.showToast(`${html ? 'Converted to Markdown' : 'Loaded'}: ${file.name}`);
         };
         reader.readAsText(file);
     }
 
+    isHtmlFile(file) {
+        return file.type === 'text/html' || /\.html?$/i.test(file.name);
+    }
+
     /**
      * Generate filename with timestamp
      */
@@ -589,115 +1643,707 @@ ${htmlContent}
      */
     startAutoSave() {
         this.autoSaveTimer = setInterval(() => {
-            const content = this.elements.markdownInput.value;
-            if (content.trim()) {
-                localStorage.setItem('markdownEditor_autoSave', content);
-                localStorage.setItem('markdownEditor_autoSave_timestamp', Date.now());
-            }
+            if (this.documentChanged) this.saveActiveDocument();
         }, 10000); // Auto-save every 10 seconds
     }
 
     /**
-     * Load auto-saved content
+     * Reopen the tabs of the last session, or start with a new document
      */
-    loadAutoSavedContent() {
-        const saved = localStorage.getItem('markdownEditor_autoSave');
-        const timestamp = localStorage.getItem('markdownEditor_autoSave_timestamp');
-        
-        if (saved && timestamp) {
-            const savedDate = new Date(parseInt(timestamp));
-            const timeDiff = Date.now() - savedDate.getTime();
-            const hoursDiff = timeDiff / (1000 * 60 * 60);
-            
-            // Only restore if saved within the last 24 hours
-            if (hoursDiff < 24) {
-                if (confirm(`Found auto-saved content from ${savedDate.toLocaleString()}. Restore it?`)) {
-                    this.elements.markdownInput.value = saved;
-                }
+    async restoreWorkspace() {
+        try {
+            const persistent = await this.documentStore.open();
+            if (this.documentStore.blocked) {
+                this.showToast('Close other editor tabs and reload to update document storage - until then only the open document is kept');
+            } else if (!persistent) {
+                this.showToast('Document storage unavailable - only the open document is kept on reload');
+            }
+
+            const workspace = this.documentStore.loadWorkspace();
+            const documents = persistent ? await Promise.all((workspace.tabs || []).map(id => this.documentStore.get(id))) : [];
+            this.documentStore.pruneAssets().catch(error => console.error('Failed to prune images:', error));
+            documents.filter(Boolean).forEach(doc => {
+                this.documents.set(doc.id, doc);
+                this.openTabs.push(doc.id);
+            });
+
+            // Content auto-saved by earlier versions, or while the library
+            // could not be stored
+            const saved = await this.documentStore.restoreAutoSaved();
+            if (saved) {
+                this.documents.set(saved.id, saved);
+                this.openTabs.push(saved.id);
+            }
+
+            if (this.openTabs.length === 0) {
+                await this.newDocument();
+                return;
             }
+            this.showDocument(this.openTabs.includes(workspace.active) ? workspace.active : this.openTabs[0]);
+        } catch (error) {
+            console.error('Failed to restore documents:', error);
+            this.showToast('Failed to load saved documents');
         }
     }
 
+    saveWorkspace() {
+        this.documentStore.saveWorkspace({
+            tabs: this.openTabs,
+            active: this.activeDocumentId
+        });
+    }
+
     /**
-     * Show help dialog
+     * Store the editor content, caret and scroll positions of the open
+     * document. The edit time only moves when the content changed.
      */
-    showHelp() {
-        const helpContent = `
-📝 MARKDOWN EDITOR - HELP & SHORTCUTS
+    async saveActiveDocument() {
+        const doc = this.documents.get(this.activeDocumentId);
+        if (!doc) return;
 
-🔧 FILE OPERATIONS:
-• Ctrl/Cmd + S: Save as Markdown
-• Ctrl/Cmd + P: Print or Save as PDF
-• Ctrl/Cmd + D: Clear editor
-• Drag & drop: Load .md/.txt files
+        const textarea = this.elements.markdownInput;
+        const changed = textarea.value !== doc.content;
+        Object.assign(doc, {
+            content: textarea.value,
+            selectionStart: textarea.selectionStart,
+            selectionEnd: textarea.selectionEnd,
+            scrollTop: textarea.scrollTop,
+            previewScrollTop: this.elements.previewWrapper.scrollTop
+        });
+        if (changed) {
+            doc.updatedAt = Date.now();
+            // Documents without a file are saved by the autosave alone
+            if (this.hasFile(doc)) doc.dirty = true;
+        }
+        const snapshotDue = changed && doc.content.trim() !== '' && Date.now() - (doc.snapshotAt || 0) >= this.snapshotInterval;
+        if (snapshotDue) doc.snapshotAt = Date.now();
+        const wasChanged = this.documentChanged;
+        this.documentChanged = false;
 
-✨ FORMATTING SHORTCUTS:
-• Ctrl/Cmd + B: **Bold**
-• Ctrl/Cmd + I: *Italic*
-• Ctrl/Cmd + E: \`Code\`
-• Ctrl/Cmd + K: [Link]
-• Ctrl/Cmd + Shift + K: ![Image]
-• Ctrl/Cmd + Shift + C: Code Block
-• Ctrl/Cmd + L: • List
-• Ctrl/Cmd + Shift + L: 1. Numbered List
-• Ctrl/Cmd + Q: > Quote
-• Ctrl/Cmd + H: # Header
-• Ctrl/Cmd + 1-6: # Headers (H1-H6)
+        try {
+            if (changed) this.updateSaveStatus('Saving...');
+            await this.documentStore.put(doc);
+            this.documentStore.autoSave(doc);
+            if (snapshotDue) await this.documentStore.addSnapshot(doc.id, { content: doc.content, automatic: true });
+            if (changed) this.updateSaveStatus('Saved');
+        } catch (error) {
+            console.error('Failed to save document:', error);
+            this.documentChanged = wasChanged || changed;
+            this.updateSaveStatus('Save failed');
+        }
+        this.renderTabs();
+    }
 
-🖥️ VIEW OPTIONS:
-• F11: Toggle fullscreen preview
-• Escape: Exit fullscreen
-• 🌙/☀️: Toggle dark/light theme
+    /**
+     * Put a document into the editor and restore its caret and scroll
+     * positions
+     */
+    showDocument(id) {
+        const doc = this.documents.get(id);
+        const textarea = this.elements.markdownInput;
 
-📋 MARKDOWN SYNTAX:
-• Headers: # H1, ## H2, ### H3
-• Bold: **text** or __text__
-• Italic: *text* or _text_
-• Links: [text](url)
-• Images: ![alt](url)
-• Code: \`inline\` or \`\`\`block\`\`\`
-• Lists: - item or 1. item
-• Tasks: - [x] done, - [ ] todo
-• Quote: > text
-• Horizontal rule: ---
-• Tables: | col1 | col2 |
+        this.activeDocumentId = id;
+        this.documentChanged = false;
+        textarea.value = doc.content;
+        if (!this.undoHistories.has(id)) {
+            const history = new UndoHistory();
+            history.reset(doc.content);
+            this.undoHistories.set(id, history);
+        }
+        this.updateUndoButtons();
+        textarea.setSelectionRange(doc.selectionStart, doc.selectionEnd);
+        textarea.scrollTop = doc.scrollTop;
+        this.pendingPreviewScroll = this.scrollSync ? null : doc.previewScrollTop;
 
-🚀 FEATURES:
-• Live preview with syntax highlighting
-• Auto-save every 10 seconds to localStorage
-• Export to Markdown, HTML, or PDF
-• Dark/light theme with system preference
-• Full GitHub Flavored Markdown support
-• Accessibility optimized (WCAG 2.1 AA)
-• Responsive design for mobile devices
-        `;
-        
-        alert(helpContent);
+        this.setTrustedDocument(false);
+        this.updatePreview();
+        this.updateWordCount();
+        if (!this.elements.findBar.hidden) this.updateFind();
+        this.renderTabs();
+        this.saveWorkspace();
+        textarea.focus();
+    }
+
+    async switchDocument(id) {
+        if (id === this.activeDocumentId) return;
+        await this.saveActiveDocument();
+        this.showDocument(id);
     }
 
     /**
-     * Show toast notification
+     * Create a document and open it in a tab after the current one. An
+     * empty, untouched Untitled document is replaced rather than kept.
      */
-    showToast(message) {
-        // Simple toast implementation
-        const toast = document.createElement('div');
-        toast.textContent = message;
-        toast.style.cssText = `
-            position: fixed;
-            bottom: 20px;
-            right: 20px;
-            background: #333;
-            color: white;
-            padding: 12px 20px;
-            border-radius: 6px;
-            z-index: 1000;
-            opacity: 0;
-            transition: opacity 0.3s ease;
-        `;
-        
-        document.body.appendChild(toast);
-        
-        // Fade in
+    async newDocument({ title = '', content = '', fileName = null, fileHandle = null } = {}) {
+        const current = this.documents.get(this.activeDocumentId);
+        const replace = current && !current.renamed && !current.content && !this.elements.markdownInput.value;
+        if (current && !replace) await this.saveActiveDocument();
+
+        try {
+            const doc = await this.documentStore.create({ title, content, fileName, fileHandle });
+            this.documents.set(doc.id, doc);
+            const index = this.openTabs.indexOf(this.activeDocumentId);
+            if (replace) {
+                this.openTabs[index] = doc.id;
+                this.documents.delete(current.id);
+                await this.documentStore.delete(current.id);
+            } else {
+                this.openTabs.splice(index + 1, 0, doc.id);
+            }
+            this.showDocument(doc.id);
+            return doc;
+        } catch (error) {
+            console.error('Failed to create document:', error);
+            this.showToast('Failed to create document');
+            return null;
+        }
+    }
+
+    /**
+     * Close a tab. The document stays in the library, but changes not
+     * saved to its file are confirmed first unless `discard` is set.
+     */
+    async closeDocument(id, { discard = false } = {}) {
+        if (id === this.activeDocumentId) await this.saveActiveDocument();
+
+        const doc = this.documents.get(id);
+        if (!discard && this.isDirty(doc) &&
+            !confirm(`"${doc.title}" has changes that are not saved to ${doc.fileName || 'its file'}. Close it anyway?`)) {
+            return;
+        }
+
+        const index = this.openTabs.indexOf(id);
+        if (index === -1) return;
+        this.openTabs.splice(index, 1);
+        this.documents.delete(id);
+        this.undoHistories.delete(id);
+
+        if (this.openTabs.length === 0) {
+            this.activeDocumentId = null;
+            await this.newDocument();
+        } else if (id === this.activeDocumentId) {
+            this.showDocument(this.openTabs[Math.min(index, this.openTabs.length - 1)]);
+        } else {
+            this.renderTabs();
+            this.saveWorkspace();
+        }
+    }
+
+    async renameDocument(id) {
+        const doc = this.documents.get(id) || await this.documentStore.get(id);
+        if (!doc) return;
+
+        const title = prompt('Document name (leave empty to name it after its first heading):', doc.renamed ? doc.title : '');
+        if (title === null) return;
+
+        if (id === this.activeDocumentId) await this.saveActiveDocument();
+        const renamed = await this.documentStore.rename(id, title);
+        if (this.documents.has(id)) {
+            this.documents.set(id, renamed);
+            if (id === this.activeDocumentId && !renamed.renamed) this.updatePreview();
+        }
+        this.renderTabs();
+        this.renderLibrary();
+    }
+
+    async duplicateDocument(id) {
+        if (id === this.activeDocumentId) await this.saveActiveDocument();
+        const copy = await this.documentStore.duplicate(id);
+        this.documents.set(copy.id, copy);
+        this.openTabs.splice(this.openTabs.indexOf(this.activeDocumentId) + 1, 0, copy.id);
+        this.showDocument(copy.id);
+        this.showToast(`Created "${copy.title}"`);
+    }
+
+    async deleteDocument(id) {
+        const doc = this.documents.get(id) || await this.documentStore.get(id);
+        if (!doc || !confirm(`Delete "${doc.title}"? This action cannot be undone.`)) return;
+
+        await this.documentStore.delete(id);
+        this.documentStore.pruneAssets().catch(error => console.error('Failed to prune images:', error));
+        if (this.openTabs.includes(id)) {
+            // Drop the tab without saving the document back
+            if (id === this.activeDocumentId) this.documents.delete(id);
+            await this.closeDocument(id, { discard: true });
+        }
+        this.renderLibrary();
+        this.showToast(`Deleted "${doc.title}"`);
+    }
+
+    /**
+     * Show the history of the open document, comparing the newest snapshot
+     * with the current text
+     */
+    async openHistory() {
+        await this.saveActiveDocument();
+        this.historySnapshots = await this.documentStore.listSnapshots(this.activeDocumentId);
+        this.historySelection = {
+            from: this.historySnapshots.length ? this.historySnapshots[0].id : 'current',
+            to: 'current'
+        };
+        this.elements.historyDialog.hidden = false;
+        this.renderHistory();
+        this.elements.closeHistoryBtn.focus();
+    }
+
+    closeHistory() {
+        this.elements.historyDialog.hidden = true;
+        this.historySnapshots = [];
+        this.elements.markdownInput.focus();
+    }
+
+    /**
+     * Save a named snapshot of the open document
+     */
+    async takeSnapshot() {
+        const name = prompt('Snapshot name:', `Snapshot ${new Date().toLocaleString()}`);
+        if (name === null) return;
+
+        try {
+            await this.saveActiveDocument();
+            await this.documentStore.addSnapshot(this.activeDocumentId, {
+                content: this.elements.markdownInput.value,
+                name: name.trim() || 'Snapshot'
+            });
+            this.showToast(`Saved snapshot "${name.trim() || 'Snapshot'}"`);
+            if (!this.elements.historyDialog.hidden) {
+                this.historySnapshots = await this.documentStore.listSnapshots(this.activeDocumentId);
+                this.renderHistory();
+            }
+        } catch (error) {
+            console.error('Failed to save snapshot:', error);
+            this.showToast('Failed to save snapshot');
+        }
+    }
+
+    /**
+     * Keep the current text before it is replaced wholesale, so clearing or
+     * restoring can always be reverted from the history
+     */
+    snapshotBeforeChange(name) {
+        const content = this.elements.markdownInput.value;
+        if (!content.trim() || !this.activeDocumentId) return Promise.resolve(null);
+        return this.documentStore.addSnapshot(this.activeDocumentId, { content, name, automatic: true })
+            .catch(error => console.error('Failed to save snapshot:', error));
+    }
+
+    async restoreSnapshot(id) {
+        const snapshot = this.historySnapshots.find(entry => entry.id === id);
+        if (!snapshot) return;
+
+        const textarea = this.elements.markdownInput;
+        if (textarea.value !== snapshot.content) {
+            await this.snapshotBeforeChange('Before restore');
+            textarea.value = snapshot.content;
+            this.recordUndo();
+            this.updatePreview();
+            this.updateWordCount();
+            await this.saveActiveDocument();
+        }
+        this.closeHistory();
+        this.showToast(`Restored "${this.getSnapshotLabel(snapshot)}"`);
+    }
+
+    async deleteSnapshot(id) {
+        const snapshot = this.historySnapshots.find(entry => entry.id === id);
+        if (!snapshot || !confirm(`Delete snapshot "${this.getSnapshotLabel(snapshot)}"?`)) return;
+
+        await this.documentStore.deleteSnapshot(id);
+        this.historySnapshots = this.historySnapshots.filter(entry => entry.id !== id);
+        ['from', 'to'].forEach(side => {
+            if (this.historySelection[side] === id) this.historySelection[side] = 'current';
+        });
+        this.renderHistory();
+    }
+
+    getSnapshotLabel(snapshot) {
+        return snapshot.name || 'Auto-save';
+    }
+
+    renderHistory() {
+        const list = this.elements.historyList;
+        list.innerHTML = '';
+
+        if (this.historySnapshots.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'library-empty';
+            empty.textContent = 'No snapshots yet';
+            list.appendChild(empty);
+        }
+
+        this.historySnapshots.forEach(snapshot => {
+            const item = document.createElement('li');
+            item.className = 'history-item' + (snapshot.automatic ? ' automatic' : '') +
+                (snapshot.id === this.historySelection.from ? ' selected' : '');
+            item.dataset.snapshotId = snapshot.id;
+
+            const compare = document.createElement('button');
+            compare.type = 'button';
+            compare.className = 'history-item-compare';
+            compare.dataset.action = 'compare';
+            compare.title = 'Compare with the current text';
+
+            const name = document.createElement('span');
+            name.className = 'history-item-name';
+            name.textContent = this.getSnapshotLabel(snapshot);
+
+            const time = document.createElement('span');
+            time.className = 'history-item-time';
+            time.textContent = new Date(snapshot.createdAt).toLocaleString();
+
+            compare.append(name, time);
+            item.appendChild(compare);
+
+            [['restore', '↺', 'Restore'], ['delete', '🗑️', 'Delete']].forEach(([action, icon, label]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn-icon';
+                button.dataset.action = action;
+                button.title = `${label} this snapshot`;
+                button.setAttribute('aria-label', `${label} ${name.textContent} from ${time.textContent}`);
+                button.textContent = icon;
+                item.appendChild(button);
+            });
+
+            list.appendChild(item);
+        });
+
+        const options = [['current', 'Current text'], ...this.historySnapshots.map(snapshot => [
+            snapshot.id,
+            `${this.getSnapshotLabel(snapshot)} (${new Date(snapshot.createdAt).toLocaleString()})`
+        ])];
+        [[this.elements.diffFromSelect, 'from'], [this.elements.diffToSelect, 'to']].forEach(([select, side]) => {
+            select.innerHTML = '';
+            options.forEach(([value, label]) => select.add(new Option(label, value)));
+            select.value = this.historySelection[side];
+        });
+
+        this.renderDiff();
+    }
+
+    /**
+     * Show a line diff between the two selected versions, with unchanged
+     * stretches collapsed
+     */
+    renderDiff() {
+        const contentOf = id => (id === 'current'
+            ? this.elements.markdownInput.value
+            : this.historySnapshots.find(snapshot => snapshot.id === id).content);
+        const lines = this.textDiff.diffLines(contentOf(this.historySelection.from), contentOf(this.historySelection.to));
+        const { added, removed } = this.textDiff.stats(lines);
+
+        const stats = this.elements.diffStats;
+        stats.innerHTML = '';
+        if (added || removed) {
+            stats.innerHTML = `<span class="added">+${added}</span> <span class="removed">−${removed}</span>`;
+        }
+
+        const view = this.elements.diffView;
+        view.innerHTML = '';
+        if (!added && !removed) {
+            const empty = document.createElement('div');
+            empty.className = 'diff-empty';
+            empty.textContent = 'No differences';
+            view.appendChild(empty);
+            return;
+        }
+
+        const markers = { equal: ' ', insert: '+', delete: '−' };
+        this.textDiff.collapse(lines).forEach(line => {
+            const row = document.createElement('div');
+            if (line.type === 'skip') {
+                row.className = 'diff-skip';
+                row.textContent = `⋯ ${line.count} unchanged line${line.count === 1 ? '' : 's'}`;
+            } else {
+                row.className = `diff-line diff-${line.type}`;
+                [line.oldLine, line.newLine].forEach(number => {
+                    const cell = document.createElement('span');
+                    cell.className = 'diff-line-number';
+                    cell.textContent = number === null ? '' : number;
+                    row.appendChild(cell);
+                });
+                const marker = document.createElement('span');
+                marker.className = 'diff-marker';
+                marker.textContent = markers[line.type];
+                const text = document.createElement('span');
+                text.className = 'diff-text';
+                text.textContent = line.text;
+                row.append(marker, text);
+            }
+            view.appendChild(row);
+        });
+    }
+
+    /**
+     * Title documents that were never renamed after their front matter
+     * title or first heading
+     */
+    updateDocumentTitle(id, result) {
+        const doc = this.documents.get(id);
+        if (!doc || doc.renamed) return;
+
+        const heading = result.headings.find(entry => entry.text);
+        const title = this.exporter.formatMetadataValue(result.metadata && result.metadata.title) ||
+            (heading ? heading.text : 'Untitled');
+        if (title !== doc.title) {
+            doc.title = title;
+            this.renderTabs();
+            this.documentStore.put(doc).catch(error => console.error('Failed to save document title:', error));
+        }
+    }
+
+    renderTabs() {
+        const list = this.elements.tabList;
+        list.innerHTML = '';
+
+        this.openTabs.forEach(id => {
+            const doc = this.documents.get(id);
+            if (!doc) return;
+            const active = id === this.activeDocumentId;
+            const unsaved = active && this.documentChanged;
+
+            const tab = document.createElement('div');
+            tab.className = 'document-tab' + (active ? ' active' : '') + (unsaved ? ' unsaved' : '');
+            tab.dataset.documentId = id;
+            tab.setAttribute('role', 'tab');
+            tab.setAttribute('aria-selected', String(active));
+            tab.title = `${doc.title}${unsaved ? ' (unsaved changes)' : ''} - double-click to rename`;
+
+            const title = document.createElement('button');
+            title.type = 'button';
+            title.className = 'document-tab-title';
+            title.textContent = doc.title;
+
+            const close = document.createElement('button');
+            close.type = 'button';
+            close.className = 'document-tab-close';
+            close.setAttribute('aria-label', `Close ${doc.title}`);
+            close.textContent = '✕';
+
+            tab.append(title, close);
+            list.appendChild(tab);
+        });
+
+        this.updateFileStatus();
+    }
+
+    /**
+     * Show the document library, most recently edited first
+     */
+    async openLibrary() {
+        await this.saveActiveDocument();
+        this.elements.libraryDialog.hidden = false;
+        this.elements.librarySearch.value = '';
+        await this.renderLibrary();
+        this.elements.librarySearch.focus();
+    }
+
+    closeLibrary() {
+        this.elements.libraryDialog.hidden = true;
+        this.elements.markdownInput.focus();
+    }
+
+    async renderLibrary() {
+        if (this.elements.libraryDialog.hidden) return;
+
+        const query = this.elements.librarySearch.value.trim().toLowerCase();
+        const documents = (await this.documentStore.list()).filter(doc => !query ||
+            doc.title.toLowerCase().includes(query) || doc.content.toLowerCase().includes(query));
+
+        const list = this.elements.libraryList;
+        list.innerHTML = '';
+        if (documents.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'library-empty';
+            empty.textContent = query ? 'No documents match your search' : 'No saved documents';
+            list.appendChild(empty);
+            return;
+        }
+
+        documents.forEach(doc => {
+            const item = document.createElement('li');
+            item.className = 'library-item' + (this.openTabs.includes(doc.id) ? ' open' : '');
+            item.dataset.documentId = doc.id;
+
+            const open = document.createElement('button');
+            open.type = 'button';
+            open.className = 'library-item-open';
+            open.dataset.action = 'open';
+
+            const title = document.createElement('span');
+            title.className = 'library-item-title';
+            title.textContent = doc.title;
+
+            const details = document.createElement('span');
+            details.className = 'library-item-details';
+            const words = doc.content.trim() ? doc.content.trim().split(/\s+/).length : 0;
+            details.textContent = `Edited ${new Date(doc.updatedAt).toLocaleString()} • ${words} words`;
+
+            open.append(title, details);
+            item.appendChild(open);
+
+            [['rename', '✏️', 'Rename'], ['duplicate', '⧉', 'Duplicate'], ['delete', '🗑️', 'Delete']].forEach(([action, icon, label]) => {
+                const button = document.createElement('button');
+                button.type = 'button';
+                button.className = 'btn-icon';
+                button.dataset.action = action;
+                button.title = label;
+                button.setAttribute('aria-label', `${label} ${doc.title}`);
+                button.textContent = icon;
+                item.appendChild(button);
+            });
+
+            list.appendChild(item);
+        });
+    }
+
+    async handleLibraryAction(action, id) {
+        try {
+            if (action === 'open') {
+                if (!this.openTabs.includes(id)) {
+                    await this.saveActiveDocument();
+                    const doc = await this.documentStore.get(id);
+                    this.documents.set(id, doc);
+                    this.openTabs.splice(this.openTabs.indexOf(this.activeDocumentId) + 1, 0, id);
+                }
+                this.closeLibrary();
+                await this.switchDocument(id);
+            } else if (action === 'rename') {
+                await this.renameDocument(id);
+            } else if (action === 'duplicate') {
+                this.closeLibrary();
+                await this.duplicateDocument(id);
+            } else if (action === 'delete') {
+                await this.deleteDocument(id);
+            }
+        } catch (error) {
+            console.error(`Document ${action} failed:`, error);
+            this.showToast(`Failed to ${action} document`);
+        }
+    }
+
+    /**
+     * Show help dialog
+     */
+    showHelp() {
+        const helpContent = `
+📝 MARKDOWN EDITOR - HELP & SHORTCUTS
+
+🔧 FILE OPERATIONS:
+• Ctrl/Cmd + O: Open a Markdown file
+• Ctrl/Cmd + S: Save to the open file (asks for a name the first time)
+• Ctrl/Cmd + Shift + S: Save As
+• Browsers without file system access download the file instead
+• Ctrl/Cmd + P: Print or save as PDF: paper, margins, header and footer
+• Ctrl/Cmd + D: Clear editor
+• Drag & drop: Open .md/.txt files in a new tab, or add images
+• Open or drop an .html file: Converted to Markdown in a new tab
+• Paste from a web page or word processor: Converted to Markdown
+• Ctrl/Cmd + Shift + V: Paste as plain text
+• Paste a screenshot: Stored with the document as an image
+• Save .zip: Markdown plus an assets folder with its images
+• Save .docx, .txt, .epub: Word document, plain text without formatting,
+  or an e-book with a chapter per level 1 and 2 heading
+• 🎨 Style: Export theme (GitHub, Academic, Slides, Dark), your own page
+  templates with {{title}}, {{content}}, {{toc}} and {{meta}}, and custom
+  CSS for the preview and exports
+
+✨ FORMATTING SHORTCUTS:
+• Ctrl/Cmd + Z or ↶: Undo (typing, formatting and clears)
+• Ctrl/Cmd + Shift + Z, Ctrl/Cmd + Y or ↷: Redo
+• Ctrl/Cmd + B: **Bold**
+• Ctrl/Cmd + I: *Italic*
+• Ctrl/Cmd + E: \`Code\`
+• Ctrl/Cmd + K: [Link]
+• Ctrl/Cmd + Shift + K: ![Image]
+• Ctrl/Cmd + Shift + C: Code Block
+• Ctrl/Cmd + L: • List
+• Ctrl/Cmd + Shift + L: 1. Numbered List
+• Ctrl/Cmd + Q: > Quote
+• Ctrl/Cmd + 1-6: # Headers (H1-H6)
+
+🔍 FIND & REPLACE:
+• Ctrl/Cmd + F or 🔍: Find, starting from the selected text
+• Ctrl/Cmd + H: Find and replace
+• Enter / Shift + Enter or F3 / Shift + F3: Next / previous match
+• Aa, W, .*: Match case, whole words, regular expressions
+• In regex mode the replacement can use $1, $<name> and $&
+• Replace All (Ctrl/Cmd + Alt + Enter) is one undo step
+• Matches are highlighted in the preview too
+
+🖥️ VIEW OPTIONS:
+• F11: Toggle fullscreen preview
+• Escape: Close a dialog or the find bar, or exit fullscreen
+• Ctrl/Cmd + Shift + O or ☰: Toggle the outline panel
+• ⇅: Toggle scroll sync between editor and preview
+• Click a preview block: Move the caret to its source line
+• 🌙/☀️: Toggle dark/light theme
+• 🛡️/🔓: Sanitize or trust raw HTML in the document
+
+📋 MARKDOWN SYNTAX:
+• Headers: # H1, ## H2, ### H3
+• Bold: **text** or __text__
+• Italic: *text* or _text_
+• Links: [text](url), [text][ref] with [ref]: url "title"
+• Autolinks: <https://...>, bare URLs and emails
+• Images: ![alt](url)
+• Code: \`inline\` or \`\`\`block\`\`\`
+• Highlighted code: \`\`\`js, ts, python, json, bash, html, css, sql, yaml
+• Lists: - item or 1. item
+• Tasks: - [x] done, - [ ] todo
+• Quote: > text
+• Front matter: --- title/author/date/tags --- at the very top
+• Table of contents: [[toc]] or [TOC] on its own line
+• Page break: \\pagebreak or <!-- pagebreak --> on its own line
+• Callouts: > [!NOTE] (or TIP, IMPORTANT, WARNING, CAUTION), :::warning Title ... :::
+• Horizontal rule: ---
+• Tables: | col1 | col2 |
+• Math: $inline$ or $$display$$ (LaTeX)
+• Diagrams: \`\`\`mermaid (graph / sequenceDiagram), \`\`\`dot or \`\`\`flowchart (flowchart.js)
+• Footnotes: text[^1] and [^1]: note
+• Definitions: Term, then : definition
+• Abbreviations: *[HTML]: Hyper Text Markup Language
+
+🚀 FEATURES:
+• Live preview with syntax highlighting
+• Documents auto-save every 10 seconds to the local library
+• Tabs: + opens a new document, double-click a tab to rename it
+• 📚: Search, open, rename, duplicate or delete saved documents
+• 🕘: History - snapshots every 5 minutes while editing, 📸 for named
+  snapshots, diffs between any two versions and one-click restore
+• Export to Markdown, HTML, or PDF
+• Dark/light theme with system preference
+• Full GitHub Flavored Markdown support
+• Accessibility optimized (WCAG 2.1 AA)
+• Responsive design for mobile devices
+        `;
+        
+        alert(helpContent);
+    }
+
+    /**
+     * Show toast notification
+     */
+    showToast(message) {
+        // Simple toast implementation
+        const toast = document.createElement('div');
+        toast.textContent = message;
+        toast.style.cssText = `
+            position: fixed;
+            bottom: 20px;
+            right: 20px;
+            background: #333;
+            color: white;
+            padding: 12px 20px;
+            border-radius: 6px;
+            z-index: 1000;
+            opacity: 0;
+            transition: opacity 0.3s ease;
+        `;
+        
+        document.body.appendChild(toast);
+        
+        // Fade in
         setTimeout(() => toast.style.opacity = '1', 100);
         
         // Fade out and remove
@@ -772,14 +2418,260 @@ ${htmlContent}
      * Insert image
      */
     insertImage() {
-        const url = prompt('Enter image URL:');
-        if (url) {
+        const url = prompt('Enter image URL (leave empty to choose image files):');
+        if (url === '') {
+            this.chooseImageFiles();
+        } else if (url) {
             const alt = prompt('Enter alt text:', 'Image');
             const imageMarkdown = `![${alt || 'Image'}](${url})`;
             this.insertAtCursor(imageMarkdown);
         }
     }
 
+    /**
+     * Store pasted, dropped or chosen image files with the document and
+     * insert references to them at the caret
+     */
+    async insertImageFiles(files) {
+        try {
+            const references = [];
+            for (const file of files) {
+                const asset = await this.documentStore.addAsset(file, file.name);
+                // Clipboard screenshots arrive as "image.png"
+                const alt = file.name && !/^image\.\w+$/.test(file.name) ? file.name.replace(/\.\w+$/, '') : 'Pasted image';
+                references.push(`![${alt}](asset:${asset.id})`);
+            }
+            const textarea = this.elements.markdownInput;
+            const before = textarea.value.substring(0, textarea.selectionStart);
+            this.insertAtCursor((before === '' || before.endsWith('\n') ? '' : '\n') + references.join('\n'));
+            // Store the references right away so the images are never pruned
+            await this.saveActiveDocument();
+        } catch (error) {
+            console.error('Failed to store image:', error);
+            this.showToast('Failed to store image');
+        }
+    }
+
+    chooseImageFiles() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = this.imageTypes.join(',');
+        input.multiple = true;
+        input.addEventListener('change', () => {
+            if (input.files.length) this.insertImageFiles([...input.files]);
+        });
+        input.click();
+    }
+
+    /**
+     * Store pasted images, or convert pasted HTML with formatting to
+     * Markdown. Ctrl+Shift+V, and anything without formatting, pastes the
+     * plain text as usual.
+     */
+    handlePaste(e) {
+        const plainText = this.plainTextPaste;
+        this.plainTextPaste = false;
+        const clipboard = e.clipboardData;
+        if (!clipboard) return;
+
+        // Copying an image also puts an <img> tag on the clipboard, so the
+        // image file wins unless there is text too
+        const images = [...clipboard.files].filter(file => this.imageTypes.includes(file.type));
+        const text = clipboard.getData('text/plain');
+        if (images.length > 0 && !text.trim()) {
+            e.preventDefault();
+            this.insertImageFiles(images);
+            return;
+        }
+
+        const html = clipboard.getData('text/html');
+        if (plainText || !html || !this.htmlToMarkdown.isFormatted(html)) return;
+        const markdown = this.htmlToMarkdown.convert(html);
+        if (!markdown) return;
+        e.preventDefault();
+        this.insertAtCursor(markdown);
+        this.showToast('Pasted as Markdown - Ctrl+Shift+V pastes plain text');
+    }
+
+    /**
+     * Point images that refer to stored assets at object URLs. Runs on
+     * freshly parsed preview nodes before they are attached, so the
+     * browser never tries to load an asset: URL itself.
+     */
+    resolveAssetImages(root) {
+        root.querySelectorAll('img[src^="asset:"]').forEach(img => {
+            const id = img.getAttribute('src').slice('asset:'.length);
+            img.dataset.assetId = id;
+            img.removeAttribute('src');
+
+            this.getAssetUrl(id).then(url => {
+                if (url) {
+                    img.src = url;
+                } else {
+                    img.classList.add('missing-asset');
+                    img.title = 'Image not found in this browser';
+                }
+            });
+        });
+    }
+
+    async getAssetUrl(id) {
+        if (!this.assetUrls.has(id)) {
+            this.assetUrls.set(id, this.documentStore.getAsset(id)
+                .then(asset => (asset ? URL.createObjectURL(asset.blob) : null))
+                .catch(() => null));
+        }
+        return this.assetUrls.get(id);
+    }
+
+    /**
+     * Replace asset references in exported HTML with data URIs, so the
+     * file stands on its own
+     */
+    async inlineAssets(html) {
+        const ids = new Set([...html.matchAll(/src="asset:([\w-]+)"/g)].map(match => match[1]));
+        for (const id of ids) {
+            const asset = await this.documentStore.getAsset(id);
+            if (!asset) continue;
+            const dataUrl = await new Promise((resolve, reject) => {
+                const reader = new FileReader();
+                reader.onload = () => resolve(reader.result);
+                reader.onerror = () => reject(reader.error);
+                reader.readAsDataURL(asset.blob);
+            });
+            html = html.split(`src="asset:${id}"`).join(`src="${dataUrl}"`);
+        }
+        return html;
+    }
+
+    /**
+     * Save the document as a zip of its Markdown and an assets folder with
+     * the images it uses
+     */
+    async saveAsZip() {
+        const doc = this.documents.get(this.activeDocumentId);
+        let markdown = this.elements.markdownInput.value;
+        if (!doc || !markdown.trim()) {
+            this.showToast('Cannot save empty document');
+            return;
+        }
+
+        try {
+            const zip = new ZipWriter();
+            const ids = new Set([...markdown.matchAll(/asset:([\w-]+)/g)].map(match => match[1]));
+            for (const id of ids) {
+                const asset = await this.documentStore.getAsset(id);
+                if (!asset) continue;
+                const extension = { 'image/jpeg': 'jpg', 'image/svg+xml': 'svg' }[asset.type] || asset.type.split('/')[1];
+                const path = `assets/${id}.${extension}`;
+                zip.addFile(path, await asset.blob.arrayBuffer());
+                markdown = markdown.split(`asset:${id}`).join(path);
+            }
+
+            const base = this.getExportBasename(doc);
+            zip.addFile(`${base}.md`, markdown);
+            this.downloadFile(zip.generate(), `${base}.zip`, 'application/zip');
+        } catch (error) {
+            console.error('Error saving zip:', error);
+            this.showToast('Failed to save zip file');
+        }
+    }
+
+    /**
+     * File name for an export of the document, without the extension
+     */
+    getExportBasename(doc) {
+        return this.getMarkdownFilename(doc).replace(/\.(?:md|markdown|txt)$/i, '');
+    }
+
+    /**
+     * Save the document as a Word file
+     */
+    async saveAsDocx() {
+        await this.exportDocument('docx', 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', async ast => (
+            this.docxWriter.write(ast, {
+                images: await this.collectExportImages(ast),
+                title: this.getRenamedTitle(),
+                paperSize: this.printSettings.paperSize
+            })
+        ));
+    }
+
+    /**
+     * Save the document as plain text without Markdown formatting
+     */
+    async saveAsText() {
+        await this.exportDocument('txt', 'text/plain', ast => this.plainTextWriter.write(ast));
+    }
+
+    /**
+     * Save the document as an EPUB book with a chapter per level one or
+     * two heading
+     */
+    async saveAsEpub() {
+        await this.exportDocument('epub', 'application/epub+zip', async ast => (
+            this.epubWriter.write(ast, {
+                images: await this.collectExportImages(ast),
+                title: this.getRenamedTitle(),
+                trusted: this.trustedDocument,
+                theme: this.exportTheme,
+                customCss: this.customCss
+            })
+        ));
+    }
+
+    /**
+     * Parse the open document, convert it with `write` and download the
+     * result
+     */
+    async exportDocument(extension, mimeType, write) {
+        const doc = this.documents.get(this.activeDocumentId);
+        const markdown = this.elements.markdownInput.value;
+        if (!doc || !markdown.trim()) {
+            this.showToast('Cannot export empty document');
+            return;
+        }
+
+        try {
+            const content = await write(this.parser.parseToAst(markdown));
+            this.downloadFile(content, `${this.getExportBasename(doc)}.${extension}`, mimeType);
+        } catch (error) {
+            console.error(`Error exporting .${extension}:`, error);
+            this.showToast(`Failed to export .${extension} file`);
+        }
+    }
+
+    /**
+     * The image data an export can embed, keyed by image source: stored
+     * assets and data URIs. Remote images are left out, keeping exports
+     * offline.
+     */
+    async collectExportImages(ast) {
+        const sources = new Set();
+        const walk = nodes => nodes.forEach(node => {
+            if (node.type === 'image') sources.add(node.src);
+            if (node.children) walk(node.children);
+        });
+        walk(ast.children);
+        (ast.footnotes || []).forEach(footnote => walk(footnote.children));
+
+        const images = new Map();
+        for (const src of sources) {
+            if (src.startsWith('asset:')) {
+                const asset = await this.documentStore.getAsset(src.slice('asset:'.length));
+                if (asset) images.set(src, { bytes: new Uint8Array(await asset.blob.arrayBuffer()), type: asset.type });
+                continue;
+            }
+            const data = src.match(/^data:([\w.+-]+\/[\w.+-]+);base64,([A-Za-z0-9+/=\s]+)$/i);
+            if (data) {
+                const binary = atob(data[2].replace(/\s+/g, ''));
+                const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+                images.set(src, { bytes, type: data[1].toLowerCase() });
+            }
+        }
+        return images;
+    }
+
     /**
      * Insert code block
      */
@@ -794,6 +2686,29 @@ ${htmlContent}
         textarea.selectionStart = textarea.selectionEnd = pos;
     }
 
+    /**
+     * Insert a callout block, quoting the selected text as its content
+     */
+    insertCallout() {
+        const types = ['note', 'tip', 'important', 'warning', 'caution'];
+        const type = prompt(`Callout type (${types.join(', ')}):`, 'note');
+        if (!type) return;
+
+        const kind = type.trim().toLowerCase();
+        if (!types.includes(kind)) {
+            this.showToast(`Unknown callout type "${type}"`);
+            return;
+        }
+
+        const textarea = this.elements.markdownInput;
+        const selectedText = textarea.value.substring(textarea.selectionStart, textarea.selectionEnd);
+        const body = (selectedText || 'Callout text').split('\n').map(line => `> ${line}`.trimEnd()).join('\n');
+        const before = textarea.value.substring(0, textarea.selectionStart);
+        const prefix = before === '' || before.endsWith('\n\n') ? '' : before.endsWith('\n') ? '\n' : '\n\n';
+
+        this.insertAtCursor(`${prefix}> [!${kind.toUpperCase()}]\n${body}\n`);
+    }
+
     /**
      * Insert horizontal rule
      */
@@ -815,6 +2730,259 @@ ${htmlContent}
         this.handleInput();
     }
 
+    /**
+     * Undo history of the open document
+     */
+    getUndoHistory() {
+        return this.undoHistories.get(this.activeDocumentId) || null;
+    }
+
+    /**
+     * Record the editor text after an edit. Typing passes its input type,
+     * so runs of the same kind of keystroke undo together.
+     */
+    recordUndo(group = null) {
+        const history = this.getUndoHistory();
+        if (!history) return;
+        history.record(this.elements.markdownInput.value, group);
+        this.updateUndoButtons();
+    }
+
+    undo() {
+        const history = this.getUndoHistory();
+        this.applyUndoStep(history && history.undo());
+    }
+
+    redo() {
+        const history = this.getUndoHistory();
+        this.applyUndoStep(history && history.redo());
+    }
+
+    /**
+     * Put an undo or redo step into the editor, selecting the text it
+     * changed
+     */
+    applyUndoStep(step) {
+        if (!step) return;
+
+        const textarea = this.elements.markdownInput;
+        textarea.value = step.text;
+        textarea.setSelectionRange(step.selectionStart, step.selectionEnd);
+        textarea.focus();
+        this.handleInput(null, { recordUndo: false });
+        this.updateUndoButtons();
+    }
+
+    updateUndoButtons() {
+        const history = this.getUndoHistory();
+        this.elements.undoBtn.disabled = !history || !history.canUndo();
+        this.elements.redoBtn.disabled = !history || !history.canRedo();
+    }
+
+    /**
+     * Show the find bar. A selection on a single line becomes the query,
+     * unless it is the match the find bar itself selected.
+     */
+    openFind({ replace = false } = {}) {
+        const { markdownInput, findBar, findInput, replaceInput, findRegexToggle } = this.elements;
+        const selected = markdownInput.value.slice(markdownInput.selectionStart, markdownInput.selectionEnd);
+        if (selected && !selected.includes('\n') && !this.isMatchSelected()) {
+            findInput.value = findRegexToggle.checked ? this.textSearch.escape(selected) : selected;
+        }
+
+        findBar.hidden = false;
+        this.elements.findBtn.classList.add('active');
+        this.elements.findBtn.setAttribute('aria-pressed', 'true');
+        this.updateFind();
+
+        const field = replace ? replaceInput : findInput;
+        field.focus();
+        field.select();
+    }
+
+    closeFind() {
+        this.elements.findBar.hidden = true;
+        this.elements.findBtn.classList.remove('active');
+        this.elements.findBtn.setAttribute('aria-pressed', 'false');
+        this.findMatches = [];
+        this.findIndex = -1;
+        this.findPattern = null;
+        this.clearPreviewHighlights();
+        this.elements.markdownInput.focus();
+    }
+
+    /**
+     * Search the editor again after the query, its options or the text
+     * changed. The current match becomes the first one at or after the
+     * caret; with `reveal` it is also selected and scrolled to.
+     */
+    updateFind({ reveal = false } = {}) {
+        const { markdownInput, findInput, findCount } = this.elements;
+
+        findInput.classList.remove('invalid');
+        findCount.title = '';
+        try {
+            this.findPattern = this.textSearch.compile(findInput.value, {
+                caseSensitive: this.elements.findCaseToggle.checked,
+                wholeWord: this.elements.findWordToggle.checked,
+                regex: this.elements.findRegexToggle.checked
+            });
+        } catch (error) {
+            this.findPattern = null;
+            findInput.classList.add('invalid');
+            findCount.title = error.message;
+        }
+
+        this.findMatches = this.textSearch.findAll(markdownInput.value, this.findPattern);
+        const caret = markdownInput.selectionStart;
+        const index = this.findMatches.findIndex(match => match.start >= caret);
+        this.findIndex = this.findMatches.length ? Math.max(index, 0) : -1;
+
+        this.updateFindCount();
+        this.highlightPreviewMatches();
+        if (reveal) this.revealMatch();
+    }
+
+    updateFindCount() {
+        const { findInput, findCount } = this.elements;
+        const total = this.findMatches.length;
+        if (findInput.classList.contains('invalid')) {
+            findCount.textContent = 'Invalid regex';
+        } else if (!findInput.value) {
+            findCount.textContent = '';
+        } else {
+            const more = this.findMatches.truncated ? '+' : '';
+            findCount.textContent = total ? `${this.findIndex + 1} of ${total}${more}` : 'No results';
+        }
+
+        [this.elements.findPrevBtn, this.elements.findNextBtn, this.elements.replaceBtn, this.elements.replaceAllBtn]
+            .forEach(button => {
+                button.disabled = total === 0;
+            });
+    }
+
+    /**
+     * Move to the next (1) or previous (-1) match, wrapping around
+     */
+    findNext(direction = 1) {
+        const total = this.findMatches.length;
+        if (!total) return;
+
+        this.findIndex = (this.findIndex + direction + total) % total;
+        this.updateFindCount();
+        this.revealMatch();
+    }
+
+    /**
+     * Select the current match in the editor and scroll it into view. The
+     * editor is not focused, so typing stays in the find bar; with scroll
+     * sync on, the preview follows.
+     */
+    revealMatch() {
+        const match = this.findMatches[this.findIndex];
+        if (!match) return;
+
+        const textarea = this.elements.markdownInput;
+        textarea.setSelectionRange(match.start, match.end);
+
+        const index = textarea.value.slice(0, match.start).split('\n').length - 1;
+        const top = this.getLineOffsets()[index] - parseFloat(getComputedStyle(textarea).paddingTop);
+        if (top < textarea.scrollTop || top > textarea.scrollTop + textarea.clientHeight * 0.8) {
+            textarea.scrollTop = Math.max(0, top - textarea.clientHeight / 3);
+        }
+    }
+
+    isMatchSelected() {
+        const match = this.findMatches[this.findIndex];
+        const textarea = this.elements.markdownInput;
+        return Boolean(match) && textarea.selectionStart === match.start && textarea.selectionEnd === match.end;
+    }
+
+    /**
+     * Replace the current match and move on to the next one. A match that
+     * is not selected (the caret moved since) is selected first instead.
+     */
+    replaceMatch() {
+        const match = this.findMatches[this.findIndex];
+        if (!match) return;
+
+        const textarea = this.elements.markdownInput;
+        if (!this.isMatchSelected()) {
+            this.revealMatch();
+            return;
+        }
+
+        const replacement = this.textSearch.expand(match, this.elements.replaceInput.value, this.elements.findRegexToggle.checked);
+        textarea.setRangeText(replacement, match.start, match.end, 'end');
+        this.handleInput();
+        this.revealMatch();
+    }
+
+    /**
+     * Replace every match as a single undo step. Unlike the match list
+     * shown in the find bar, this is not limited to the first maxMatches.
+     */
+    replaceAllMatches() {
+        const textarea = this.elements.markdownInput;
+        const matches = this.textSearch.findAll(textarea.value, this.findPattern, Infinity);
+        if (!matches.length) return;
+
+        textarea.value = this.textSearch.replaceAll(textarea.value, matches, this.elements.replaceInput.value,
+            this.elements.findRegexToggle.checked);
+        textarea.setSelectionRange(matches[0].start, matches[0].start);
+        this.handleInput();
+        this.showToast(`Replaced ${matches.length} ${matches.length === 1 ? 'match' : 'matches'}`);
+    }
+
+    /**
+     * Mark matches of the find query in the preview. Matches are looked
+     * for within single text nodes, so one that spans formatting (as in
+     * "some **bold** text") is only found in the editor.
+     */
+    highlightPreviewMatches() {
+        this.clearPreviewHighlights();
+        const pattern = this.findPattern;
+        if (!pattern || this.elements.findBar.hidden) return;
+
+        const pane = this.elements.previewPane;
+        // Text directly in the pane belongs to patchPreview's block list
+        const walker = document.createTreeWalker(pane, NodeFilter.SHOW_TEXT, {
+            acceptNode: node => (node.parentNode === pane || node.parentNode.closest('script, style')
+                ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT)
+        });
+        const nodes = [];
+        while (walker.nextNode()) nodes.push(walker.currentNode);
+
+        let count = 0;
+        for (const node of nodes) {
+            if (count >= this.maxPreviewHighlights) break;
+            const matches = this.textSearch.findAll(node.data, pattern);
+            if (!matches.length) continue;
+
+            const fragment = document.createDocumentFragment();
+            let position = 0;
+            matches.forEach(match => {
+                const mark = document.createElement('mark');
+                mark.className = 'search-match';
+                mark.textContent = match.text;
+                fragment.append(node.data.slice(position, match.start), mark);
+                position = match.end;
+            });
+            fragment.append(node.data.slice(position));
+            node.replaceWith(fragment);
+            count += matches.length;
+        }
+    }
+
+    clearPreviewHighlights() {
+        const parents = new Set();
+        this.elements.previewPane.querySelectorAll('mark.search-match').forEach(mark => {
+            parents.add(mark.parentNode);
+            mark.replaceWith(...mark.childNodes);
+        });
+        parents.forEach(parent => parent.normalize());
+    }
+
     /**
      * Toggle dark/light theme
      */
@@ -827,10 +2995,276 @@ ${htmlContent}
         
         // Update theme button icon
         this.elements.themeBtn.textContent = newTheme === 'dark' ? '☀️' : '🌙';
+        this.applyHighlightTheme();
         
         this.showToast(`Switched to ${newTheme} theme`);
     }
 
+    /**
+     * Show or hide the outline panel
+     */
+    toggleOutline() {
+        this.setOutlineVisible(this.elements.outlinePanel.hidden);
+    }
+
+    setOutlineVisible(visible) {
+        this.elements.outlinePanel.hidden = !visible;
+        this.elements.outlineBtn.classList.toggle('active', visible);
+        this.elements.outlineBtn.setAttribute('aria-pressed', String(visible));
+        localStorage.setItem('markdownEditor_outline', visible ? 'open' : 'closed');
+    }
+
+    /**
+     * Rebuild the outline panel from the document headings. Sections with
+     * subheadings can be collapsed; collapsed sections stay collapsed across
+     * re-renders as long as their heading keeps its ID.
+     */
+    updateOutline(headings) {
+        this.headings = headings;
+        const list = this.elements.outlineList;
+        const collapsed = new Set(
+            [...list.querySelectorAll('.outline-item.collapsed')].map(item => item.dataset.id)
+        );
+        list.innerHTML = '';
+
+        if (headings.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'outline-empty';
+            empty.textContent = 'No headings yet';
+            list.appendChild(empty);
+            return;
+        }
+
+        const root = document.createElement('ul');
+        const stack = [{ level: 0, list: root }];
+        headings.forEach(heading => {
+            while (stack[stack.length - 1].level >= heading.level) stack.pop();
+
+            const item = document.createElement('li');
+            item.className = 'outline-item';
+            item.dataset.id = heading.id || '';
+
+            const toggle = document.createElement('button');
+            toggle.type = 'button';
+            toggle.className = 'outline-toggle';
+            toggle.setAttribute('aria-label', 'Collapse section');
+            toggle.addEventListener('click', () => {
+                const isCollapsed = item.classList.toggle('collapsed');
+                toggle.setAttribute('aria-label', isCollapsed ? 'Expand section' : 'Collapse section');
+            });
+
+            const link = document.createElement('button');
+            link.type = 'button';
+            link.className = 'outline-link';
+            link.textContent = heading.text || '(untitled)';
+            link.title = heading.text;
+            link.addEventListener('click', () => this.jumpToHeading(heading));
+
+            item.append(toggle, link);
+            stack[stack.length - 1].list.appendChild(item);
+
+            const children = document.createElement('ul');
+            item.appendChild(children);
+            stack.push({ level: heading.level, list: children });
+        });
+
+        // Only sections with subheadings get a working toggle
+        root.querySelectorAll('.outline-item').forEach(item => {
+            const hasChildren = item.lastElementChild.children.length > 0;
+            item.classList.toggle('has-children', hasChildren);
+            if (!hasChildren) item.lastElementChild.remove();
+            if (hasChildren && collapsed.has(item.dataset.id)) item.classList.add('collapsed');
+        });
+
+        list.appendChild(root);
+    }
+
+    /**
+     * Move the editor caret to a heading and scroll both panes to it
+     */
+    jumpToHeading(heading) {
+        if (heading.line) this.moveCaretToLine(heading.line, 0);
+
+        if (heading.id) {
+            const target = [...this.elements.previewPane.querySelectorAll('[id]')].find(el => el.id === heading.id);
+            if (target) target.scrollIntoView({ block: 'start', behavior: 'smooth' });
+        }
+    }
+
+    /**
+     * Put the caret at the start of a source line (1-based) and scroll the
+     * editor so that the line sits at `position` (0 = top, 1 = bottom) of
+     * the visible area. The preview is left where it is.
+     */
+    moveCaretToLine(line, position = 0) {
+        const textarea = this.elements.markdownInput;
+        const lines = textarea.value.split('\n');
+        const index = Math.max(0, Math.min(line, lines.length) - 1);
+        const offset = lines.slice(0, index).reduce((sum, text) => sum + text.length + 1, 0);
+
+        textarea.focus();
+        textarea.setSelectionRange(offset, offset);
+
+        const top = this.getLineOffsets()[index] - parseFloat(getComputedStyle(textarea).paddingTop);
+        this.scrollLock = { pane: 'editor', until: performance.now() + 150 };
+        textarea.scrollTop = Math.max(0, top - textarea.clientHeight * position);
+    }
+
+    /**
+     * Measure the top of every source line inside the textarea, following
+     * soft wraps, by laying the text out in an off-screen copy with the
+     * same metrics. Cached until the text or the editor width changes.
+     */
+    getLineOffsets() {
+        const textarea = this.elements.markdownInput;
+        const cached = this.lineOffsets;
+        if (cached && cached.text === textarea.value && cached.width === textarea.clientWidth) {
+            return cached.offsets;
+        }
+
+        const style = getComputedStyle(textarea);
+        const mirror = document.createElement('div');
+        mirror.setAttribute('aria-hidden', 'true');
+        [
+            'fontFamily', 'fontSize', 'fontWeight', 'lineHeight', 'letterSpacing', 'tabSize',
+            'paddingTop', 'paddingRight', 'paddingBottom', 'paddingLeft'
+        ].forEach(property => {
+            mirror.style[property] = style[property];
+        });
+        Object.assign(mirror.style, {
+            position: 'absolute',
+            top: '0',
+            left: '-10000px',
+            visibility: 'hidden',
+            boxSizing: 'border-box',
+            width: `${textarea.clientWidth}px`,
+            whiteSpace: 'pre-wrap',
+            overflowWrap: 'break-word'
+        });
+
+        textarea.value.split('\n').forEach(text => {
+            const line = document.createElement('div');
+            line.textContent = text || ' ';
+            mirror.appendChild(line);
+        });
+
+        document.body.appendChild(mirror);
+        const offsets = [...mirror.children].map(line => line.offsetTop);
+        mirror.remove();
+
+        this.lineOffsets = { text: textarea.value, width: textarea.clientWidth, offsets };
+        return offsets;
+    }
+
+    /**
+     * Turn scroll sync on or off
+     */
+    setScrollSync(enabled) {
+        this.scrollSync = enabled;
+        this.elements.scrollSyncBtn.classList.toggle('active', enabled);
+        this.elements.scrollSyncBtn.setAttribute('aria-pressed', String(enabled));
+        this.elements.scrollSyncBtn.title = enabled ? 'Scroll sync on (click to turn off)' : 'Scroll sync off (click to turn on)';
+        localStorage.setItem('markdownEditor_scrollSync', enabled ? 'on' : 'off');
+        if (enabled) this.syncScroll('editor');
+    }
+
+    /**
+     * Follow a scroll in one pane with the other, once per frame. Scroll
+     * events caused by our own syncing are ignored.
+     */
+    handleScroll(source) {
+        if (!this.scrollSync) return;
+        if (this.scrollLock && this.scrollLock.pane === source && performance.now() < this.scrollLock.until) return;
+
+        cancelAnimationFrame(this.scrollFrame);
+        this.scrollFrame = requestAnimationFrame(() => this.syncScroll(source));
+    }
+
+    syncScroll(source) {
+        const textarea = this.elements.markdownInput;
+        const wrapper = this.elements.previewWrapper;
+        const anchors = this.getScrollAnchors();
+        const [from, to, target] = source === 'editor'
+            ? ['editor', 'preview', wrapper]
+            : ['preview', 'editor', textarea];
+        const position = source === 'editor' ? textarea.scrollTop : wrapper.scrollTop;
+
+        this.scrollLock = { pane: to, until: performance.now() + 150 };
+        target.scrollTop = this.mapScrollPosition(position, anchors, from, to);
+    }
+
+    /**
+     * Pair the editor scroll position of each annotated block's first source
+     * line with the preview scroll position of its rendered element. Both
+     * sequences are kept increasing and end at the maximum scroll positions.
+     */
+    getScrollAnchors() {
+        const textarea = this.elements.markdownInput;
+        const wrapper = this.elements.previewWrapper;
+        const lineOffsets = this.getLineOffsets();
+        const paddingTop = parseFloat(getComputedStyle(textarea).paddingTop);
+        const wrapperTop = wrapper.getBoundingClientRect().top - wrapper.scrollTop;
+        const end = {
+            editor: Math.max(0, textarea.scrollHeight - textarea.clientHeight),
+            preview: Math.max(0, wrapper.scrollHeight - wrapper.clientHeight)
+        };
+
+        const anchors = [{ editor: 0, preview: 0 }];
+        this.elements.previewPane.querySelectorAll('[data-source-line]').forEach(element => {
+            const line = parseInt(element.dataset.sourceLine, 10);
+            if (!(line - 1 in lineOffsets)) return;
+
+            const anchor = {
+                editor: lineOffsets[line - 1] - paddingTop,
+                preview: element.getBoundingClientRect().top - wrapperTop
+            };
+            const last = anchors[anchors.length - 1];
+            if (anchor.editor > last.editor && anchor.preview >= last.preview &&
+                anchor.editor < end.editor && anchor.preview < end.preview) {
+                anchors.push(anchor);
+            }
+        });
+        anchors.push(end);
+        return anchors;
+    }
+
+    /**
+     * Map a scroll position between panes by interpolating between anchors
+     */
+    mapScrollPosition(position, anchors, from, to) {
+        for (let i = 1; i < anchors.length; i++) {
+            const start = anchors[i - 1];
+            const end = anchors[i];
+            if (position <= end[from] || i === anchors.length - 1) {
+                const span = end[from] - start[from];
+                const fraction = span > 0 ? Math.min(1, Math.max(0, (position - start[from]) / span)) : 0;
+                return start[to] + fraction * (end[to] - start[to]);
+            }
+        }
+        return 0;
+    }
+
+    /**
+     * Clicking a rendered block moves the caret to the matching source
+     * line, estimated from where inside the block the click landed
+     */
+    handlePreviewClick(event) {
+        if (event.target.closest('a, button, input, summary')) return;
+        const selection = window.getSelection();
+        if (selection && !selection.isCollapsed) return;
+
+        const block = event.target.closest('[data-source-line]');
+        if (!block) return;
+
+        const start = parseInt(block.dataset.sourceLine, 10);
+        const end = parseInt(block.dataset.sourceEnd, 10) || start;
+        const rect = block.getBoundingClientRect();
+        const fraction = rect.height > 0 ? (event.clientY - rect.top) / rect.height : 0;
+        const line = Math.min(end, start + Math.max(0, Math.floor(fraction * (end - start + 1))));
+
+        this.moveCaretToLine(line, 1 / 3);
+    }
+
     /**
      * Load saved theme
      */
@@ -838,6 +3272,29 @@ ${htmlContent}
         const savedTheme = localStorage.getItem('markdownEditor_theme') || 'light';
         document.documentElement.setAttribute('data-theme', savedTheme);
         this.elements.themeBtn.textContent = savedTheme === 'dark' ? '☀️' : '🌙';
+        this.applyHighlightTheme();
+    }
+
+    /**
+     * Get the code token CSS matching the current editor theme
+     */
+    getHighlightCss(options = {}) {
+        if (!this.parser.highlighter) return '';
+        const theme = document.documentElement.getAttribute('data-theme') === 'dark' ? 'dark' : 'light';
+        return this.parser.highlighter.getThemeCss(theme, options);
+    }
+
+    /**
+     * Apply code token colors for the current theme to the preview
+     */
+    applyHighlightTheme() {
+        let style = document.getElementById('highlightTheme');
+        if (!style) {
+            style = document.createElement('style');
+            style.id = 'highlightTheme';
+            document.head.appendChild(style);
+        }
+        style.textContent = this.getHighlightCss({ scope: '.preview-content' });
     }
 }
 
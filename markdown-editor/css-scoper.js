@@ -0,0 +1,141 @@
+/**
+ * CSS Scoper
+ * Confines a style sheet to one element by prefixing its selectors, so
+ * CSS written for a whole exported page can style the preview without
+ * restyling the editor around it
+ */
+
+class CssScoper {
+    constructor() {
+        // At-rules whose blocks hold style rules of their own
+        this.groupingRules = ['media', 'supports', 'container', 'layer', 'scope', 'document', '-moz-document'];
+        this.rootSelector = /^(?:html|body|:root)(?![\w-])/i;
+        this.whitespace = ' \t\n\r\f';
+    }
+
+    /**
+     * Prefix every selector in a style sheet with `scope`. Selectors for
+     * the page itself (html, body and :root) select the scope element
+     * instead. Rules that do not select elements, such as @font-face,
+     * @keyframes and @import, are kept as they are.
+     */
+    scope(css, scope) {
+        const rules = [];
+        let index = 0;
+
+        while (index < css.length) {
+            const end = this.findEnd(css, index, '{;}');
+            const prelude = css.slice(index, end).replace(/\/\*[\s\S]*?(?:\*\/|$)/g, ' ').trim();
+
+            if (css[end] !== '{') {
+                // Statements like @import; stray semicolons and braces are dropped
+                if (prelude.startsWith('@')) rules.push(`${prelude};`);
+                index = end + 1;
+                continue;
+            }
+
+            // An unterminated block runs to the end of the sheet
+            const close = this.findEnd(css, end + 1, '}');
+            const body = css.slice(end + 1, close);
+            index = close + 1;
+            if (prelude) rules.push(this.scopeRule(prelude, body, scope));
+        }
+
+        return rules.join('\n');
+    }
+
+    scopeRule(prelude, body, scope) {
+        if (prelude.startsWith('@')) {
+            const name = prelude.slice(1).split(/[\s({]/)[0].toLowerCase();
+            if (this.groupingRules.includes(name)) return `${prelude} {\n${this.scope(body, scope)}\n}`;
+            return `${prelude} {${body}}`;
+        }
+        return `${this.splitList(prelude).map(selector => this.scopeSelector(selector, scope)).join(', ')} {${body}}`;
+    }
+
+    /**
+     * Split a selector list on the commas outside parentheses, brackets
+     * and strings
+     */
+    splitList(selectors) {
+        const parts = [];
+        let index = 0;
+        while (index <= selectors.length) {
+            const end = this.findEnd(selectors, index, ',');
+            parts.push(selectors.slice(index, end).trim());
+            index = end + 1;
+        }
+        return parts;
+    }
+
+    scopeSelector(selector, scope) {
+        if (!selector) return selector;
+        if (!this.rootSelector.test(selector)) return `${scope} ${selector}`;
+
+        // Fold "html body.dark" into one compound on the scope element
+        let compound = '';
+        let rest = selector;
+        while (this.rootSelector.test(rest)) {
+            const end = this.findEnd(rest, 0, `${this.whitespace}>+~`);
+            compound += rest.slice(0, end).replace(this.rootSelector, '');
+            rest = rest.slice(end);
+            const next = rest.match(/^\s*>?\s*/)[0];
+            if (!this.rootSelector.test(rest.slice(next.length))) break;
+            rest = rest.slice(next.length);
+        }
+
+        // Siblings of the page root would be siblings of the scope element
+        if (/^\s*[+~]/.test(rest)) return `${scope} ${selector}`;
+        return `${scope}${compound}${rest}`;
+    }
+
+    /**
+     * Index of the first character of `stops` outside nested brackets,
+     * strings and comments, or the length of the text
+     */
+    findEnd(text, index, stops) {
+        let depth = 0;
+        while (index < text.length) {
+            const char = text[index];
+            if (char === '"' || char === '\'') {
+                index = this.skipString(text, index);
+                continue;
+            }
+            if (text.startsWith('/*', index)) {
+                const close = text.indexOf('*/', index + 2);
+                index = close === -1 ? text.length : close + 2;
+                continue;
+            }
+            if (char === '\\') {
+                index += 2;
+                continue;
+            }
+            if (depth === 0 && stops.includes(char)) return index;
+            if ('([{'.includes(char)) {
+                depth++;
+            } else if (')]}'.includes(char) && depth > 0) {
+                depth--;
+            }
+            index++;
+        }
+        return text.length;
+    }
+
+    /**
+     * Index after the string starting at `index`. Unterminated strings end
+     * at the line break.
+     */
+    skipString(text, index) {
+        const quote = text[index];
+        index++;
+        while (index < text.length && text[index] !== quote && text[index] !== '\n') {
+            index += text[index] === '\\' ? 2 : 1;
+        }
+        return text[index] === quote ? index + 1 : index;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CssScoper;
+}
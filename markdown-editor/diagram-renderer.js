@@ -0,0 +1,899 @@
+/**
+ * Diagram Renderer Module
+ * Renders mermaid-style flowcharts and sequence diagrams, flowchart.js
+ * charts and Graphviz DOT graphs to inline SVG without any network access
+ */
+
+class DiagramRenderer {
+    constructor() {
+        this.diagramCount = 0;
+        this.fontSize = 14;
+        this.charWidth = 7.5;
+    }
+
+    /**
+     * Fence languages handled by this renderer
+     */
+    static get languages() {
+        return ['mermaid', 'dot', 'graphviz', 'flowchart'];
+    }
+
+    supports(language) {
+        return Boolean(language) && DiagramRenderer.languages.includes(language.toLowerCase());
+    }
+
+    /**
+     * Render diagram source to an SVG figure. Syntax errors are rendered
+     * inline, together with the offending source.
+     */
+    render(source, language) {
+        const id = ++this.diagramCount;
+        try {
+            const svg = this.renderSvg(source, language.toLowerCase(), id);
+            return `<figure class="diagram">${svg}</figure>`;
+        } catch (error) {
+            const where = error.line ? ` (line ${error.line})` : '';
+            return `<figure class="diagram diagram-invalid">` +
+                `<div class="diagram-error"><strong>Diagram error${where}:</strong> ${this.escapeXml(error.message)}</div>` +
+                `<pre><code>${this.escapeXml(source)}</code></pre></figure>`;
+        }
+    }
+
+    renderSvg(source, language, id) {
+        if (language === 'dot' || language === 'graphviz') {
+            return this.renderGraph(this.parseDot(source), id);
+        }
+
+        const firstLine = source.split('\n').map(line => line.trim()).find(line => line && !line.startsWith('%%')) || '';
+        if (/^sequenceDiagram\b/.test(firstLine)) {
+            return this.renderSequence(this.parseSequence(source), id);
+        }
+        if (language === 'flowchart' && !/^(?:graph|flowchart)\b/.test(firstLine) && /^\s*[^\s=]+=>/m.test(source)) {
+            return this.renderGraph(this.parseFlowchartJs(source), id);
+        }
+        if (language === 'flowchart' || /^(?:graph|flowchart)\b/.test(firstLine)) {
+            return this.renderGraph(this.parseFlowchart(source, language === 'flowchart'), id);
+        }
+        throw this.error(`Unsupported diagram type "${firstLine.split(/\s+/)[0]}" (use graph, flowchart or sequenceDiagram)`, 1);
+    }
+
+    error(message, line) {
+        const error = new Error(message);
+        error.line = line;
+        return error;
+    }
+
+    // ------------------------------------------------------------------
+    // Flowcharts
+    // ------------------------------------------------------------------
+
+    /**
+     * Parse mermaid flowchart syntax into a graph model. The header line is
+     * optional for ```flowchart fences.
+     */
+    parseFlowchart(source, headerOptional) {
+        const graph = { direction: 'TD', nodes: new Map(), edges: [] };
+        const lines = source.split('\n');
+        let headerSeen = false;
+
+        lines.forEach((rawLine, index) => {
+            const lineNumber = index + 1;
+            rawLine.split(';').forEach(part => {
+                const line = part.replace(/%%.*$/, '').trim();
+                if (!line) return;
+
+                if (!headerSeen) {
+                    const header = line.match(/^(?:graph|flowchart)(?:\s+(TD|TB|BT|LR|RL))?\s*$/i);
+                    if (header) {
+                        headerSeen = true;
+                        graph.direction = (header[1] || 'TD').toUpperCase().replace('TB', 'TD');
+                        return;
+                    }
+                    if (!headerOptional) throw this.error('Expected "graph" or "flowchart" header', lineNumber);
+                    headerSeen = true;
+                }
+
+                // Styling and grouping statements do not affect the layout
+                if (/^(?:classDef|class|style|linkStyle|click|subgraph|end|direction)\b/.test(line)) return;
+                this.parseFlowchartStatement(line, graph, lineNumber);
+            });
+        });
+
+        if (graph.nodes.size === 0) throw this.error('Diagram has no nodes', 1);
+        return graph;
+    }
+
+    parseFlowchartStatement(line, graph, lineNumber) {
+        let rest = line;
+        let previous = null;
+        let pendingEdge = null;
+
+        while (rest.length > 0) {
+            const node = this.readFlowchartNode(rest, lineNumber);
+            this.addNode(graph, node.id, node.label, node.shape);
+            rest = rest.slice(node.length).trim();
+
+            if (pendingEdge) {
+                graph.edges.push({ ...pendingEdge, from: previous, to: node.id });
+                pendingEdge = null;
+            }
+            previous = node.id;
+
+            if (!rest) break;
+
+            const link = rest.match(
+                /^(<?)(?:--\s+([^-|][^|]*?)\s+(-->|---)|==\s+([^=|][^|]*?)\s+(==>|===)|-\.\s+([^.|][^|]*?)\s+(\.->|\.-)|(-{2,}>|-{3,}|-\.+->|-\.+-|={2,}>|={3,}|--[ox]))\s*(?:\|([^|]*)\|)?\s*/
+            );
+            if (!link) throw this.error(`Expected a link such as --> after "${previous}"`, lineNumber);
+
+            const arrow = link[3] || link[5] || link[7] || link[8];
+            const label = link[2] || link[4] || link[6] || link[9] || '';
+            pendingEdge = {
+                label: label.trim().replace(/^"(.*)"$/, '$1'),
+                style: arrow.includes('.') ? 'dotted' : arrow.includes('=') ? 'thick' : 'solid',
+                arrow: /[>ox]$/.test(arrow),
+                both: link[1] === '<'
+            };
+            rest = rest.slice(link[0].length);
+            if (!rest) throw this.error('Link is missing its target node', lineNumber);
+        }
+    }
+
+    /**
+     * Read a node reference with an optional shape, e.g. A[Text] or B{Ask?}
+     */
+    readFlowchartNode(text, lineNumber) {
+        const idMatch = text.match(/^[A-Za-z0-9_][\w-]*/);
+        if (!idMatch) throw this.error(`Expected a node id at "${text.slice(0, 20)}"`, lineNumber);
+
+        const id = idMatch[0].replace(/-+$/, '');
+        const after = text.slice(id.length);
+        const shapes = [
+            ['((', '))', 'circle'], ['([', '])', 'stadium'], ['[[', ']]', 'subroutine'], ['[(', ')]', 'cylinder'],
+            ['{{', '}}', 'hexagon'], ['[', ']', 'rect'], ['(', ')', 'round'], ['{', '}', 'diamond'], ['>', ']', 'flag']
+        ];
+
+        for (const [open, close, shape] of shapes) {
+            if (!after.startsWith(open)) continue;
+            const end = after.indexOf(close, open.length);
+            if (end === -1) throw this.error(`Missing "${close}" after node "${id}"`, lineNumber);
+            const label = after.slice(open.length, end).trim().replace(/^"(.*)"$/, '$1');
+            return { id, label, shape, length: id.length + end + close.length };
+        }
+
+        return { id, label: null, shape: null, length: id.length };
+    }
+
+    /**
+     * Parse flowchart.js syntax: node definitions such as
+     * "cond=>condition: Yes or No?" followed by connections such as
+     * "st->op1->cond" and "cond(yes, right)->e". Flow states, links and
+     * layout directions are accepted but not drawn.
+     */
+    parseFlowchartJs(source) {
+        const graph = { direction: 'TD', nodes: new Map(), edges: [] };
+        const shapes = {
+            start: 'stadium', end: 'stadium', operation: 'rect', inputoutput: 'parallelogram',
+            subroutine: 'subroutine', condition: 'diamond', parallel: 'rect'
+        };
+        const definitions = [];
+        const connections = [];
+
+        source.split('\n').forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            if (!line) return;
+
+            const definition = line.match(/^([^\s=()]+)=>(\w+)(?::\s*(.*))?$/);
+            if (definition) {
+                const [, id, type, text = ''] = definition;
+                if (!shapes[type]) throw this.error(`Unknown node type "${type}"`, index + 1);
+                definitions.push({ id, shape: shapes[type], text });
+            } else if (line.includes('->')) {
+                connections.push({ line, lineNumber: index + 1 });
+            } else if (definitions.length > 0 && connections.length === 0) {
+                // Node text may continue on the following lines
+                definitions[definitions.length - 1].text += ` ${line}`;
+            } else {
+                throw this.error(`Expected a node definition (id=>type: text) or a connection (a->b) at "${line.slice(0, 20)}"`, index + 1);
+            }
+        });
+
+        definitions.forEach(({ id, shape, text }) => {
+            const label = text.replace(/:>.*$/, '').replace(/\|[\w-]+$/, '').trim();
+            this.addNode(graph, id, label || id, shape);
+        });
+
+        connections.forEach(({ line, lineNumber }) => {
+            const steps = line.split('->').map(step => {
+                const match = step.trim().match(/^([^\s()]+)(?:\(([^)]*)\))?$/);
+                if (!match) throw this.error(`Expected a node name at "${step.trim().slice(0, 20)}"`, lineNumber);
+                if (!graph.nodes.has(match[1])) throw this.error(`Unknown node "${match[1]}"`, lineNumber);
+                const options = (match[2] || '').split(',').map(option => option.trim());
+                return { id: match[1], branch: options.find(option => /^(?:yes|no)$/.test(option)) || '' };
+            });
+
+            for (let i = 1; i < steps.length; i++) {
+                const from = steps[i - 1];
+                graph.edges.push({ from: from.id, to: steps[i].id, label: from.branch, style: 'solid', arrow: true, both: false });
+            }
+        });
+
+        if (graph.nodes.size === 0) throw this.error('Diagram has no nodes', 1);
+        return graph;
+    }
+
+    addNode(graph, id, label, shape) {
+        const existing = graph.nodes.get(id);
+        if (existing) {
+            if (label !== null) existing.label = label;
+            if (shape) existing.shape = shape;
+            return existing;
+        }
+        const node = { id, label: label !== null ? label : id, shape: shape || 'rect' };
+        graph.nodes.set(id, node);
+        return node;
+    }
+
+    // ------------------------------------------------------------------
+    // Graphviz DOT
+    // ------------------------------------------------------------------
+
+    /**
+     * Parse a practical subset of DOT: node and edge statements with
+     * attribute lists, default attributes, rankdir and flattened subgraphs
+     */
+    parseDot(source) {
+        const tokens = this.tokenizeDot(source);
+        const graph = { direction: 'TD', nodes: new Map(), edges: [] };
+        let pos = 0;
+        const peek = () => tokens[pos] || { type: 'eof', value: '', line: source.split('\n').length };
+        const next = () => tokens[pos++] || peek();
+        const expect = value => {
+            const token = next();
+            if (token.value !== value) throw this.error(`Expected "${value}" but found "${token.value || 'end of input'}"`, token.line);
+            return token;
+        };
+
+        if (peek().value.toLowerCase() === 'strict') next();
+        const kind = next();
+        if (!/^(?:di)?graph$/i.test(kind.value)) throw this.error('Expected "graph" or "digraph"', kind.line);
+        const directed = kind.value.toLowerCase() === 'digraph';
+        if (peek().type === 'id') next();
+        expect('{');
+
+        const defaults = { node: {}, edge: {} };
+        const readAttributes = () => {
+            const attributes = {};
+            while (peek().value === '[') {
+                next();
+                while (peek().value !== ']') {
+                    const key = next();
+                    if (key.type !== 'id') throw this.error(`Unexpected "${key.value || 'end of input'}" in attribute list`, key.line);
+                    expect('=');
+                    attributes[key.value] = next().value;
+                    if (peek().value === ',' || peek().value === ';') next();
+                }
+                next();
+            }
+            return attributes;
+        };
+        const shapeFor = shape => ({
+            box: 'rect', rect: 'rect', rectangle: 'rect', square: 'rect', record: 'rect',
+            ellipse: 'round', oval: 'round', circle: 'circle', doublecircle: 'circle', point: 'circle',
+            diamond: 'diamond', hexagon: 'hexagon', cylinder: 'cylinder', plaintext: 'plain', plain: 'plain', none: 'plain'
+        }[shape] || 'round');
+
+        let depth = 1;
+        while (depth > 0) {
+            const token = next();
+            if (token.type === 'eof') throw this.error('Missing closing "}"', token.line);
+            if (token.value === ';' || token.value === ',') continue;
+            if (token.value === '}') {
+                depth--;
+                continue;
+            }
+            if (token.value === '{') {
+                depth++;
+                continue;
+            }
+            if (token.type !== 'id') throw this.error(`Unexpected "${token.value}"`, token.line);
+
+            const keyword = token.value.toLowerCase();
+            if (keyword === 'subgraph') {
+                if (peek().type === 'id') next();
+                continue;
+            }
+            if ((keyword === 'graph' || keyword === 'node' || keyword === 'edge') && peek().value === '[') {
+                const attributes = readAttributes();
+                if (keyword === 'graph') {
+                    if (attributes.rankdir) graph.direction = attributes.rankdir.toUpperCase().replace('TB', 'TD');
+                } else {
+                    Object.assign(defaults[keyword], attributes);
+                }
+                continue;
+            }
+            if (peek().value === '=') {
+                next();
+                const value = next().value;
+                if (keyword === 'rankdir') graph.direction = value.toUpperCase().replace('TB', 'TD');
+                continue;
+            }
+
+            // Node or edge chain
+            const chain = [token.value];
+            while (peek().value === '->' || peek().value === '--') {
+                const op = next();
+                if (op.value === '->' && !directed) throw this.error('"->" used in an undirected graph', op.line);
+                const target = next();
+                if (target.type !== 'id') throw this.error('Edge is missing its target node', target.line);
+                chain.push(target.value);
+            }
+            const attributes = readAttributes();
+
+            if (chain.length === 1) {
+                const merged = { ...defaults.node, ...attributes };
+                const node = this.addNode(graph, chain[0], merged.label !== undefined ? merged.label : null, null);
+                node.shape = shapeFor(merged.shape);
+                continue;
+            }
+
+            chain.forEach(id => {
+                if (!graph.nodes.has(id)) {
+                    const node = this.addNode(graph, id, defaults.node.label !== undefined ? defaults.node.label : null, null);
+                    node.shape = shapeFor(defaults.node.shape);
+                }
+            });
+            const edgeAttributes = { ...defaults.edge, ...attributes };
+            for (let i = 0; i < chain.length - 1; i++) {
+                graph.edges.push({
+                    from: chain[i],
+                    to: chain[i + 1],
+                    label: edgeAttributes.label || '',
+                    style: edgeAttributes.style === 'dashed' || edgeAttributes.style === 'dotted' ? 'dotted'
+                        : edgeAttributes.style === 'bold' ? 'thick' : 'solid',
+                    arrow: directed,
+                    both: edgeAttributes.dir === 'both'
+                });
+            }
+        }
+
+        if (graph.nodes.size === 0) throw this.error('Graph has no nodes', 1);
+        return graph;
+    }
+
+    tokenizeDot(source) {
+        const tokens = [];
+        const pattern = /\/\*[\s\S]*?\*\/|\/\/[^\n]*|^\s*#[^\n]*|"((?:\\.|[^"\\])*)"|(->|--)|([{}[\];,=])|(-?\.?\d[\w.]*|[A-Za-z_\u0080-\uffff][\w\u0080-\uffff]*)|(\n)|(\S)/gm;
+        let line = 1;
+        let match;
+
+        while ((match = pattern.exec(source)) !== null) {
+            if (match[1] !== undefined) {
+                tokens.push({ type: 'id', value: match[1].replace(/\\"/g, '"').replace(/\\n/g, ' '), line });
+            } else if (match[2]) {
+                tokens.push({ type: 'op', value: match[2], line });
+            } else if (match[3]) {
+                tokens.push({ type: 'punct', value: match[3], line });
+            } else if (match[4]) {
+                tokens.push({ type: 'id', value: match[4], line });
+            } else if (match[6]) {
+                throw this.error(`Unexpected character "${match[6]}"`, line);
+            }
+            line += (match[0].match(/\n/g) || []).length;
+        }
+        return tokens;
+    }
+
+    // ------------------------------------------------------------------
+    // Graph layout (flowcharts and DOT)
+    // ------------------------------------------------------------------
+
+    /**
+     * Layered layout: ranks from longest paths (with cycles broken), order
+     * within ranks by barycenter sweeps, then fixed spacing
+     */
+    layoutGraph(graph) {
+        const nodes = [...graph.nodes.values()];
+        const index = new Map(nodes.map((node, i) => [node.id, i]));
+
+        nodes.forEach(node => {
+            const textWidth = this.measureText(node.label);
+            node.width = Math.max(60, textWidth + 30);
+            node.height = 40;
+            if (node.shape === 'diamond') {
+                node.width = Math.max(80, textWidth * 1.4 + 30);
+                node.height = 60;
+            } else if (node.shape === 'circle') {
+                node.width = node.height = Math.max(50, textWidth + 24);
+            } else if (node.shape === 'hexagon' || node.shape === 'parallelogram') {
+                node.width += 20;
+            }
+        });
+
+        // Break cycles: edges back to a node on the DFS stack are reversed
+        const forward = graph.edges.map(() => true);
+        const visiting = new Set();
+        const visited = new Set();
+        const outgoing = nodes.map(() => []);
+        graph.edges.forEach((edge, i) => outgoing[index.get(edge.from)].push(i));
+        const visit = v => {
+            visiting.add(v);
+            outgoing[v].forEach(i => {
+                const w = index.get(graph.edges[i].to);
+                if (visiting.has(w)) forward[i] = false;
+                else if (!visited.has(w)) visit(w);
+            });
+            visiting.delete(v);
+            visited.add(v);
+        };
+        nodes.forEach((_, v) => {
+            if (!visited.has(v)) visit(v);
+        });
+
+        // Longest-path ranking
+        const ranks = nodes.map(() => 0);
+        for (let pass = 0; pass < nodes.length; pass++) {
+            let changed = false;
+            graph.edges.forEach((edge, i) => {
+                if (edge.from === edge.to) return;
+                const [from, to] = forward[i] ? [edge.from, edge.to] : [edge.to, edge.from];
+                const a = index.get(from);
+                const b = index.get(to);
+                if (ranks[b] < ranks[a] + 1) {
+                    ranks[b] = ranks[a] + 1;
+                    changed = true;
+                }
+            });
+            if (!changed) break;
+        }
+
+        const layers = [];
+        nodes.forEach((node, v) => {
+            (layers[ranks[v]] = layers[ranks[v]] || []).push(v);
+        });
+
+        // Barycenter ordering sweeps
+        const position = new Map();
+        const updatePositions = () => layers.forEach(layer => layer.forEach((v, i) => position.set(v, i)));
+        const neighbours = (v, direction) => graph.edges
+            .filter(edge => (direction < 0 ? index.get(edge.to) === v : index.get(edge.from) === v))
+            .map(edge => index.get(direction < 0 ? edge.from : edge.to))
+            .filter(w => ranks[w] === ranks[v] + direction);
+        updatePositions();
+        for (let sweep = 0; sweep < 4; sweep++) {
+            const direction = sweep % 2 === 0 ? -1 : 1;
+            const order = direction < 0 ? layers.keys() : [...layers.keys()].reverse();
+            for (const r of order) {
+                const layer = layers[r];
+                const weight = v => {
+                    const adjacent = neighbours(v, direction);
+                    if (adjacent.length === 0) return position.get(v);
+                    return adjacent.reduce((sum, w) => sum + position.get(w), 0) / adjacent.length;
+                };
+                const weights = new Map(layer.map(v => [v, weight(v)]));
+                layer.sort((a, b) => weights.get(a) - weights.get(b));
+                updatePositions();
+            }
+        }
+
+        // Coordinates: ranks along the main axis, layer order across it
+        const horizontal = graph.direction === 'LR' || graph.direction === 'RL';
+        const rankGap = horizontal ? 70 : 55;
+        const nodeGap = horizontal ? 30 : 40;
+        const margin = 20;
+        const along = v => (horizontal ? nodes[v].width : nodes[v].height);
+        const across = v => (horizontal ? nodes[v].height : nodes[v].width);
+
+        const layerSizes = layers.map(layer => layer.reduce((sum, v) => sum + across(v), 0) + nodeGap * (layer.length - 1));
+        const crossSize = Math.max(...layerSizes);
+        let main = margin;
+
+        layers.forEach((layer, r) => {
+            const depth = Math.max(...layer.map(along));
+            let cross = margin + (crossSize - layerSizes[r]) / 2;
+            layer.forEach(v => {
+                const node = nodes[v];
+                const a = main + depth / 2;
+                const c = cross + across(v) / 2;
+                node.x = horizontal ? a : c;
+                node.y = horizontal ? c : a;
+                cross += across(v) + nodeGap;
+            });
+            main += depth + rankGap;
+        });
+
+        let width = (horizontal ? main - rankGap : crossSize) + margin * (horizontal ? 1 : 2);
+        let height = (horizontal ? crossSize : main - rankGap) + margin * (horizontal ? 2 : 1);
+
+        // Mirror for bottom-to-top and right-to-left graphs
+        if (graph.direction === 'BT') nodes.forEach(node => { node.y = height - node.y; });
+        if (graph.direction === 'RL') nodes.forEach(node => { node.x = width - node.x; });
+
+        // Leave room for self loops and edge labels
+        if (graph.edges.some(edge => edge.from === edge.to)) width += 30;
+        const longestLabel = Math.max(0, ...graph.edges.map(edge => this.measureText(edge.label)));
+        width = Math.max(width, longestLabel + margin * 2);
+        height = Math.max(height, 60);
+
+        return { nodes, edges: graph.edges, forward, width: Math.ceil(width), height: Math.ceil(height) };
+    }
+
+    renderGraph(graph, id) {
+        const layout = this.layoutGraph(graph);
+        const nodeById = new Map(layout.nodes.map(node => [node.id, node]));
+        const parts = [];
+
+        layout.edges.forEach((edge, i) => {
+            parts.push(this.renderGraphEdge(edge, nodeById.get(edge.from), nodeById.get(edge.to), layout.forward[i], id));
+        });
+        layout.nodes.forEach(node => parts.push(this.renderGraphNode(node)));
+
+        return this.svg(layout.width, layout.height, 'flowchart', id, parts.join(''), 'Flowchart');
+    }
+
+    renderGraphNode(node) {
+        const { x, y, width: w, height: h } = node;
+        const attributes = 'class="diagram-node" fill="#f1f5f9" stroke="currentColor" stroke-width="1.5"';
+        let shape;
+
+        switch (node.shape) {
+            case 'round':
+                shape = `<rect ${attributes} x="${x - w / 2}" y="${y - h / 2}" width="${w}" height="${h}" rx="${h / 2}" ry="${h / 2}"/>`;
+                break;
+            case 'stadium':
+                shape = `<rect ${attributes} x="${x - w / 2}" y="${y - h / 2}" width="${w}" height="${h}" rx="${h / 2}" ry="${h / 2}"/>`;
+                break;
+            case 'circle':
+                shape = `<circle ${attributes} cx="${x}" cy="${y}" r="${w / 2}"/>`;
+                break;
+            case 'diamond':
+                shape = `<polygon ${attributes} points="${x},${y - h / 2} ${x + w / 2},${y} ${x},${y + h / 2} ${x - w / 2},${y}"/>`;
+                break;
+            case 'hexagon': {
+                const inset = 12;
+                shape = `<polygon ${attributes} points="${x - w / 2 + inset},${y - h / 2} ${x + w / 2 - inset},${y - h / 2} ` +
+                    `${x + w / 2},${y} ${x + w / 2 - inset},${y + h / 2} ${x - w / 2 + inset},${y + h / 2} ${x - w / 2},${y}"/>`;
+                break;
+            }
+            case 'parallelogram': {
+                const slant = 12;
+                shape = `<polygon ${attributes} points="${x - w / 2 + slant},${y - h / 2} ${x + w / 2},${y - h / 2} ` +
+                    `${x + w / 2 - slant},${y + h / 2} ${x - w / 2},${y + h / 2}"/>`;
+                break;
+            }
+            case 'flag':
+                shape = `<polygon ${attributes} points="${x - w / 2},${y - h / 2} ${x + w / 2},${y - h / 2} ` +
+                    `${x + w / 2},${y + h / 2} ${x - w / 2},${y + h / 2} ${x - w / 2 + 12},${y}"/>`;
+                break;
+            case 'cylinder':
+                shape = `<path ${attributes} d="M${x - w / 2},${y - h / 2 + 6} a${w / 2},6 0 0,0 ${w},0 a${w / 2},6 0 0,0 ${-w},0 ` +
+                    `v${h - 12} a${w / 2},6 0 0,0 ${w},0 v${-(h - 12)}"/>`;
+                break;
+            case 'subroutine':
+                shape = `<rect ${attributes} x="${x - w / 2}" y="${y - h / 2}" width="${w}" height="${h}"/>` +
+                    `<line stroke="currentColor" x1="${x - w / 2 + 8}" y1="${y - h / 2}" x2="${x - w / 2 + 8}" y2="${y + h / 2}"/>` +
+                    `<line stroke="currentColor" x1="${x + w / 2 - 8}" y1="${y - h / 2}" x2="${x + w / 2 - 8}" y2="${y + h / 2}"/>`;
+                break;
+            case 'plain':
+                shape = '';
+                break;
+            default:
+                shape = `<rect ${attributes} x="${x - w / 2}" y="${y - h / 2}" width="${w}" height="${h}" rx="4" ry="4"/>`;
+        }
+
+        return `<g>${shape}${this.text(x, y, node.label)}</g>`;
+    }
+
+    renderGraphEdge(edge, from, to, forward, id) {
+        const dash = edge.style === 'dotted' ? ' stroke-dasharray="5,4"' : '';
+        const strokeWidth = edge.style === 'thick' ? 3 : 1.5;
+        const markerEnd = edge.arrow ? ` marker-end="url(#diagram-${id}-arrow)"` : '';
+        const markerStart = edge.both ? ` marker-start="url(#diagram-${id}-arrow-reverse)"` : '';
+        const attributes = `class="diagram-edge" fill="none" stroke="currentColor" stroke-width="${strokeWidth}"${dash}${markerEnd}${markerStart}`;
+
+        let path;
+        let labelX;
+        let labelY;
+
+        if (from === to) {
+            // Self loop on the right-hand side of the node
+            const x = from.x + from.width / 2;
+            path = `M${x},${from.y - 8} C${x + 35},${from.y - 30} ${x + 35},${from.y + 30} ${x},${from.y + 8}`;
+            labelX = x + 30;
+            labelY = from.y;
+        } else {
+            const start = this.clipToNode(from, to.x, to.y);
+            const end = this.clipToNode(to, from.x, from.y);
+            if (forward) {
+                path = `M${start.x},${start.y} L${end.x},${end.y}`;
+                labelX = (start.x + end.x) / 2;
+                labelY = (start.y + end.y) / 2;
+            } else {
+                // Back edges bend away so they do not overlap forward edges
+                const midX = (start.x + end.x) / 2 + (start.y - end.y) * 0.3;
+                const midY = (start.y + end.y) / 2 + (end.x - start.x) * 0.3;
+                path = `M${start.x},${start.y} Q${midX},${midY} ${end.x},${end.y}`;
+                labelX = (start.x + 2 * midX + end.x) / 4;
+                labelY = (start.y + 2 * midY + end.y) / 4;
+            }
+        }
+
+        let label = '';
+        if (edge.label) {
+            const width = this.measureText(edge.label) + 8;
+            label = `<rect class="diagram-label-bg" fill="#ffffff" x="${labelX - width / 2}" y="${labelY - 10}" width="${width}" height="20"/>` +
+                this.text(labelX, labelY, edge.label, 'diagram-edge-label');
+        }
+
+        return `<g><path ${attributes} d="${path}"/>${label}</g>`;
+    }
+
+    /**
+     * Point where the line from a node's center towards (tx, ty) leaves
+     * the node's outline
+     */
+    clipToNode(node, tx, ty) {
+        const dx = tx - node.x;
+        const dy = ty - node.y;
+        if (dx === 0 && dy === 0) return { x: node.x, y: node.y };
+
+        const w = node.width / 2;
+        const h = node.height / 2;
+        let scale;
+        if (node.shape === 'circle') {
+            scale = w / Math.hypot(dx, dy);
+        } else if (node.shape === 'diamond') {
+            scale = 1 / (Math.abs(dx) / w + Math.abs(dy) / h);
+        } else {
+            scale = Math.min(dx === 0 ? Infinity : w / Math.abs(dx), dy === 0 ? Infinity : h / Math.abs(dy));
+        }
+        return { x: this.round(node.x + dx * scale), y: this.round(node.y + dy * scale) };
+    }
+
+    // ------------------------------------------------------------------
+    // Sequence diagrams
+    // ------------------------------------------------------------------
+
+    parseSequence(source) {
+        const diagram = { participants: [], rows: [], autonumber: false, title: null };
+        const byId = new Map();
+        const frames = [];
+        const participant = (id, label, actor) => {
+            let entry = byId.get(id);
+            if (!entry) {
+                entry = { id, label: label || id, actor: Boolean(actor) };
+                byId.set(id, entry);
+                diagram.participants.push(entry);
+            } else if (label) {
+                entry.label = label;
+            }
+            return entry;
+        };
+
+        source.split('\n').forEach((rawLine, index) => {
+            const lineNumber = index + 1;
+            const line = rawLine.replace(/%%.*$/, '').trim();
+            if (!line || /^sequenceDiagram\b/.test(line)) return;
+
+            let match;
+            if ((match = line.match(/^(participant|actor)\s+(.+?)(?:\s+as\s+(.+))?$/))) {
+                participant(match[2], match[3], match[1] === 'actor');
+            } else if (/^autonumber\b/.test(line)) {
+                diagram.autonumber = true;
+            } else if ((match = line.match(/^title:?\s+(.+)$/))) {
+                diagram.title = match[1];
+            } else if ((match = line.match(/^(activate|deactivate)\s+(.+)$/))) {
+                participant(match[2]);
+            } else if ((match = line.match(/^note\s+(left of|right of|over)\s+([^,:]+?)(?:\s*,\s*([^:]+?))?\s*:\s*(.*)$/i))) {
+                const first = participant(match[2]);
+                const second = match[3] ? participant(match[3]) : null;
+                diagram.rows.push({ type: 'note', placement: match[1].toLowerCase(), from: first.id, to: second ? second.id : first.id, text: match[4] });
+            } else if ((match = line.match(/^(loop|alt|opt|par|critical|break|rect)\b\s*(.*)$/))) {
+                const frame = { type: 'frame', kind: match[1], label: match[2], start: diagram.rows.length, dividers: [], end: null };
+                frames.push(frame);
+                diagram.rows.push(frame);
+            } else if ((match = line.match(/^(else|and|option)\b\s*(.*)$/))) {
+                const frame = frames[frames.length - 1];
+                if (!frame) throw this.error(`"${match[1]}" outside of a block`, lineNumber);
+                const divider = { type: 'divider', label: match[2], frame };
+                frame.dividers.push(divider);
+                diagram.rows.push(divider);
+            } else if (/^end$/.test(line)) {
+                const frame = frames.pop();
+                if (!frame) throw this.error('"end" without an open block', lineNumber);
+                diagram.rows.push({ type: 'frameEnd', frame });
+            } else if ((match = line.match(/^([^-+>:]+?)\s*(-->>|->>|-->|->|--x|-x|--\)|-\))\s*[+-]?\s*([^:]+?)\s*:\s*(.*)$/))) {
+                const from = participant(match[1].trim());
+                const to = participant(match[3].trim());
+                diagram.rows.push({ type: 'message', from: from.id, to: to.id, arrow: match[2], text: match[4] });
+            } else {
+                throw this.error(`Cannot parse "${line}"`, lineNumber);
+            }
+        });
+
+        if (frames.length > 0) throw this.error(`"${frames[frames.length - 1].kind}" block is missing "end"`, source.split('\n').length);
+        if (diagram.participants.length === 0) throw this.error('Diagram has no participants', 1);
+        return diagram;
+    }
+
+    renderSequence(diagram, id) {
+        const margin = 20;
+        const boxHeight = 36;
+        const index = new Map(diagram.participants.map((p, i) => [p.id, i]));
+        const widths = diagram.participants.map(p => Math.max(80, this.measureText(p.label) + 24));
+
+        // Column spacing grows until every message label fits
+        const gaps = widths.slice(1).map((w, i) => widths[i] / 2 + w / 2 + 40);
+        let selfGap = 0;
+        diagram.rows.forEach(row => {
+            if (row.type !== 'message') return;
+            const a = index.get(row.from);
+            const b = index.get(row.to);
+            const needed = this.measureText(row.text) + 40;
+            if (a === b) {
+                if (a < gaps.length) gaps[a] = Math.max(gaps[a], needed + 30);
+                else selfGap = Math.max(selfGap, needed);
+                return;
+            }
+            const [lo, hi] = a < b ? [a, b] : [b, a];
+            const span = gaps.slice(lo, hi).reduce((sum, gap) => sum + gap, 0);
+            if (span < needed) gaps[hi - 1] += needed - span;
+        });
+
+        const xs = [margin + widths[0] / 2];
+        gaps.forEach((gap, i) => xs.push(xs[i] + gap));
+        let width = xs[xs.length - 1] + widths[widths.length - 1] / 2 + margin + selfGap;
+
+        const parts = [];
+        let y = margin;
+        if (diagram.title) {
+            parts.push(this.text(width / 2, y + 8, diagram.title, 'diagram-title'));
+            y += 30;
+        }
+        const top = y;
+        y += boxHeight + 20;
+
+        let number = 0;
+        const frameSpan = frame => {
+            const columns = [];
+            for (let i = diagram.rows.indexOf(frame) + 1; i < diagram.rows.length; i++) {
+                const row = diagram.rows[i];
+                if (row.type === 'frameEnd' && row.frame === frame) break;
+                if (row.from !== undefined) columns.push(index.get(row.from), index.get(row.to));
+            }
+            if (columns.length === 0) return [margin, width - margin];
+            return [xs[Math.min(...columns)] - widths[Math.min(...columns)] / 2 - 10,
+                xs[Math.max(...columns)] + widths[Math.max(...columns)] / 2 + 10];
+        };
+
+        diagram.rows.forEach(row => {
+            if (row.type === 'message') {
+                const a = xs[index.get(row.from)];
+                const b = xs[index.get(row.to)];
+                const dashed = row.arrow.startsWith('--') ? ' stroke-dasharray="5,4"' : '';
+                const head = row.arrow.endsWith('>>') ? 'arrow' : row.arrow.endsWith('x') ? 'cross' : row.arrow.endsWith(')') ? 'open' : null;
+                const marker = head ? ` marker-end="url(#diagram-${id}-${head})"` : '';
+                const label = diagram.autonumber ? `${++number}. ${row.text}` : row.text;
+
+                if (a === b) {
+                    parts.push(`<path class="diagram-edge" fill="none" stroke="currentColor" stroke-width="1.5"${dashed}${marker} ` +
+                        `d="M${a},${y + 6} H${a + 40} V${y + 30} H${a + 4}"/>`);
+                    parts.push(this.text(a + 46, y + 18, label, 'diagram-edge-label', 'start'));
+                    y += 48;
+                } else {
+                    y += 18;
+                    parts.push(this.text((a + b) / 2, y - 10, label, 'diagram-edge-label'));
+                    const end = b > a ? b - 2 : b + 2;
+                    parts.push(`<line class="diagram-edge" stroke="currentColor" stroke-width="1.5"${dashed}${marker} x1="${a}" y1="${y}" x2="${end}" y2="${y}"/>`);
+                    y += 22;
+                }
+            } else if (row.type === 'note') {
+                const a = xs[index.get(row.from)];
+                const b = xs[index.get(row.to)];
+                const textWidth = this.measureText(row.text) + 20;
+                let left;
+                let noteWidth;
+                if (row.placement === 'over') {
+                    const lo = Math.min(a, b);
+                    const hi = Math.max(a, b);
+                    noteWidth = Math.max(textWidth, hi - lo + 60);
+                    left = (lo + hi) / 2 - noteWidth / 2;
+                } else {
+                    noteWidth = textWidth;
+                    left = row.placement === 'left of' ? a - 10 - noteWidth : a + 10;
+                }
+                width = Math.max(width, left + noteWidth + margin);
+                parts.push(`<rect class="diagram-note" fill="#fef9c3" stroke="currentColor" x="${left}" y="${y}" width="${noteWidth}" height="28"/>`);
+                parts.push(this.text(left + noteWidth / 2, y + 14, row.text, 'diagram-note-text'));
+                y += 40;
+            } else if (row.type === 'frame') {
+                row.top = y;
+                row.span = frameSpan(row);
+                y += 28;
+            } else if (row.type === 'divider') {
+                row.y = y;
+                y += 24;
+            } else if (row.type === 'frameEnd') {
+                const frame = row.frame;
+                const [left, right] = frame.span;
+                const tagWidth = this.measureText(frame.kind) + 16;
+                parts.push(`<rect class="diagram-frame" fill="none" stroke="currentColor" stroke-width="1" x="${left}" y="${frame.top}" width="${right - left}" height="${y - frame.top}"/>`);
+                parts.push(`<path class="diagram-frame-tag" fill="#e2e8f0" stroke="currentColor" stroke-width="1" ` +
+                    `d="M${left},${frame.top} h${tagWidth} v12 l-6,8 h${-(tagWidth - 6)} z"/>`);
+                parts.push(this.text(left + 6, frame.top + 10, frame.kind, 'diagram-frame-label', 'start'));
+                if (frame.label) parts.push(this.text(left + tagWidth + 8, frame.top + 10, `[${frame.label}]`, 'diagram-frame-label', 'start'));
+                frame.dividers.forEach(divider => {
+                    parts.push(`<line class="diagram-frame" stroke="currentColor" stroke-dasharray="4,3" x1="${left}" y1="${divider.y}" x2="${right}" y2="${divider.y}"/>`);
+                    if (divider.label) parts.push(this.text(left + 6, divider.y + 12, `[${divider.label}]`, 'diagram-frame-label', 'start'));
+                });
+                y += 12;
+            }
+        });
+
+        y += 10;
+        const bottom = y;
+        const lifelines = xs.map(x =>
+            `<line class="diagram-lifeline" stroke="currentColor" stroke-width="1" stroke-dasharray="3,3" x1="${x}" y1="${top + boxHeight}" x2="${x}" y2="${bottom}"/>`
+        );
+        const boxes = diagram.participants.flatMap((p, i) => [top, bottom].map(boxY => {
+            const x = xs[i] - widths[i] / 2;
+            const rx = p.actor ? 18 : 4;
+            return `<g><rect class="diagram-node" fill="#f1f5f9" stroke="currentColor" stroke-width="1.5" x="${x}" y="${boxY}" ` +
+                `width="${widths[i]}" height="${boxHeight}" rx="${rx}" ry="${rx}"/>${this.text(xs[i], boxY + boxHeight / 2, p.label)}</g>`;
+        }));
+
+        const height = bottom + boxHeight + margin;
+        return this.svg(Math.ceil(width), Math.ceil(height), 'sequence', id, lifelines.join('') + parts.join('') + boxes.join(''), 'Sequence diagram');
+    }
+
+    // ------------------------------------------------------------------
+    // SVG helpers
+    // ------------------------------------------------------------------
+
+    svg(width, height, kind, id, content, label) {
+        const prefix = `diagram-${id}`;
+        const defs = '<defs>' +
+            `<marker id="${prefix}-arrow" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto">` +
+            '<path d="M0,0 L10,5 L0,10 z" fill="currentColor"/></marker>' +
+            `<marker id="${prefix}-arrow-reverse" viewBox="0 0 10 10" refX="1" refY="5" markerWidth="8" markerHeight="8" orient="auto">` +
+            '<path d="M10,0 L0,5 L10,10 z" fill="currentColor"/></marker>' +
+            `<marker id="${prefix}-open" viewBox="0 0 10 10" refX="9" refY="5" markerWidth="8" markerHeight="8" orient="auto">` +
+            '<path d="M0,0 L10,5 L0,10" fill="none" stroke="currentColor" stroke-width="1.5"/></marker>' +
+            `<marker id="${prefix}-cross" viewBox="0 0 10 10" refX="5" refY="5" markerWidth="8" markerHeight="8" orient="auto">` +
+            '<path d="M0,0 L10,10 M10,0 L0,10" fill="none" stroke="currentColor" stroke-width="2"/></marker>' +
+            '</defs>';
+
+        return `<svg xmlns="http://www.w3.org/2000/svg" class="diagram-svg diagram-${kind}" role="img" aria-label="${label}" ` +
+            `width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="sans-serif" font-size="${this.fontSize}">` +
+            `${defs}${content}</svg>`;
+    }
+
+    text(x, y, content, className = 'diagram-text', anchor = 'middle') {
+        return `<text class="${className}" x="${this.round(x)}" y="${this.round(y)}" text-anchor="${anchor}" ` +
+            `dominant-baseline="central" fill="currentColor">${this.escapeXml(content)}</text>`;
+    }
+
+    measureText(text) {
+        return (text || '').length * this.charWidth;
+    }
+
+    round(value) {
+        return Math.round(value * 10) / 10;
+    }
+
+    escapeXml(text) {
+        const escapeMap = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;'
+        };
+        return String(text).replace(/[&<>"']/g, char => escapeMap[char]);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DiagramRenderer;
+}
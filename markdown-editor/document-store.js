@@ -0,0 +1,366 @@
+/**
+ * Document Store Module
+ * Persists the document library, each document's snapshot history and
+ * embedded images in IndexedDB. Falls back to an in-memory library where
+ * IndexedDB is unavailable, keeping only the open document across reloads
+ * in localStorage.
+ */
+
+class DocumentStore {
+    constructor(options = {}) {
+        this.databaseName = options.databaseName || 'markdownEditor';
+        this.database = null;
+        this.memory = null;
+        this.blocked = false;
+        this.onVersionChange = options.onVersionChange || null;
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.lastSnapshotTime = 0;
+
+        // Snapshots kept per document; the oldest are pruned first
+        this.retention = {
+            automatic: options.automaticSnapshots || 30,
+            named: options.namedSnapshots || 50
+        };
+    }
+
+    /**
+     * Open the database, creating or upgrading its stores on first use.
+     * Resolves to false when the library only lives in memory, which
+     * includes an upgrade blocked by another tab still holding an older
+     * version open (`blocked` is set then).
+     */
+    open() {
+        if (this.database || this.memory) return Promise.resolve(Boolean(this.database));
+
+        if (typeof indexedDB === 'undefined') {
+            this.useMemory();
+            return Promise.resolve(false);
+        }
+
+        return new Promise(resolve => {
+            const request = indexedDB.open(this.databaseName, 3);
+            request.onupgradeneeded = (event) => {
+                const database = request.result;
+                if (event.oldVersion < 1) {
+                    const documents = database.createObjectStore('documents', { keyPath: 'id' });
+                    documents.createIndex('updatedAt', 'updatedAt');
+                }
+                if (event.oldVersion < 2) {
+                    const snapshots = database.createObjectStore('snapshots', { keyPath: 'id' });
+                    snapshots.createIndex('documentId', 'documentId');
+                }
+                if (event.oldVersion < 3) {
+                    database.createObjectStore('assets', { keyPath: 'id' });
+                }
+            };
+            request.onblocked = () => {
+                // Rather than wait for the other tab to close, this session
+                // keeps its documents in memory
+                console.warn('Document library upgrade blocked by another open tab');
+                this.blocked = true;
+                this.useMemory();
+                resolve(false);
+            };
+            request.onsuccess = () => {
+                const database = request.result;
+                if (this.memory) {
+                    // The blocked upgrade finished after all; the next
+                    // session will use it
+                    database.close();
+                    return;
+                }
+                database.onversionchange = () => this.handleVersionChange();
+                this.database = database;
+                resolve(true);
+            };
+            request.onerror = () => {
+                console.warn('IndexedDB unavailable, documents will not persist:', request.error);
+                if (!this.memory) this.useMemory();
+                resolve(false);
+            };
+        });
+    }
+
+    /**
+     * Another tab is upgrading the database to a newer version: close this
+     * connection so the upgrade is not blocked, and keep working in memory
+     */
+    handleVersionChange() {
+        this.database.close();
+        this.database = null;
+        this.useMemory();
+        if (this.onVersionChange) this.onVersionChange();
+    }
+
+    /**
+     * Whether the library is kept across reloads
+     */
+    isPersistent() {
+        return Boolean(this.database);
+    }
+
+    useMemory() {
+        this.memory = { documents: new Map(), snapshots: new Map(), assets: new Map() };
+    }
+
+    /**
+     * The tabs of the last session: { tabs, active }
+     */
+    loadWorkspace() {
+        try {
+            return JSON.parse(this.storage && this.storage.getItem('markdownEditor_workspace') || '{}');
+        } catch (error) {
+            return {};
+        }
+    }
+
+    /**
+     * Remember the open tabs. The tabs of a library that only lives in
+     * memory are not kept, so they cannot replace those of the stored one.
+     */
+    saveWorkspace(workspace) {
+        if (!this.isPersistent() || !this.storage) return;
+        this.storage.setItem('markdownEditor_workspace', JSON.stringify(workspace));
+    }
+
+    /**
+     * Keep a document's content in localStorage while the library only
+     * lives in memory, where earlier versions of the editor auto-saved
+     */
+    autoSave(doc) {
+        if (this.isPersistent() || !this.storage) return;
+        this.storage.setItem('markdownEditor_autoSave', doc.content);
+        this.storage.setItem('markdownEditor_autoSave_timestamp', String(Date.now()));
+    }
+
+    /**
+     * Create a document from the content auto-saved to localStorage, if
+     * any. The saved copy is only removed once the library persists it.
+     */
+    async restoreAutoSaved() {
+        await this.open();
+        const content = this.storage && this.storage.getItem('markdownEditor_autoSave');
+        if (!content) return null;
+
+        const doc = await this.create({ content });
+        if (this.isPersistent()) {
+            this.storage.removeItem('markdownEditor_autoSave');
+            this.storage.removeItem('markdownEditor_autoSave_timestamp');
+        }
+        return doc;
+    }
+
+    /**
+     * Run a request against one store inside a transaction
+     */
+    request(storeName, mode, operation) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.database.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async getAll(storeName, documentId) {
+        await this.open();
+        if (this.memory) {
+            return [...this.memory[storeName].values()]
+                .filter(record => documentId === undefined || record.documentId === documentId)
+                .map(record => ({ ...record }));
+        }
+        return this.request(storeName, 'readonly', store => (documentId === undefined
+            ? store.getAll()
+            : store.index('documentId').getAll(documentId)));
+    }
+
+    async getRecord(storeName, id) {
+        await this.open();
+        if (this.memory) {
+            const record = this.memory[storeName].get(id);
+            return record ? { ...record } : null;
+        }
+        const record = await this.request(storeName, 'readonly', store => store.get(id));
+        return record || null;
+    }
+
+    async putRecord(storeName, record) {
+        await this.open();
+        if (this.memory) {
+            this.memory[storeName].set(record.id, { ...record });
+        } else {
+            await this.request(storeName, 'readwrite', store => store.put(record));
+        }
+        return record;
+    }
+
+    async deleteRecords(storeName, ids) {
+        await this.open();
+        if (this.memory) {
+            ids.forEach(id => this.memory[storeName].delete(id));
+        } else {
+            await this.request(storeName, 'readwrite', store => {
+                ids.forEach(id => store.delete(id));
+                return null;
+            });
+        }
+    }
+
+    /**
+     * All documents, most recently updated first
+     */
+    async list() {
+        const documents = await this.getAll('documents');
+        return documents.sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    get(id) {
+        return this.getRecord('documents', id);
+    }
+
+    put(doc) {
+        return this.putRecord('documents', doc);
+    }
+
+    /**
+     * Create and store a new document. Documents without an explicit title
+     * are marked as not renamed, so the editor may title them from their
+     * content. File handles from the File System Access API can be stored
+     * with the document.
+     */
+    async create({ title = '', content = '', fileName = null, fileHandle = null } = {}) {
+        const now = Date.now();
+        const doc = {
+            id: this.generateId(),
+            title: title || 'Untitled',
+            renamed: Boolean(title),
+            content,
+            // The file the document was opened from or saved to, if any;
+            // dirty while it has changes that are not in that file
+            fileName,
+            fileHandle,
+            dirty: false,
+            createdAt: now,
+            updatedAt: now,
+            selectionStart: 0,
+            selectionEnd: 0,
+            scrollTop: 0,
+            previewScrollTop: 0
+        };
+        return this.put(doc);
+    }
+
+    async rename(id, title) {
+        const doc = await this.get(id);
+        if (!doc) throw new Error('Document not found');
+        doc.title = title.trim() || 'Untitled';
+        doc.renamed = Boolean(title.trim());
+        doc.updatedAt = Date.now();
+        return this.put(doc);
+    }
+
+    async duplicate(id) {
+        const doc = await this.get(id);
+        if (!doc) throw new Error('Document not found');
+        return this.create({ title: `${doc.title} (copy)`, content: doc.content });
+    }
+
+    /**
+     * Delete a document together with its history. Its images are left to
+     * pruneAssets(), as copies of the document may still use them.
+     */
+    async delete(id) {
+        const snapshots = await this.getAll('snapshots', id);
+        await this.deleteRecords('snapshots', snapshots.map(snapshot => snapshot.id));
+        await this.deleteRecords('documents', [id]);
+    }
+
+    /**
+     * Snapshots of a document, newest first
+     */
+    async listSnapshots(documentId) {
+        const snapshots = await this.getAll('snapshots', documentId);
+        return snapshots.sort((a, b) => b.createdAt - a.createdAt);
+    }
+
+    /**
+     * Store a snapshot of a document's content. Named snapshots are taken
+     * by the user, automatic ones by the editor; each kind is pruned to
+     * its own retention limit.
+     */
+    async addSnapshot(documentId, { content, name = '', automatic = false }) {
+        // Strictly increasing times keep snapshots taken together in order
+        this.lastSnapshotTime = Math.max(Date.now(), this.lastSnapshotTime + 1);
+        const snapshot = {
+            id: this.generateId(),
+            documentId,
+            name,
+            automatic,
+            content,
+            createdAt: this.lastSnapshotTime
+        };
+        await this.putRecord('snapshots', snapshot);
+        await this.pruneSnapshots(documentId);
+        return snapshot;
+    }
+
+    deleteSnapshot(id) {
+        return this.deleteRecords('snapshots', [id]);
+    }
+
+    async pruneSnapshots(documentId) {
+        const snapshots = await this.listSnapshots(documentId);
+        const automatic = snapshots.filter(snapshot => snapshot.automatic).slice(this.retention.automatic);
+        const named = snapshots.filter(snapshot => !snapshot.automatic).slice(this.retention.named);
+        const expired = [...automatic, ...named].map(snapshot => snapshot.id);
+        if (expired.length) await this.deleteRecords('snapshots', expired);
+    }
+
+    /**
+     * Store an image. Assets are identified by a hash of their bytes, so
+     * the same image stored twice gets the same ID. Documents refer to
+     * them as "asset:<id>".
+     */
+    async addAsset(blob, name = '') {
+        const id = await this.hashBlob(blob);
+        const existing = await this.getRecord('assets', id);
+        if (existing) return existing;
+        return this.putRecord('assets', { id, name, type: blob.type, blob, createdAt: Date.now() });
+    }
+
+    getAsset(id) {
+        return this.getRecord('assets', id);
+    }
+
+    /**
+     * Delete images that no document or snapshot refers to any more
+     */
+    async pruneAssets() {
+        const [assets, documents, snapshots] = await Promise.all([
+            this.getAll('assets'), this.getAll('documents'), this.getAll('snapshots')
+        ]);
+        const referenced = new Set();
+        [...documents, ...snapshots].forEach(record => {
+            (record.content.match(/asset:[\w-]+/g) || []).forEach(reference => referenced.add(reference.slice(6)));
+        });
+        const unused = assets.filter(asset => !referenced.has(asset.id)).map(asset => asset.id);
+        if (unused.length) await this.deleteRecords('assets', unused);
+    }
+
+    async hashBlob(blob) {
+        if (typeof crypto === 'undefined' || !crypto.subtle) return this.generateId();
+        const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+        return [...new Uint8Array(digest).slice(0, 12)].map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    generateId() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+        return `doc-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DocumentStore;
+}
@@ -0,0 +1,516 @@
+/**
+ * DOCX Writer Module
+ * Converts a parsed Markdown document to a Word document without any
+ * server: headings, lists, tables, code and images are written as
+ * WordprocessingML and packaged with the zip writer
+ */
+
+class DocxWriter {
+    constructor(options = {}) {
+        const Exporter = typeof HtmlExporter !== 'undefined' ? HtmlExporter : require('./html-exporter');
+        this.exporter = options.exporter || new Exporter();
+        this.parser = this.exporter.parser;
+        this.renderers = this.initializeRenderers();
+
+        // Page sizes in twentieths of a point, with one inch margins
+        this.paperSizes = {
+            A4: { width: 11906, height: 16838 },
+            A5: { width: 8391, height: 11906 },
+            letter: { width: 12240, height: 15840 },
+            legal: { width: 12240, height: 20160 }
+        };
+        this.margin = 1440;
+        this.imageTypes = { 'image/png': 'png', 'image/jpeg': 'jpeg', 'image/gif': 'gif', 'image/bmp': 'bmp' };
+        this.namespaces = [
+            'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"',
+            'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"',
+            'xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing"',
+            'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"',
+            'xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture"'
+        ].join(' ');
+    }
+
+    /**
+     * WordprocessingML renderers for block nodes, keyed by AST node type.
+     * Each receives the node, the document being written and the block
+     * context: the paragraph style and indent of enclosing quotes and lists.
+     */
+    initializeRenderers() {
+        return {
+            heading: (node, doc) => {
+                const bookmark = doc.bookmarks.get(node.id);
+                const runs = this.renderInline(node.children, doc);
+                if (!bookmark) return this.paragraph(runs, { style: `Heading${node.level}` });
+                const id = doc.bookmarkCount++;
+                const marked = `<w:bookmarkStart w:id="${id}" w:name="${bookmark}"/>${runs}<w:bookmarkEnd w:id="${id}"/>`;
+                return this.paragraph(marked, { style: `Heading${node.level}` });
+            },
+            paragraph: (node, doc, context) => this.paragraph(this.renderInline(node.children, doc), context),
+            admonitionTitle: (node, doc, context) => this.paragraph(this.renderInline(node.children, doc, { bold: true }), context),
+            definitionTerm: (node, doc, context) => this.paragraph(this.renderInline(node.children, doc, { bold: true }), context),
+            blockquote: (node, doc, context) => this.renderBlocks(node.children, doc, { ...context, style: 'Quote' }),
+            admonition: (node, doc, context) => this.renderBlocks(node.children, doc, { ...context, style: 'Quote' }),
+            definitionDescription: (node, doc, context) => this.renderBlocks(node.children, doc, { ...context, indent: context.indent + 720 }),
+            definitionList: (node, doc, context) => this.renderBlocks(node.children, doc, context),
+            list: (node, doc, context) => this.renderList(node, doc, context),
+            code: (node, doc, context) => this.paragraph(this.textRuns(node.value, '', true), { style: 'Code', indent: context.indent }),
+            math: (node, doc, context) => this.paragraph(this.textRuns(node.value, '<w:i/>', true), { ...context, align: 'center' }),
+            table: (node, doc) => this.renderTable(node, doc),
+            toc: (node, doc) => this.renderToc(node.headings || [], doc),
+            html: (node, doc, context) => {
+                const text = this.stripHtml(node.value).trim();
+                return text ? this.paragraph(this.textRuns(text, '', true), context) : '';
+            },
+            thematicBreak: () => this.paragraph('', { border: true }),
+            pageBreak: () => '<w:p><w:r><w:br w:type="page"/></w:r></w:p>',
+            definition: () => '',
+            footnoteDefinition: () => '',
+            abbreviationDefinition: () => ''
+        };
+    }
+
+    /**
+     * Write the document as .docx bytes. Images are looked up by their
+     * source in `images`, a Map of { bytes, type }; images that are not
+     * there, such as remote ones, are replaced by their alt text.
+     */
+    write(ast, { images = new Map(), title = '', paperSize = 'A4' } = {}) {
+        const Zip = typeof ZipWriter !== 'undefined' ? ZipWriter : require('./zip-writer');
+        const page = this.paperSizes[paperSize] || this.paperSizes.A4;
+        const doc = {
+            images,
+            relationships: [],
+            media: new Map(),
+            lists: [],
+            bookmarks: new Map(),
+            bookmarkCount: 0,
+            drawingCount: 0,
+            contentWidth: page.width - 2 * this.margin
+        };
+        ast.headings.filter(heading => heading.id).forEach((heading, i) => {
+            doc.bookmarks.set(heading.id, `_Heading${i + 1}`);
+        });
+
+        const fields = this.exporter.getTitleFields(ast);
+        const body = [
+            fields.title ? this.paragraph(this.textRuns(fields.title), { style: 'Title' }) : '',
+            ...[fields.subtitle, fields.author, fields.date].map(value => (
+                value ? this.paragraph(this.textRuns(value), { style: 'Subtitle' }) : ''
+            )),
+            this.renderBlocks(ast.children, doc, { style: null, indent: 0 }),
+            this.renderFootnotes(ast.footnotes || [], doc)
+        ].filter(Boolean).join('');
+
+        const section = `<w:sectPr><w:pgSz w:w="${page.width}" w:h="${page.height}"/>` +
+            `<w:pgMar w:top="${this.margin}" w:right="${this.margin}" w:bottom="${this.margin}" w:left="${this.margin}" ` +
+            'w:header="708" w:footer="708" w:gutter="0"/></w:sectPr>';
+        const documentXml = `${this.xmlDeclaration}<w:document ${this.namespaces}><w:body>${body}${section}</w:body></w:document>`;
+
+        const zip = new Zip();
+        zip.addFile('[Content_Types].xml', this.buildContentTypes());
+        zip.addFile('_rels/.rels', this.buildRelationships([
+            { id: 'rId1', type: 'officeDocument', target: 'word/document.xml' },
+            { id: 'rId2', type: 'metadata/core-properties', target: 'docProps/core.xml', package: true }
+        ]));
+        zip.addFile('docProps/core.xml', this.buildCoreProperties(this.exporter.getDocumentTitle(ast, title), fields.author));
+        zip.addFile('word/document.xml', documentXml);
+        zip.addFile('word/styles.xml', this.buildStyles());
+        zip.addFile('word/numbering.xml', this.buildNumbering(doc.lists));
+        zip.addFile('word/_rels/document.xml.rels', this.buildRelationships([
+            { id: 'rIdStyles', type: 'styles', target: 'styles.xml' },
+            { id: 'rIdNumbering', type: 'numbering', target: 'numbering.xml' },
+            ...doc.relationships
+        ]));
+        doc.media.forEach(media => zip.addFile(`word/${media.target}`, media.bytes));
+        return zip.generate();
+    }
+
+    get xmlDeclaration() {
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    }
+
+    renderBlocks(nodes, doc, context) {
+        return nodes.map(node => this.renderBlock(node, doc, context)).join('');
+    }
+
+    renderBlock(node, doc, context) {
+        const renderer = this.renderers[node.type];
+        if (renderer) return renderer(node, doc, context);
+        return node.children ? this.renderBlocks(node.children, doc, context) : '';
+    }
+
+    /**
+     * A paragraph with its style, list numbering, indent, alignment and
+     * a bottom border for rules. Properties follow the schema's order.
+     */
+    paragraph(content, { style = null, numbering = null, border = false, spacing = null, indent = 0, align = null } = {}) {
+        let properties = '';
+        if (style) properties += `<w:pStyle w:val="${style}"/>`;
+        if (numbering) properties += `<w:numPr><w:ilvl w:val="${numbering.level}"/><w:numId w:val="${numbering.id}"/></w:numPr>`;
+        if (border) properties += '<w:pBdr><w:bottom w:val="single" w:sz="6" w:space="1" w:color="auto"/></w:pBdr>';
+        if (spacing !== null) properties += `<w:spacing w:after="${spacing}"/>`;
+        if (indent && !numbering) properties += `<w:ind w:left="${indent}"/>`;
+        if (align) properties += `<w:jc w:val="${align}"/>`;
+        return `<w:p>${properties ? `<w:pPr>${properties}</w:pPr>` : ''}${content}</w:p>`;
+    }
+
+    /**
+     * Runs for inline nodes. The format carries the character formatting
+     * of enclosing nodes: bold, italic, strike, code, link, superscript.
+     */
+    renderInline(nodes, doc, format = {}) {
+        return nodes.map(node => {
+            switch (node.type) {
+                case 'text':
+                case 'abbreviation':
+                    return this.textRuns(node.value.replace(/\s*\n\s*/g, ' '), this.runProperties(format));
+                case 'entity':
+                    return this.textRuns(this.parser.decodeEntities(node.value), this.runProperties(format));
+                case 'strong':
+                    return this.renderInline(node.children, doc, { ...format, bold: true });
+                case 'emphasis':
+                    return this.renderInline(node.children, doc, { ...format, italic: true });
+                case 'delete':
+                    return this.renderInline(node.children, doc, { ...format, strike: true });
+                case 'inlineCode':
+                    return this.textRuns(node.value, this.runProperties({ ...format, code: true }));
+                case 'inlineMath':
+                    return this.textRuns(node.value, this.runProperties({ ...format, italic: true }));
+                case 'break':
+                    return '<w:r><w:br/></w:r>';
+                case 'html':
+                    return /^<br\s*\/?>$/i.test(node.value) ? '<w:r><w:br/></w:r>' : '';
+                case 'footnoteReference':
+                    return this.textRuns(String(node.number), this.runProperties({ ...format, superscript: true }));
+                case 'link':
+                    return this.renderLink(node, doc, format);
+                case 'image':
+                    return this.renderImage(node, doc, format);
+                default:
+                    return node.children ? this.renderInline(node.children, doc, format) : '';
+            }
+        }).join('');
+    }
+
+    /**
+     * Links to headings point at their bookmarks; other links become
+     * external hyperlink relationships
+     */
+    renderLink(node, doc, format) {
+        const runs = this.renderInline(node.children, doc, { ...format, link: true });
+        if (node.href.startsWith('#')) {
+            const bookmark = doc.bookmarks.get(node.href.slice(1));
+            return bookmark ? `<w:hyperlink w:anchor="${bookmark}" w:history="1">${runs}</w:hyperlink>` : runs;
+        }
+        const id = this.addRelationship(doc, 'hyperlink', node.href, true);
+        return `<w:hyperlink r:id="${id}" w:history="1">${runs}</w:hyperlink>`;
+    }
+
+    /**
+     * An inline picture at its natural size (96 pixels per inch), scaled
+     * down to fit the text width
+     */
+    renderImage(node, doc, format) {
+        const image = doc.images.get(node.src);
+        const extension = image && this.imageTypes[image.type];
+        const size = extension && this.getImageSize(image.bytes, image.type);
+        if (!size) return node.alt ? this.textRuns(node.alt, this.runProperties({ ...format, italic: true })) : '';
+
+        if (!doc.media.has(node.src)) {
+            const name = `image${doc.media.size + 1}.${extension}`;
+            doc.media.set(node.src, {
+                id: this.addRelationship(doc, 'image', `media/${name}`),
+                target: `media/${name}`,
+                bytes: image.bytes
+            });
+        }
+        const media = doc.media.get(node.src);
+
+        const emuPerPixel = 9525;
+        const maxWidth = doc.contentWidth * 635;
+        const scale = Math.min(1, maxWidth / (size.width * emuPerPixel));
+        const cx = Math.round(size.width * emuPerPixel * scale);
+        const cy = Math.round(size.height * emuPerPixel * scale);
+        const id = ++doc.drawingCount;
+        const description = this.escapeXml(node.alt || '');
+
+        return '<w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0">' +
+            `<wp:extent cx="${cx}" cy="${cy}"/><wp:docPr id="${id}" name="Picture ${id}" descr="${description}"/>` +
+            '<a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture"><pic:pic>' +
+            `<pic:nvPicPr><pic:cNvPr id="${id}" name="Picture ${id}" descr="${description}"/><pic:cNvPicPr/></pic:nvPicPr>` +
+            `<pic:blipFill><a:blip r:embed="${media.id}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill>` +
+            `<pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm>` +
+            '<a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr>' +
+            '</pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r>';
+    }
+
+    /**
+     * Pixel size of a PNG, GIF, JPEG or BMP image, or null when the data
+     * cannot be read
+     */
+    getImageSize(bytes, type) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        try {
+            if (type === 'image/png') return { width: view.getUint32(16), height: view.getUint32(20) };
+            if (type === 'image/gif') return { width: view.getUint16(6, true), height: view.getUint16(8, true) };
+            if (type === 'image/bmp') return { width: view.getInt32(18, true), height: Math.abs(view.getInt32(22, true)) };
+            if (type === 'image/jpeg') {
+                let offset = 2;
+                while (offset + 9 < bytes.length) {
+                    if (bytes[offset] !== 0xff) return null;
+                    const marker = bytes[offset + 1];
+                    // Start of frame markers, except DHT, JPG and DAC
+                    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                        return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+                    }
+                    offset += 2 + view.getUint16(offset + 2);
+                }
+            }
+        } catch (error) {
+            return null;
+        }
+        return null;
+    }
+
+    /**
+     * Lists use the numbering definitions: every bulleted list shares one,
+     * every numbered list gets its own so it starts at its own number.
+     * Blocks after the first paragraph of an item are indented under it.
+     */
+    renderList(node, doc, context) {
+        const level = context.listLevel || 0;
+        let id = 1;
+        if (node.ordered) {
+            doc.lists.push({ start: node.start, level: Math.min(level, 8) });
+            id = doc.lists.length + 1;
+        }
+        const numbering = { id, level: Math.min(level, 8) };
+        const nested = { ...context, style: null, indent: 720 * (level + 1), listLevel: level + 1 };
+
+        return node.children.map(item => {
+            const [first, ...rest] = item.children;
+            const task = item.checked === null ? '' : this.textRuns(item.checked ? '☒ ' : '☐ ');
+            const spacing = node.tight ? 60 : null;
+            if (!first || first.type !== 'paragraph') {
+                return this.paragraph(task, { numbering, spacing }) + this.renderBlocks(item.children, doc, nested);
+            }
+            return this.paragraph(task + this.renderInline(first.children, doc), { numbering, spacing }) +
+                this.renderBlocks(rest, doc, nested);
+        }).join('');
+    }
+
+    renderTable(node, doc) {
+        const columns = Math.max(...node.children.map(row => row.children.length));
+        const width = Math.floor(doc.contentWidth / columns);
+        const grid = `<w:tblGrid>${`<w:gridCol w:w="${width}"/>`.repeat(columns)}</w:tblGrid>`;
+
+        const rows = node.children.map((row, rowIndex) => {
+            const header = rowIndex === 0;
+            const cells = [];
+            for (let i = 0; i < columns; i++) {
+                const cell = row.children[i];
+                const runs = cell ? this.renderInline(cell.children, doc, { bold: header }) : '';
+                const shading = header ? '<w:shd w:val="clear" w:color="auto" w:fill="F2F2F2"/>' : '';
+                const align = { center: 'center', right: 'right' }[node.align[i]] || null;
+                cells.push(`<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>${shading}</w:tcPr>` +
+                    `${this.paragraph(runs, { spacing: 0, align })}</w:tc>`);
+            }
+            return `<w:tr>${header ? '<w:trPr><w:tblHeader/></w:trPr>' : ''}${cells.join('')}</w:tr>`;
+        });
+
+        const properties = '<w:tblPr><w:tblStyle w:val="TableGrid"/><w:tblW w:w="0" w:type="auto"/>' +
+            '<w:tblLook w:val="04A0" w:firstRow="1" w:lastRow="0" w:firstColumn="0" w:lastColumn="0" w:noHBand="0" w:noVBand="1"/></w:tblPr>';
+        // Word needs a paragraph between adjacent tables
+        return `<w:tbl>${properties}${grid}${rows.join('')}</w:tbl>${this.paragraph('', { spacing: 0 })}`;
+    }
+
+    /**
+     * The table of contents as links to the heading bookmarks
+     */
+    renderToc(headings, doc) {
+        if (headings.length === 0) return '';
+        const top = Math.min(...headings.map(heading => heading.level));
+        return headings.map(heading => {
+            const runs = this.textRuns(heading.text, this.runProperties({ link: true }));
+            const link = `<w:hyperlink w:anchor="${doc.bookmarks.get(heading.id)}" w:history="1">${runs}</w:hyperlink>`;
+            return this.paragraph(link, { spacing: 60, indent: 360 * (heading.level - top) });
+        }).join('');
+    }
+
+    /**
+     * Footnotes as numbered notes after a rule at the end of the document
+     */
+    renderFootnotes(footnotes, doc) {
+        if (footnotes.length === 0) return '';
+        const notes = footnotes.map(footnote => {
+            const number = this.textRuns(`${footnote.number} `, this.runProperties({ superscript: true }));
+            const context = { style: 'FootnoteText', indent: 0 };
+            const [first, ...rest] = footnote.children;
+            if (!first || first.type !== 'paragraph') return this.paragraph(number, context) + this.renderBlocks(footnote.children, doc, context);
+            return this.paragraph(number + this.renderInline(first.children, doc), context) + this.renderBlocks(rest, doc, context);
+        });
+        return this.paragraph('', { border: true }) + notes.join('');
+    }
+
+    runProperties({ bold, italic, strike, code, link, superscript }) {
+        let properties = '';
+        if (link) properties += '<w:rStyle w:val="Hyperlink"/>';
+        if (code) properties += '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/>';
+        if (bold) properties += '<w:b/>';
+        if (italic) properties += '<w:i/>';
+        if (strike) properties += '<w:strike/>';
+        if (code) properties += '<w:shd w:val="clear" w:color="auto" w:fill="F2F2F2"/>';
+        if (superscript) properties += '<w:vertAlign w:val="superscript"/>';
+        return properties;
+    }
+
+    /**
+     * Runs for a piece of text. Tabs become tab characters and, when
+     * line breaks are kept, newlines become breaks.
+     */
+    textRuns(text, properties = '', keepLineBreaks = false) {
+        if (!text) return '';
+        const lines = keepLineBreaks ? text.split('\n') : [text];
+        const content = lines.map(line => line.split('\t').map(part => (
+            part ? `<w:t xml:space="preserve">${this.escapeXml(part)}</w:t>` : ''
+        )).join('<w:tab/>')).join('<w:br/>');
+        return `<w:r>${properties ? `<w:rPr>${properties}</w:rPr>` : ''}${content}</w:r>`;
+    }
+
+    addRelationship(doc, type, target, external = false) {
+        const id = `rId${doc.relationships.length + 1}`;
+        doc.relationships.push({ id, type, target, external });
+        return id;
+    }
+
+    stripHtml(html) {
+        const text = html
+            .replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, '')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<!--[\s\S]*?-->|<[^>]*>/g, '');
+        return this.parser.decodeEntities(text);
+    }
+
+    /**
+     * Escape text for XML, dropping characters XML cannot contain
+     */
+    escapeXml(text) {
+        return String(text)
+            .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    buildContentTypes() {
+        const images = Object.values(this.imageTypes).map(extension => (
+            `<Default Extension="${extension}" ContentType="image/${extension}"/>`
+        )).join('');
+        const part = (name, type) => `<Override PartName="${name}" ContentType="${type}"/>`;
+        const word = 'application/vnd.openxmlformats-officedocument.wordprocessingml';
+        return `${this.xmlDeclaration}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+            '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+            `<Default Extension="xml" ContentType="application/xml"/>${images}` +
+            part('/word/document.xml', `${word}.document.main+xml`) +
+            part('/word/styles.xml', `${word}.styles+xml`) +
+            part('/word/numbering.xml', `${word}.numbering+xml`) +
+            part('/docProps/core.xml', 'application/vnd.openxmlformats-package.core-properties+xml') +
+            '</Types>';
+    }
+
+    buildRelationships(relationships) {
+        const entries = relationships.map(({ id, type, target, external, package: isPackage }) => {
+            const base = isPackage
+                ? 'http://schemas.openxmlformats.org/package/2006/relationships'
+                : 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+            const mode = external ? ' TargetMode="External"' : '';
+            return `<Relationship Id="${id}" Type="${base}/${type}" Target="${this.escapeXml(target)}"${mode}/>`;
+        });
+        return `${this.xmlDeclaration}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+            `${entries.join('')}</Relationships>`;
+    }
+
+    buildCoreProperties(title, author) {
+        const created = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+        return `${this.xmlDeclaration}<cp:coreProperties ` +
+            'xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" ' +
+            'xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" ' +
+            'xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance">' +
+            `<dc:title>${this.escapeXml(title)}</dc:title>` +
+            (author ? `<dc:creator>${this.escapeXml(author)}</dc:creator>` : '') +
+            `<dcterms:created xsi:type="dcterms:W3CDTF">${created}</dcterms:created>` +
+            '</cp:coreProperties>';
+    }
+
+    /**
+     * Bullets and numbers for nine levels of nesting. Numbered list n uses
+     * numbering instance n + 1, restarting at the list's start number.
+     */
+    buildNumbering(lists) {
+        const bullets = ['•', '◦', '▪'];
+        const levels = format => Array.from({ length: 9 }, (value, level) => (
+            `<w:lvl w:ilvl="${level}"><w:start w:val="1"/>` +
+            (format === 'bullet'
+                ? `<w:numFmt w:val="bullet"/><w:lvlText w:val="${bullets[level % 3]}"/>`
+                : `<w:numFmt w:val="decimal"/><w:lvlText w:val="%${level + 1}."/>`) +
+            `<w:lvlJc w:val="left"/><w:pPr><w:ind w:left="${720 * (level + 1)}" w:hanging="360"/></w:pPr></w:lvl>`
+        )).join('');
+
+        const instances = lists.map((list, i) => (
+            `<w:num w:numId="${i + 2}"><w:abstractNumId w:val="1"/>` +
+            `<w:lvlOverride w:ilvl="${list.level}"><w:startOverride w:val="${list.start}"/></w:lvlOverride></w:num>`
+        )).join('');
+
+        return `${this.xmlDeclaration}<w:numbering ${this.namespaces}>` +
+            `<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="hybridMultilevel"/>${levels('bullet')}</w:abstractNum>` +
+            `<w:abstractNum w:abstractNumId="1"><w:multiLevelType w:val="hybridMultilevel"/>${levels('decimal')}</w:abstractNum>` +
+            `<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>${instances}</w:numbering>`;
+    }
+
+    buildStyles() {
+        const heading = (level, size, extra = '') => (
+            `<w:style w:type="paragraph" w:styleId="Heading${level}"><w:name w:val="heading ${level}"/>` +
+            '<w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:uiPriority w:val="9"/><w:qFormat/>' +
+            `<w:pPr><w:keepNext/><w:keepLines/><w:spacing w:before="${level <= 2 ? 360 : 240}" w:after="120"/>` +
+            `<w:outlineLvl w:val="${level - 1}"/></w:pPr><w:rPr><w:b/>${extra}<w:sz w:val="${size}"/><w:szCs w:val="${size}"/></w:rPr></w:style>`
+        );
+        const mono = '<w:rFonts w:ascii="Consolas" w:hAnsi="Consolas" w:cs="Consolas"/>';
+        const border = '<w:top w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/>' +
+            '<w:left w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/>' +
+            '<w:bottom w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/>' +
+            '<w:right w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/>' +
+            '<w:insideH w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/>' +
+            '<w:insideV w:val="single" w:sz="4" w:space="0" w:color="BFBFBF"/>';
+
+        return `${this.xmlDeclaration}<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">` +
+            '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/>' +
+            '<w:sz w:val="22"/><w:szCs w:val="22"/><w:lang w:val="en-US"/></w:rPr></w:rPrDefault>' +
+            '<w:pPrDefault><w:pPr><w:spacing w:after="160" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>' +
+            '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>' +
+            heading(1, 36) + heading(2, 30) + heading(3, 26) + heading(4, 24) + heading(5, 22) + heading(6, 22, '<w:i/>') +
+            '<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/>' +
+            '<w:qFormat/><w:pPr><w:spacing w:after="120"/></w:pPr><w:rPr><w:sz w:val="52"/><w:szCs w:val="52"/></w:rPr></w:style>' +
+            '<w:style w:type="paragraph" w:styleId="Subtitle"><w:name w:val="Subtitle"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/>' +
+            '<w:qFormat/><w:pPr><w:spacing w:after="80"/></w:pPr><w:rPr><w:color w:val="595959"/><w:sz w:val="26"/><w:szCs w:val="26"/></w:rPr></w:style>' +
+            '<w:style w:type="paragraph" w:styleId="Quote"><w:name w:val="Quote"/><w:basedOn w:val="Normal"/><w:qFormat/>' +
+            '<w:pPr><w:pBdr><w:left w:val="single" w:sz="18" w:space="8" w:color="D0D7DE"/></w:pBdr><w:ind w:left="360"/></w:pPr>' +
+            '<w:rPr><w:color w:val="595959"/></w:rPr></w:style>' +
+            '<w:style w:type="paragraph" w:styleId="Code"><w:name w:val="Code"/><w:basedOn w:val="Normal"/><w:qFormat/>' +
+            '<w:pPr><w:keepLines/><w:shd w:val="clear" w:color="auto" w:fill="F2F2F2"/><w:spacing w:after="160" w:line="240" w:lineRule="auto"/></w:pPr>' +
+            `<w:rPr>${mono}<w:sz w:val="20"/><w:szCs w:val="20"/></w:rPr></w:style>` +
+            '<w:style w:type="paragraph" w:styleId="FootnoteText"><w:name w:val="footnote text"/><w:basedOn w:val="Normal"/>' +
+            '<w:pPr><w:spacing w:after="60"/></w:pPr><w:rPr><w:sz w:val="18"/><w:szCs w:val="18"/></w:rPr></w:style>' +
+            '<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/>' +
+            '<w:rPr><w:color w:val="0563C1"/><w:u w:val="single"/></w:rPr></w:style>' +
+            '<w:style w:type="table" w:styleId="TableGrid"><w:name w:val="Table Grid"/>' +
+            `<w:tblPr><w:tblBorders>${border}</w:tblBorders>` +
+            '<w:tblCellMar><w:left w:w="108" w:type="dxa"/><w:right w:w="108" w:type="dxa"/></w:tblCellMar></w:tblPr></w:style>' +
+            '</w:styles>';
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DocxWriter;
+}
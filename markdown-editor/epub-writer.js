@@ -0,0 +1,268 @@
+/**
+ * EPUB Writer Module
+ * Packages a parsed Markdown document as an EPUB 3 book, one chapter per
+ * level one or two heading, with a navigation document and the images it
+ * uses. Chapters are converted to XHTML through the browser's DOMParser
+ * and XMLSerializer.
+ */
+
+class EpubWriter {
+    constructor(options = {}) {
+        const Exporter = typeof HtmlExporter !== 'undefined' ? HtmlExporter : require('./html-exporter');
+        this.exporter = options.exporter || new Exporter();
+        this.parser = this.exporter.parser;
+        this.sanitizer = this.exporter.sanitizer;
+        this.imageTypes = {
+            'image/png': 'png',
+            'image/jpeg': 'jpg',
+            'image/gif': 'gif',
+            'image/svg+xml': 'svg',
+            'image/webp': 'webp'
+        };
+    }
+
+    /**
+     * Write the book as .epub bytes. Images are looked up by their source
+     * in `images`, a Map of { bytes, type }; images that are not there,
+     * such as remote ones, are replaced by their alt text.
+     */
+    write(ast, { images = new Map(), title = '', trusted = false, theme = 'github', customCss = '' } = {}) {
+        const Zip = typeof ZipWriter !== 'undefined' ? ZipWriter : require('./zip-writer');
+        const metadata = ast.metadata || {};
+        const book = {
+            title: this.exporter.getDocumentTitle(ast, title),
+            author: this.exporter.getTitleFields(ast).author,
+            language: this.exporter.formatMetadataValue(metadata.lang || metadata.language) || 'en',
+            images: new Map()
+        };
+
+        const chapters = this.splitChapters(ast)
+            .map((chapter, i, all) => {
+                let html = this.parser.renderDocument({
+                    type: 'document',
+                    children: chapter.children,
+                    footnotes: i === all.length - 1 ? ast.footnotes : []
+                });
+                if (i === 0) html = this.exporter.buildTitleBlock(ast) + html;
+                html = this.stripInvalidXml(trusted ? html : this.sanitizer.sanitize(html).html);
+                return { ...chapter, html };
+            })
+            .filter(chapter => chapter.html.trim())
+            .map((chapter, i) => ({ ...chapter, file: `chapter-${i + 1}.xhtml` }));
+        if (chapters.length === 0) chapters.push({ title: '', level: 1, html: '', file: 'chapter-1.xhtml' });
+
+        this.convertChapters(chapters, images, book);
+
+        const zip = new Zip();
+        // The mimetype must come first, uncompressed
+        zip.addFile('mimetype', 'application/epub+zip');
+        zip.addFile('META-INF/container.xml', '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">\n' +
+            '<rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>\n' +
+            '</container>\n');
+        zip.addFile('OEBPS/content.opf', this.buildPackage(book, chapters));
+        zip.addFile('OEBPS/nav.xhtml', this.buildNavigation(book, chapters));
+        zip.addFile('OEBPS/styles.css', this.buildStylesheet(theme, customCss));
+        chapters.forEach(chapter => {
+            const heading = chapter.title || book.title;
+            zip.addFile(`OEBPS/${chapter.file}`, this.buildXhtml(heading, chapter.body, book.language));
+        });
+        book.images.forEach(image => zip.addFile(`OEBPS/${image.path}`, image.bytes));
+        return zip.generate();
+    }
+
+    /**
+     * Split the top-level blocks into chapters at every level one and two
+     * heading. Blocks before the first such heading form an opening
+     * chapter without a title of its own.
+     */
+    splitChapters(ast) {
+        const chapters = [];
+        ast.children.forEach(node => {
+            const opensChapter = node.type === 'heading' && node.level <= 2;
+            if (opensChapter || chapters.length === 0) {
+                chapters.push({
+                    title: opensChapter ? this.parser.toPlainText(node.children).trim() : '',
+                    level: opensChapter ? node.level : 1,
+                    children: []
+                });
+            }
+            chapters[chapters.length - 1].children.push(node);
+        });
+        return chapters;
+    }
+
+    /**
+     * Turn each chapter's HTML into an XHTML body: links to ids in other
+     * chapters point at those chapter files, and images are stored in the
+     * book or replaced by their alt text
+     */
+    convertChapters(chapters, images, book) {
+        const documents = chapters.map(chapter => new DOMParser().parseFromString(`<!DOCTYPE html><body>${chapter.html}</body>`, 'text/html'));
+
+        const targets = new Map();
+        documents.forEach((dom, i) => {
+            dom.querySelectorAll('[id]').forEach(element => {
+                if (!targets.has(element.id)) targets.set(element.id, chapters[i].file);
+            });
+        });
+
+        documents.forEach((dom, i) => {
+            dom.querySelectorAll('a[href^="#"]').forEach(link => {
+                const href = link.getAttribute('href');
+                let id = href.slice(1);
+                try {
+                    id = decodeURIComponent(id);
+                } catch (error) {
+                    // Keep the fragment as written
+                }
+                const file = targets.get(id);
+                if (file && file !== chapters[i].file) link.setAttribute('href', file + href);
+            });
+
+            dom.querySelectorAll('img').forEach(img => {
+                const path = this.addImage(book, img.getAttribute('src'), images);
+                if (path) {
+                    img.setAttribute('src', path);
+                } else {
+                    img.replaceWith(dom.createTextNode(img.getAttribute('alt') || ''));
+                }
+            });
+
+            chapters[i].body = new XMLSerializer().serializeToString(dom.body);
+        });
+    }
+
+    /**
+     * Store an image in the book once, returning its path, or null when
+     * its data is missing or its type cannot go in an EPUB
+     */
+    addImage(book, src, images) {
+        if (book.images.has(src)) return book.images.get(src).path;
+        const image = src !== null && images.get(src);
+        const extension = image && this.imageTypes[image.type];
+        if (!extension) return null;
+
+        const id = `image-${book.images.size + 1}`;
+        book.images.set(src, { id, path: `images/${id}.${extension}`, type: image.type, bytes: image.bytes });
+        return book.images.get(src).path;
+    }
+
+    buildXhtml(title, body, language) {
+        const lang = this.escapeXml(language);
+        return '<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE html>\n' +
+            `<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}">\n` +
+            `<head>\n<meta charset="UTF-8"/>\n<title>${this.escapeXml(title)}</title>\n` +
+            '<link rel="stylesheet" type="text/css" href="styles.css"/>\n</head>\n' +
+            `${body}\n</html>\n`;
+    }
+
+    /**
+     * The package document: book metadata, every file in the book and the
+     * reading order
+     */
+    buildPackage(book, chapters) {
+        const escape = value => this.escapeXml(value);
+        const modified = new Date().toISOString().replace(/\.\d+Z$/, 'Z');
+        const items = [
+            '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+            '<item id="css" href="styles.css" media-type="text/css"/>',
+            ...chapters.map((chapter, i) => {
+                const properties = [
+                    /<math[\s>]/.test(chapter.body) ? 'mathml' : '',
+                    /<svg[\s>]/.test(chapter.body) ? 'svg' : ''
+                ].filter(Boolean).join(' ');
+                return `<item id="chapter-${i + 1}" href="${chapter.file}" media-type="application/xhtml+xml"` +
+                    `${properties ? ` properties="${properties}"` : ''}/>`;
+            }),
+            ...[...book.images.values()].map(image => (
+                `<item id="${image.id}" href="${image.path}" media-type="${image.type}"/>`
+            ))
+        ];
+
+        return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+            `<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${escape(book.language)}">\n` +
+            '<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">\n' +
+            `<dc:identifier id="book-id">urn:uuid:${this.createUuid()}</dc:identifier>\n` +
+            `<dc:title>${escape(book.title)}</dc:title>\n` +
+            `<dc:language>${escape(book.language)}</dc:language>\n` +
+            (book.author ? `<dc:creator>${escape(book.author)}</dc:creator>\n` : '') +
+            `<meta property="dcterms:modified">${modified}</meta>\n` +
+            '</metadata>\n' +
+            `<manifest>\n${items.join('\n')}\n</manifest>\n` +
+            `<spine>\n${chapters.map((chapter, i) => `<itemref idref="chapter-${i + 1}"/>`).join('\n')}\n</spine>\n` +
+            '</package>\n';
+    }
+
+    /**
+     * The table of contents, with level two chapters nested under the
+     * level one chapter before them
+     */
+    buildNavigation(book, chapters) {
+        const escape = value => this.escapeXml(value);
+        const entries = [];
+        chapters.forEach(chapter => {
+            const entry = { chapter, children: [] };
+            const parent = entries[entries.length - 1];
+            if (chapter.level === 2 && parent && parent.chapter.level === 1 && parent.chapter.title) {
+                parent.children.push(entry);
+            } else {
+                entries.push(entry);
+            }
+        });
+
+        const renderEntries = list => `<ol>\n${list.map(({ chapter, children }) => {
+            const link = `<a href="${chapter.file}">${escape(chapter.title || book.title)}</a>`;
+            return `<li>${link}${children.length ? `\n${renderEntries(children)}\n` : ''}</li>`;
+        }).join('\n')}\n</ol>`;
+
+        const body = `<body>\n<nav epub:type="toc" id="toc">\n<h1>Contents</h1>\n${renderEntries(entries)}\n</nav>\n</body>`;
+        return this.buildXhtml(book.title, body, book.language);
+    }
+
+    /**
+     * The export theme's styles, adjusted for reading systems that set
+     * their own page margins, followed by the custom CSS
+     */
+    buildStylesheet(theme, customCss) {
+        const { themes, baseCss } = this.exporter.constructor;
+        const definition = themes[theme] || themes.github;
+        return [
+            baseCss,
+            definition.css,
+            this.exporter.getHighlightCss(definition.highlightTheme),
+            '\n        body { max-width: none; margin: 0; padding: 0; }',
+            '\n        .page-break { page-break-after: always; break-after: page; }',
+            customCss ? `\n${customCss}` : ''
+        ].join('') + '\n';
+    }
+
+    /**
+     * Escape text for the package, navigation and chapter head markup
+     */
+    escapeXml(text) {
+        return this.parser.escapeHtml(this.stripInvalidXml(String(text)));
+    }
+
+    /**
+     * Drop the control characters XML 1.0 does not allow, such as ones
+     * pasted along with text, which would make reading systems reject
+     * the book
+     */
+    stripInvalidXml(text) {
+        return text.replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f\ufffe\uffff]/g, '');
+    }
+
+    createUuid() {
+        if (typeof crypto !== 'undefined' && crypto.randomUUID) return crypto.randomUUID();
+        return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, char => {
+            const random = Math.floor(Math.random() * 16);
+            return (char === 'x' ? random : (random & 0x3) | 0x8).toString(16);
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EpubWriter;
+}
@@ -0,0 +1,267 @@
+/**
+ * Front Matter Module
+ * Detects a leading YAML front matter block and parses the subset of YAML
+ * used for document metadata: mappings, sequences, block scalars, flow
+ * collections and plain or quoted scalars
+ */
+
+class FrontMatter {
+    /**
+     * Find front matter at the start of the document. Returns null when
+     * there is none, otherwise the parsed data and the number of lines the
+     * block occupies (delimiters included). Only a block that parses to a
+     * mapping is front matter; anything else, such as a thematic break
+     * followed by text, is left to render as Markdown. When the block is
+     * invalid YAML, data is null and error holds the message.
+     */
+    extract(lines) {
+        if (lines.length < 2 || !/^---[ \t]*$/.test(lines[0])) return null;
+
+        const end = lines.findIndex((line, index) => index > 0 && /^(?:---|\.\.\.)[ \t]*$/.test(line));
+        if (end === -1) return null;
+
+        let data;
+        try {
+            data = this.parse(lines.slice(1, end).join('\n'));
+        } catch (error) {
+            return { data: null, lineCount: end + 1, error: error.message };
+        }
+        if (data !== null && (typeof data !== 'object' || Array.isArray(data))) return null;
+        return { data: data || {}, lineCount: end + 1, error: null };
+    }
+
+    /**
+     * Parse a YAML document
+     */
+    parse(text) {
+        const lines = text.split('\n').map((raw, index) => {
+            const content = this.stripComment(raw).replace(/\s+$/, '');
+            return { raw, content, indent: content.length - content.trimStart().length, number: index + 2 };
+        });
+        const state = { lines, index: 0 };
+
+        this.skipBlank(state);
+        if (state.index >= lines.length) return null;
+
+        const value = this.parseNode(state, lines[state.index].indent);
+        this.skipBlank(state);
+        if (state.index < lines.length) {
+            throw this.error('Unexpected indentation', lines[state.index]);
+        }
+        return value;
+    }
+
+    parseNode(state, indent) {
+        const line = state.lines[state.index];
+        if (/^-(?:\s|$)/.test(line.content.trim())) return this.parseSequence(state, indent);
+        if (this.matchKey(line.content.trim())) return this.parseMapping(state, indent);
+
+        // A bare scalar document
+        state.index++;
+        return this.parseScalar(line.content.trim(), line);
+    }
+
+    parseMapping(state, indent) {
+        const result = {};
+
+        while (this.skipBlank(state) && state.lines[state.index].indent === indent) {
+            const line = state.lines[state.index];
+            const pair = this.matchKey(line.content.trim());
+            if (!pair) throw this.error('Expected "key: value"', line);
+
+            state.index++;
+            result[pair.key] = this.parseValue(state, indent, pair.value, line, true);
+        }
+
+        return result;
+    }
+
+    parseSequence(state, indent) {
+        const result = [];
+
+        while (this.skipBlank(state) && state.lines[state.index].indent === indent) {
+            const line = state.lines[state.index];
+            const item = line.content.trim().match(/^-(?:\s+(.*))?$/);
+            if (!item) break;
+
+            const rest = item[1] || '';
+            if (this.matchKey(rest)) {
+                // "- key: value" starts a mapping indented past the dash
+                const nestedIndent = line.content.indexOf(rest);
+                line.content = ' '.repeat(nestedIndent) + rest;
+                line.indent = nestedIndent;
+                result.push(this.parseMapping(state, nestedIndent));
+            } else {
+                state.index++;
+                result.push(this.parseValue(state, indent, rest, line, false));
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Parse the value following "key:" or "-": inline, a block scalar, or
+     * a nested block on the following lines
+     */
+    parseValue(state, indent, text, line, allowSameIndentSequence) {
+        if (/^[|>][+-]?$/.test(text)) return this.parseBlockScalar(state, indent, text);
+        if (text !== '') return this.parseScalar(text, line);
+
+        if (!this.skipBlank(state)) return null;
+        const next = state.lines[state.index];
+        const sequenceAtSameIndent = allowSameIndentSequence && next.indent === indent && /^-(?:\s|$)/.test(next.content.trim());
+        if (next.indent > indent || sequenceAtSameIndent) return this.parseNode(state, next.indent);
+        return null;
+    }
+
+    /**
+     * Literal (|) and folded (>) block scalars
+     */
+    parseBlockScalar(state, indent, header) {
+        const collected = [];
+        let blockIndent = null;
+
+        while (state.index < state.lines.length) {
+            const line = state.lines[state.index];
+            if (line.raw.trim() === '') {
+                collected.push('');
+                state.index++;
+                continue;
+            }
+            const lineIndent = line.raw.length - line.raw.trimStart().length;
+            if (lineIndent <= indent) break;
+            if (blockIndent === null) blockIndent = lineIndent;
+            collected.push(line.raw.slice(Math.min(blockIndent, lineIndent)));
+            state.index++;
+        }
+
+        while (collected.length && collected[collected.length - 1] === '') collected.pop();
+
+        const text = header[0] === '|'
+            ? collected.join('\n')
+            : collected.reduce((folded, part) => {
+                if (folded === '') return part;
+                if (part === '') return `${folded}\n`;
+                return folded.endsWith('\n') ? folded + part : `${folded} ${part}`;
+            }, '');
+        return header.endsWith('-') ? text : `${text}\n`;
+    }
+
+    /**
+     * Parse an inline scalar or flow collection
+     */
+    parseScalar(text, line) {
+        const value = text.trim();
+
+        if (value.startsWith('"')) {
+            if (!/^"(?:\\.|[^"\\])*"$/.test(value)) throw this.error('Unterminated double-quoted string', line);
+            return value.slice(1, -1).replace(/\\(["\\/nt])/g, (match, char) => ({ n: '\n', t: '\t' }[char] || char));
+        }
+        if (value.startsWith("'")) {
+            if (!/^'(?:''|[^'])*'$/.test(value)) throw this.error('Unterminated single-quoted string', line);
+            return value.slice(1, -1).replace(/''/g, "'");
+        }
+        if (value.startsWith('[')) {
+            if (!value.endsWith(']')) throw this.error('Unterminated flow sequence', line);
+            return this.splitFlow(value.slice(1, -1), line).map(item => this.parseScalar(item, line));
+        }
+        if (value.startsWith('{')) {
+            if (!value.endsWith('}')) throw this.error('Unterminated flow mapping', line);
+            const result = {};
+            this.splitFlow(value.slice(1, -1), line).forEach(item => {
+                const pair = this.matchKey(item);
+                if (!pair) throw this.error(`Expected "key: value" in "${item}"`, line);
+                result[pair.key] = pair.value === '' ? null : this.parseScalar(pair.value, line);
+            });
+            return result;
+        }
+
+        if (/^(?:~|null|Null|NULL)?$/.test(value)) return null;
+        if (/^(?:true|True|TRUE)$/.test(value)) return true;
+        if (/^(?:false|False|FALSE)$/.test(value)) return false;
+        if (/^[-+]?(?:0|[1-9]\d*)$/.test(value)) return parseInt(value, 10);
+        if (/^[-+]?(?:\d+\.\d*|\.\d+|\d+)(?:[eE][-+]?\d+)?$/.test(value)) return parseFloat(value);
+        return value;
+    }
+
+    /**
+     * Split the inside of a flow collection on top-level commas
+     */
+    splitFlow(text, line) {
+        const items = [];
+        let current = '';
+        let depth = 0;
+        let quote = null;
+
+        for (const char of text) {
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                quote = char;
+            } else if (char === '[' || char === '{') {
+                depth++;
+            } else if (char === ']' || char === '}') {
+                depth--;
+            } else if (char === ',' && depth === 0) {
+                items.push(current.trim());
+                current = '';
+                continue;
+            }
+            current += char;
+        }
+
+        if (quote || depth !== 0) throw this.error('Unbalanced flow collection', line);
+        if (current.trim()) items.push(current.trim());
+        return items;
+    }
+
+    /**
+     * Match "key: value" (or "key:") with a plain or quoted key
+     */
+    matchKey(text) {
+        const match = text.match(/^("(?:\\.|[^"\\])*"|'(?:''|[^'])*'|[^\s#'"[\]{},:-][^:]*?|-[^\s:][^:]*?)\s*:(?:\s+(.*)|$)/);
+        if (!match) return null;
+
+        let key = match[1];
+        if (/^["']/.test(key)) key = this.parseScalar(key);
+        return { key: String(key), value: (match[2] || '').trim() };
+    }
+
+    /**
+     * Remove a trailing comment, ignoring # inside quotes
+     */
+    stripComment(line) {
+        let quote = null;
+        for (let i = 0; i < line.length; i++) {
+            const char = line[i];
+            if (quote) {
+                if (char === quote) quote = null;
+            } else if (char === '"' || char === "'") {
+                if (i === 0 || /[\s:[{,-]/.test(line[i - 1])) quote = char;
+            } else if (char === '#' && (i === 0 || /\s/.test(line[i - 1]))) {
+                return line.slice(0, i);
+            }
+        }
+        return line;
+    }
+
+    /**
+     * Advance past blank and comment-only lines. Returns false at the end.
+     */
+    skipBlank(state) {
+        while (state.index < state.lines.length && state.lines[state.index].content.trim() === '') {
+            state.index++;
+        }
+        return state.index < state.lines.length;
+    }
+
+    error(message, line) {
+        return new Error(line ? `Line ${line.number}: ${message}` : message);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FrontMatter;
+}
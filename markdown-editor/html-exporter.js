@@ -0,0 +1,331 @@
+/**
+ * HTML Exporter Module
+ * Renders Markdown into standalone HTML pages: the title block and meta
+ * tags from front matter, and the page template with its styles. Shared
+ * by the editor's HTML export and the md2html command line tool.
+ */
+
+class HtmlExporter {
+    constructor(options = {}) {
+        const Parser = typeof MarkdownParser !== 'undefined' ? MarkdownParser : require('./markdown-parser');
+        const Sanitizer = typeof HtmlSanitizer !== 'undefined' ? HtmlSanitizer : require('./html-sanitizer');
+        this.parser = options.parser || new Parser();
+        this.sanitizer = options.sanitizer || new Sanitizer();
+    }
+
+    /**
+     * Render Markdown to HTML with its title block, sanitizing it unless
+     * the document is trusted. Returns { html, report, ast }.
+     */
+    render(markdown, { trusted = false } = {}) {
+        const ast = this.parser.parseToAst(markdown);
+        const html = markdown ? this.parser.renderDocument(ast) : '';
+        const titleBlock = this.buildTitleBlock(ast);
+        if (trusted) {
+            return { html: titleBlock + html, report: [], ast };
+        }
+        const result = this.sanitizer.sanitize(html);
+        return { html: titleBlock + result.html, report: result.report, ast };
+    }
+
+    /**
+     * Built-in export themes. Each adds its typography and colors to the
+     * shared base styles and picks the code highlighting colors that suit it.
+     */
+    static get themes() {
+        return {
+            github: {
+                name: 'GitHub',
+                highlightTheme: 'light',
+                css: `
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #333; }
+        h1, h2 { border-bottom: 1px solid #eee; padding-bottom: 0.3rem; }
+        code { background-color: #f6f8fa; }
+        pre { border-radius: 6px; }
+        blockquote { border-left: 4px solid #dfe2e5; padding-left: 1rem; color: #6a737d; }
+        .title-block p, .footnotes { color: #6a737d; }
+        .toc { border: 1px solid #dfe2e5; }
+        .admonition { background-color: #f6f8fa; }
+        th, td { border: 1px solid #dfe2e5; }
+        th { background-color: #f6f8fa; }`
+            },
+            academic: {
+                name: 'Academic',
+                highlightTheme: 'light',
+                css: `
+        body { font-family: Charter, Georgia, 'Times New Roman', serif; font-size: 1.1rem; line-height: 1.7; max-width: 42em; color: #111; text-align: justify; hyphens: auto; }
+        h1, h2, h3, h4, h5, h6 { font-weight: 600; text-align: left; }
+        h2 { margin-top: 2em; }
+        a { color: #1a0dab; }
+        code { background-color: #f4f4f4; font-size: 0.9em; }
+        pre { border: 1px solid #ddd; text-align: left; }
+        blockquote { margin: 1em 2em; font-style: italic; color: #333; }
+        .title-block .author { font-variant: small-caps; font-size: 1.1em; }
+        .title-block p { color: #444; }
+        .toc { padding: 0; }
+        .admonition { background-color: #fafafa; }
+        table { width: auto; margin: 1em auto; border-top: 2px solid #111; border-bottom: 2px solid #111; }
+        th { border-bottom: 1px solid #111; }
+        figcaption { text-align: center; font-style: italic; }
+        .footnotes { color: #333; border-top: 1px solid #ccc; }`
+            },
+            slides: {
+                name: 'Slides',
+                highlightTheme: 'light',
+                css: `
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; font-size: 1.6rem; line-height: 1.5; max-width: 1100px; padding: 3rem; color: #1e293b; }
+        h1, h2 { break-before: page; margin-top: 3em; }
+        h1 { font-size: 2.4em; }
+        h2 { font-size: 1.8em; border-bottom: 4px solid #2563eb; padding-bottom: 0.2em; }
+        hr { break-after: page; border: none; border-top: 1px dashed #cbd5e1; margin: 3em 0; }
+        li { margin: 0.4em 0; }
+        code { background-color: #f1f5f9; }
+        pre { border-radius: 8px; font-size: 0.8em; }
+        blockquote { border-left: 6px solid #2563eb; padding-left: 1em; color: #475569; }
+        .title-block { min-height: 80vh; display: flex; flex-direction: column; justify-content: center; }
+        .title-block .title { font-size: 3em; }
+        .title-block p, .footnotes { color: #64748b; }
+        .toc { border: 1px solid #cbd5e1; }
+        .admonition { background-color: #f1f5f9; }
+        th, td { border: 1px solid #cbd5e1; }
+        th { background-color: #f1f5f9; }
+        @page { size: landscape; }`
+            },
+            dark: {
+                name: 'Dark',
+                highlightTheme: 'dark',
+                css: `
+        body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #e2e8f0; background-color: #0f172a; }
+        a { color: #60a5fa; }
+        h1, h2 { border-bottom: 1px solid #334155; padding-bottom: 0.3rem; }
+        code { background-color: #1e293b; }
+        pre { border-radius: 6px; }
+        blockquote { border-left: 4px solid #475569; padding-left: 1rem; color: #94a3b8; }
+        .title-block p, .footnotes { color: #94a3b8; }
+        .toc { border: 1px solid #334155; }
+        .admonition { background-color: #1e293b; }
+        th, td { border: 1px solid #334155; }
+        th { background-color: #1e293b; }
+        .diagram-svg { background-color: #f8fafc; border-radius: 6px; }
+        .diagram-error { background-color: #450a0a; }`
+            }
+        };
+    }
+
+    /**
+     * Layout shared by every theme
+     */
+    static get baseCss() {
+        return `
+        body { line-height: 1.6; max-width: 800px; margin: 0 auto; padding: 2rem; }
+        code { padding: 0.2em 0.4em; border-radius: 3px; font-family: 'Consolas', 'Monaco', monospace; }
+        pre { padding: 1rem; overflow-x: auto; }
+        .title-block { margin-bottom: 2rem; text-align: center; }
+        .title-block .title { border-bottom: none; margin-bottom: 0.25rem; }
+        .title-block p { margin: 0.25rem 0; }
+        .title-block .subtitle { font-size: 1.2em; }
+        .toc { margin: 1em 0; padding: 0.5em 1em; border-radius: 6px; }
+        .toc ul { margin: 0; padding-left: 1.25em; }
+        .admonition { margin: 1em 0; padding: 0.5em 1em; border-left: 4px solid #0969da; border-radius: 4px; }
+        .admonition-title { margin: 0 0 0.25em; font-weight: 600; color: #0969da; }
+        .admonition-tip { border-left-color: #1a7f37; } .admonition-tip .admonition-title { color: #1a7f37; }
+        .admonition-important { border-left-color: #8250df; } .admonition-important .admonition-title { color: #8250df; }
+        .admonition-warning { border-left-color: #9a6700; } .admonition-warning .admonition-title { color: #9a6700; }
+        .admonition-caution { border-left-color: #cf222e; } .admonition-caution .admonition-title { color: #cf222e; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { padding: 0.5rem; text-align: left; }
+        dt { font-weight: 600; }
+        dd { margin-left: 2em; }
+        abbr[title] { text-decoration: underline dotted; }
+        .footnotes { font-size: 0.9em; }
+        .math-display { margin: 1em 0; overflow-x: auto; text-align: center; }
+        .math-error { font-family: 'Consolas', 'Monaco', monospace; color: #ef4444; border-bottom: 1px dashed #ef4444; }
+        .diagram { margin: 1em 0; overflow-x: auto; text-align: center; }
+        .diagram-svg { max-width: 100%; height: auto; }
+        .diagram-invalid { text-align: left; }
+        img { max-width: 100%; }
+        .diagram-error { padding: 0.5rem 0.75rem; color: #ef4444; background-color: #fef2f2; border-left: 3px solid #ef4444; }`;
+    }
+
+    /**
+     * The page used unless a custom template is chosen. Templates may use
+     * the placeholders {{title}}, {{content}}, {{toc}}, {{meta}},
+     * {{style}} and {{lang}}.
+     */
+    static get defaultTemplate() {
+        return `<!DOCTYPE html>
+<html lang="{{lang}}">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">{{meta}}
+    <title>{{title}}</title>
+    <style>{{style}}
+    </style>
+</head>
+<body>
+{{content}}
+</body>
+</html>`;
+    }
+
+    /**
+     * Wrap rendered HTML in a page template. {{style}} holds the theme's
+     * styles followed by any custom CSS. Documents without a title of
+     * their own are given `title`.
+     */
+    buildPage(htmlContent, ast, { theme = 'github', template = '', customCss = '', title = '' } = {}) {
+        const metadata = ast.metadata || {};
+        const escape = value => this.parser.escapeHtml(value);
+        const definition = HtmlExporter.themes[theme] || HtmlExporter.themes.github;
+        // Custom CSS must not be able to close the style element
+        const custom = customCss.trim() ? `\n${customCss.trim().replace(/<\/style/gi, '<\\/style')}` : '';
+        const style = HtmlExporter.baseCss + definition.css + this.getHighlightCss(definition.highlightTheme) + custom;
+
+        return this.fillTemplate(template || HtmlExporter.defaultTemplate, {
+            title: escape(this.getDocumentTitle(ast, title)),
+            content: htmlContent,
+            toc: this.parser.renderToc(ast.headings.filter(heading => heading.id)),
+            meta: this.buildMetaTags(metadata),
+            style,
+            lang: escape(this.formatMetadataValue(metadata.lang || metadata.language) || 'en')
+        });
+    }
+
+    /**
+     * Replace {{name}} placeholders in one pass, so values that contain
+     * placeholder-like text are left alone. Unknown names are kept.
+     */
+    fillTemplate(template, values) {
+        return template.replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, name) => (
+            Object.prototype.hasOwnProperty.call(values, name) ? values[name] : placeholder
+        ));
+    }
+
+    /**
+     * Styles for a print-ready page: paper size and margins, a running
+     * header and footer, and page breaks that keep code blocks, tables and
+     * figures whole. The header and footer text may use {{title}},
+     * {{date}}, {{page}} and {{pages}}.
+     */
+    getPrintCss({ paperSize = 'A4', orientation = 'portrait', margin = '20mm', header = '', footer = '' } = {}, values = {}) {
+        const size = ['A4', 'A5', 'letter', 'legal'].includes(paperSize) ? paperSize : 'A4';
+        const direction = orientation === 'landscape' ? 'landscape' : 'portrait';
+        const pageMargin = /^\d+(?:\.\d+)?mm$/.test(margin) ? margin : '20mm';
+        const marginBox = (position, text) => (text.trim()
+            ? `\n            @${position} { content: ${this.toCssContent(text, values)}; font: 9pt sans-serif; color: #666; }`
+            : '');
+
+        return `
+        @page {
+            size: ${size} ${direction};
+            margin: ${pageMargin};${marginBox('top-center', header)}${marginBox('bottom-center', footer)}
+        }
+        @media print {
+            body { max-width: none; margin: 0; padding: 0; }
+        }
+        pre, table, figure, img, .diagram, .math-display, .admonition { break-inside: avoid; }
+        h1, h2, h3, h4, h5, h6 { break-after: avoid; }
+        p, li { orphans: 3; widows: 3; }
+        thead { display: table-header-group; }
+        .page-break { break-after: page; }`;
+    }
+
+    /**
+     * Turn header or footer text into a CSS content value, with page
+     * counters for {{page}} and {{pages}}
+     */
+    toCssContent(text, values) {
+        const parts = text.split(/(\{\{\s*\w+\s*\}\})/).map(part => {
+            const name = (part.match(/^\{\{\s*(\w+)\s*\}\}$/) || [])[1];
+            if (name === 'page' || name === 'pages') return `counter(${name})`;
+            const literal = name && values[name] !== undefined ? String(values[name]) : part;
+            // "<" is escaped so that no text can close the style element
+            return literal ? `"${literal.replace(/[\\"]/g, '\\$&').replace(/\s+/g, ' ').replace(/</g, '\\3c ')}"` : '';
+        });
+        return parts.filter(Boolean).join(' ');
+    }
+
+    getHighlightCss(theme) {
+        if (!this.parser.highlighter) return '';
+        return `\n${this.parser.highlighter.getThemeCss(theme, { includeBlock: true })}`;
+    }
+
+    /**
+     * Build the title block shown above the document from front matter
+     */
+    buildTitleBlock(ast) {
+        const escape = value => this.parser.escapeHtml(value);
+        const { title, subtitle, author, date } = this.getTitleFields(ast);
+        const parts = [];
+
+        if (title) parts.push(`<h1 class="title">${escape(title)}</h1>`);
+        if (subtitle) parts.push(`<p class="subtitle">${escape(subtitle)}</p>`);
+        if (author) parts.push(`<p class="author">${escape(author)}</p>`);
+        if (date) parts.push(`<p class="date">${escape(date)}</p>`);
+
+        return parts.length ? `<div class="title-block">\n${parts.join('\n')}\n</div>\n` : '';
+    }
+
+    /**
+     * The front matter fields of the title block as display text. The
+     * title is left out when the document already opens with it as a
+     * level-one heading.
+     */
+    getTitleFields(ast) {
+        const metadata = ast.metadata || {};
+        const title = this.formatMetadataValue(metadata.title);
+        const firstHeading = ast.headings[0];
+        return {
+            title: title && !(firstHeading && firstHeading.level === 1 && firstHeading.text === title) ? title : '',
+            subtitle: this.formatMetadataValue(metadata.subtitle),
+            author: this.formatMetadataValue(metadata.author || metadata.authors),
+            date: this.formatMetadataValue(metadata.date)
+        };
+    }
+
+    /**
+     * Turn a front matter value into display text. Lists are joined and
+     * objects such as { name, email } authors contribute their name.
+     */
+    formatMetadataValue(value) {
+        if (value === null || value === undefined) return '';
+        if (Array.isArray(value)) {
+            return value.map(item => this.formatMetadataValue(item)).filter(Boolean).join(', ');
+        }
+        if (typeof value === 'object') return this.formatMetadataValue(value.name);
+        return String(value).trim();
+    }
+
+    /**
+     * Document title for exports: the front matter title, else the first
+     * level-one heading, else the fallback
+     */
+    getDocumentTitle(ast, fallback = '') {
+        const title = this.formatMetadataValue(ast.metadata && ast.metadata.title);
+        if (title) return title;
+        const heading = ast.headings.find(entry => entry.level === 1);
+        return heading && heading.text ? heading.text : fallback || 'Markdown Document';
+    }
+
+    /**
+     * Build <meta> tags for exported HTML from front matter
+     */
+    buildMetaTags(metadata) {
+        const fields = {
+            author: metadata.author || metadata.authors,
+            description: metadata.description || metadata.summary,
+            keywords: metadata.keywords || metadata.tags,
+            date: metadata.date
+        };
+        return Object.entries(fields)
+            .map(([name, value]) => [name, this.formatMetadataValue(value)])
+            .filter(([, content]) => content)
+            .map(([name, content]) => `\n    <meta name="${name}" content="${this.parser.escapeHtml(content)}">`)
+            .join('');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HtmlExporter;
+}
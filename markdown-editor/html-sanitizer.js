@@ -0,0 +1,223 @@
+/**
+ * HTML Sanitizer Module
+ * Filters rendered HTML against an allowlist of tags, attributes and URL
+ * schemes, and reports everything it removed
+ */
+
+class HtmlSanitizer {
+    constructor(options = {}) {
+        const defaults = HtmlSanitizer.defaults;
+        this.allowedTags = new Set(options.allowedTags || defaults.allowedTags);
+        this.allowedAttributes = { ...defaults.allowedAttributes, ...(options.allowedAttributes || {}) };
+        this.allowedSchemes = new Set(options.allowedSchemes || defaults.allowedSchemes);
+        this.droppedContentTags = new Set(options.droppedContentTags || defaults.droppedContentTags);
+    }
+
+    /**
+     * Default allowlist. The '*' attribute entry applies to every tag.
+     */
+    static get defaults() {
+        return {
+            allowedTags: [
+                'a', 'abbr', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'dd', 'del', 'details',
+                'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+                'hr', 'i', 'img', 'input', 'ins', 'kbd', 'li', 'mark', 'nav', 'ol', 'p', 'pre', 'q', 's', 'samp',
+                'section', 'small', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td',
+                'tfoot', 'th', 'thead', 'tr', 'u', 'ul', 'var',
+                // MathML produced by the math renderer
+                'math', 'semantics', 'annotation', 'mrow', 'mi', 'mn', 'mo', 'mtext', 'mspace', 'msup', 'msub',
+                'msubsup', 'mfrac', 'msqrt', 'mroot', 'mover', 'munder', 'munderover', 'mtable', 'mtr', 'mtd',
+                // SVG produced by the diagram renderer
+                'svg', 'g', 'defs', 'marker', 'path', 'line', 'polyline', 'polygon', 'rect', 'circle',
+                'ellipse', 'text', 'tspan'
+            ],
+            allowedAttributes: {
+                '*': ['id', 'class', 'title', 'lang', 'dir', 'data-source-line', 'data-source-end'],
+                a: ['href', 'name'],
+                img: ['src', 'alt', 'width', 'height'],
+                input: ['type', 'checked', 'disabled'],
+                ol: ['start', 'type'],
+                td: ['colspan', 'rowspan', 'style'],
+                th: ['colspan', 'rowspan', 'style', 'scope'],
+                details: ['open'],
+                q: ['cite'],
+                blockquote: ['cite'],
+                math: ['xmlns', 'display'],
+                annotation: ['encoding'],
+                mi: ['mathvariant'],
+                mn: ['mathvariant'],
+                mo: ['stretchy', 'fence', 'largeop', 'movablelimits'],
+                mfrac: ['linethickness'],
+                mspace: ['width'],
+                mover: ['accent'],
+                munder: ['accentunder'],
+                mtable: ['columnalign'],
+                svg: ['xmlns', 'width', 'height', 'viewbox', 'role', 'aria-label', 'font-family', 'font-size'],
+                marker: ['viewbox', 'refx', 'refy', 'markerwidth', 'markerheight', 'orient'],
+                path: ['d', 'fill', 'stroke', 'stroke-width', 'stroke-dasharray', 'marker-start', 'marker-end'],
+                line: ['x1', 'y1', 'x2', 'y2', 'stroke', 'stroke-width', 'stroke-dasharray', 'marker-start', 'marker-end'],
+                polyline: ['points', 'fill', 'stroke', 'stroke-width', 'stroke-dasharray'],
+                polygon: ['points', 'fill', 'stroke', 'stroke-width'],
+                rect: ['x', 'y', 'width', 'height', 'rx', 'ry', 'fill', 'stroke', 'stroke-width', 'stroke-dasharray'],
+                circle: ['cx', 'cy', 'r', 'fill', 'stroke', 'stroke-width'],
+                ellipse: ['cx', 'cy', 'rx', 'ry', 'fill', 'stroke', 'stroke-width'],
+                text: ['x', 'y', 'text-anchor', 'dominant-baseline', 'fill', 'font-size', 'font-weight'],
+                tspan: ['x', 'y', 'dx', 'dy']
+            },
+            allowedSchemes: ['http', 'https', 'mailto', 'tel', 'ftp'],
+            droppedContentTags: [
+                'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet',
+                'noscript', 'template', 'textarea', 'select'
+            ]
+        };
+    }
+
+    /**
+     * Sanitize an HTML string. Returns the cleaned HTML together with a
+     * report listing every removed tag, attribute and URL.
+     */
+    sanitize(html) {
+        const report = [];
+        const tagPattern = /<!--[\s\S]*?(?:-->|$)|<(\/?)([A-Za-z][A-Za-z0-9-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+        let output = '';
+        let lastIndex = 0;
+        let match;
+
+        while ((match = tagPattern.exec(html)) !== null) {
+            output += this.escapeText(html.slice(lastIndex, match.index));
+            lastIndex = tagPattern.lastIndex;
+
+            const [source, closing, rawName, rawAttributes, selfClosing] = match;
+            if (!rawName) continue; // Comments are dropped silently
+
+            const name = rawName.toLowerCase();
+
+            if (this.droppedContentTags.has(name)) {
+                report.push({ type: 'tag', name, value: source });
+                if (!closing) {
+                    // Skip everything up to the matching end tag
+                    const end = html.toLowerCase().indexOf(`</${name}`, lastIndex);
+                    const close = end === -1 ? -1 : html.indexOf('>', end);
+                    lastIndex = close === -1 ? html.length : close + 1;
+                    tagPattern.lastIndex = lastIndex;
+                }
+                continue;
+            }
+
+            if (!this.allowedTags.has(name)) {
+                if (!closing) report.push({ type: 'tag', name, value: source });
+                continue;
+            }
+
+            if (closing) {
+                output += `</${name}>`;
+                continue;
+            }
+
+            const attributes = this.sanitizeAttributes(name, rawAttributes, report);
+            output += `<${name}${attributes}${selfClosing ? ' /' : ''}>`;
+        }
+
+        output += this.escapeText(html.slice(lastIndex));
+        return { html: output, report };
+    }
+
+    /**
+     * Keep only allowlisted attributes with safe values
+     */
+    sanitizeAttributes(tag, rawAttributes, report) {
+        const allowed = [...(this.allowedAttributes['*'] || []), ...(this.allowedAttributes[tag] || [])];
+        const attributePattern = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+        let result = '';
+        let match;
+
+        while ((match = attributePattern.exec(rawAttributes)) !== null) {
+            const name = match[1].toLowerCase();
+            const hasValue = match[2] !== undefined || match[3] !== undefined || match[4] !== undefined;
+            const value = match[2] ?? match[3] ?? match[4] ?? '';
+
+            if (!allowed.includes(name)) {
+                report.push({ type: 'attribute', name, value, tag });
+                continue;
+            }
+
+            if (['href', 'src', 'cite'].includes(name) && !this.isSafeUrl(value, tag)) {
+                report.push({ type: 'url', name, value, tag });
+                continue;
+            }
+
+            if (name === 'style' && !this.isSafeStyle(value)) {
+                report.push({ type: 'attribute', name, value, tag });
+                continue;
+            }
+
+            result += hasValue ? ` ${name}="${this.escapeAttribute(value)}"` : ` ${name}`;
+        }
+
+        return result;
+    }
+
+    /**
+     * Check a URL against the allowed schemes. Relative URLs and fragment
+     * links are always allowed; data: URLs only for raster images, and
+     * asset: references to the editor's stored images only for images.
+     */
+    isSafeUrl(value, tag) {
+        const url = this.decodeEntities(value).replace(/[\u0000- \u007f-\u009f]/g, '');
+        const scheme = url.match(/^([A-Za-z][A-Za-z0-9+.-]*):/);
+        if (!scheme) return true;
+
+        const name = scheme[1].toLowerCase();
+        if (name === 'data') {
+            return tag === 'img' && /^data:image\/(?:png|gif|jpe?g|webp|bmp);/i.test(url);
+        }
+        if (name === 'asset') return tag === 'img';
+        return this.allowedSchemes.has(name);
+    }
+
+    /**
+     * Inline styles are limited to the alignment the parser emits
+     */
+    isSafeStyle(value) {
+        return /^\s*text-align:\s*(?:left|right|center)\s*;?\s*$/i.test(value);
+    }
+
+    decodeEntities(text) {
+        const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", colon: ':', tab: '\t', newline: '\n' };
+        return text.replace(/&(?:#[xX]([0-9a-fA-F]+)|#([0-9]+)|([A-Za-z]+));?/g, (entity, hex, decimal, name) => {
+            if (hex || decimal) {
+                const code = hex ? parseInt(hex, 16) : parseInt(decimal, 10);
+                return code <= 0x10ffff ? String.fromCodePoint(code) : '';
+            }
+            return named[name.toLowerCase()] ?? entity;
+        });
+    }
+
+    escapeText(text) {
+        return text.replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    escapeAttribute(value) {
+        return value
+            .replace(/&(?!#?[A-Za-z0-9]+;)/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    /**
+     * Summarize a report as a short human readable list
+     */
+    describeReport(report) {
+        return report.map(entry => {
+            if (entry.type === 'tag') return `<${entry.name}> element`;
+            if (entry.type === 'url') return `${entry.name}="${entry.value}" on <${entry.tag}>`;
+            return `${entry.name} attribute on <${entry.tag}>`;
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HtmlSanitizer;
+}
@@ -0,0 +1,427 @@
+/**
+ * HTML to Markdown Module
+ * Converts HTML, such as rich clipboard content from a web page or a word
+ * processor, or an HTML file, back to the Markdown the parser reads:
+ * headings, emphasis, links, images, lists, tables, code blocks and
+ * quotes. HTML is read with the browser's DOMParser.
+ */
+
+class HtmlToMarkdown {
+    constructor(options = {}) {
+        this.bullet = options.bullet || '-';
+        this.blockTags = new Set([
+            'address', 'article', 'aside', 'blockquote', 'body', 'caption', 'center', 'details', 'dialog',
+            'dd', 'div', 'dl', 'dt', 'fieldset', 'figcaption', 'figure', 'footer', 'form', 'h1', 'h2',
+            'h3', 'h4', 'h5', 'h6', 'header', 'hgroup', 'hr', 'html', 'legend', 'li', 'main', 'menu',
+            'nav', 'ol', 'p', 'pre', 'section', 'summary', 'table', 'tbody', 'td', 'tfoot', 'th',
+            'thead', 'tr', 'ul'
+        ]);
+        this.skipTags = new Set([
+            'head', 'script', 'style', 'template', 'noscript', 'title', 'meta', 'link', 'object',
+            'iframe', 'svg', 'canvas', 'audio', 'video', 'button', 'select', 'textarea'
+        ]);
+        this.blockSelector = [...this.blockTags].join(', ');
+    }
+
+    /**
+     * Convert an HTML document or fragment to Markdown
+     */
+    convert(html) {
+        const root = this.parse(html);
+        return this.convertBlocks(root, {}).join('\n\n').trim();
+    }
+
+    /**
+     * Whether HTML carries formatting that Markdown can express. Plain
+     * paragraphs, and code copied from editors as colored spans, do not.
+     */
+    isFormatted(html) {
+        const structural = /^(?:h[1-6]|ul|ol|table|pre|blockquote|hr|img|code|math|dl)$/;
+        return [...this.parse(html).querySelectorAll('*')].some(element => {
+            const tag = element.tagName.toLowerCase();
+            if (structural.test(tag)) return true;
+            if (tag === 'a') return element.hasAttribute('href');
+            const format = this.getFormat(element);
+            return format.bold || format.italic || format.strike;
+        });
+    }
+
+    parse(html) {
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        this.normalizeWordLists(doc);
+        return doc.body;
+    }
+
+    /**
+     * Word copies list items as paragraphs with an mso-list style and a
+     * typed marker. Rebuild them as real nested lists.
+     */
+    normalizeWordLists(doc) {
+        let stack = [];
+        doc.querySelectorAll('p[style*="mso-list"]').forEach(paragraph => {
+            const style = paragraph.getAttribute('style');
+            const level = parseInt((style.match(/level(\d+)/) || [null, '1'])[1], 10);
+            const marker = paragraph.querySelector('[style*="mso-list"]');
+            const ordered = marker ? /^\(?[0-9A-Za-z]{1,5}[.)]$/.test(marker.textContent.trim()) : false;
+            if (marker) marker.remove();
+
+            if (stack.length === 0 || paragraph.previousElementSibling !== stack[0].list) stack = [];
+            while (stack.length && stack[stack.length - 1].level > level) stack.pop();
+            let top = stack[stack.length - 1];
+            if (!top || top.level < level) {
+                const list = doc.createElement(ordered ? 'ol' : 'ul');
+                if (top && top.list.lastElementChild) top.list.lastElementChild.appendChild(list);
+                else paragraph.before(list);
+                top = { level, list };
+                stack.push(top);
+            }
+
+            const item = doc.createElement('li');
+            item.append(...paragraph.childNodes);
+            top.list.appendChild(item);
+            paragraph.remove();
+        });
+    }
+
+    /**
+     * Markdown blocks for the children of an element. Runs of inline
+     * content between block elements become paragraphs.
+     */
+    convertBlocks(parent, context) {
+        const blocks = [];
+        let inline = '';
+        const flush = () => {
+            const paragraph = this.finishParagraph(inline);
+            if (paragraph) blocks.push(paragraph);
+            inline = '';
+        };
+
+        parent.childNodes.forEach(node => {
+            if (node.nodeType === 1 && this.blockTags.has(node.tagName.toLowerCase())) {
+                flush();
+                blocks.push(...this.convertBlock(node, context));
+            } else if (node.nodeType === 1 && !this.skipTags.has(node.tagName.toLowerCase()) && node.querySelector(this.blockSelector)) {
+                // Inline wrappers around whole blocks, such as the one
+                // Google Docs puts around everything, are looked through
+                flush();
+                blocks.push(...this.convertBlocks(node, context));
+            } else {
+                inline += this.convertInline(node, context);
+            }
+        });
+        flush();
+        return blocks;
+    }
+
+    convertBlock(element, context) {
+        const tag = element.tagName.toLowerCase();
+        if (/^h[1-6]$/.test(tag)) {
+            const text = this.convertChildren(element, { ...context, bold: true }).replace(/\s+/g, ' ').trim();
+            return text ? [`${'#'.repeat(Number(tag[1]))} ${text}`] : [];
+        }
+
+        switch (tag) {
+            case 'p': {
+                const paragraph = this.finishParagraph(this.convertChildren(element, context));
+                return paragraph ? [paragraph] : [];
+            }
+            case 'blockquote': {
+                const content = this.convertBlocks(element, context).join('\n\n');
+                return content ? [content.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n')] : [];
+            }
+            case 'ul':
+            case 'ol': {
+                const list = this.convertList(element, context);
+                return list ? [list] : [];
+            }
+            case 'pre':
+                return [this.convertCodeBlock(element)];
+            case 'hr':
+                return ['---'];
+            case 'table': {
+                const table = this.convertTable(element, context);
+                return table ? [table] : [];
+            }
+            case 'dl': {
+                const list = this.convertDefinitionList(element, context);
+                return list ? [list] : [];
+            }
+            default:
+                return this.convertBlocks(element, context);
+        }
+    }
+
+    convertList(list, context) {
+        const ordered = list.tagName.toLowerCase() === 'ol';
+        const start = parseInt(list.getAttribute('start'), 10);
+        const first = Number.isNaN(start) ? 1 : start;
+        const items = [...list.children]
+            .filter(child => child.tagName.toLowerCase() === 'li')
+            .map(item => this.convertBlocks(item, { ...context, listItem: true }));
+        if (items.length === 0) return '';
+
+        // A list is tight unless an item holds several paragraphs
+        const isList = block => /^(?:[-*+]|\d+[.)])(?: |$)/.test(block);
+        const tight = items.every(blocks => blocks.filter(block => !isList(block)).length <= 1);
+
+        return items.map((blocks, i) => {
+            const marker = ordered ? `${first + i}. ` : `${this.bullet} `;
+            return this.indent(blocks.join(tight ? '\n' : '\n\n'), marker);
+        }).join(tight ? '\n' : '\n\n');
+    }
+
+    convertCodeBlock(pre) {
+        const code = pre.querySelector('code');
+        const classes = `${code ? code.getAttribute('class') || '' : ''} ${pre.getAttribute('class') || ''}`;
+        const match = classes.match(/(?:^|\s)(?:language|lang)-([\w+#.-]+)/);
+        const language = match && match[1] !== 'plaintext' ? match[1] : '';
+        const text = this.preformattedText(pre).replace(/\u00a0/g, ' ').replace(/\n$/, '');
+
+        const longest = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longest + 1);
+        return `${fence}${language}\n${text}\n${fence}`;
+    }
+
+    /**
+     * Text of preformatted content. Highlighters that put every line in
+     * its own block element or end lines with <br> keep their line breaks.
+     */
+    preformattedText(node) {
+        let text = '';
+        node.childNodes.forEach(child => {
+            if (child.nodeType === 3) {
+                text += child.data;
+            } else if (child.nodeType === 1) {
+                const tag = child.tagName.toLowerCase();
+                if (tag === 'br') {
+                    text += '\n';
+                } else {
+                    text += this.preformattedText(child);
+                    if (this.blockTags.has(tag) && !text.endsWith('\n')) text += '\n';
+                }
+            }
+        });
+        return text;
+    }
+
+    /**
+     * A pipe table. The first row is the header; its cells give the
+     * column alignment.
+     */
+    convertTable(table, context) {
+        const rows = [...table.rows];
+        if (rows.length === 0) return '';
+
+        const cells = rows.map(row => [...row.cells].map(cell => {
+            const blocks = this.convertBlocks(cell, { ...context, bold: context.bold || cell.tagName.toLowerCase() === 'th' });
+            return blocks.join('<br>').replace(/\\\n/g, '<br>').replace(/\n+/g, ' ').replace(/\|/g, '\\|');
+        }));
+        const columns = Math.max(...cells.map(row => row.length));
+        if (columns === 0) return '';
+
+        const align = [...rows[0].cells].map(cell => (cell.getAttribute('align') || cell.style.textAlign || '').toLowerCase());
+        const delimiter = Array.from({ length: columns }, (value, i) => (
+            { left: ':---', center: ':---:', right: '---:' }[align[i]] || '---'
+        ));
+        const line = row => `| ${Array.from({ length: columns }, (value, i) => row[i] || '').join(' | ')} |`;
+        return [line(cells[0]), line(delimiter), ...cells.slice(1).map(line)].join('\n');
+    }
+
+    convertDefinitionList(list, context) {
+        const lines = [];
+        [...list.children].forEach(child => {
+            const tag = child.tagName.toLowerCase();
+            const content = this.convertBlocks(child, context).join('\n\n');
+            if (!content) return;
+            if (tag === 'dt') {
+                if (lines.length && lines[lines.length - 1].startsWith(':')) lines.push('');
+                lines.push(content.replace(/\\?\n/g, ' '));
+            } else if (tag === 'dd') {
+                lines.push(this.indent(content, ': '));
+            }
+        });
+        return lines.join('\n');
+    }
+
+    convertChildren(element, context) {
+        return [...element.childNodes].map(node => this.convertInline(node, context)).join('');
+    }
+
+    /**
+     * Inline Markdown for a node. Line breaks come out as newlines, which
+     * finishParagraph() turns into hard breaks.
+     */
+    convertInline(node, context) {
+        if (node.nodeType === 3) return this.escapeText(node.data.replace(/[ \t\r\n\f\u00a0]+/g, ' '));
+        if (node.nodeType !== 1) return '';
+
+        const tag = node.tagName.toLowerCase();
+        if (this.skipTags.has(tag)) return '';
+
+        switch (tag) {
+            case 'br':
+                return '\n';
+            case 'img':
+                return this.convertImage(node);
+            case 'a':
+                return this.convertLink(node, context);
+            case 'code':
+            case 'kbd':
+            case 'samp':
+            case 'tt':
+                return this.codeSpan(node.textContent);
+            case 'math':
+                return this.convertMath(node);
+            case 'sup':
+            case 'sub': {
+                const content = this.convertChildren(node, context).trim();
+                return content ? `<${tag}>${content}</${tag}>` : '';
+            }
+            case 'input':
+                if (context.listItem && (node.getAttribute('type') || '').toLowerCase() === 'checkbox') {
+                    return node.hasAttribute('checked') ? '[x] ' : '[ ] ';
+                }
+                return '';
+            default:
+                break;
+        }
+
+        const format = this.getFormat(node);
+        let content = this.convertChildren(node, {
+            ...context,
+            bold: context.bold || format.bold,
+            italic: context.italic || format.italic,
+            strike: context.strike || format.strike
+        });
+        if (this.blockTags.has(tag)) content = ` ${content} `;
+        if (format.strike && !context.strike) content = this.wrap(content, '~~');
+        if (format.italic && !context.italic) content = this.wrap(content, '*');
+        if (format.bold && !context.bold) content = this.wrap(content, '**');
+        return content;
+    }
+
+    /**
+     * Bold, italic and strikethrough from the tag or, as word processors
+     * write it, from inline styles. A style overrides the tag, so Google
+     * Docs' <b style="font-weight: normal"> wrapper is not bold.
+     */
+    getFormat(element) {
+        const tag = element.tagName.toLowerCase();
+        const style = element.style || {};
+        let bold = tag === 'strong' || tag === 'b';
+        if (style.fontWeight) bold = /^(?:bold|bolder)$/.test(style.fontWeight) || parseInt(style.fontWeight, 10) >= 600;
+        let italic = tag === 'em' || tag === 'i';
+        if (style.fontStyle) italic = style.fontStyle === 'italic' || style.fontStyle === 'oblique';
+        const decoration = `${style.textDecoration || ''} ${style.textDecorationLine || ''}`;
+        const strike = tag === 'del' || tag === 's' || tag === 'strike' || decoration.includes('line-through');
+        return { bold, italic, strike };
+    }
+
+    /**
+     * Put emphasis markers around content, keeping surrounding spaces
+     * outside so the markers stay valid
+     */
+    wrap(content, marker) {
+        const [, leading, text, trailing] = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        return text ? `${leading}${marker}${text}${marker}${trailing}` : content;
+    }
+
+    convertLink(link, context) {
+        const text = this.convertChildren(link, context).replace(/\n/g, ' ');
+        const href = (link.getAttribute('href') || '').trim();
+        if (!href || /^(?:javascript|vbscript|data):/i.test(href)) return text;
+        if (!text.trim()) return '';
+
+        const label = link.textContent.trim();
+        if (label === href && /^(?:https?|ftp):\/\/[^\s<>]+$/i.test(href) && !link.querySelector('img')) return `<${href}>`;
+        return `[${text.trim()}](${this.escapeUrl(href)}${this.formatTitle(link.getAttribute('title'))})`;
+    }
+
+    convertImage(image) {
+        const src = (image.getAttribute('src') || '').trim();
+        const alt = (image.getAttribute('alt') || '').replace(/\s+/g, ' ').trim();
+        // Blob URLs only live as long as the page they came from
+        if (!src || src.startsWith('blob:')) return this.escapeText(alt);
+        return `![${alt.replace(/[[\]\\]/g, '\\$&')}](${this.escapeUrl(src)}${this.formatTitle(image.getAttribute('title'))})`;
+    }
+
+    /**
+     * Math as TeX. MathML rendered by the editor carries its source as an
+     * annotation.
+     */
+    convertMath(math) {
+        const annotation = math.querySelector('annotation[encoding="application/x-tex"]');
+        if (!annotation) return this.escapeText(math.textContent.replace(/\s+/g, ' '));
+        const tex = annotation.textContent.trim();
+        return math.getAttribute('display') === 'block' ? `$$${tex}$$` : `$${tex}$`;
+    }
+
+    codeSpan(text) {
+        const code = text.replace(/[ \t\r\n\f\u00a0]+/g, ' ');
+        if (!code.trim()) return '';
+        const longest = Math.max(0, ...(code.match(/`+/g) || []).map(run => run.length));
+        const fence = '`'.repeat(longest + 1);
+        const padding = code.startsWith('`') || code.endsWith('`') ? ' ' : '';
+        return `${fence}${padding}${code}${padding}${fence}`;
+    }
+
+    escapeUrl(url) {
+        return url.replace(/ /g, '%20').replace(/\(/g, '%28').replace(/\)/g, '%29');
+    }
+
+    formatTitle(title) {
+        return title ? ` "${title.replace(/["\\]/g, '\\$&')}"` : '';
+    }
+
+    /**
+     * Escape characters that would otherwise start Markdown syntax.
+     * Underscores inside words are left alone, as they never emphasize.
+     */
+    escapeText(text) {
+        return text
+            .replace(/[\\`*[]/g, '\\$&')
+            .replace(/(?<![\p{L}\p{N}])_|_(?![\p{L}\p{N}])/gu, '\\_')
+            .replace(/<(?=[A-Za-z/!?])/g, '\\<')
+            .replace(/~~/g, '\\~\\~')
+            .replace(/\$(?=\S)/g, '\\$')
+            .replace(/&(?=#?[A-Za-z0-9]+;)/g, '&amp;');
+    }
+
+    /**
+     * Tidy the inline Markdown of a paragraph: collapse spaces, turn line
+     * breaks into hard breaks (two in a row end the paragraph) and escape
+     * text that would read as a block marker at the start of a line
+     */
+    finishParagraph(inline) {
+        return inline
+            .split('\n')
+            .map(line => this.escapeLineStart(line.replace(/ {2,}/g, ' ').trim()))
+            .join('\\\n')
+            .replace(/(?:\\\n){2,}/g, '\n\n')
+            .replace(/^(?:\\\n)+|(?:\\\n)+$/g, '')
+            .trim();
+    }
+
+    escapeLineStart(line) {
+        return line
+            .replace(/^(#{1,6}|>|[-+]|=+|-{3,})(?=\s|$)/, '\\$1')
+            .replace(/^:(?=\s|::)/, '\\:')
+            .replace(/^(\d{1,9})([.)])(?=\s|$)/, '$1\\$2');
+    }
+
+    /**
+     * Indent every line after the first to line up under a list marker
+     */
+    indent(text, marker) {
+        const padding = ' '.repeat(marker.length);
+        return text.split('\n').map((line, i) => {
+            if (i === 0) return `${marker}${line}`.replace(/\s+$/, '');
+            return line ? padding + line : line;
+        }).join('\n');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = HtmlToMarkdown;
+}
@@ -1,96 +1,300 @@
 /**
  * Markdown Parser Module
- * Converts Markdown text to HTML using regular expressions
+ * Converts Markdown text to HTML in two phases: the block structure is
+ * tokenized into an AST first, then inline content is parsed and the tree
+ * is rendered to HTML
  */
 
 class MarkdownParser {
-    constructor() {
-        this.rules = this.initializeRules();
-    }
-
-    /**
-     * Initialize parsing rules with regex patterns
-     */
-    initializeRules() {
-        return [
-            // Headers (h1-h6)
-            { pattern: /^#{6}\s+(.+)$/gm, replacement: '<h6>$1</h6>' },
-            { pattern: /^#{5}\s+(.+)$/gm, replacement: '<h5>$1</h5>' },
-            { pattern: /^#{4}\s+(.+)$/gm, replacement: '<h4>$1</h4>' },
-            { pattern: /^#{3}\s+(.+)$/gm, replacement: '<h3>$1</h3>' },
-            { pattern: /^#{2}\s+(.+)$/gm, replacement: '<h2>$1</h2>' },
-            { pattern: /^#\s+(.+)$/gm, replacement: '<h1>$1</h1>' },
-            
-            // Horizontal rules
-            { pattern: /^---+$/gm, replacement: '<hr>' },
-            { pattern: /^\*\*\*+$/gm, replacement: '<hr>' },
-            { pattern: /^___+$/gm, replacement: '<hr>' },
-            
-            // Bold and Italic
-            { pattern: /\*\*\*(.+?)\*\*\*/g, replacement: '<strong><em>$1</em></strong>' },
-            { pattern: /___(.+?)___/g, replacement: '<strong><em>$1</em></strong>' },
-            { pattern: /\*\*(.+?)\*\*/g, replacement: '<strong>$1</strong>' },
-            { pattern: /__(.+?)__/g, replacement: '<strong>$1</strong>' },
-            { pattern: /\*(.+?)\*/g, replacement: '<em>$1</em>' },
-            { pattern: /_(.+?)_/g, replacement: '<em>$1</em>' },
-            
-            // Strikethrough
-            { pattern: /~~(.+?)~~/g, replacement: '<del>$1</del>' },
-            
-            // Code blocks
+    constructor(options = {}) {
+        this.options = {
+            highlight: true,
+            footnotes: true,
+            definitionLists: true,
+            abbreviations: true,
+            autolinks: true,
+            math: true,
+            diagrams: true,
+            admonitions: true,
+            headingIds: true,
+            toc: true,
+            pageBreaks: true,
+            frontMatter: true,
+            blockCache: false,
+            maxNesting: 100,
+            ...options
+        };
+        this.highlighter = this.options.highlight
+            ? (this.options.highlighter || this.createModule(typeof SyntaxHighlighter !== 'undefined' ? SyntaxHighlighter : null, './syntax-highlighter'))
+            : null;
+        this.mathRenderer = this.options.math
+            ? (this.options.mathRenderer || this.createModule(typeof MathRenderer !== 'undefined' ? MathRenderer : null, './math-renderer'))
+            : null;
+        this.frontMatter = this.options.frontMatter
+            ? this.createModule(typeof FrontMatter !== 'undefined' ? FrontMatter : null, './front-matter')
+            : null;
+        this.diagramRenderer = this.options.diagrams
+            ? (this.options.diagramRenderer || this.createModule(typeof DiagramRenderer !== 'undefined' ? DiagramRenderer : null, './diagram-renderer'))
+            : null;
+        this.sanitizer = this.options.headingIds || this.options.toc
+            ? this.createModule(typeof HtmlSanitizer !== 'undefined' ? HtmlSanitizer : null, './html-sanitizer')
+            : null;
+        this.blockRules = this.initializeBlockRules();
+        this.inlineRules = this.initializeInlineRules();
+        this.renderers = this.initializeRenderers();
+        this.hooks = { preprocess: [], transform: [], postprocess: [] };
+        this.renderOptions = {};
+        this.blockCache = this.options.blockCache ? { context: null, entries: new Map() } : null;
+        this.renderCache = this.options.blockCache ? new WeakMap() : null;
+        this.plugins = [];
+        (this.options.plugins || []).forEach(plugin => {
+            if (Array.isArray(plugin)) this.use(...plugin);
+            else this.use(plugin);
+        });
+    }
+
+    /**
+     * Initialize block-level tokenizers, tried in order for every line.
+     * Rules flagged with interruptsParagraph end an open paragraph when
+     * their test() matches the current line. Rules naming an option are
+     * only enabled when that option is on. Container rules parse blocks
+     * inside themselves and are skipped past the maxNesting depth.
+     */
+    initializeBlockRules() {
+        return this.filterEnabled([
             {
-                pattern: /```(\w+)?\n([\s\S]*?)```/g,
-                replacement: (match, lang, code) => {
-                    const language = lang || 'plaintext';
-                    const escapedCode = this.escapeHtml(code.trim());
-                    return `<pre><code class="language-${language}">${escapedCode}</code></pre>`;
-                }
+                name: 'blankLine',
+                tokenize: state => this.tokenizeBlankLine(state)
             },
-            
-            // Inline code
-            { pattern: /`([^`]+)`/g, replacement: '<code>$1</code>' },
-            
-            // Links
-            { pattern: /\[([^\]]+)\]\(([^)]+)\)/g, replacement: '<a href="$2">$1</a>' },
-            
-            // Images
-            { pattern: /!\[([^\]]*)\]\(([^)]+)\)/g, replacement: '<img src="$2" alt="$1">' },
-            
-            // Blockquotes
-            { pattern: /^>\s+(.+)$/gm, replacement: '<blockquote>$1</blockquote>' },
-            
-            // Task lists (checkboxes)
             {
-                pattern: /^[\*\-\+]\s+\[([ x])\]\s+(.+)$/gm,
-                replacement: (match, checked, item) => {
-                    const isChecked = checked.toLowerCase() === 'x';
-                    const checkboxHtml = `<input type="checkbox" ${isChecked ? 'checked' : ''} disabled>`;
-                    return `<ul class="task-list"><li class="task-item">${checkboxHtml} ${item}</li></ul>`;
-                }
+                name: 'fencedCode',
+                interruptsParagraph: true,
+                test: line => this.matchFence(line) !== null,
+                tokenize: state => this.tokenizeFencedCode(state)
+            },
+            {
+                name: 'admonition',
+                container: true,
+                option: 'admonitions',
+                interruptsParagraph: true,
+                test: line => this.matchAdmonitionFence(line) !== null,
+                tokenize: state => this.tokenizeAdmonition(state)
+            },
+            {
+                name: 'indentedCode',
+                tokenize: state => this.tokenizeIndentedCode(state)
+            },
+            {
+                name: 'mathBlock',
+                option: 'math',
+                interruptsParagraph: true,
+                test: line => /^ {0,3}\$\$/.test(line),
+                tokenize: state => this.tokenizeMathBlock(state)
+            },
+            {
+                name: 'heading',
+                interruptsParagraph: true,
+                test: line => /^ {0,3}#{1,6}(?:[ \t]|$)/.test(line),
+                tokenize: state => this.tokenizeHeading(state)
+            },
+            {
+                name: 'thematicBreak',
+                interruptsParagraph: true,
+                test: line => this.isThematicBreak(line),
+                tokenize: state => this.tokenizeThematicBreak(state)
+            },
+            {
+                name: 'blockquote',
+                container: true,
+                interruptsParagraph: true,
+                test: line => /^ {0,3}>/.test(line),
+                tokenize: state => this.tokenizeBlockquote(state)
+            },
+            {
+                name: 'list',
+                container: true,
+                interruptsParagraph: true,
+                test: line => /^ {0,3}(?:[*+-]|1[.)])[ \t]+\S/.test(line),
+                tokenize: state => this.tokenizeList(state)
+            },
+            {
+                name: 'table',
+                interruptsParagraph: true,
+                test: (line, next) => this.isTableStart(line, next),
+                tokenize: state => this.tokenizeTable(state)
+            },
+            {
+                name: 'pageBreak',
+                option: 'pageBreaks',
+                interruptsParagraph: true,
+                test: line => this.isPageBreak(line),
+                tokenize: state => this.tokenizePageBreak(state)
+            },
+            {
+                name: 'htmlBlock',
+                interruptsParagraph: true,
+                test: line => this.isHtmlBlockStart(line, true),
+                tokenize: state => this.tokenizeHtmlBlock(state)
+            },
+            {
+                name: 'toc',
+                option: 'toc',
+                tokenize: state => this.tokenizeTocMarker(state)
+            },
+            {
+                name: 'footnoteDefinition',
+                option: 'footnotes',
+                container: true,
+                tokenize: state => this.tokenizeFootnoteDefinition(state)
+            },
+            {
+                name: 'linkReferenceDefinition',
+                tokenize: state => this.tokenizeLinkReferenceDefinition(state)
             },
-
-            // Unordered lists
             {
-                pattern: /^[\*\-\+]\s+(.+)$/gm,
-                replacement: (match, item) => `<ul><li>${item}</li></ul>`
+                name: 'abbreviationDefinition',
+                option: 'abbreviations',
+                tokenize: state => this.tokenizeAbbreviationDefinition(state)
             },
-            
-            // Ordered lists
             {
-                pattern: /^\d+\.\s+(.+)$/gm,
-                replacement: (match, item) => `<ol><li>${item}</li></ol>`
+                name: 'definitionList',
+                option: 'definitionLists',
+                container: true,
+                tokenize: state => this.tokenizeDefinitionList(state)
             },
-            
-            // Paragraphs
             {
-                pattern: /^(?!<[^>]+>)([^\n]+)$/gm,
-                replacement: (match, text) => {
-                    // Don't wrap if it's already an HTML tag
-                    if (text.trim().startsWith('<')) return text;
-                    return `<p>${text}</p>`;
+                // The fallback for any other line, so it always runs last
+                name: 'paragraph',
+                priority: -1,
+                tokenize: state => this.tokenizeParagraph(state)
+            }
+        ]);
+    }
+
+    /**
+     * Initialize inline tokenizers. A rule is only tried when the current
+     * character is one of its triggers; everything else is plain text.
+     */
+    initializeInlineRules() {
+        return this.filterEnabled([
+            { name: 'escape', triggers: '\\', tokenize: state => this.tokenizeEscape(state) },
+            { name: 'code', triggers: '`', tokenize: state => this.tokenizeCodeSpan(state) },
+            { name: 'image', triggers: '!', tokenize: state => this.tokenizeImage(state) },
+            {
+                name: 'footnoteReference',
+                option: 'footnotes',
+                triggers: '[',
+                tokenize: state => this.tokenizeFootnoteReference(state)
+            },
+            { name: 'link', triggers: '[', tokenize: state => this.tokenizeLink(state) },
+            { name: 'math', option: 'math', triggers: '$', tokenize: state => this.tokenizeInlineMath(state) },
+            { name: 'autolink', triggers: '<', tokenize: state => this.tokenizeAutolink(state) },
+            { name: 'html', triggers: '<', tokenize: state => this.tokenizeInlineHtml(state) },
+            { name: 'entity', triggers: '&', tokenize: state => this.tokenizeEntity(state) },
+            { name: 'url', triggers: 'hHwW', tokenize: state => this.tokenizeBareUrl(state) },
+            { name: 'emphasis', triggers: '*_~', tokenize: state => this.tokenizeDelimiterRun(state) },
+            { name: 'newline', triggers: '\n', tokenize: state => this.tokenizeNewline(state) }
+        ]);
+    }
+
+    /**
+     * Drop rules belonging to a disabled option
+     */
+    filterEnabled(rules) {
+        return rules.filter(rule => !rule.option || this.options[rule.option]);
+    }
+
+    /**
+     * Initialize HTML renderers, keyed by AST node type
+     */
+    initializeRenderers() {
+        return {
+            document: node => {
+                const body = node.children
+                    .map(child => this.renderTopLevelBlock(child))
+                    .filter(html => html !== '')
+                    .join('\n');
+                return node.footnotes && node.footnotes.length ? `${body}\n${this.renderFootnotes(node.footnotes)}` : body;
+            },
+            heading: node => {
+                const id = node.id ? ` id="${this.escapeHtml(node.id)}"` : '';
+                return `<h${node.level}${id}>${this.renderChildren(node.children)}</h${node.level}>`;
+            },
+            toc: node => this.renderToc(node.headings || []),
+            pageBreak: () => '<div class="page-break"></div>',
+            paragraph: node => `<p>${this.renderChildren(node.children)}</p>`,
+            blockquote: node => `<blockquote>\n${this.renderBlocks(node.children)}\n</blockquote>`,
+            admonition: node => `<div class="admonition admonition-${node.kind}">\n${this.renderBlocks(node.children)}\n</div>`,
+            admonitionTitle: node => `<p class="admonition-title">${this.renderChildren(node.children)}</p>`,
+            list: node => this.renderList(node),
+            code: node => {
+                if (this.diagramRenderer && this.diagramRenderer.supports(node.lang)) {
+                    return this.diagramRenderer.render(node.value, node.lang);
                 }
+                const language = node.lang || 'plaintext';
+                const highlighted = this.highlighter ? this.highlighter.highlight(node.value, node.lang) : null;
+                const code = highlighted !== null ? highlighted : this.escapeHtml(node.value);
+                return `<pre><code class="language-${this.escapeHtml(language)}">${code}</code></pre>`;
+            },
+            thematicBreak: () => '<hr>',
+            math: node => `<div class="math-display">${this.renderMath(node.value, true)}</div>`,
+            inlineMath: node => this.renderMath(node.value, node.display),
+            table: node => this.renderTable(node),
+            html: node => node.value,
+            text: node => this.escapeHtml(node.value),
+            entity: node => node.value,
+            strong: node => `<strong>${this.renderChildren(node.children)}</strong>`,
+            emphasis: node => `<em>${this.renderChildren(node.children)}</em>`,
+            delete: node => `<del>${this.renderChildren(node.children)}</del>`,
+            inlineCode: node => `<code>${this.escapeHtml(node.value)}</code>`,
+            break: () => '<br>',
+            link: node => {
+                const title = node.title ? ` title="${this.escapeHtml(node.title)}"` : '';
+                return `<a href="${this.escapeHtml(node.href)}"${title}>${this.renderChildren(node.children)}</a>`;
+            },
+            image: node => {
+                const title = node.title ? ` title="${this.escapeHtml(node.title)}"` : '';
+                return `<img src="${this.escapeHtml(node.src)}" alt="${this.escapeHtml(node.alt)}"${title}>`;
+            },
+            definition: () => '',
+            unresolvedReference: node => {
+                const title = this.escapeHtml(`Undefined link reference: ${node.label}`);
+                const text = this.renderChildren(node.children);
+                return `<span class="unresolved-reference" title="${title}">[${text}][${this.escapeHtml(node.reference)}]</span>`;
+            },
+            footnoteDefinition: () => '',
+            footnoteReference: node => {
+                const id = node.referenceIndex > 1 ? `fnref-${node.number}-${node.referenceIndex}` : `fnref-${node.number}`;
+                return `<sup class="footnote-ref" id="${id}"><a href="#fn-${node.number}">${node.number}</a></sup>`;
+            },
+            abbreviationDefinition: () => '',
+            abbreviation: node => `<abbr title="${this.escapeHtml(node.title)}">${this.escapeHtml(node.value)}</abbr>`,
+            definitionList: node => `<dl>\n${this.renderBlocks(node.children)}\n</dl>`,
+            definitionTerm: node => `<dt>${this.renderChildren(node.children)}</dt>`,
+            definitionDescription: node => {
+                const [only] = node.children;
+                const content = node.children.length === 1 && only.type === 'paragraph'
+                    ? this.renderChildren(only.children)
+                    : this.renderBlocks(node.children);
+                return `<dd>${content}</dd>`;
+            }
+        };
+    }
+
+    /**
+     * Instantiate a companion module: the class loaded on the page if
+     * there is one, otherwise (under Node) the module file next to this one
+     */
+    createModule(PageClass, path) {
+        if (PageClass) return new PageClass();
+        if (typeof require === 'function') {
+            try {
+                return new (require(path))();
+            } catch (error) {
+                return null;
             }
-        ];
+        }
+        return null;
     }
 
     /**
@@ -112,175 +316,1851 @@ class MarkdownParser {
      */
     parse(markdown) {
         if (!markdown) return '';
-        
-        let html = markdown;
-        
-        // First, escape HTML in the raw markdown (except in code blocks)
-        const codeBlocks = [];
-        html = html.replace(/```[\s\S]*?```/g, (match) => {
-            codeBlocks.push(match);
-            return `___CODE_BLOCK_${codeBlocks.length - 1}___`;
+        return this.renderDocument(this.parseToAst(markdown));
+    }
+
+    /**
+     * Render a document AST from parseToAst() to the final HTML string.
+     * With { sourceLines: true } top-level blocks carry data-source-line
+     * and data-source-end attributes (1-based, inclusive).
+     */
+    renderDocument(ast, options = {}) {
+        const previousOptions = this.renderOptions;
+        this.renderOptions = options;
+        try {
+            return this.applyPostprocess(this.render(ast).trim());
+        } finally {
+            this.renderOptions = previousOptions;
+        }
+    }
+
+    /**
+     * Render a document AST as a list of top-level blocks, each with its
+     * HTML and 1-based source line range, followed by the footnotes
+     * section. Postprocess hooks run on each block's HTML.
+     */
+    renderBlockList(ast) {
+        const blocks = [];
+        ast.children.forEach(node => {
+            const html = this.renderTopLevelBlock(node);
+            if (html === '') return;
+            blocks.push({
+                html: this.applyPostprocess(html),
+                start: node.position ? node.position.start.line : null,
+                end: node.position ? node.position.end.line : null
+            });
         });
-        
-        const inlineCode = [];
-        html = html.replace(/`[^`]+`/g, (match) => {
-            inlineCode.push(match);
-            return `___INLINE_CODE_${inlineCode.length - 1}___`;
+
+        if (ast.footnotes && ast.footnotes.length) {
+            blocks.push({ html: this.applyPostprocess(this.renderFootnotes(ast.footnotes)), start: null, end: null });
+        }
+        return blocks;
+    }
+
+    applyPostprocess(html) {
+        return this.hooks.postprocess.reduce((result, hook) => {
+            const output = hook(result, this);
+            return typeof output === 'string' ? output : result;
+        }, html);
+    }
+
+    /**
+     * Parse Markdown text into an AST without rendering it
+     */
+    parseToAst(markdown) {
+        const env = this.createEnv();
+        const source = this.hooks.preprocess.reduce((text, hook) => {
+            const output = hook(text, env, this);
+            return typeof output === 'string' ? output : text;
+        }, markdown || '');
+        const lines = source
+            .replace(/\r\n?/g, '\n')
+            .split('\n')
+            .map(line => line.replace(/^\t+/, tabs => '    '.repeat(tabs.length)));
+
+        // Front matter is blanked out rather than removed so that source
+        // line numbers stay accurate. Invalid front matter is reported and
+        // rendered as Markdown.
+        let metadata = {};
+        const frontMatter = this.frontMatter ? this.frontMatter.extract(lines) : null;
+        if (frontMatter && frontMatter.error) {
+            env.warnings.push({ type: 'front-matter', message: `Invalid front matter: ${frontMatter.error}` });
+        } else if (frontMatter) {
+            metadata = frontMatter.data;
+            lines.fill('', 0, frontMatter.lineCount);
+        }
+
+        const spans = [];
+        const ast = { type: 'document', children: this.parseBlocks(lines, env, spans) };
+        ast.children.forEach((node, i) => {
+            node.position = { start: { line: spans[i].start + 1 }, end: { line: spans[i].end + 1 } };
         });
-        
-        // Parse tables first (before other rules)
-        html = this.parseTables(html);
-        
-        // Apply parsing rules
-        this.rules.forEach(rule => {
-            if (typeof rule.replacement === 'function') {
-                html = html.replace(rule.pattern, rule.replacement.bind(this));
-            } else {
-                html = html.replace(rule.pattern, rule.replacement);
+        this.parseInlineBlocks(ast, lines, spans, env);
+
+        ast.metadata = metadata;
+        ast.headings = this.collectHeadings(ast);
+
+        ast.definitions = env.definitions;
+        ast.warnings = env.warnings;
+
+        // Footnotes are numbered in order of first reference
+        ast.footnotes = env.footnotes.map(footnote => ({
+            label: footnote.label,
+            number: footnote.number,
+            references: footnote.references,
+            children: footnote.definition.children
+        }));
+
+        this.hooks.transform.forEach(hook => hook(ast, env, this));
+        return ast;
+    }
+
+    /**
+     * Run the inline phase over the top-level blocks. With the blockCache
+     * option, a block whose source text is unchanged since the previous
+     * parse is reused together with the warnings it produced, as long as
+     * the link definitions and abbreviations are unchanged too. Blocks
+     * that depend on document order (footnote references, TOC markers)
+     * are always parsed again.
+     */
+    parseInlineBlocks(ast, lines, spans, env) {
+        if (!this.blockCache) {
+            this.parseInlineContent(ast, env);
+            return;
+        }
+
+        const context = JSON.stringify([env.definitions, env.abbreviations]);
+        const previous = this.blockCache.context === context ? this.blockCache.entries : new Map();
+        const entries = new Map();
+
+        ast.children = ast.children.map((node, i) => {
+            const source = lines.slice(spans[i].start, spans[i].end + 1).join('\n');
+            const key = `${node.type}\n${source}`;
+            const cacheable = node.type !== 'toc' && !source.includes('[^') && !entries.has(key);
+            const cached = cacheable ? previous.get(key) : null;
+
+            if (cached) {
+                cached.node.position = node.position;
+                env.warnings.push(...cached.warnings);
+                entries.set(key, cached);
+                return cached.node;
             }
+
+            const warningCount = env.warnings.length;
+            this.parseInlineContent(node, env);
+            if (cacheable) entries.set(key, { node, warnings: env.warnings.slice(warningCount) });
+            return node;
         });
-        
-        // Restore code blocks and inline code
-        codeBlocks.forEach((block, index) => {
-            html = html.replace(`___CODE_BLOCK_${index}___`, () => {
-                const match = block.match(/```(\w+)?\n?([\s\S]*?)```/);
-                if (match) {
-                    const lang = match[1] || 'plaintext';
-                    const code = this.escapeHtml(match[2].trim());
-                    return `<pre><code class="language-${lang}">${code}</code></pre>`;
-                }
-                return block;
-            });
-        });
-        
-        inlineCode.forEach((code, index) => {
-            html = html.replace(`___INLINE_CODE_${index}___`, () => {
-                const content = code.slice(1, -1);
-                return `<code>${this.escapeHtml(content)}</code>`;
-            });
-        });
-        
-        // Clean up consecutive list items
-        html = this.consolidateLists(html);
-        
-        // Clean up consecutive blockquotes
-        html = this.consolidateBlockquotes(html);
-        
-        return html.trim();
-    }
-
-    /**
-     * Consolidate consecutive list items into single lists
-     */
-    consolidateLists(html) {
-        // Consolidate unordered lists
-        html = html.replace(/(<\/ul>\s*<ul>)/g, '');
-        
-        // Consolidate ordered lists
-        html = html.replace(/(<\/ol>\s*<ol>)/g, '');
-        
-        return html;
+
+        this.blockCache = { context, entries };
+    }
+
+    /**
+     * Create the per-document state shared by the block and inline phases
+     */
+    createEnv() {
+        return {
+            definitions: {},
+            warnings: [],
+            footnoteDefinitions: {},
+            footnotes: [],
+            abbreviations: {},
+            depth: 0,
+            nesting: new WeakMap()
+        };
+    }
+
+    /**
+     * Render an AST node (usually the document root) to HTML
+     */
+    render(node) {
+        const renderer = this.renderers[node.type];
+        if (renderer) return renderer(node);
+        return node.children ? this.renderChildren(node.children) : '';
+    }
+
+    /**
+     * Render a top-level block, tagging its first element with its source
+     * line range when the render options ask for it
+     */
+    renderTopLevelBlock(node) {
+        const html = this.renderCache ? this.renderCachedBlock(node) : this.render(node);
+        if (!this.renderOptions.sourceLines || !node.position) return html;
+
+        const { start, end } = node.position;
+        return html.replace(/^<([A-Za-z][A-Za-z0-9-]*)/, `<$1 data-source-line="${start.line}" data-source-end="${end.line}"`);
     }
 
     /**
-     * Consolidate consecutive blockquotes
+     * Render a block reused from the block cache from its cached HTML,
+     * unless the IDs of headings inside it have changed since
      */
-    consolidateBlockquotes(html) {
-        html = html.replace(/(<\/blockquote>\s*<blockquote>)/g, '\n');
+    renderCachedBlock(node) {
+        const ids = [];
+        const collectIds = child => {
+            if (child.type === 'heading') ids.push(child.id);
+            else if (child.children) child.children.forEach(collectIds);
+        };
+        collectIds(node);
+        const key = ids.join('\n');
+
+        const cached = this.renderCache.get(node);
+        if (cached && cached.key === key) return cached.html;
+
+        const html = this.render(node);
+        this.renderCache.set(node, { key, html });
         return html;
     }
 
     /**
-     * Parse tables (GitHub Flavored Markdown)
-     */
-    parseTables(text) {
-        // Match table patterns
-        const tablePattern = /(?:^|\n)((?:\|.*\|(?:\r?\n|\r)?)+)/gm;
-        
-        return text.replace(tablePattern, (match, tableText) => {
-            const lines = tableText.trim().split(/\r?\n/);
-            if (lines.length < 2) return match;
-            
-            const headerLine = lines[0];
-            const separatorLine = lines[1];
-            
-            // Check if it's a valid table
-            if (!separatorLine.match(/^\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?$/)) {
-                return match;
-            }
-            
-            // Parse headers
-            const headers = headerLine.split('|').map(h => h.trim()).filter(h => h !== '');
-            
-            // Parse separator for alignment
-            const alignments = separatorLine.split('|')
-                .map(sep => sep.trim())
-                .filter(sep => sep !== '')
-                .map(sep => {
-                    if (sep.startsWith(':') && sep.endsWith(':')) return 'center';
-                    if (sep.endsWith(':')) return 'right';
-                    return 'left';
-                });
-            
-            // Parse rows
-            const rows = lines.slice(2).map(line => 
-                line.split('|').map(cell => cell.trim()).filter(cell => cell !== '')
-            );
-            
-            let tableHtml = '<table class="markdown-table">\n<thead>\n<tr>\n';
-            headers.forEach((header, i) => {
-                const align = alignments[i] || 'left';
-                const style = align !== 'left' ? ` style="text-align: ${align}"` : '';
-                tableHtml += `<th${style}>${this.parseInline(header)}</th>\n`;
-            });
-            tableHtml += '</tr>\n</thead>\n<tbody>\n';
-            
-            rows.forEach(row => {
-                if (row.length > 0) {
-                    tableHtml += '<tr>\n';
-                    row.forEach((cell, i) => {
-                        const align = alignments[i] || 'left';
-                        const style = align !== 'left' ? ` style="text-align: ${align}"` : '';
-                        tableHtml += `<td${style}>${this.parseInline(cell)}</td>\n`;
-                    });
-                    tableHtml += '</tr>\n';
-                }
-            });
-            
-            tableHtml += '</tbody>\n</table>';
-            return '\n' + tableHtml + '\n';
-        });
+     * Render inline children back to back
+     */
+    renderChildren(nodes) {
+        return nodes.map(node => this.render(node)).join('');
+    }
+
+    /**
+     * Render block children separated by newlines
+     */
+    renderBlocks(nodes) {
+        return nodes.map(node => this.render(node)).filter(html => html !== '').join('\n');
     }
 
     /**
-     * Parse inline elements (for use in table cells)
+     * Parse inline elements (for use in table cells and other snippets)
      */
-    parseInline(text) {
+    parseInline(text, env = this.createEnv()) {
         if (!text) return '';
-        
-        // Apply inline formatting rules only
-        const inlineRules = [
-            { pattern: /\*\*\*(.+?)\*\*\*/g, replacement: '<strong><em>$1</em></strong>' },
-            { pattern: /___(.+?)___/g, replacement: '<strong><em>$1</em></strong>' },
-            { pattern: /\*\*(.+?)\*\*/g, replacement: '<strong>$1</strong>' },
-            { pattern: /__(.+?)__/g, replacement: '<strong>$1</strong>' },
-            { pattern: /\*(.+?)\*/g, replacement: '<em>$1</em>' },
-            { pattern: /_(.+?)_/g, replacement: '<em>$1</em>' },
-            { pattern: /~~(.+?)~~/g, replacement: '<del>$1</del>' },
-            { pattern: /`([^`]+)`/g, replacement: '<code>$1</code>' },
-            { pattern: /\[([^\]]+)\]\(([^)]+)\)/g, replacement: '<a href="$2">$1</a>' }
-        ];
-        
-        let result = text;
-        inlineRules.forEach(rule => {
-            result = result.replace(rule.pattern, rule.replacement);
-        });
-        
-        return result;
+        return this.renderChildren(this.tokenizeInline(text, env));
     }
-}
 
-// Export for use in other modules
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = MarkdownParser;
-}
\ No newline at end of file
+    // ------------------------------------------------------------------
+    // Plugin API
+    // ------------------------------------------------------------------
+
+    /**
+     * Install a plugin on this parser instance. A plugin is a function
+     * called as plugin(parser, options), or an object with a name and an
+     * install(parser, options) method. Named plugins are installed once.
+     */
+    use(plugin, options = {}) {
+        const install = typeof plugin === 'function' ? plugin : plugin && plugin.install;
+        if (typeof install !== 'function') {
+            throw new TypeError('Plugin must be a function or an object with an install() method');
+        }
+
+        const name = plugin.pluginName || plugin.name || null;
+        if (name && this.plugins.includes(name)) return this;
+
+        install.call(plugin, this, options);
+        if (name) this.plugins.push(name);
+        return this;
+    }
+
+    /**
+     * Register a block tokenizer. See addRule() for placement options.
+     */
+    addBlockRule(rule, placement = {}) {
+        this.blockRules = this.addRule(this.blockRules, rule, placement);
+        return this;
+    }
+
+    /**
+     * Register an inline tokenizer. Rules without triggers are tried at
+     * every position, so give them triggers whenever possible.
+     */
+    addInlineRule(rule, placement = {}) {
+        this.inlineRules = this.addRule(this.inlineRules, rule, placement);
+        return this;
+    }
+
+    /**
+     * Insert a rule into a rule list. `before` or `after` name an existing
+     * rule; otherwise rules are ordered by `priority`, where built-in rules
+     * have priority 0 and ties keep registration order. The paragraph
+     * fallback has priority -1, so block rules added without placement run
+     * before it. A rule with the name of an existing rule replaces it.
+     */
+    addRule(rules, rule, { before, after, priority = 0 } = {}) {
+        if (!rule || !rule.name || typeof rule.tokenize !== 'function') {
+            throw new TypeError('A rule needs a name and a tokenize(state) function');
+        }
+
+        const entry = { ...rule, priority };
+        const list = rules.filter(existing => existing.name !== rule.name);
+        if (this.filterEnabled([entry]).length === 0) return list;
+
+        let index;
+        const anchor = before || after;
+        if (anchor) {
+            index = list.findIndex(existing => existing.name === anchor);
+            if (index === -1) throw new Error(`Unknown rule "${anchor}"`);
+            if (after) index++;
+        } else {
+            index = list.findIndex(existing => (existing.priority || 0) < priority);
+            if (index === -1) index = list.length;
+        }
+
+        list.splice(index, 0, entry);
+        return list;
+    }
+
+    /**
+     * Override the HTML renderer for a node type. The renderer is called
+     * as renderer(node, next), where next(node) runs the previous renderer.
+     */
+    setRenderer(type, renderer) {
+        const previous = this.renderers[type];
+        const next = node => (previous ? previous(node) : this.renderChildren(node.children || []));
+        this.renderers[type] = node => renderer(node, next);
+        return this;
+    }
+
+    /**
+     * Register a processing hook:
+     * - preprocess(markdown, env, parser) may return replacement source
+     * - transform(ast, env, parser) may modify the finished AST
+     * - postprocess(html, parser) may return replacement HTML
+     */
+    addHook(name, hook) {
+        if (!this.hooks[name]) throw new Error(`Unknown hook "${name}"`);
+        if (typeof hook !== 'function') throw new TypeError('Hook must be a function');
+        this.hooks[name].push(hook);
+        return this;
+    }
+
+    // ------------------------------------------------------------------
+    // Block phase
+    // ------------------------------------------------------------------
+
+    /**
+     * Tokenize lines into block nodes. Inline content is kept as raw text
+     * until the inline phase runs over the finished tree. When `spans` is
+     * given, the first and last line index of each node is pushed to it.
+     * Past maxNesting levels container markers are left as text, so deeply
+     * nested input cannot overflow the stack.
+     */
+    parseBlocks(lines, env, spans = null) {
+        const rules = env.depth < this.options.maxNesting
+            ? this.blockRules
+            : this.blockRules.filter(rule => !rule.container);
+        const state = { lines, index: 0, env, rules, parser: this };
+        const nodes = [];
+
+        env.depth++;
+        try {
+            while (state.index < lines.length) {
+                const start = state.index;
+                for (const rule of rules) {
+                    const node = rule.tokenize(state);
+                    if (node) {
+                        nodes.push(node);
+                        if (spans) spans.push({ start, end: state.index - 1 });
+                    }
+                    if (state.index > start) break;
+                }
+                // Safety net: never loop on a line no rule consumed
+                if (state.index === start) state.index++;
+            }
+        } finally {
+            env.depth--;
+        }
+
+        return nodes;
+    }
+
+    /**
+     * Check whether a line starts a block that ends an open paragraph
+     */
+    interruptsParagraph(lines, index, rules = this.blockRules) {
+        const line = lines[index];
+        return rules.some(rule =>
+            rule.interruptsParagraph && rule.test && rule.test(line, lines[index + 1])
+        );
+    }
+
+    tokenizeBlankLine(state) {
+        if (state.lines[state.index].trim() === '') state.index++;
+        return null;
+    }
+
+    matchFence(line) {
+        const match = line.match(/^( {0,3})(`{3,}|~{3,})(.*)$/);
+        if (!match) return null;
+        // Backtick fences cannot carry backticks in their info string
+        if (match[2][0] === '`' && match[3].includes('`')) return null;
+        return { indent: match[1].length, fence: match[2], info: match[3].trim() };
+    }
+
+    tokenizeFencedCode(state) {
+        const open = this.matchFence(state.lines[state.index]);
+        if (!open) return null;
+
+        const closing = new RegExp(`^ {0,3}${open.fence[0] === '`' ? '`' : '~'}{${open.fence.length},}[ \\t]*$`);
+        const content = [];
+        state.index++;
+
+        while (state.index < state.lines.length) {
+            const line = state.lines[state.index];
+            state.index++;
+            if (closing.test(line)) break;
+            content.push(line.replace(new RegExp(`^ {0,${open.indent}}`), ''));
+        }
+
+        const [lang = '', ...meta] = open.info.split(/\s+/);
+        return { type: 'code', lang: lang || null, meta: meta.join(' ') || null, value: content.join('\n') };
+    }
+
+    /**
+     * Tokenize display math: $$ on its own line up to a line ending in $$,
+     * or a single $$...$$ line
+     */
+    tokenizeMathBlock(state) {
+        const first = state.lines[state.index].match(/^ {0,3}\$\$(.*)$/);
+        if (!first) return null;
+
+        const single = first[1].match(/^(.*?)\$\$[ \t]*$/);
+        if (single) {
+            state.index++;
+            return { type: 'math', value: single[1].trim() };
+        }
+
+        const content = [first[1]];
+        for (let i = state.index + 1; i < state.lines.length; i++) {
+            const closing = state.lines[i].match(/^(.*?)\$\$[ \t]*$/);
+            if (closing) {
+                content.push(closing[1]);
+                state.index = i + 1;
+                return { type: 'math', value: content.join('\n').trim() };
+            }
+            content.push(state.lines[i]);
+        }
+
+        // Without a closing $$ the line is ordinary text
+        return null;
+    }
+
+    tokenizeIndentedCode(state) {
+        if (!/^ {4,}\S/.test(state.lines[state.index])) return null;
+
+        const content = [];
+        while (state.index < state.lines.length) {
+            const line = state.lines[state.index];
+            if (line.trim() !== '' && !/^ {4}/.test(line)) break;
+            content.push(line.slice(4));
+            state.index++;
+        }
+
+        while (content.length && content[content.length - 1].trim() === '') content.pop();
+        return { type: 'code', lang: null, meta: null, value: content.join('\n') };
+    }
+
+    tokenizeHeading(state) {
+        const match = state.lines[state.index].match(/^ {0,3}(#{1,6})(?:[ \t]+(.*?))?[ \t]*$/);
+        if (!match) return null;
+
+        state.index++;
+        const raw = (match[2] || '').replace(/(?:^|[ \t]+)#+$/, '').trim();
+        return { type: 'heading', level: match[1].length, raw };
+    }
+
+    isThematicBreak(line) {
+        return /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/.test(line);
+    }
+
+    tokenizeThematicBreak(state) {
+        if (!this.isThematicBreak(state.lines[state.index])) return null;
+        state.index++;
+        return { type: 'thematicBreak' };
+    }
+
+    tokenizeBlockquote(state) {
+        const inner = [];
+
+        while (state.index < state.lines.length) {
+            const line = state.lines[state.index];
+            const match = line.match(/^ {0,3}> ?(.*)$/);
+            const previous = inner[inner.length - 1];
+
+            if (match) {
+                inner.push(match[1]);
+            } else if (line.trim() && previous && previous.trim() &&
+                       !this.interruptsParagraph(state.lines, state.index, state.rules)) {
+                // Lazy continuation of a quoted paragraph
+                inner.push(line);
+            } else {
+                break;
+            }
+            state.index++;
+        }
+
+        if (inner.length === 0) return null;
+
+        // GitHub-style alerts: > [!WARNING] Optional title
+        const alert = this.options.admonitions && inner[0].match(/^ {0,3}\[!([A-Za-z]+)\](?:[ \t]+(.*?))?[ \t]*$/);
+        const kind = alert && this.admonitionKind(alert[1]);
+        if (kind) {
+            return this.createAdmonition(kind, alert[2], this.parseBlocks(inner.slice(1), state.env));
+        }
+
+        return { type: 'blockquote', children: this.parseBlocks(inner, state.env) };
+    }
+
+    /**
+     * Map a callout name (including common aliases) to its kind
+     */
+    admonitionKind(name) {
+        const kinds = {
+            note: 'note', info: 'note',
+            tip: 'tip', hint: 'tip',
+            important: 'important',
+            warning: 'warning', attention: 'warning',
+            caution: 'caution', danger: 'caution', error: 'caution'
+        };
+        return kinds[name.toLowerCase()] || null;
+    }
+
+    createAdmonition(kind, title, children) {
+        const defaultTitle = kind[0].toUpperCase() + kind.slice(1);
+        return {
+            type: 'admonition',
+            kind,
+            children: [{ type: 'admonitionTitle', raw: title || defaultTitle }, ...children]
+        };
+    }
+
+    /**
+     * Match a container opening line such as ":::warning Optional title"
+     */
+    matchAdmonitionFence(line) {
+        const match = line.match(/^ {0,3}(:{3,})[ \t]*([A-Za-z]+)(?:[ \t]+(.*?))?[ \t]*$/);
+        if (!match || !this.admonitionKind(match[2])) return null;
+        return { fence: match[1], kind: this.admonitionKind(match[2]), title: match[3] || '' };
+    }
+
+    /**
+     * Tokenize a ::: container. Containers nest; code fences inside are
+     * skipped so their content cannot close the container.
+     */
+    tokenizeAdmonition(state) {
+        const open = this.matchAdmonitionFence(state.lines[state.index]);
+        if (!open) return null;
+
+        const inner = [];
+        let depth = 0;
+        let codeFence = null;
+        state.index++;
+
+        while (state.index < state.lines.length) {
+            const line = state.lines[state.index];
+            state.index++;
+
+            if (codeFence) {
+                const close = this.matchFence(line);
+                if (close && close.fence[0] === codeFence.fence[0] && close.fence.length >= codeFence.fence.length && !close.info) {
+                    codeFence = null;
+                }
+            } else if (this.matchFence(line)) {
+                codeFence = this.matchFence(line);
+            } else if (this.matchAdmonitionFence(line)) {
+                depth++;
+            } else if (/^ {0,3}:{3,}[ \t]*$/.test(line)) {
+                if (depth === 0) break;
+                depth--;
+            }
+            inner.push(line);
+        }
+
+        return this.createAdmonition(open.kind, open.title, this.parseBlocks(inner, state.env));
+    }
+
+    /**
+     * A [[toc]] or [TOC] marker on a line of its own
+     */
+    tokenizeTocMarker(state) {
+        if (!/^ {0,3}(?:\[\[toc\]\]|\[toc\])[ \t]*$/i.test(state.lines[state.index])) return null;
+        state.index++;
+        return { type: 'toc' };
+    }
+
+    /**
+     * A page break marker on a line of its own: \pagebreak, \newpage or
+     * <!-- pagebreak -->
+     */
+    isPageBreak(line) {
+        return /^ {0,3}(?:\\(?:pagebreak|newpage)|<!--\s*pagebreak\s*-->)[ \t]*$/i.test(line);
+    }
+
+    tokenizePageBreak(state) {
+        if (!this.isPageBreak(state.lines[state.index])) return null;
+        state.index++;
+        return { type: 'pageBreak' };
+    }
+
+    /**
+     * Match a list item marker line. contentIndent is the column that
+     * continuation lines must reach to belong to the item.
+     */
+    matchListItem(line) {
+        if (this.isThematicBreak(line)) return null;
+
+        const match = line.match(/^( {0,3})([*+-]|(\d{1,9})([.)]))(?:([ \t]+)(.*))?$/);
+        if (!match) return null;
+
+        const [, indent, marker, number, delimiter, spacing = '', rest = ''] = match;
+        let padding = spacing.length;
+        let content = rest;
+        if (rest === '') {
+            padding = 1;
+        } else if (padding > 4) {
+            // Five or more spaces after the marker start indented code
+            content = ' '.repeat(padding - 1) + rest;
+            padding = 1;
+        }
+
+        let checked = null;
+        const task = content.match(/^\[([ xX])\](?:[ \t]+(.*))?$/);
+        if (task) {
+            checked = task[1] !== ' ';
+            content = task[2] || '';
+        }
+
+        return {
+            ordered: number !== undefined,
+            start: number !== undefined ? parseInt(number, 10) : null,
+            bullet: delimiter || marker,
+            contentIndent: indent.length + marker.length + padding,
+            checked,
+            content
+        };
+    }
+
+    /**
+     * Tokenize a list. Each item collects the lines indented past its
+     * marker (plus lazy paragraph continuations) and parses them as blocks
+     * of their own, which is what gives nested lists, multi-paragraph items
+     * and code blocks inside items.
+     */
+    tokenizeList(state) {
+        const { lines } = state;
+        const first = this.matchListItem(lines[state.index]);
+        if (!first) return null;
+
+        const sameList = marker => marker && marker.ordered === first.ordered && marker.bullet === first.bullet;
+        const items = [];
+        let loose = false;
+
+        while (state.index < lines.length) {
+            const marker = this.matchListItem(lines[state.index]);
+            if (!sameList(marker)) break;
+
+            const itemLines = [marker.content];
+            state.index++;
+
+            while (state.index < lines.length) {
+                const line = lines[state.index];
+                const previous = itemLines[itemLines.length - 1];
+
+                if (line.trim() === '') {
+                    // An item starting with a blank line may hold at most one
+                    if (itemLines.length === 1 && marker.content === '') break;
+                    itemLines.push('');
+                } else if (line.match(/^ */)[0].length >= marker.contentIndent) {
+                    itemLines.push(line.slice(marker.contentIndent));
+                } else if (previous.trim() !== '' && !this.matchListItem(line) &&
+                           !this.interruptsParagraph(lines, state.index, state.rules)) {
+                    // Lazy continuation of the item's last paragraph
+                    itemLines.push(line.trim());
+                } else {
+                    break;
+                }
+                state.index++;
+            }
+
+            // Trailing blank lines are given back: they either separate this
+            // item from the next one or end the list
+            let trailingBlank = 0;
+            while (itemLines.length > 1 && itemLines[itemLines.length - 1] === '') {
+                itemLines.pop();
+                trailingBlank++;
+            }
+
+            const spans = [];
+            const children = this.parseBlocks(itemLines, state.env, spans);
+            const blankBetweenBlocks = spans.some((span, i) => i > 0 && span.start > spans[i - 1].end + 1);
+            items.push({ type: 'listItem', checked: marker.checked, children });
+
+            const continues = sameList(this.matchListItem(lines[state.index] || ''));
+            if (blankBetweenBlocks || (trailingBlank > 0 && continues)) loose = true;
+            if (!continues) {
+                state.index -= trailingBlank;
+                break;
+            }
+        }
+
+        return { type: 'list', ordered: first.ordered, start: first.start, tight: !loose, children: items };
+    }
+
+    /**
+     * Split a table row into trimmed cells, honouring escaped pipes
+     */
+    splitTableRow(line) {
+        const cells = [];
+        let current = '';
+        const text = line.trim().replace(/^\|/, '');
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (char === '\\' && text[i + 1] === '|') {
+                current += '|';
+                i++;
+            } else if (char === '|') {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        if (current.trim() !== '') cells.push(current.trim());
+
+        return cells;
+    }
+
+    isTableStart(line, next) {
+        if (next === undefined || !line.includes('|') || !next.includes('|')) return false;
+        if (!/^ {0,3}\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(next)) return false;
+        return this.splitTableRow(line).length === this.splitTableRow(next).length;
+    }
+
+    tokenizeTable(state) {
+        const { lines } = state;
+        if (!this.isTableStart(lines[state.index], lines[state.index + 1])) return null;
+
+        const header = this.splitTableRow(lines[state.index]);
+        const align = this.splitTableRow(lines[state.index + 1]).map(sep => {
+            if (sep.startsWith(':') && sep.endsWith(':')) return 'center';
+            if (sep.endsWith(':')) return 'right';
+            return 'left';
+        });
+        state.index += 2;
+
+        const toRow = cells => ({
+            type: 'tableRow',
+            children: header.map((_, i) => ({ type: 'tableCell', raw: cells[i] || '' }))
+        });
+
+        const rows = [toRow(header)];
+        while (state.index < lines.length) {
+            const line = lines[state.index];
+            if (line.trim() === '' || this.interruptsParagraph(lines, state.index, state.rules)) break;
+            rows.push(toRow(this.splitTableRow(line)));
+            state.index++;
+        }
+
+        return { type: 'table', align, children: rows };
+    }
+
+    /**
+     * Detect the start of a raw HTML block. Any complete tag on its own
+     * line starts one; only block-level tags may interrupt a paragraph.
+     */
+    isHtmlBlockStart(line, interrupting = false) {
+        const blockTags = 'address|article|aside|blockquote|details|dialog|div|dl|fieldset|figcaption|figure|' +
+            'footer|form|h[1-6]|header|hr|iframe|main|nav|ol|p|pre|script|section|style|summary|table|' +
+            'tbody|td|tfoot|th|thead|tr|ul';
+        if (new RegExp(`^ {0,3}(?:<!--|<\\/?(?:${blockTags})(?:[\\s/>]|$))`, 'i').test(line)) return true;
+        if (interrupting) return false;
+        return /^ {0,3}<\/?[A-Za-z][A-Za-z0-9-]*(?:\s[^<>]*)?\/?>\s*$/.test(line);
+    }
+
+    tokenizeHtmlBlock(state) {
+        if (!this.isHtmlBlockStart(state.lines[state.index])) return null;
+
+        const content = [];
+        while (state.index < state.lines.length && state.lines[state.index].trim() !== '') {
+            content.push(state.lines[state.index]);
+            state.index++;
+        }
+
+        return { type: 'html', value: content.join('\n') };
+    }
+
+    /**
+     * Collect the lines of a container block (footnote or definition body)
+     * after its marker line. Following lines belong to it when indented by
+     * `indent`, or as lazy continuations of its last paragraph unless
+     * isBoundary() says they start a sibling.
+     */
+    collectContainerLines(state, firstLine, indent, isBoundary) {
+        const { lines } = state;
+        const content = [firstLine];
+        const indentOf = line => line.match(/^ */)[0].length;
+        state.index++;
+
+        while (state.index < lines.length) {
+            const line = lines[state.index];
+
+            if (line.trim() === '') {
+                // Blank lines only stay inside when indented content follows
+                let next = state.index + 1;
+                while (next < lines.length && lines[next].trim() === '') next++;
+                if (next >= lines.length || indentOf(lines[next]) < indent) break;
+                while (state.index < next) {
+                    content.push('');
+                    state.index++;
+                }
+                continue;
+            }
+
+            if (indentOf(line) >= indent) {
+                content.push(line.slice(indent));
+            } else if (content[content.length - 1].trim() !== '' && !isBoundary(state.index) &&
+                       !this.interruptsParagraph(lines, state.index, state.rules)) {
+                content.push(line.trim());
+            } else {
+                break;
+            }
+            state.index++;
+        }
+
+        return content;
+    }
+
+    /**
+     * Normalize a reference label for case-insensitive lookup
+     */
+    normalizeLabel(label) {
+        return label.trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    tokenizeFootnoteDefinition(state) {
+        const pattern = /^ {0,3}\[\^([^\]\s]+)\]:[ \t]*(.*)$/;
+        const match = state.lines[state.index].match(pattern);
+        if (!match) return null;
+
+        const content = this.collectContainerLines(state, match[2], 4, index => pattern.test(state.lines[index]));
+        const node = {
+            type: 'footnoteDefinition',
+            label: match[1],
+            children: this.parseBlocks(content, state.env)
+        };
+
+        const key = this.normalizeLabel(match[1]);
+        if (!state.env.footnoteDefinitions[key]) state.env.footnoteDefinitions[key] = node;
+        return node;
+    }
+
+    /**
+     * Tokenize a link reference definition: [label]: url "optional title".
+     * The title may also sit on the following line.
+     */
+    tokenizeLinkReferenceDefinition(state) {
+        const match = state.lines[state.index].match(
+            /^ {0,3}\[((?:[^\\[\]]|\\.)+)\]:[ \t]*(?:<([^<>\n]*)>|(\S+))(?:[ \t]+("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\)))?[ \t]*$/
+        );
+        if (!match) return null;
+
+        const label = match[1];
+        const href = this.unescapeMarkdown(match[2] !== undefined ? match[2] : match[3]);
+        let title = match[4];
+        state.index++;
+
+        if (title === undefined) {
+            const next = (state.lines[state.index] || '').match(/^[ \t]+("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|\((?:[^()\\]|\\.)*\))[ \t]*$/);
+            if (next) {
+                title = next[1];
+                state.index++;
+            }
+        }
+        title = title === undefined ? null : this.unescapeMarkdown(title.slice(1, -1));
+
+        // The first definition of a label wins
+        const key = this.normalizeLabel(label);
+        if (!state.env.definitions[key]) state.env.definitions[key] = { label, href, title };
+        return { type: 'definition', label, href, title };
+    }
+
+    tokenizeAbbreviationDefinition(state) {
+        const match = state.lines[state.index].match(/^ {0,3}\*\[([^\]]+)\]:[ \t]*(.*)$/);
+        if (!match) return null;
+
+        state.index++;
+        const term = match[1].trim();
+        state.env.abbreviations[term] = match[2].trim();
+        return { type: 'abbreviationDefinition', term, title: match[2].trim() };
+    }
+
+    /**
+     * A definition list starts with a term line directly followed by a
+     * ": definition" line
+     */
+    isDefinitionStart(line, next) {
+        return line !== undefined && line.trim() !== '' && next !== undefined &&
+            !/^ {0,3}:/.test(line) && /^ {0,3}:[ \t]+\S/.test(next);
+    }
+
+    tokenizeDefinitionList(state) {
+        const { lines } = state;
+        if (!this.isDefinitionStart(lines[state.index], lines[state.index + 1])) return null;
+
+        const descriptionPattern = /^ {0,3}:[ \t]+(.*)$/;
+        const isBoundary = index => descriptionPattern.test(lines[index]) ||
+            this.isDefinitionStart(lines[index], lines[index + 1]);
+        const children = [];
+
+        while (this.isDefinitionStart(lines[state.index], lines[state.index + 1])) {
+            children.push({ type: 'definitionTerm', raw: lines[state.index].trim() });
+            state.index++;
+
+            while (state.index < lines.length) {
+                const match = lines[state.index].match(descriptionPattern);
+                if (!match) break;
+
+                const content = this.collectContainerLines(state, match[1], 2, isBoundary);
+                children.push({ type: 'definitionDescription', children: this.parseBlocks(content, state.env) });
+
+                // Blank lines may separate descriptions and further terms
+                let next = state.index;
+                while (next < lines.length && lines[next].trim() === '') next++;
+                if (next > state.index && next < lines.length && isBoundary(next)) state.index = next;
+            }
+        }
+
+        return { type: 'definitionList', children };
+    }
+
+    tokenizeParagraph(state) {
+        const content = [];
+
+        while (state.index < state.lines.length) {
+            const line = state.lines[state.index];
+            if (line.trim() === '') break;
+
+            if (content.length > 0) {
+                const setext = line.match(/^ {0,3}(=+|-+)[ \t]*$/);
+                if (setext) {
+                    state.index++;
+                    return { type: 'heading', level: setext[1][0] === '=' ? 1 : 2, raw: content.join('\n').trim() };
+                }
+                if (this.interruptsParagraph(state.lines, state.index, state.rules)) break;
+            }
+
+            content.push(line.replace(/^\s+/, ''));
+            state.index++;
+        }
+
+        return { type: 'paragraph', raw: content.join('\n').trim() };
+    }
+
+    // ------------------------------------------------------------------
+    // Inline phase
+    // ------------------------------------------------------------------
+
+    /**
+     * Replace the raw text of every block node with parsed inline children
+     */
+    parseInlineContent(node, env) {
+        if (typeof node.raw === 'string') {
+            node.children = this.tokenizeInline(node.raw, env);
+            delete node.raw;
+        } else if (node.children) {
+            node.children.forEach(child => this.parseInlineContent(child, env));
+        }
+    }
+
+    /**
+     * Tokenize a run of inline text into inline nodes
+     */
+    tokenizeInline(text, env) {
+        const state = { src: text, pos: 0, nodes: [], delimiters: [], pending: '', env, parser: this, scans: this.createScans() };
+
+        env.depth++;
+        try {
+            while (state.pos < state.src.length) {
+                const char = state.src[state.pos];
+                const matched = this.inlineRules.some(rule =>
+                    (!rule.triggers || rule.triggers.includes(char)) && rule.tokenize(state)
+                );
+                if (!matched) {
+                    state.pending += char;
+                    state.pos++;
+                }
+            }
+        } finally {
+            env.depth--;
+        }
+
+        this.flushText(state);
+        this.processEmphasis(state.nodes, state.delimiters, state.env);
+        let nodes = this.mergeText(state.nodes);
+        if (this.options.autolinks) nodes = this.applyEmailAutolinks(nodes);
+        return this.applyAbbreviations(nodes, env);
+    }
+
+    /**
+     * What bracket, destination and title scans found in one text, so
+     * text full of unclosed links is not scanned again from each of them
+     */
+    createScans() {
+        return { brackets: new Map(), destinations: new Map(), titles: new Map() };
+    }
+
+    /**
+     * Move accumulated plain text into a text node
+     */
+    flushText(state) {
+        if (state.pending) {
+            state.nodes.push({ type: 'text', value: state.pending });
+            state.pending = '';
+        }
+    }
+
+    /**
+     * Append an inline node after any pending text
+     */
+    pushInline(state, node) {
+        this.flushText(state);
+        state.nodes.push(node);
+        return node;
+    }
+
+    /**
+     * Nesting depth of a list of inline nodes. Links and emphasis record
+     * their depth in env.nesting when built, so only the direct children
+     * need looking at.
+     */
+    inlineDepth(nodes, env) {
+        return nodes.reduce((depth, node) => Math.max(depth, env.nesting.get(node) || 0), 0);
+    }
+
+    /**
+     * Record the depth of a new link or emphasis node, or return false
+     * when it would nest deeper than maxNesting
+     */
+    trackNesting(node, env) {
+        const depth = this.inlineDepth(node.children, env) + 1;
+        if (depth > this.options.maxNesting) return false;
+        env.nesting.set(node, depth);
+        return true;
+    }
+
+    mergeText(nodes) {
+        const merged = [];
+        nodes.forEach(node => {
+            const previous = merged[merged.length - 1];
+            if (node.type === 'text' && node.value === '') return;
+            if (node.type === 'text' && previous && previous.type === 'text') {
+                previous.value += node.value;
+            } else {
+                merged.push(node);
+            }
+        });
+        return merged;
+    }
+
+    isPunctuation(char) {
+        return /[\p{P}\p{S}]/u.test(char);
+    }
+
+    isWhitespace(char) {
+        return char === undefined || /\s/.test(char);
+    }
+
+    unescapeMarkdown(text) {
+        return text.replace(/\\([!-/:-@[-`{-~])/g, '$1');
+    }
+
+    tokenizeEscape(state) {
+        const next = state.src[state.pos + 1];
+        if (next === '\n') {
+            this.pushInline(state, { type: 'break' });
+            state.pos += 2;
+            return true;
+        }
+        if (next !== undefined && /[!-/:-@[-`{-~]/.test(next)) {
+            state.pending += next;
+            state.pos += 2;
+            return true;
+        }
+        return false;
+    }
+
+    /**
+     * Measure the backtick run at `pos` and find the run of the same
+     * length that closes it: { length, close }, with close -1 if none
+     */
+    findCodeSpanEnd(src, pos) {
+        let length = 1;
+        while (src[pos + length] === '`') length++;
+
+        const closing = /`+/g;
+        closing.lastIndex = pos + length;
+        let match;
+        while ((match = closing.exec(src)) !== null) {
+            if (match[0].length === length) return { length, close: match.index };
+        }
+        return { length, close: -1 };
+    }
+
+    tokenizeCodeSpan(state) {
+        const { src, pos } = state;
+        const { length, close } = this.findCodeSpanEnd(src, pos);
+        if (close === -1) {
+            // Unmatched backticks are literal text
+            state.pending += src.slice(pos, pos + length);
+            state.pos += length;
+            return true;
+        }
+
+        let value = src.slice(pos + length, close).replace(/\n/g, ' ');
+        if (/^ .*[^ ].* $/.test(value)) value = value.slice(1, -1);
+
+        this.pushInline(state, { type: 'inlineCode', value });
+        state.pos = close + length;
+        return true;
+    }
+
+    /**
+     * Tokenize $inline$ and $$display$$ math. Like code spans, the content
+     * is kept verbatim so _ and * inside formulas never become emphasis.
+     * A single $ only opens before and closes after a non-space character,
+     * and a closing $ may not be followed by a digit, so prices stay text.
+     */
+    tokenizeInlineMath(state) {
+        const { src, pos } = state;
+
+        if (src.startsWith('$$', pos)) {
+            const end = src.indexOf('$$', pos + 2);
+            if (end === -1 || end === pos + 2) {
+                state.pending += '$$';
+                state.pos += 2;
+                return true;
+            }
+            this.pushInline(state, { type: 'inlineMath', value: src.slice(pos + 2, end).trim(), display: true });
+            state.pos = end + 2;
+            return true;
+        }
+
+        if (this.isWhitespace(src[pos + 1])) return false;
+        for (let end = pos + 1; end < src.length; end++) {
+            if (src[end] === '\\') {
+                end++;
+            } else if (src[end] === '$') {
+                // Never run into display math
+                if (src[end + 1] === '$') return false;
+                if (this.isWhitespace(src[end - 1]) || /\d/.test(src[end + 1] || '')) continue;
+                this.pushInline(state, { type: 'inlineMath', value: src.slice(pos + 1, end), display: false });
+                state.pos = end + 1;
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Render TeX through the math renderer, or as code when it is missing
+     */
+    renderMath(tex, display) {
+        if (!this.mathRenderer) {
+            return `<code class="math">${this.escapeHtml(display ? `$$${tex}$$` : `$${tex}$`)}</code>`;
+        }
+        return this.mathRenderer.render(tex, { display });
+    }
+
+    /**
+     * Find the index of the bracket closing the one at `start`, or -1,
+     * skipping escapes and code spans. The scan settles every bracket it
+     * passes, so their results go into `cache` too.
+     */
+    findClosingBracket(src, start, cache = new Map()) {
+        if (cache.has(start)) return cache.get(start);
+
+        const open = [];
+        for (let i = start; i < src.length; i++) {
+            const char = src[i];
+            if (char === '\\') {
+                i++;
+            } else if (char === '`') {
+                const { length, close } = this.findCodeSpanEnd(src, i);
+                i = (close === -1 ? i : close) + length - 1;
+            } else if (char === '[') {
+                open.push(i);
+            } else if (char === ']') {
+                cache.set(open.pop(), i);
+                if (open.length === 0) break;
+            }
+        }
+        open.forEach(index => cache.set(index, -1));
+        return cache.get(start);
+    }
+
+    /**
+     * Parse an inline link destination and optional title starting at the
+     * opening parenthesis
+     */
+    parseLinkTarget(src, start, scans = this.createScans()) {
+        if (src[start] !== '(') return null;
+
+        let pos = start + 1;
+        const skipSpace = () => {
+            while (pos < src.length && /\s/.test(src[pos])) pos++;
+        };
+        skipSpace();
+
+        let href = '';
+        if (src[pos] === '<') {
+            const end = src.indexOf('>', pos);
+            if (end === -1 || src.slice(pos, end).includes('\n')) return null;
+            href = src.slice(pos + 1, end);
+            pos = end + 1;
+        } else {
+            const begin = pos;
+            pos = this.findDestinationEnd(src, begin, scans.destinations);
+            href = src.slice(begin, pos);
+        }
+
+        skipSpace();
+        let title = null;
+        const quote = src[pos];
+        if (quote === '"' || quote === "'" || quote === '(') {
+            const end = this.findTitleEnd(src, pos + 1, quote === '(' ? ')' : quote, scans.titles);
+            if (end >= src.length) return null;
+            title = this.unescapeMarkdown(src.slice(pos + 1, end));
+            pos = end + 1;
+            skipSpace();
+        }
+
+        if (src[pos] !== ')') return null;
+        return { href: this.unescapeMarkdown(href), title, end: pos + 1 };
+    }
+
+    /**
+     * End of a link destination starting at `begin`: the first whitespace
+     * or unbalanced closing parenthesis. The scan also settles the
+     * destinations that would start after each parenthesis it passes.
+     */
+    findDestinationEnd(src, begin, cache) {
+        if (cache.has(begin)) return cache.get(begin);
+
+        const open = [begin];
+        let pos = begin;
+        while (pos < src.length && !/\s/.test(src[pos])) {
+            if (src[pos] === '\\') {
+                pos++;
+            } else if (src[pos] === '(') {
+                open.push(pos + 1);
+            } else if (src[pos] === ')') {
+                cache.set(open.pop(), pos);
+                if (open.length === 0) return pos;
+            }
+            pos++;
+        }
+        pos = Math.min(pos, src.length);
+        open.forEach(index => cache.set(index, pos));
+        return pos;
+    }
+
+    /**
+     * Index of the unescaped `closeQuote` ending a link title that starts
+     * at `begin`, or the length of the text. Titles open after whitespace,
+     * so one starting inside the last scan for the same quote ends where
+     * that scan did.
+     */
+    findTitleEnd(src, begin, closeQuote, cache) {
+        const last = cache.get(closeQuote);
+        if (last && begin >= last.begin && begin <= last.end) return last.end;
+
+        let end = begin;
+        while (end < src.length && src[end] !== closeQuote) {
+            if (src[end] === '\\') end++;
+            end++;
+        }
+        end = Math.min(end, src.length);
+        cache.set(closeQuote, { begin, end });
+        return end;
+    }
+
+    /**
+     * Resolve what follows a link's closing bracket: an inline target, a
+     * full [ref] or collapsed [] reference, or a shortcut reference using
+     * the link text itself as label. Full and collapsed references without
+     * a definition come back flagged as unresolved.
+     */
+    resolveLinkTarget(state, textStart, close) {
+        const { src, env } = state;
+        const inline = this.parseLinkTarget(src, close + 1, state.scans);
+        if (inline) return inline;
+
+        const definitions = env.definitions || {};
+        const text = src.slice(textStart, close);
+
+        if (src[close + 1] === '[') {
+            const end = src.indexOf(']', close + 2);
+            const reference = end === -1 ? '' : src.slice(close + 2, end);
+            if (end !== -1 && !reference.includes('[')) {
+                const label = reference.trim() ? reference : text;
+                const definition = definitions[this.normalizeLabel(label)];
+                if (definition) return { href: definition.href, title: definition.title, end: end + 1 };
+                return { unresolved: true, label, reference, end: end + 1 };
+            }
+        }
+
+        const definition = text.trim() ? definitions[this.normalizeLabel(text)] : null;
+        if (definition) return { href: definition.href, title: definition.title, end: close + 1 };
+        return null;
+    }
+
+    /**
+     * Record an unresolved reference as a warning and flag it in the output
+     */
+    pushUnresolvedReference(state, target, children) {
+        if (state.env.warnings) {
+            state.env.warnings.push({
+                type: 'unresolved-reference',
+                label: target.label,
+                message: `Undefined link reference: [${target.label}]`
+            });
+        }
+        this.pushInline(state, { type: 'unresolvedReference', label: target.label, reference: target.reference, children });
+        state.pos = target.end;
+        return true;
+    }
+
+    tokenizeLink(state) {
+        const { src, pos } = state;
+        if (state.env.depth >= this.options.maxNesting) return false;
+        const close = this.findClosingBracket(src, pos, state.scans.brackets);
+        if (close === -1) return false;
+
+        const target = this.resolveLinkTarget(state, pos + 1, close);
+        if (!target) return false;
+
+        const children = this.tokenizeInline(src.slice(pos + 1, close), state.env);
+        if (target.unresolved) return this.pushUnresolvedReference(state, target, children);
+
+        const link = { type: 'link', href: target.href, title: target.title, children };
+        if (!this.trackNesting(link, state.env)) return false;
+        this.pushInline(state, link);
+        state.pos = target.end;
+        return true;
+    }
+
+    tokenizeImage(state) {
+        const { src, pos } = state;
+        if (src[pos + 1] !== '[' || state.env.depth >= this.options.maxNesting) return false;
+
+        const close = this.findClosingBracket(src, pos + 1, state.scans.brackets);
+        if (close === -1) return false;
+
+        const target = this.resolveLinkTarget(state, pos + 2, close);
+        if (!target) return false;
+
+        const altNodes = this.tokenizeInline(src.slice(pos + 2, close), state.env);
+        if (target.unresolved) {
+            state.pending += '!';
+            return this.pushUnresolvedReference(state, target, altNodes);
+        }
+
+        this.pushInline(state, {
+            type: 'image',
+            src: target.href,
+            title: target.title,
+            alt: this.toPlainText(altNodes)
+        });
+        state.pos = target.end;
+        return true;
+    }
+
+    tokenizeFootnoteReference(state) {
+        const match = state.src.slice(state.pos).match(/^\[\^([^\]\s]+)\]/);
+        if (!match || !state.env.footnoteDefinitions) return false;
+
+        const key = this.normalizeLabel(match[1]);
+        const definition = state.env.footnoteDefinitions[key];
+        if (!definition) return false;
+
+        let footnote = state.env.footnotes.find(item => item.key === key);
+        if (!footnote) {
+            footnote = { key, label: match[1], number: state.env.footnotes.length + 1, references: 0, definition };
+            state.env.footnotes.push(footnote);
+        }
+        footnote.references++;
+
+        this.pushInline(state, {
+            type: 'footnoteReference',
+            label: match[1],
+            number: footnote.number,
+            referenceIndex: footnote.references
+        });
+        state.pos += match[0].length;
+        return true;
+    }
+
+    /**
+     * Split text nodes around defined abbreviations
+     */
+    applyAbbreviations(nodes, env) {
+        const terms = env && env.abbreviations ? Object.keys(env.abbreviations) : [];
+        if (terms.length === 0) return nodes;
+
+        const escaped = terms
+            .sort((a, b) => b.length - a.length)
+            .map(term => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const pattern = new RegExp(`(^|[^\\w])(${escaped.join('|')})(?=[^\\w]|$)`, 'g');
+
+        const result = [];
+        nodes.forEach(node => {
+            if (node.type !== 'text') {
+                if (node.children && node.type !== 'link') node.children = this.applyAbbreviations(node.children, env);
+                result.push(node);
+                return;
+            }
+
+            let lastIndex = 0;
+            let match;
+            pattern.lastIndex = 0;
+            while ((match = pattern.exec(node.value)) !== null) {
+                const start = match.index + match[1].length;
+                if (start > lastIndex) result.push({ type: 'text', value: node.value.slice(lastIndex, start) });
+                result.push({ type: 'abbreviation', value: match[2], title: env.abbreviations[match[2]] });
+                lastIndex = start + match[2].length;
+            }
+            if (lastIndex < node.value.length) result.push({ type: 'text', value: node.value.slice(lastIndex) });
+        });
+        return result;
+    }
+
+    /**
+     * Flatten inline nodes to their text content
+     */
+    toPlainText(nodes) {
+        return nodes.map(node => {
+            if (node.type === 'text' || node.type === 'inlineCode' || node.type === 'inlineMath') return node.value;
+            if (node.type === 'image') return node.alt;
+            if (node.type === 'entity') return this.decodeEntities(node.value);
+            return node.children ? this.toPlainText(node.children) : '';
+        }).join('');
+    }
+
+    /**
+     * Replace character references with the characters they stand for.
+     * Named references outside the common set are left as written.
+     */
+    decodeEntities(text) {
+        const named = {
+            amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0', shy: '\u00ad',
+            copy: '©', reg: '®', trade: '™', deg: '°', plusmn: '±', times: '×', divide: '÷',
+            middot: '·', bull: '•', hellip: '…', ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’',
+            ldquo: '“', rdquo: '”', laquo: '«', raquo: '»', sect: '§', para: '¶', euro: '€',
+            pound: '£', yen: '¥', cent: '¢', larr: '←', rarr: '→', uarr: '↑', darr: '↓',
+            harr: '↔', le: '≤', ge: '≥', ne: '≠'
+        };
+        return text.replace(/&(?:#[xX]([0-9a-fA-F]{1,6})|#([0-9]{1,7})|([A-Za-z][A-Za-z0-9]{1,31}));/g, (entity, hex, decimal, name) => {
+            if (name) return named[name] || entity;
+            const code = hex ? parseInt(hex, 16) : parseInt(decimal, 10);
+            return code > 0 && code <= 0x10ffff && (code < 0xd800 || code > 0xdfff) ? String.fromCodePoint(code) : '\ufffd';
+        });
+    }
+
+    tokenizeInlineHtml(state) {
+        const match = state.src.slice(state.pos).match(
+            /^(?:<[A-Za-z][A-Za-z0-9-]*(?:\s+[A-Za-z_:][\w.:-]*(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*\s*\/?>|<\/[A-Za-z][A-Za-z0-9-]*\s*>|<!--[\s\S]*?-->)/
+        );
+        if (!match) return false;
+
+        this.pushInline(state, { type: 'html', value: match[0] });
+        state.pos += match[0].length;
+        return true;
+    }
+
+    tokenizeEntity(state) {
+        const match = state.src.slice(state.pos).match(/^&(?:#[xX][0-9a-fA-F]{1,6}|#[0-9]{1,7}|[A-Za-z][A-Za-z0-9]{1,31});/);
+        if (!match) return false;
+
+        this.pushInline(state, { type: 'entity', value: match[0] });
+        state.pos += match[0].length;
+        return true;
+    }
+
+    /**
+     * Keep bare URLs as literal text so characters such as * and _ inside
+     * them are never read as emphasis delimiters
+     */
+    tokenizeBareUrl(state) {
+        const { src, pos } = state;
+        if (pos > 0 && /[A-Za-z0-9]/.test(src[pos - 1])) return false;
+
+        const match = src.slice(pos).match(/^(?:https?:\/\/|www\.)[^\s<]*/i);
+        if (!match) return false;
+
+        // Trailing punctuation and unbalanced closing parentheses are not
+        // part of the URL (GFM extended autolinks)
+        let url = match[0];
+        for (;;) {
+            if (/[?!.,:*_~'"]$/.test(url)) {
+                url = url.slice(0, -1);
+            } else if (url.endsWith(')') && url.split(')').length > url.split('(').length) {
+                url = url.slice(0, -1);
+            } else {
+                break;
+            }
+        }
+        if (!/^(?:https?:\/\/|www\.)[^\s]/i.test(url)) return false;
+
+        if (this.options.autolinks) {
+            const href = /^www\./i.test(url) ? `http://${url}` : url;
+            this.pushInline(state, { type: 'link', href, title: null, children: [{ type: 'text', value: url }] });
+        } else {
+            state.pending += url;
+        }
+        state.pos += url.length;
+        return true;
+    }
+
+    /**
+     * Tokenize an angle-bracket autolink: <https://...> or <user@host>
+     */
+    tokenizeAutolink(state) {
+        const rest = state.src.slice(state.pos);
+        const uri = rest.match(/^<([A-Za-z][A-Za-z0-9+.-]{1,31}:[^\s<>]*)>/);
+        const email = rest.match(/^<([A-Za-z0-9.!#$%&'*+/=?^_`{|}~-]+@[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*)>/);
+        const match = uri || email;
+        if (!match) return false;
+
+        this.pushInline(state, {
+            type: 'link',
+            href: uri ? match[1] : `mailto:${match[1]}`,
+            title: null,
+            children: [{ type: 'text', value: match[1] }]
+        });
+        state.pos += match[0].length;
+        return true;
+    }
+
+    /**
+     * Turn bare email addresses in text nodes into mailto links
+     */
+    applyEmailAutolinks(nodes) {
+        // Addresses are found from each "@" outward, so long runs of
+        // address characters are not scanned again from every position
+        const localCharacter = /[A-Za-z0-9._+-]/;
+        const domain = /[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}(?![\w@-])/y;
+        const result = [];
+
+        nodes.forEach(node => {
+            if (node.type !== 'text') {
+                if (node.children && node.type !== 'link') node.children = this.applyEmailAutolinks(node.children);
+                result.push(node);
+                return;
+            }
+
+            const text = node.value;
+            let lastIndex = 0;
+            let at = text.indexOf('@');
+            while (at !== -1) {
+                let start = at;
+                while (start > lastIndex && localCharacter.test(text[start - 1])) start--;
+                domain.lastIndex = at + 1;
+                if (start < at && domain.test(text)) {
+                    const address = text.slice(start, domain.lastIndex);
+                    if (start > lastIndex) result.push({ type: 'text', value: text.slice(lastIndex, start) });
+                    result.push({ type: 'link', href: `mailto:${address}`, title: null, children: [{ type: 'text', value: address }] });
+                    lastIndex = domain.lastIndex;
+                    at = text.indexOf('@', lastIndex);
+                } else {
+                    at = text.indexOf('@', at + 1);
+                }
+            }
+            if (lastIndex < text.length) result.push({ type: 'text', value: text.slice(lastIndex) });
+        });
+        return result;
+    }
+
+    /**
+     * Record a run of *, _ or ~ as a potential emphasis delimiter. Whether
+     * it can open or close follows the CommonMark flanking rules, which is
+     * what keeps snake_case identifiers and 2*3*4 literal.
+     */
+    tokenizeDelimiterRun(state) {
+        const { src, pos } = state;
+        const char = src[pos];
+        let end = pos;
+        while (src[end] === char) end++;
+        const run = src.slice(pos, end);
+
+        if (char === '~' && run.length !== 2) {
+            state.pending += run;
+            state.pos = end;
+            return true;
+        }
+
+        const before = pos > 0 ? src[pos - 1] : undefined;
+        const after = src[end];
+        const leftFlanking = !this.isWhitespace(after) &&
+            (!this.isPunctuation(after) || this.isWhitespace(before) || this.isPunctuation(before));
+        const rightFlanking = !this.isWhitespace(before) &&
+            (!this.isPunctuation(before) || this.isWhitespace(after) || this.isPunctuation(after));
+
+        let canOpen = leftFlanking;
+        let canClose = rightFlanking;
+        if (char === '_') {
+            canOpen = leftFlanking && (!rightFlanking || this.isPunctuation(before));
+            canClose = rightFlanking && (!leftFlanking || this.isPunctuation(after));
+        }
+
+        const node = this.pushInline(state, { type: 'text', value: run });
+        if (canOpen || canClose) {
+            state.delimiters.push({ char, node, count: run.length, length: run.length, canOpen, canClose });
+        }
+        state.pos = end;
+        return true;
+    }
+
+    tokenizeNewline(state) {
+        if (/ {2,}$/.test(state.pending)) {
+            state.pending = state.pending.replace(/ +$/, '');
+            this.pushInline(state, { type: 'break' });
+        } else {
+            state.pending = state.pending.replace(/ +$/, '') + '\n';
+        }
+
+        state.pos++;
+        while (state.src[state.pos] === ' ') state.pos++;
+        return true;
+    }
+
+    /**
+     * Pair up delimiter runs into emphasis, strong and delete nodes. An
+     * opener that would nest deeper than maxNesting stays literal text.
+     */
+    processEmphasis(nodes, delimiters, env) {
+        let closerIndex = 0;
+
+        while (closerIndex < delimiters.length) {
+            const closer = delimiters[closerIndex];
+            if (!closer.canClose) {
+                closerIndex++;
+                continue;
+            }
+
+            let openerIndex = closerIndex - 1;
+            for (; openerIndex >= 0; openerIndex--) {
+                const opener = delimiters[openerIndex];
+                if (opener.char !== closer.char || !opener.canOpen) continue;
+                if (closer.char === '~') {
+                    if (opener.count === 2 && closer.count === 2) break;
+                    continue;
+                }
+                const oddMatch = (opener.canClose || closer.canOpen) &&
+                    (opener.length + closer.length) % 3 === 0 &&
+                    !(opener.length % 3 === 0 && closer.length % 3 === 0);
+                if (!oddMatch) break;
+            }
+
+            if (openerIndex < 0) {
+                if (closer.canOpen) {
+                    closerIndex++;
+                } else {
+                    delimiters.splice(closerIndex, 1);
+                }
+                continue;
+            }
+
+            const opener = delimiters[openerIndex];
+            const use = closer.char === '~' || (opener.count >= 2 && closer.count >= 2) ? 2 : 1;
+            const type = closer.char === '~' ? 'delete' : use === 2 ? 'strong' : 'emphasis';
+
+            const start = nodes.indexOf(opener.node);
+            const end = nodes.indexOf(closer.node);
+            const node = { type, children: nodes.slice(start + 1, end) };
+            if (!this.trackNesting(node, env)) {
+                delimiters.splice(openerIndex, 1);
+                closerIndex--;
+                continue;
+            }
+            node.children = this.mergeText(node.children);
+            nodes.splice(start + 1, end - start - 1, node);
+
+            opener.count -= use;
+            opener.node.value = opener.node.value.slice(use);
+            closer.count -= use;
+            closer.node.value = closer.node.value.slice(use);
+
+            // Delimiters between the pair can no longer match anything
+            delimiters.splice(openerIndex + 1, closerIndex - openerIndex - 1);
+            closerIndex = openerIndex + 1;
+
+            if (opener.count === 0) {
+                nodes.splice(nodes.indexOf(opener.node), 1);
+                delimiters.splice(openerIndex, 1);
+                closerIndex--;
+            }
+            if (closer.count === 0) {
+                nodes.splice(nodes.indexOf(closer.node), 1);
+                delimiters.splice(closerIndex, 1);
+            }
+        }
+    }
+
+    // ------------------------------------------------------------------
+    // Rendering helpers
+    // ------------------------------------------------------------------
+
+    /**
+     * Give every heading a unique slug ID and list the headings in document
+     * order. Each entry carries the source line of its top-level block.
+     * TOC markers receive the finished list.
+     */
+    collectHeadings(ast) {
+        const headings = [];
+        const tocs = [];
+        const used = new Map();
+
+        const walk = (node, line) => {
+            if (node.type === 'heading') {
+                const text = this.headingText(node);
+                if (this.options.headingIds) {
+                    const base = this.slugify(text);
+                    let id = base;
+                    while (used.has(id)) {
+                        const count = used.get(base) + 1;
+                        used.set(base, count);
+                        id = `${base}-${count}`;
+                    }
+                    used.set(id, 0);
+                    node.id = id;
+                }
+                headings.push({ level: node.level, text, id: node.id || null, line });
+            } else if (node.type === 'toc') {
+                tocs.push(node);
+            }
+            if (node.children && node.type !== 'heading') node.children.forEach(child => walk(child, line));
+        };
+        ast.children.forEach(node => walk(node, node.position ? node.position.start.line : null));
+
+        tocs.forEach(toc => {
+            toc.headings = headings.filter(heading => heading.id);
+        });
+        return headings;
+    }
+
+    /**
+     * The text of a heading as readers see it: the rendered HTML after
+     * sanitizing, so raw HTML the sanitizer drops (such as scripts) does
+     * not end up in IDs or the outline. Footnote markers and the TeX
+     * source kept in math annotations are left out.
+     */
+    headingText(node) {
+        let html = this.renderChildren(node.children.filter(child => child.type !== 'footnoteReference'));
+        if (this.sanitizer) html = this.sanitizer.sanitize(html).html;
+        const text = html
+            .replace(/<annotation\b[\s\S]*?<\/annotation>/gi, '')
+            .replace(/<[^>]*>/g, '');
+        return this.decodeEntities(text).replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Convert heading text to a URL fragment slug
+     */
+    slugify(text) {
+        const slug = text
+            .toLowerCase()
+            .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+            .trim()
+            .replace(/\s+/g, '-');
+        return slug || 'section';
+    }
+
+    /**
+     * Render headings as a nested list of links
+     */
+    renderToc(headings) {
+        if (headings.length === 0) return '';
+
+        const root = { children: [] };
+        const stack = [{ level: 0, item: root }];
+        headings.forEach(heading => {
+            while (stack[stack.length - 1].level >= heading.level) stack.pop();
+            const item = { heading, children: [] };
+            stack[stack.length - 1].item.children.push(item);
+            stack.push({ level: heading.level, item });
+        });
+
+        const renderItems = items => `<ul>\n${items.map(item => {
+            const link = `<a href="#${this.escapeHtml(item.heading.id)}">${this.escapeHtml(item.heading.text)}</a>`;
+            return `<li>${link}${item.children.length ? `\n${renderItems(item.children)}\n` : ''}</li>`;
+        }).join('\n')}\n</ul>`;
+
+        return `<nav class="toc">\n${renderItems(root.children)}\n</nav>`;
+    }
+
+    renderList(node) {
+        const tag = node.ordered ? 'ol' : 'ul';
+        const isTaskList = node.children.some(item => item.checked !== null);
+        let attributes = '';
+        if (node.ordered && node.start !== 1) attributes += ` start="${node.start}"`;
+        if (isTaskList) attributes += ' class="task-list"';
+
+        const items = node.children.map(item => this.renderListItem(item, node.tight)).join('\n');
+        return `<${tag}${attributes}>\n${items}\n</${tag}>`;
+    }
+
+    renderListItem(item, tight) {
+        const content = item.children.map(child =>
+            tight && child.type === 'paragraph' ? this.renderChildren(child.children) : this.render(child)
+        ).join('\n');
+
+        if (item.checked === null) return `<li>${content}</li>`;
+        const checkbox = `<input type="checkbox"${item.checked ? ' checked' : ''} disabled>`;
+        return `<li class="task-item">${checkbox} ${content}</li>`;
+    }
+
+    /**
+     * Render collected footnotes as a back-linked section
+     */
+    renderFootnotes(footnotes) {
+        const items = footnotes.map(footnote => {
+            const backrefs = [];
+            for (let i = 1; i <= footnote.references; i++) {
+                const id = i > 1 ? `fnref-${footnote.number}-${i}` : `fnref-${footnote.number}`;
+                const label = i > 1 ? `↩<sup>${i}</sup>` : '↩';
+                backrefs.push(`<a href="#${id}" class="footnote-backref" aria-label="Back to reference ${footnote.number}">${label}</a>`);
+            }
+
+            const blocks = footnote.children.map(child => this.render(child));
+            const last = footnote.children[footnote.children.length - 1];
+            if (last && last.type === 'paragraph') {
+                blocks[blocks.length - 1] = blocks[blocks.length - 1].replace(/<\/p>$/, ` ${backrefs.join(' ')}</p>`);
+            } else {
+                blocks.push(backrefs.join(' '));
+            }
+            return `<li id="fn-${footnote.number}">\n${blocks.join('\n')}\n</li>`;
+        });
+
+        return `<section class="footnotes">\n<hr>\n<ol>\n${items.join('\n')}\n</ol>\n</section>`;
+    }
+
+    renderTable(node) {
+        const [headerRow, ...bodyRows] = node.children;
+        const renderRow = (row, cellTag) => {
+            const cells = row.children.map((cell, i) => {
+                const align = node.align[i] || 'left';
+                const style = align !== 'left' ? ` style="text-align: ${align}"` : '';
+                return `<${cellTag}${style}>${this.renderChildren(cell.children)}</${cellTag}>`;
+            });
+            return `<tr>\n${cells.join('\n')}\n</tr>`;
+        };
+
+        let html = '<table class="markdown-table">\n<thead>\n';
+        html += renderRow(headerRow, 'th');
+        html += '\n</thead>\n<tbody>\n';
+        html += bodyRows.map(row => renderRow(row, 'td')).join('\n');
+        html += (bodyRows.length ? '\n' : '') + '</tbody>\n</table>';
+        return html;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarkdownParser;
+}
@@ -0,0 +1,456 @@
+/**
+ * Math Renderer Module
+ * Converts a practical subset of LaTeX math to MathML, entirely offline
+ */
+
+class MathRenderer {
+    constructor() {
+        this.symbols = this.initializeSymbols();
+    }
+
+    /**
+     * Initialize command tables: each command maps to the MathML element
+     * it produces and the character it contains
+     */
+    initializeSymbols() {
+        const identifiers = {
+            alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ϵ', varepsilon: 'ε', zeta: 'ζ',
+            eta: 'η', theta: 'θ', vartheta: 'ϑ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν',
+            xi: 'ξ', pi: 'π', varpi: 'ϖ', rho: 'ρ', varrho: 'ϱ', sigma: 'σ', varsigma: 'ς', tau: 'τ',
+            upsilon: 'υ', phi: 'ϕ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+            infty: '∞', partial: '∂', nabla: '∇', emptyset: '∅', varnothing: '∅', hbar: 'ℏ', ell: 'ℓ',
+            Re: 'ℜ', Im: 'ℑ', aleph: 'ℵ', wp: '℘', imath: 'ı', jmath: 'ȷ'
+        };
+        const uprightIdentifiers = {
+            Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ',
+            Upsilon: 'Υ', Phi: 'Φ', Psi: 'Ψ', Omega: 'Ω'
+        };
+        const operators = {
+            times: '×', cdot: '⋅', pm: '±', mp: '∓', div: '÷', ast: '∗', star: '⋆', circ: '∘', bullet: '∙',
+            leq: '≤', le: '≤', geq: '≥', ge: '≥', neq: '≠', ne: '≠', approx: '≈', equiv: '≡', sim: '∼',
+            simeq: '≃', cong: '≅', propto: '∝', ll: '≪', gg: '≫', prec: '≺', succ: '≻',
+            to: '→', rightarrow: '→', leftarrow: '←', gets: '←', Rightarrow: '⇒', Leftarrow: '⇐',
+            leftrightarrow: '↔', Leftrightarrow: '⇔', iff: '⟺', implies: '⟹', mapsto: '↦',
+            longrightarrow: '⟶', longleftarrow: '⟵', uparrow: '↑', downarrow: '↓',
+            in: '∈', notin: '∉', ni: '∋', subset: '⊂', subseteq: '⊆', supset: '⊃', supseteq: '⊇',
+            cup: '∪', cap: '∩', setminus: '∖', forall: '∀', exists: '∃', nexists: '∄', neg: '¬', lnot: '¬',
+            land: '∧', wedge: '∧', lor: '∨', vee: '∨', oplus: '⊕', otimes: '⊗', odot: '⊙',
+            perp: '⊥', parallel: '∥', mid: '∣', vdash: '⊢', models: '⊨', angle: '∠', triangle: '△',
+            ldots: '…', dots: '…', cdots: '⋯', vdots: '⋮', ddots: '⋱',
+            langle: '⟨', rangle: '⟩', lfloor: '⌊', rfloor: '⌋', lceil: '⌈', rceil: '⌉',
+            lvert: '|', rvert: '|', vert: '|', lVert: '‖', rVert: '‖', Vert: '‖', colon: ':',
+            prime: '′', degree: '°'
+        };
+        const largeOperators = {
+            sum: '∑', prod: '∏', coprod: '∐', int: '∫', iint: '∬', iiint: '∭', oint: '∮',
+            bigcup: '⋃', bigcap: '⋂', bigoplus: '⨁', bigotimes: '⨂', bigvee: '⋁', bigwedge: '⋀'
+        };
+        const functions = [
+            'sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'arcsin', 'arccos', 'arctan', 'sinh', 'cosh', 'tanh',
+            'coth', 'log', 'ln', 'lg', 'exp', 'det', 'dim', 'ker', 'deg', 'gcd', 'arg', 'hom', 'Pr'
+        ];
+        const limits = ['lim', 'max', 'min', 'sup', 'inf', 'limsup', 'liminf', 'argmax', 'argmin'];
+        const accents = {
+            hat: '^', widehat: '^', bar: '¯', overline: '‾', vec: '→', overrightarrow: '→', dot: '˙',
+            ddot: '¨', tilde: '~', widetilde: '~', acute: '´', grave: '`', check: 'ˇ', breve: '˘'
+        };
+        const spaces = {
+            ',': '0.1667em', ':': '0.2222em', '>': '0.2222em', ';': '0.2778em', '!': '-0.1667em',
+            ' ': '0.25em', quad: '1em', qquad: '2em', enspace: '0.5em', thinspace: '0.1667em'
+        };
+        const variants = {
+            mathbf: 'bold', textbf: 'bold', boldsymbol: 'bold-italic', mathit: 'italic', mathrm: 'normal',
+            mathbb: 'double-struck', mathcal: 'script', mathscr: 'script', mathfrak: 'fraktur',
+            mathsf: 'sans-serif', mathtt: 'monospace'
+        };
+
+        return { identifiers, uprightIdentifiers, operators, largeOperators, functions, limits, accents, spaces, variants };
+    }
+
+    /**
+     * Render TeX as a MathML element. Malformed input renders as an
+     * inline error marker that keeps the source visible.
+     */
+    render(tex, { display = false } = {}) {
+        try {
+            const body = this.toMathML(tex, display);
+            const displayAttribute = display ? ' display="block"' : '';
+            return `<math xmlns="http://www.w3.org/1998/Math/MathML"${displayAttribute}>` +
+                `<semantics>${body}<annotation encoding="application/x-tex">${this.escapeHtml(tex)}</annotation></semantics></math>`;
+        } catch (error) {
+            const delimiter = display ? '$$' : '$';
+            return `<span class="math-error" title="${this.escapeHtml(`Math error: ${error.message}`)}">` +
+                `${this.escapeHtml(delimiter + tex + delimiter)}</span>`;
+        }
+    }
+
+    /**
+     * Convert TeX to the MathML content of a <math> element
+     */
+    toMathML(tex, display = false) {
+        const state = { src: tex, pos: 0, display, variant: null };
+        const rows = this.parseRows(state, null);
+        if (state.pos < state.src.length) {
+            const rest = state.src.slice(state.pos);
+            if (rest.startsWith('\\right')) throw new Error('\\right without \\left');
+            if (rest.startsWith('\\end')) throw new Error('\\end without \\begin');
+            throw new Error(`Unexpected "${rest[0]}"`);
+        }
+        return this.layoutRows(rows, null);
+    }
+
+    /**
+     * Parse cells separated by & and rows separated by \\ until the end
+     * of the input or \end{environment}
+     */
+    parseRows(state, environment) {
+        const rows = [[]];
+        for (;;) {
+            const cell = this.parseExpression(state);
+            rows[rows.length - 1].push(cell);
+
+            if (this.consume(state, '&')) continue;
+            if (this.consume(state, '\\\\')) {
+                rows.push([]);
+                continue;
+            }
+            break;
+        }
+
+        if (environment) {
+            if (!this.consume(state, '\\end')) throw new Error(`Missing \\end{${environment}}`);
+            const name = this.readGroupText(state, '\\end');
+            if (name !== environment) throw new Error(`\\begin{${environment}} ended by \\end{${name}}`);
+        }
+
+        // A trailing \\ does not open an extra row
+        const last = rows[rows.length - 1];
+        if (rows.length > 1 && last.length === 1 && last[0] === '') rows.pop();
+        return rows;
+    }
+
+    /**
+     * Lay out parsed rows: a single cell is a plain row, anything else
+     * becomes a table
+     */
+    layoutRows(rows, columnAlign) {
+        if (rows.length === 1 && rows[0].length === 1) return `<mrow>${rows[0][0]}</mrow>`;
+
+        const align = columnAlign ? ` columnalign="${columnAlign}"` : '';
+        const body = rows.map(row => `<mtr>${row.map(cell => `<mtd>${cell}</mtd>`).join('')}</mtr>`).join('');
+        return `<mtable${align}>${body}</mtable>`;
+    }
+
+    /**
+     * Parse atoms until a closing brace, cell/row separator, \right or \end
+     */
+    parseExpression(state) {
+        let output = '';
+        for (;;) {
+            this.skipSpace(state);
+            if (state.pos >= state.src.length) break;
+
+            const rest = state.src.slice(state.pos);
+            if (rest[0] === '}' || rest[0] === '&' || rest.startsWith('\\\\') ||
+                /^\\(?:right|end)(?![A-Za-z])/.test(rest)) {
+                break;
+            }
+            output += this.parseScripted(state);
+        }
+        return output;
+    }
+
+    /**
+     * Parse one atom together with any ^ and _ scripts attached to it
+     */
+    parseScripted(state) {
+        const base = this.parseAtom(state);
+        let sub = null;
+        let sup = null;
+
+        for (;;) {
+            this.skipSpace(state);
+            const char = state.src[state.pos];
+            if (char === '^' || char === '_') {
+                state.pos++;
+                const script = this.parseArgument(state, char);
+                if (char === '^') {
+                    if (sup !== null) throw new Error('Double superscript');
+                    sup = script;
+                } else {
+                    if (sub !== null) throw new Error('Double subscript');
+                    sub = script;
+                }
+            } else if (char === "'") {
+                state.pos++;
+                sup = (sup || '') + '<mo>′</mo>';
+            } else {
+                break;
+            }
+        }
+
+        if (sub === null && sup === null) return base.html;
+
+        // Limits go under and over large operators in display mode
+        const stacked = base.limits && state.display;
+        const wrap = html => `<mrow>${html}</mrow>`;
+        if (sub !== null && sup !== null) {
+            const tag = stacked ? 'munderover' : 'msubsup';
+            return `<${tag}>${base.html}${wrap(sub)}${wrap(sup)}</${tag}>`;
+        }
+        if (sub !== null) {
+            const tag = stacked ? 'munder' : 'msub';
+            return `<${tag}>${base.html}${wrap(sub)}</${tag}>`;
+        }
+        const tag = stacked ? 'mover' : 'msup';
+        return `<${tag}>${base.html}${wrap(sup)}</${tag}>`;
+    }
+
+    /**
+     * Parse a single atom: a group, number, letter, symbol or command
+     */
+    parseAtom(state) {
+        const { src } = state;
+        const char = src[state.pos];
+
+        if (char === '{') {
+            state.pos++;
+            const content = this.parseExpression(state);
+            if (!this.consume(state, '}')) throw new Error('Missing closing brace');
+            return { html: `<mrow>${content}</mrow>` };
+        }
+        if (char === '}') throw new Error('Unexpected }');
+        if (char === '^' || char === '_') return { html: '<mrow></mrow>' };
+        if (char === '\\') return this.parseCommand(state);
+
+        const number = src.slice(state.pos).match(/^\d+(?:\.\d+)?/);
+        if (number) {
+            state.pos += number[0].length;
+            return { html: this.token('mn', number[0], state.variant) };
+        }
+
+        state.pos++;
+        if (/[A-Za-z]/.test(char)) return { html: this.token('mi', char, state.variant) };
+        if (char === '-') return { html: '<mo>−</mo>' };
+        if (char === '*') return { html: '<mo>∗</mo>' };
+        if ('()[]|'.includes(char)) return { html: `<mo stretchy="false">${char}</mo>` };
+        if (/[+=<>!,;:/.?]/.test(char)) return { html: `<mo>${this.escapeHtml(char)}</mo>` };
+        if (char === '~') return { html: '<mspace width="0.25em"></mspace>' };
+        if (char === '$' || char === '%' || char === '#') throw new Error(`Unescaped "${char}"`);
+        return { html: this.token(/\p{L}/u.test(char) ? 'mi' : 'mo', char, state.variant) };
+    }
+
+    /**
+     * Parse a backslash command and its arguments
+     */
+    parseCommand(state) {
+        const { src } = state;
+        const match = src.slice(state.pos).match(/^\\([A-Za-z]+|.)/);
+        if (!match) throw new Error('Dangling backslash');
+        state.pos += match[0].length;
+
+        const name = match[1];
+        const symbols = this.symbols;
+
+        if (symbols.identifiers[name]) return { html: this.token('mi', symbols.identifiers[name], state.variant) };
+        if (symbols.uprightIdentifiers[name]) return { html: `<mi mathvariant="normal">${symbols.uprightIdentifiers[name]}</mi>` };
+        if (symbols.operators[name]) return { html: `<mo>${symbols.operators[name]}</mo>` };
+        if (symbols.largeOperators[name]) {
+            return { html: `<mo largeop="true" movablelimits="true">${symbols.largeOperators[name]}</mo>`, limits: !/int$/.test(name) };
+        }
+        if (symbols.functions.includes(name)) return { html: `<mi>${name}</mi><mo>&#x2061;</mo>` };
+        if (symbols.limits.includes(name)) return { html: `<mo movablelimits="true">${name}</mo>`, limits: true };
+        if (symbols.spaces[name]) return { html: `<mspace width="${symbols.spaces[name]}"></mspace>` };
+        if ('{}$%&#_'.includes(name)) return { html: `<mo>${this.escapeHtml(name)}</mo>` };
+        if (name === '|') return { html: '<mo>‖</mo>' };
+
+        if (symbols.accents[name]) {
+            const base = this.parseArgument(state, name);
+            const stretchy = /^(?:wide|over)/.test(name) ? ' stretchy="true"' : '';
+            return { html: `<mover accent="true"><mrow>${base}</mrow><mo${stretchy}>${this.escapeHtml(symbols.accents[name])}</mo></mover>` };
+        }
+        if (symbols.variants[name]) {
+            const previous = state.variant;
+            state.variant = symbols.variants[name];
+            const content = this.parseArgument(state, name);
+            state.variant = previous;
+            return { html: `<mrow>${content}</mrow>` };
+        }
+
+        switch (name) {
+            case 'frac':
+            case 'dfrac':
+            case 'tfrac': {
+                const numerator = this.parseArgument(state, name);
+                const denominator = this.parseArgument(state, name);
+                return { html: `<mfrac><mrow>${numerator}</mrow><mrow>${denominator}</mrow></mfrac>` };
+            }
+            case 'binom': {
+                const top = this.parseArgument(state, name);
+                const bottom = this.parseArgument(state, name);
+                return { html: `<mrow><mo>(</mo><mfrac linethickness="0"><mrow>${top}</mrow><mrow>${bottom}</mrow></mfrac><mo>)</mo></mrow>` };
+            }
+            case 'sqrt': {
+                let index = null;
+                this.skipSpace(state);
+                if (src[state.pos] === '[') {
+                    const end = src.indexOf(']', state.pos);
+                    if (end === -1) throw new Error('Missing ] in \\sqrt');
+                    index = this.toMathML(src.slice(state.pos + 1, end), state.display);
+                    state.pos = end + 1;
+                }
+                const radicand = this.parseArgument(state, name);
+                return { html: index ? `<mroot><mrow>${radicand}</mrow>${index}</mroot>` : `<msqrt>${radicand}</msqrt>` };
+            }
+            case 'underline': {
+                const base = this.parseArgument(state, name);
+                return { html: `<munder accentunder="true"><mrow>${base}</mrow><mo stretchy="true">_</mo></munder>` };
+            }
+            case 'text':
+            case 'textrm':
+            case 'textit':
+            case 'mbox':
+                return { html: `<mtext>${this.escapeHtml(this.readGroupText(state, name))}</mtext>` };
+            case 'operatorname':
+                return { html: `<mi>${this.escapeHtml(this.readGroupText(state, name))}</mi><mo>&#x2061;</mo>` };
+            case 'left':
+                return this.parseFenced(state);
+            case 'right':
+                throw new Error('\\right without \\left');
+            case 'begin':
+                return this.parseEnvironment(state);
+            default:
+                throw new Error(`Unknown command \\${name}`);
+        }
+    }
+
+    /**
+     * Parse \left<delim> ... \right<delim>
+     */
+    parseFenced(state) {
+        const open = this.readDelimiter(state);
+        const content = this.parseExpression(state);
+        if (!this.consume(state, '\\right')) throw new Error('\\left without matching \\right');
+        const close = this.readDelimiter(state);
+
+        const fence = delimiter => delimiter ? `<mo fence="true" stretchy="true">${this.escapeHtml(delimiter)}</mo>` : '';
+        return { html: `<mrow>${fence(open)}<mrow>${content}</mrow>${fence(close)}</mrow>` };
+    }
+
+    readDelimiter(state) {
+        this.skipSpace(state);
+        const match = state.src.slice(state.pos).match(/^(?:\\([A-Za-z]+|[{}|])|([()[\]|./<>]))/);
+        if (!match) throw new Error('Missing delimiter after \\left or \\right');
+        state.pos += match[0].length;
+
+        if (match[2] !== undefined) {
+            if (match[2] === '.') return '';
+            return { '<': '⟨', '>': '⟩' }[match[2]] || match[2];
+        }
+        const named = { '{': '{', '}': '}', '|': '‖', ...this.symbols.operators };
+        if (!named[match[1]]) throw new Error(`Unknown delimiter \\${match[1]}`);
+        return named[match[1]];
+    }
+
+    /**
+     * Parse matrix-like environments
+     */
+    parseEnvironment(state) {
+        const name = this.readGroupText(state, '\\begin');
+        const fences = {
+            matrix: ['', ''], smallmatrix: ['', ''], pmatrix: ['(', ')'], bmatrix: ['[', ']'],
+            Bmatrix: ['{', '}'], vmatrix: ['|', '|'], Vmatrix: ['‖', '‖'], cases: ['{', ''],
+            aligned: ['', ''], align: ['', ''], 'align*': ['', ''], gathered: ['', ''], array: ['', '']
+        };
+        if (!fences[name]) throw new Error(`Unknown environment ${name}`);
+
+        // Column specs of array are accepted but not interpreted
+        if (name === 'array') this.readGroupText(state, '\\begin{array}');
+
+        const rows = this.parseRows(state, name);
+        const align = /^align/.test(name) ? 'right left' : name === 'cases' ? 'left left' : null;
+        const table = rows.length === 1 && rows[0].length === 1
+            ? `<mtable><mtr><mtd>${rows[0][0]}</mtd></mtr></mtable>`
+            : this.layoutRows(rows, align);
+
+        const [open, close] = fences[name];
+        const fence = delimiter => delimiter ? `<mo fence="true" stretchy="true">${delimiter}</mo>` : '';
+        return { html: `<mrow>${fence(open)}${table}${fence(close)}</mrow>` };
+    }
+
+    /**
+     * Parse a command argument: a braced group or a single atom
+     */
+    parseArgument(state, command) {
+        this.skipSpace(state);
+        if (state.pos >= state.src.length || '}&'.includes(state.src[state.pos])) {
+            throw new Error(`Missing argument for ${command === '^' || command === '_' ? command : `\\${command}`}`);
+        }
+        if (state.src[state.pos] === '{') {
+            state.pos++;
+            const content = this.parseExpression(state);
+            if (!this.consume(state, '}')) throw new Error('Missing closing brace');
+            return content;
+        }
+        return this.parseAtom(state).html;
+    }
+
+    /**
+     * Read the raw text of a braced group, as used by \text and \begin
+     */
+    readGroupText(state, command) {
+        this.skipSpace(state);
+        if (state.src[state.pos] !== '{') throw new Error(`Missing argument for ${command}`);
+
+        let depth = 0;
+        for (let i = state.pos; i < state.src.length; i++) {
+            if (state.src[i] === '\\') {
+                i++;
+            } else if (state.src[i] === '{') {
+                depth++;
+            } else if (state.src[i] === '}') {
+                depth--;
+                if (depth === 0) {
+                    const text = state.src.slice(state.pos + 1, i);
+                    state.pos = i + 1;
+                    return text.replace(/\\([{}$%&#_])/g, '$1');
+                }
+            }
+        }
+        throw new Error('Missing closing brace');
+    }
+
+    consume(state, text) {
+        this.skipSpace(state);
+        if (!state.src.startsWith(text, state.pos)) return false;
+        // Commands must not run into a longer command name
+        if (/^\\[A-Za-z]+$/.test(text) && /[A-Za-z]/.test(state.src[state.pos + text.length] || '')) return false;
+        state.pos += text.length;
+        return true;
+    }
+
+    skipSpace(state) {
+        while (state.pos < state.src.length && /\s/.test(state.src[state.pos])) state.pos++;
+    }
+
+    token(tag, text, variant) {
+        const attribute = variant ? ` mathvariant="${variant}"` : '';
+        return `<${tag}${attribute}>${this.escapeHtml(text)}</${tag}>`;
+    }
+
+    escapeHtml(text) {
+        const escapeMap = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;'
+        };
+        return text.replace(/[&<>"']/g, char => escapeMap[char]);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MathRenderer;
+}
@@ -0,0 +1,350 @@
+#!/usr/bin/env node
+/**
+ * md2html
+ * Command line tool that converts Markdown files, or whole directory trees
+ * of them, into HTML pages that render like the editor's HTML export.
+ * Run it as `node md2html.js`, or as `md2html` once installed with
+ * `npm link` or `npm install -g`. Can also be required as a library: see
+ * Md2Html.convert().
+ */
+
+const fs = require('fs');
+const path = require('path');
+const HtmlExporter = require('./html-exporter');
+
+const USAGE = `Usage: md2html [options] [input ...]
+
+Converts Markdown files, or every Markdown file in a directory tree, to
+standalone HTML pages. Without inputs, or with "-", reads Markdown from
+stdin and writes HTML to stdout.
+
+Options:
+  -o, --output <path>  Output file, or output directory for several inputs
+                       and directory trees (default: next to each input)
+  -f, --fragment       Write the rendered HTML only, without the page
+  -w, --watch          Convert inputs again whenever they change
+  -t, --trusted        Keep raw HTML as written instead of sanitizing it
+      --theme <name>   Page theme: github (default), academic, slides or dark
+      --template <file>
+                       Page template using {{title}}, {{content}}, {{toc}},
+                       {{meta}}, {{style}} and {{lang}} placeholders
+      --css <file>     Extra CSS added after the theme's styles
+  -h, --help           Show this help
+
+Exits with status 1 when a document has warnings, such as invalid front
+matter or undefined link references, and 2 on errors.`;
+
+class Md2Html {
+    constructor(options = {}) {
+        this.exporter = options.exporter || new HtmlExporter();
+        this.stdout = options.stdout || process.stdout;
+        this.stderr = options.stderr || process.stderr;
+        this.extensions = ['.md', '.markdown', '.mdown', '.mkd'];
+        this.watchDelay = 100;
+    }
+
+    /**
+     * Convert Markdown text. Returns the HTML (a full page unless
+     * `fragment` is set), the parser warnings and the sanitizer report.
+     */
+    convert(markdown, { fragment = false, trusted = false, theme = 'github', template = '', customCss = '' } = {}) {
+        const { html, report, ast } = this.exporter.render(markdown, { trusted });
+        return {
+            html: fragment ? html : this.exporter.buildPage(html, ast, { theme, template, customCss }),
+            warnings: ast.warnings,
+            report
+        };
+    }
+
+    /**
+     * Run the command with the given arguments. Resolves to the exit
+     * status; in watch mode it resolves once watching has started.
+     */
+    async run(args) {
+        let options;
+        try {
+            options = this.parseArguments(args);
+        } catch (error) {
+            this.stderr.write(`md2html: ${error.message}\n${USAGE}\n`);
+            return 2;
+        }
+
+        if (options.help) {
+            this.stdout.write(`${USAGE}\n`);
+            return 0;
+        }
+
+        let jobs;
+        try {
+            if (options.templateFile) options.template = fs.readFileSync(options.templateFile, 'utf8');
+            if (options.cssFile) options.customCss = fs.readFileSync(options.cssFile, 'utf8');
+            jobs = this.planJobs(options.inputs, options.output);
+        } catch (error) {
+            this.stderr.write(`md2html: ${error.message}\n`);
+            return 2;
+        }
+
+        if (options.watch && jobs.some(job => job.source === '-')) {
+            this.stderr.write('md2html: --watch needs input files, not stdin\n');
+            return 2;
+        }
+
+        const status = Math.max(0, ...jobs.map(job => this.runJob(job, options)));
+        if (options.watch) {
+            this.watch(jobs, options);
+            this.stderr.write('Watching for changes (Ctrl+C to stop)\n');
+        }
+        return status;
+    }
+
+    parseArguments(args) {
+        const options = {
+            inputs: [], output: null, fragment: false, watch: false, trusted: false,
+            theme: 'github', templateFile: null, cssFile: null, help: false
+        };
+        for (let i = 0; i < args.length; i++) {
+            const arg = args[i];
+            // Values may follow as the next argument or after "=", as in -o=out
+            const inline = arg.startsWith('-') && arg.includes('=') ? arg.slice(arg.indexOf('=') + 1) : null;
+            const name = inline === null ? arg : arg.slice(0, arg.indexOf('='));
+            const valueOf = index => {
+                if (inline !== null) return { value: inline, next: index };
+                if (index + 1 >= args.length) throw new Error(`${name} needs a value`);
+                return { value: args[index + 1], next: index + 1 };
+            };
+            const isFlag = ['-f', '--fragment', '-w', '--watch', '-t', '--trusted', '-h', '--help'].includes(name);
+            if (isFlag && inline !== null) throw new Error(`${name} does not take a value`);
+
+            if (name === '-o' || name === '--output') {
+                const { value, next } = valueOf(i);
+                options.output = value;
+                i = next;
+            } else if (name === '--theme') {
+                const { value, next } = valueOf(i);
+                if (!HtmlExporter.themes[value]) throw new Error(`Unknown theme: ${value}`);
+                options.theme = value;
+                i = next;
+            } else if (name === '--template' || name === '--css') {
+                const { value, next } = valueOf(i);
+                options[name === '--css' ? 'cssFile' : 'templateFile'] = value;
+                i = next;
+            } else if (name === '-f' || name === '--fragment') {
+                options.fragment = true;
+            } else if (name === '-w' || name === '--watch') {
+                options.watch = true;
+            } else if (name === '-t' || name === '--trusted') {
+                options.trusted = true;
+            } else if (name === '-h' || name === '--help') {
+                options.help = true;
+            } else if (arg === '--') {
+                options.inputs.push(...args.slice(i + 1));
+                break;
+            } else if (arg.startsWith('-') && arg !== '-') {
+                throw new Error(`Unknown option: ${name}`);
+            } else {
+                options.inputs.push(arg);
+            }
+        }
+
+        if (options.inputs.length === 0) options.inputs.push('-');
+        return options;
+    }
+
+    /**
+     * Pair every input with where its HTML goes: { source, target }.
+     * Directory inputs expand to the Markdown files below them, written
+     * to the same relative paths under the output directory. Throws when
+     * two inputs would be written to the same file.
+     */
+    planJobs(inputs, output) {
+        const single = inputs.length === 1 && (inputs[0] === '-' || this.isFile(inputs[0]));
+        const outputIsFile = output && single && !output.endsWith(path.sep) && !output.endsWith('/') &&
+            !(fs.existsSync(output) && fs.statSync(output).isDirectory());
+        const jobs = [];
+
+        inputs.forEach(input => {
+            if (input === '-') {
+                jobs.push({ source: '-', target: outputIsFile ? output : '-' });
+            } else if (!fs.existsSync(input)) {
+                throw new Error(`No such file or directory: ${input}`);
+            } else if (fs.statSync(input).isDirectory()) {
+                this.findMarkdownFiles(input).forEach(source => {
+                    jobs.push({ source, target: this.getTarget(source, input, output) });
+                });
+            } else {
+                jobs.push({ source: input, target: outputIsFile ? output : this.getTarget(input, null, output) });
+            }
+        });
+
+        const sources = new Map();
+        jobs.filter(job => job.target !== '-').forEach(job => {
+            const target = path.resolve(job.target);
+            if (sources.has(target)) {
+                throw new Error(`${sources.get(target)} and ${job.source} would both be written to ${job.target}`);
+            }
+            sources.set(target, job.source);
+        });
+        return jobs;
+    }
+
+    /**
+     * Output path for a source file: next to it, or at the same path
+     * relative to its input directory under the output directory
+     */
+    getTarget(source, root, output) {
+        const relative = root ? path.relative(root, source) : path.basename(source);
+        const html = relative.slice(0, relative.length - path.extname(relative).length) + '.html';
+        return output ? path.join(output, html) : path.join(path.dirname(source), path.basename(html));
+    }
+
+    /**
+     * Markdown files in a directory tree, skipping hidden directories and
+     * node_modules
+     */
+    findMarkdownFiles(directory) {
+        const files = [];
+        fs.readdirSync(directory, { withFileTypes: true })
+            .sort((a, b) => a.name.localeCompare(b.name))
+            .forEach(entry => {
+                const fullPath = path.join(directory, entry.name);
+                if (entry.isDirectory()) {
+                    if (!this.isIgnoredDirectory(entry.name)) files.push(...this.findMarkdownFiles(fullPath));
+                } else if (entry.isFile() && this.isMarkdown(entry.name)) {
+                    files.push(fullPath);
+                }
+            });
+        return files;
+    }
+
+    isIgnoredDirectory(name) {
+        return name.startsWith('.') || name === 'node_modules';
+    }
+
+    /**
+     * Whether a path relative to a watched directory lies in a directory
+     * that is not converted
+     */
+    isIgnoredPath(relative) {
+        return path.dirname(relative).split(path.sep).some(name => name !== '.' && this.isIgnoredDirectory(name));
+    }
+
+    isMarkdown(name) {
+        return this.extensions.includes(path.extname(name).toLowerCase());
+    }
+
+    isFile(name) {
+        return fs.existsSync(name) && fs.statSync(name).isFile();
+    }
+
+    /**
+     * Convert one input. Returns 0 on success, 1 when the document has
+     * warnings and 2 when it could not be read or written.
+     */
+    runJob(job, options) {
+        const label = job.source === '-' ? '<stdin>' : job.source;
+        try {
+            const markdown = fs.readFileSync(job.source === '-' ? 0 : job.source, 'utf8');
+            const { html, warnings } = this.convert(markdown, options);
+
+            if (job.target === '-') {
+                this.stdout.write(html);
+            } else {
+                fs.mkdirSync(path.dirname(job.target), { recursive: true });
+                fs.writeFileSync(job.target, html);
+            }
+
+            warnings.forEach(warning => this.stderr.write(`${label}: warning: ${warning.message}\n`));
+            if (options.watch) this.stderr.write(`${label} -> ${job.target}\n`);
+            return warnings.length ? 1 : 0;
+        } catch (error) {
+            this.stderr.write(`md2html: ${label}: ${error.message}\n`);
+            return 2;
+        }
+    }
+
+    /**
+     * Convert inputs again when they change. Files are watched through
+     * their directory, so editors that save by replacing the file are
+     * noticed too; directories are watched recursively and pick up new
+     * Markdown files.
+     */
+    watch(jobs, options) {
+        const timers = new Map();
+        const schedule = job => {
+            clearTimeout(timers.get(job.source));
+            timers.set(job.source, setTimeout(() => {
+                timers.delete(job.source);
+                if (this.isFile(job.source)) this.runJob(job, options);
+            }, this.watchDelay));
+        };
+
+        options.inputs.forEach(input => {
+            if (fs.statSync(input).isDirectory()) {
+                this.watchTree(input, filename => {
+                    if (!this.isMarkdown(filename)) return;
+                    const source = path.join(input, filename);
+                    schedule({ source, target: this.getTarget(source, input, options.output) });
+                });
+            } else {
+                const job = jobs.find(entry => entry.source === input);
+                fs.watch(path.dirname(input), (event, filename) => {
+                    if (filename === path.basename(input)) schedule(job);
+                });
+            }
+        });
+    }
+
+    /**
+     * Call listener with the path, relative to directory, of every change
+     * in a directory tree, leaving out hidden directories and
+     * node_modules. Node before 19.1 cannot watch recursively on Linux,
+     * so there each directory is watched on its own, including
+     * directories created later.
+     */
+    watchTree(directory, listener) {
+        try {
+            fs.watch(directory, { recursive: true }, (event, filename) => {
+                if (filename && !this.isIgnoredPath(filename)) listener(filename);
+            });
+            return;
+        } catch (error) {
+            if (error.code !== 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') throw error;
+        }
+
+        const watchers = new Map();
+        const watchDirectory = dir => {
+            if (watchers.has(dir)) return;
+            const watcher = fs.watch(dir, (event, filename) => {
+                if (!filename) return;
+                const fullPath = path.join(dir, filename);
+                if (fs.existsSync(fullPath) && fs.statSync(fullPath).isDirectory()) {
+                    if (this.isIgnoredDirectory(filename)) return;
+                    watchDirectory(fullPath);
+                }
+                listener(path.relative(directory, fullPath));
+            });
+            // Removed directories end their watcher with an error
+            watcher.on('error', () => {
+                watcher.close();
+                watchers.delete(dir);
+            });
+            watchers.set(dir, watcher);
+
+            fs.readdirSync(dir, { withFileTypes: true }).forEach(entry => {
+                if (entry.isDirectory() && !this.isIgnoredDirectory(entry.name)) watchDirectory(path.join(dir, entry.name));
+            });
+        };
+        watchDirectory(directory);
+    }
+}
+
+if (require.main === module) {
+    new Md2Html().run(process.argv.slice(2)).then(status => {
+        process.exitCode = status;
+    });
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = Md2Html;
+}
@@ -0,0 +1,173 @@
+/**
+ * Plain Text Writer Module
+ * Converts a parsed Markdown document to plain text with the formatting
+ * stripped. The layout stays readable: list markers, indented quotes and
+ * code, aligned table columns and link addresses after the link text.
+ */
+
+class PlainTextWriter {
+    constructor(options = {}) {
+        const Exporter = typeof HtmlExporter !== 'undefined' ? HtmlExporter : require('./html-exporter');
+        this.exporter = options.exporter || new Exporter();
+        this.parser = this.exporter.parser;
+        this.indentation = '    ';
+        this.renderers = this.initializeRenderers();
+    }
+
+    /**
+     * Text renderers for block nodes, keyed by AST node type
+     */
+    initializeRenderers() {
+        const inline = node => this.renderInline(node.children);
+        const indented = node => this.indent(this.renderBlocks(node.children), this.indentation);
+        return {
+            heading: inline,
+            paragraph: inline,
+            admonitionTitle: inline,
+            definitionTerm: inline,
+            blockquote: indented,
+            admonition: indented,
+            definitionDescription: indented,
+            definitionList: node => node.children.map(child => this.renderBlock(child)).join('\n'),
+            list: node => this.renderList(node),
+            code: node => this.indent(node.value, this.indentation),
+            math: node => this.indent(node.value, this.indentation),
+            table: node => this.renderTable(node),
+            toc: node => this.renderToc(node.headings || []),
+            html: node => this.stripHtml(node.value).trim(),
+            thematicBreak: () => '* * *',
+            pageBreak: () => '',
+            definition: () => '',
+            footnoteDefinition: () => '',
+            abbreviationDefinition: () => ''
+        };
+    }
+
+    /**
+     * The document as text: the title block, then the blocks separated by
+     * blank lines, with footnotes numbered at the end
+     */
+    write(ast) {
+        const { title, subtitle, author, date } = this.exporter.getTitleFields(ast);
+        const parts = [[title, subtitle, author, date].filter(Boolean).join('\n'), this.renderBlocks(ast.children)];
+
+        if (ast.footnotes && ast.footnotes.length) {
+            const notes = ast.footnotes.map(footnote => {
+                const marker = `[${footnote.number}] `;
+                return this.indent(this.renderBlocks(footnote.children), ' '.repeat(marker.length), marker);
+            });
+            parts.push(`Notes\n\n${notes.join('\n')}`);
+        }
+
+        const text = parts.filter(Boolean).join('\n\n');
+        return text ? `${text}\n` : '';
+    }
+
+    renderBlocks(nodes, separator = '\n\n') {
+        return nodes.map(node => this.renderBlock(node)).filter(text => text !== '').join(separator);
+    }
+
+    renderBlock(node) {
+        const renderer = this.renderers[node.type];
+        if (renderer) return renderer(node);
+        return node.children ? this.renderBlocks(node.children) : '';
+    }
+
+    /**
+     * Flatten inline nodes to text. Links keep their address unless it is
+     * the link text itself or points inside the document.
+     */
+    renderInline(nodes) {
+        return nodes.map(node => {
+            switch (node.type) {
+                case 'text':
+                case 'inlineCode':
+                case 'inlineMath':
+                case 'abbreviation':
+                    return node.value;
+                case 'entity':
+                    return this.parser.decodeEntities(node.value);
+                case 'image':
+                    return node.alt;
+                case 'break':
+                    return '\n';
+                case 'html':
+                    return this.stripHtml(node.value);
+                case 'footnoteReference':
+                    return `[${node.number}]`;
+                case 'link': {
+                    const text = this.renderInline(node.children);
+                    const address = node.href.replace(/^mailto:/i, '');
+                    return node.href.startsWith('#') || !text || address === text ? text || address : `${text} (${node.href})`;
+                }
+                default:
+                    return node.children ? this.renderInline(node.children) : '';
+            }
+        }).join('');
+    }
+
+    renderList(node) {
+        return node.children.map((item, i) => {
+            const marker = node.ordered ? `${node.start + i}. ` : '• ';
+            const task = item.checked === null ? '' : `[${item.checked ? 'x' : ' '}] `;
+            const content = this.renderBlocks(item.children, node.tight ? '\n' : '\n\n');
+            return this.indent(task + content, ' '.repeat(marker.length), marker);
+        }).join(node.tight ? '\n' : '\n\n');
+    }
+
+    /**
+     * Lay a table out in columns padded to their widest cell, with a rule
+     * under the header row
+     */
+    renderTable(node) {
+        const rows = node.children.map(row => row.children.map(cell => this.renderInline(cell.children).replace(/\s*\n\s*/g, ' ')));
+        const columns = Math.max(...rows.map(row => row.length));
+        const widths = [];
+        for (let i = 0; i < columns; i++) {
+            widths.push(Math.max(1, ...rows.map(row => [...(row[i] || '')].length)));
+        }
+
+        const pad = (text, i) => {
+            const space = ' '.repeat(widths[i] - [...text].length);
+            if (node.align[i] === 'right') return space + text;
+            if (node.align[i] === 'center') return space.slice(0, space.length >> 1) + text + space.slice(space.length >> 1);
+            return text + space;
+        };
+        const line = row => widths.map((width, i) => pad(row[i] || '', i)).join('  ').replace(/\s+$/, '');
+
+        const [header, ...body] = rows;
+        return [line(header), widths.map(width => '-'.repeat(width)).join('  '), ...body.map(line)].join('\n');
+    }
+
+    renderToc(headings) {
+        if (headings.length === 0) return '';
+        const top = Math.min(...headings.map(heading => heading.level));
+        return headings.map(heading => '  '.repeat(heading.level - top) + heading.text).join('\n');
+    }
+
+    /**
+     * Text content of raw HTML, with line breaks kept
+     */
+    stripHtml(html) {
+        const text = html
+            .replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, '')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<!--[\s\S]*?-->|<[^>]*>/g, '');
+        return this.parser.decodeEntities(text);
+    }
+
+    /**
+     * Indent every non-blank line, giving the first line its own prefix
+     */
+    indent(text, padding, first = padding) {
+        return text.split('\n').map((line, i) => {
+            if (i === 0) return (first + line).replace(/\s+$/, '');
+            return line ? padding + line : line;
+        }).join('\n');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PlainTextWriter;
+}
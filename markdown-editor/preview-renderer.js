@@ -0,0 +1,64 @@
+/**
+ * Preview Renderer Module
+ * Turns Markdown into sanitized preview blocks, reusing the work done for
+ * unchanged blocks between renders. Runs inside the preview worker, or on
+ * the main thread where workers are unavailable.
+ */
+
+class PreviewRenderer {
+    constructor(options = {}) {
+        const Parser = typeof MarkdownParser !== 'undefined' ? MarkdownParser : require('./markdown-parser');
+        const Sanitizer = typeof HtmlSanitizer !== 'undefined' ? HtmlSanitizer : require('./html-sanitizer');
+        this.parser = options.parser || new Parser({ blockCache: true });
+        this.sanitizer = options.sanitizer || new Sanitizer();
+        this.sanitizeCache = new Map();
+    }
+
+    /**
+     * Render a document. Returns the top-level blocks ({ html, start, end }),
+     * the sanitizer report, the document headings, metadata and warnings,
+     * and timings in milliseconds for each stage.
+     */
+    render(markdown, { trusted = false } = {}) {
+        const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+        const start = now();
+
+        const ast = this.parser.parseToAst(markdown);
+        const parsed = now();
+
+        const blocks = markdown ? this.parser.renderBlockList(ast) : [];
+        const rendered = now();
+
+        const report = [];
+        if (!trusted) {
+            const cache = new Map();
+            blocks.forEach(block => {
+                const result = this.sanitizeCache.get(block.html) || this.sanitizer.sanitize(block.html);
+                cache.set(block.html, result);
+                block.html = result.html;
+                report.push(...result.report);
+            });
+            this.sanitizeCache = cache;
+        }
+        const sanitized = now();
+
+        return {
+            blocks,
+            report,
+            headings: ast.headings,
+            metadata: ast.metadata,
+            warnings: ast.warnings,
+            timings: {
+                parse: parsed - start,
+                render: rendered - parsed,
+                sanitize: sanitized - rendered,
+                total: sanitized - start
+            }
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PreviewRenderer;
+}
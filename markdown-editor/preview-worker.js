@@ -0,0 +1,26 @@
+/**
+ * Preview Worker
+ * Parses, renders and sanitizes Markdown off the main thread so that
+ * typing never waits for the preview
+ */
+
+importScripts(
+    'syntax-highlighter.js',
+    'math-renderer.js',
+    'diagram-renderer.js',
+    'front-matter.js',
+    'markdown-parser.js',
+    'html-sanitizer.js',
+    'preview-renderer.js'
+);
+
+const renderer = new PreviewRenderer();
+
+self.addEventListener('message', event => {
+    const { id, markdown, trusted } = event.data;
+    try {
+        self.postMessage({ id, result: renderer.render(markdown, { trusted }) });
+    } catch (error) {
+        self.postMessage({ id, error: error.message });
+    }
+});
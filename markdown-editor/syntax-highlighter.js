@@ -0,0 +1,317 @@
+/**
+ * Syntax Highlighter Module
+ * Offline, regex-based highlighting for fenced code blocks
+ */
+
+class SyntaxHighlighter {
+    constructor() {
+        this.grammars = this.initializeGrammars();
+        this.aliases = {
+            js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript', node: 'javascript',
+            ts: 'typescript', tsx: 'typescript',
+            py: 'python', python3: 'python',
+            sh: 'bash', shell: 'bash', zsh: 'bash', console: 'bash',
+            xml: 'html', svg: 'html', xhtml: 'html',
+            yml: 'yaml',
+            jsonc: 'json', json5: 'json'
+        };
+    }
+
+    /**
+     * Token colors per editor theme. background/foreground are only used
+     * where code blocks are styled standalone, such as HTML exports.
+     */
+    static get themes() {
+        return {
+            light: {
+                background: '#f6f8fa', foreground: '#24292e',
+                comment: '#6a737d', keyword: '#d73a49', string: '#032f62', number: '#005cc5',
+                boolean: '#005cc5', function: '#6f42c1', builtin: '#e36209', property: '#005cc5',
+                tag: '#22863a', 'attr-name': '#6f42c1', 'attr-value': '#032f62', operator: '#d73a49',
+                punctuation: '#24292e', variable: '#e36209', selector: '#22863a', regex: '#032f62'
+            },
+            dark: {
+                background: '#0d1117', foreground: '#c9d1d9',
+                comment: '#8b949e', keyword: '#ff7b72', string: '#a5d6ff', number: '#79c0ff',
+                boolean: '#79c0ff', function: '#d2a8ff', builtin: '#ffa657', property: '#79c0ff',
+                tag: '#7ee787', 'attr-name': '#d2a8ff', 'attr-value': '#a5d6ff', operator: '#ff7b72',
+                punctuation: '#c9d1d9', variable: '#ffa657', selector: '#7ee787', regex: '#a5d6ff'
+            }
+        };
+    }
+
+    /**
+     * Initialize grammars. Each grammar is an ordered list of token rules;
+     * the first rule matching at the current position wins. Unterminated
+     * comments and strings match to the end of the code in one token.
+     * Rules flagged with interpolation are template literals whose ${...}
+     * expressions are highlighted with the same grammar.
+     */
+    initializeGrammars() {
+        const words = list => `\\b(?:${list.split(' ').join('|')})\\b`;
+        const jsKeywords = 'break case catch class const continue debugger default delete do else export extends ' +
+            'finally for from function if import in instanceof let new of return static super switch this throw ' +
+            'try typeof var void while with yield async await get set';
+        const tsKeywords = 'interface type enum implements namespace declare readonly private protected public ' +
+            'abstract as is keyof infer never unknown any string number boolean symbol object';
+
+        const javascript = keywords => [
+            { type: 'comment', pattern: /\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/ },
+            {
+                type: 'string',
+                interpolation: true,
+                pattern: /`(?:\\[\s\S]?|\$\{(?:[^{}]|\{[^{}]*\})*\}|[^\\`])*(?:`|$)/
+            },
+            { type: 'string', pattern: /"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*'/ },
+            {
+                // A slash starts a regex only where an expression can begin,
+                // so a / b / c stays division
+                type: 'regex',
+                pattern: /(?<=(?:^|[=(,:;!&|?{}[+\-*%<>~^]|\b(?:return|typeof|case|do|else|in|of|new|delete|void|throw|yield|await))\s*)\/(?![*/])(?:\\.|\[(?:\\.|[^\]\\\n])*\]|[^/\\\n[])+\/[dgimsuvy]*/
+            },
+            { type: 'number', pattern: /\b(?:0[xX][\da-fA-F_]+|0[bB][01_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?n?)\b/ },
+            { type: 'boolean', pattern: /\b(?:true|false|null|undefined|NaN|Infinity)\b/ },
+            { type: 'keyword', pattern: new RegExp(words(keywords)) },
+            { type: 'builtin', pattern: /\b(?:console|window|document|Math|JSON|Object|Array|String|Number|Promise|Map|Set|Date|Error|RegExp|Symbol)\b/ },
+            { type: 'function', pattern: /[A-Za-z_$][\w$]*(?=\s*\()/ },
+            { type: 'operator', pattern: /=>|[=!]==?|[<>]=?|&&|\|\||\?\?|\?\.|[-+*/%]=?|[!~^|&]/ },
+            { type: 'punctuation', pattern: /[{}[\]();,.:]/ }
+        ];
+
+        return {
+            javascript: javascript(jsKeywords),
+            typescript: javascript(`${jsKeywords} ${tsKeywords}`),
+            python: [
+                { type: 'comment', pattern: /#.*/ },
+                { type: 'string', pattern: /[rRbBfFuU]{0,2}(?:"""[\s\S]*?(?:"""|$)|'''[\s\S]*?(?:'''|$)|"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*')/ },
+                { type: 'number', pattern: /\b(?:0[xX][\da-fA-F_]+|\d[\d_]*(?:\.\d+)?(?:[eE][+-]?\d+)?j?)\b/ },
+                { type: 'boolean', pattern: /\b(?:True|False|None)\b/ },
+                {
+                    type: 'keyword',
+                    pattern: new RegExp(words('and as assert async await break class continue def del elif else except ' +
+                        'finally for from global if import in is lambda nonlocal not or pass raise return try while with yield match case'))
+                },
+                { type: 'builtin', pattern: /\b(?:print|len|range|str|int|float|list|dict|set|tuple|open|self|super|isinstance|enumerate|zip)\b/ },
+                { type: 'variable', pattern: /@[\w.]+/ },
+                { type: 'function', pattern: /[A-Za-z_]\w*(?=\s*\()/ },
+                { type: 'operator', pattern: /\*\*|\/\/|->|[-+*/%=<>!&|^~]=?/ },
+                { type: 'punctuation', pattern: /[{}[\]();,.:]/ }
+            ],
+            json: [
+                { type: 'comment', pattern: /\/\/.*|\/\*[\s\S]*?(?:\*\/|$)/ },
+                { type: 'property', pattern: /"(?:\\.|[^\\"\n])*"(?=\s*:)/ },
+                { type: 'string', pattern: /"(?:\\.|[^\\"\n])*"/ },
+                { type: 'number', pattern: /-?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/ },
+                { type: 'boolean', pattern: /\b(?:true|false|null)\b/ },
+                { type: 'punctuation', pattern: /[{}[\],:]/ }
+            ],
+            bash: [
+                { type: 'comment', pattern: /#.*/ },
+                { type: 'string', pattern: /"(?:\\[\s\S]|[^\\"])*"|'[^']*'/ },
+                { type: 'variable', pattern: /\$(?:\{[^}]*\}|\([^)]*\)|[\w@#?$!*-]+)/ },
+                {
+                    type: 'keyword',
+                    pattern: new RegExp(words('if then else elif fi for while until do done case esac function in select return exit export local readonly declare source'))
+                },
+                {
+                    type: 'builtin',
+                    pattern: /\b(?:echo|printf|cd|ls|cat|grep|sed|awk|curl|git|npm|npx|node|mkdir|rm|cp|mv|chmod|sudo|set|test|read|eval|exec)\b/
+                },
+                { type: 'number', pattern: /\b\d+\b/ },
+                { type: 'operator', pattern: /&&|\|\||[|&;<>]=?|=/ },
+                { type: 'punctuation', pattern: /[{}[\]()]/ }
+            ],
+            html: [
+                { type: 'comment', pattern: /<!--[\s\S]*?(?:-->|$)/ },
+                { type: 'keyword', pattern: /<!DOCTYPE[^>]*>/i },
+                { type: 'tag', pattern: /<\/?[A-Za-z][\w:-]*|\/?>/ },
+                { type: 'attr-value', pattern: /=\s*(?:"[^"]*"|'[^']*')/ },
+                { type: 'attr-name', pattern: /[A-Za-z_:@][\w:.-]*(?=\s*=)/ },
+                { type: 'variable', pattern: /&#?\w+;/ }
+            ],
+            css: [
+                { type: 'comment', pattern: /\/\*[\s\S]*?(?:\*\/|$)/ },
+                { type: 'keyword', pattern: /@[\w-]+/ },
+                {
+                    // Selectors only start after a block, declaration or
+                    // comment, so text without a brace is scanned once
+                    // rather than again from every word
+                    type: 'selector',
+                    pattern: /(?<=(?:^|[{};/])\s*)[^{};\s][^{};]*(?=\{)/
+                },
+                { type: 'property', pattern: /[\w-]+(?=\s*:)/ },
+                { type: 'string', pattern: /"(?:\\.|[^\\"\n])*"|'(?:\\.|[^\\'\n])*'/ },
+                { type: 'number', pattern: /#[\da-fA-F]{3,8}\b|-?\b\d*\.?\d+(?:px|em|rem|%|vh|vw|s|ms|deg|fr)?\b/ },
+                { type: 'builtin', pattern: /!important\b/ },
+                { type: 'function', pattern: /[\w-]+(?=\()/ },
+                { type: 'punctuation', pattern: /[{}();:,]/ }
+            ],
+            sql: [
+                { type: 'comment', pattern: /--.*|\/\*[\s\S]*?(?:\*\/|$)/ },
+                { type: 'string', pattern: /'(?:''|[^'])*'|"(?:""|[^"])*"/ },
+                { type: 'number', pattern: /\b\d+(?:\.\d+)?\b/ },
+                { type: 'boolean', pattern: /\b(?:TRUE|FALSE|NULL)\b/i },
+                {
+                    type: 'keyword',
+                    pattern: new RegExp(words('SELECT FROM WHERE INSERT INTO VALUES UPDATE SET DELETE CREATE TABLE DROP ALTER ADD ' +
+                        'COLUMN JOIN INNER LEFT RIGHT OUTER FULL CROSS ON AS AND OR NOT IS IN LIKE BETWEEN GROUP BY ORDER HAVING ' +
+                        'LIMIT OFFSET DISTINCT UNION ALL PRIMARY KEY FOREIGN REFERENCES INDEX VIEW DEFAULT CASE WHEN THEN ELSE ' +
+                        'END EXISTS ASC DESC WITH RETURNING IF BEGIN COMMIT ROLLBACK TRANSACTION CONSTRAINT UNIQUE CHECK'), 'i')
+                },
+                { type: 'function', pattern: /\b[A-Za-z_]\w*(?=\s*\()/ },
+                { type: 'operator', pattern: /[-+*/%=<>!|]+/ },
+                { type: 'punctuation', pattern: /[();,.]/ }
+            ],
+            yaml: [
+                { type: 'comment', pattern: /#.*/ },
+                { type: 'keyword', pattern: /^---$|^\.\.\.$|[&*][\w-]+|![\w!/.-]*/m },
+                { type: 'property', pattern: /(?:"[^"\n]*"|'[^'\n]*'|[^\s#:'"{}[\],-][^#:\n]*?)(?=\s*:(?:\s|$))/ },
+                { type: 'string', pattern: /"(?:\\.|[^\\"\n])*"|'(?:''|[^'\n])*'/ },
+                { type: 'boolean', pattern: /\b(?:true|false|yes|no|on|off|null)\b|~/i },
+                { type: 'number', pattern: /[-+]?\b\d+(?:\.\d+)?(?:[eE][+-]?\d+)?\b/ },
+                { type: 'punctuation', pattern: /^\s*-(?=\s)|[:{}[\],|>]/m }
+            ]
+        };
+    }
+
+    /**
+     * Resolve a fence language or alias to a grammar name
+     */
+    resolveLanguage(language) {
+        if (!language) return null;
+        const name = language.toLowerCase();
+        const resolved = this.aliases[name] || name;
+        return this.grammars[resolved] ? resolved : null;
+    }
+
+    supports(language) {
+        return this.resolveLanguage(language) !== null;
+    }
+
+    /**
+     * Split code into typed tokens. Unmatched text becomes untyped tokens.
+     */
+    tokenize(code, language) {
+        const name = this.resolveLanguage(language);
+        if (!name) return [{ type: null, value: code }];
+
+        const rules = this.compileGrammar(name);
+        const tokens = [];
+        const plain = /[A-Za-z0-9_$]+|[\s\S]/y;
+        let pos = 0;
+        let pending = '';
+
+        while (pos < code.length) {
+            let matched = null;
+            for (const rule of rules) {
+                rule.pattern.lastIndex = pos;
+                const match = rule.pattern.exec(code);
+                if (match && match[0].length > 0) {
+                    matched = rule.interpolation
+                        ? this.tokenizeTemplate(match[0], rule.type, language)
+                        : [{ type: rule.type, value: match[0] }];
+                    pos += match[0].length;
+                    break;
+                }
+            }
+
+            if (matched) {
+                if (pending) tokens.push({ type: null, value: pending });
+                pending = '';
+                tokens.push(...matched);
+            } else {
+                plain.lastIndex = pos;
+                const text = plain.exec(code)[0];
+                pending += text;
+                pos += text.length;
+            }
+        }
+
+        if (pending) tokens.push({ type: null, value: pending });
+        return tokens;
+    }
+
+    /**
+     * Split a template literal into string tokens and the tokens of its
+     * ${...} expressions
+     */
+    tokenizeTemplate(text, type, language) {
+        const tokens = [];
+        const interpolation = /\\[\s\S]|\$\{((?:[^{}]|\{[^{}]*\})*)\}/g;
+        let last = 0;
+        let match;
+
+        while ((match = interpolation.exec(text)) !== null) {
+            if (match[1] === undefined) continue;
+            if (match.index > last) tokens.push({ type, value: text.slice(last, match.index) });
+            tokens.push({ type: 'punctuation', value: '${' });
+            tokens.push(...this.tokenize(match[1], language));
+            tokens.push({ type: 'punctuation', value: '}' });
+            last = interpolation.lastIndex;
+        }
+
+        if (last < text.length) tokens.push({ type, value: text.slice(last) });
+        return tokens.filter(token => token.value !== '');
+    }
+
+    /**
+     * Compile a grammar's patterns into sticky regexes once
+     */
+    compileGrammar(name) {
+        this.compiled = this.compiled || {};
+        if (!this.compiled[name]) {
+            this.compiled[name] = this.grammars[name].map(rule => ({
+                ...rule,
+                pattern: new RegExp(rule.pattern.source, rule.pattern.flags.replace(/[gy]/g, '') + 'y')
+            }));
+        }
+        return this.compiled[name];
+    }
+
+    /**
+     * Highlight code as HTML, or return null for unsupported languages so
+     * the caller can fall back to plain escaped text
+     */
+    highlight(code, language) {
+        if (!this.supports(language)) return null;
+
+        return this.tokenize(code, language).map(token => {
+            const text = this.escapeHtml(token.value);
+            return token.type ? `<span class="token ${token.type}">${text}</span>` : text;
+        }).join('');
+    }
+
+    escapeHtml(text) {
+        const escapeMap = {
+            '&': '&amp;',
+            '<': '&lt;',
+            '>': '&gt;',
+            '"': '&quot;',
+            "'": '&#39;'
+        };
+        return text.replace(/[&<>"']/g, char => escapeMap[char]);
+    }
+
+    /**
+     * Generate token CSS for a theme. With includeBlock, code blocks also
+     * get the theme's own background and text color.
+     */
+    getThemeCss(themeName, { scope = '', includeBlock = false } = {}) {
+        const theme = SyntaxHighlighter.themes[themeName] || SyntaxHighlighter.themes.light;
+        const prefix = scope ? `${scope} ` : '';
+        const rules = Object.keys(theme)
+            .filter(type => type !== 'background' && type !== 'foreground')
+            .map(type => `${prefix}.token.${type} { color: ${theme[type]}; }`);
+
+        rules.push(`${prefix}.token.comment { font-style: italic; }`);
+        if (includeBlock) {
+            rules.unshift(`${prefix}pre { background-color: ${theme.background}; color: ${theme.foreground}; }`);
+        }
+        return rules.join('\n');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SyntaxHighlighter;
+}
@@ -0,0 +1,40 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const CssScoper = require('../css-scoper');
+
+const scoper = new CssScoper();
+const scope = css => scoper.scope(css, '.preview');
+
+describe('CssScoper', () => {
+    it('prefixes every selector in a list', () => {
+        assert.equal(scope('h1, p > a:not(.x, .y) { color: red; }'), '.preview h1, .preview p > a:not(.x, .y) { color: red; }');
+        assert.equal(scope('a[title="x, {y}"] {}'), '.preview a[title="x, {y}"] {}');
+    });
+
+    it('styles the scope element for page root selectors', () => {
+        assert.equal(scope('body { margin: 0 }'), '.preview { margin: 0 }');
+        assert.equal(scope('html body.dark > p, :root { x: 1 }'), '.preview.dark > p, .preview { x: 1 }');
+        assert.equal(scope('bodyish, body + p {}'), '.preview bodyish, .preview body + p {}');
+    });
+
+    it('keeps at-rules that do not select elements at the top level', () => {
+        const css = '@import url("a.css");\n@font-face { font-family: F; src: url(f.woff) }\n@keyframes k { from { opacity: 0 } }';
+        assert.equal(scope(css), css);
+    });
+
+    it('scopes the rules inside grouping at-rules', () => {
+        assert.equal(
+            scope('@media (max-width: 600px) { body { x: 1 } @supports (display: grid) { p { y: 2 } } }'),
+            '@media (max-width: 600px) {\n.preview { x: 1 }\n@supports (display: grid) {\n.preview p { y: 2 }\n}\n}'
+        );
+    });
+
+    it('keeps nested rules, comments and strings in declaration blocks', () => {
+        assert.equal(scope('/* a, b */ p { content: "}"; & span { x: 1 } }'), '.preview p { content: "}"; & span { x: 1 } }');
+    });
+
+    it('recovers from unterminated blocks and stray braces', () => {
+        assert.equal(scope('} p { x: 1'), '.preview p { x: 1}');
+        assert.equal(scope(''), '');
+    });
+});
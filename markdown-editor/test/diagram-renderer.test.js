@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const DiagramRenderer = require('../diagram-renderer');
+
+describe('DiagramRenderer', () => {
+    it('parses flowchart.js node definitions and connections', () => {
+        const graph = new DiagramRenderer().parseFlowchartJs([
+            'st=>start: Start|past:>http://example.com[blank]',
+            'cond=>condition: Yes',
+            'or No?|approved',
+            'io=>inputoutput: Read input',
+            'e=>end',
+            '',
+            'st->io(right)->cond',
+            'cond(yes, right)->e',
+            'cond(no)->io'
+        ].join('\n'));
+
+        assert.deepEqual([...graph.nodes.values()], [
+            { id: 'st', label: 'Start', shape: 'stadium' },
+            { id: 'cond', label: 'Yes or No?', shape: 'diamond' },
+            { id: 'io', label: 'Read input', shape: 'parallelogram' },
+            { id: 'e', label: 'e', shape: 'stadium' }
+        ]);
+        assert.deepEqual(graph.edges.map(edge => [edge.from, edge.to, edge.label]), [
+            ['st', 'io', ''],
+            ['io', 'cond', ''],
+            ['cond', 'e', 'yes'],
+            ['cond', 'io', 'no']
+        ]);
+    });
+
+    it('renders flowchart fences in flowchart.js syntax', () => {
+        const html = new DiagramRenderer().render('st=>start: Go\ne=>end: Stop\nst->e', 'flowchart');
+        assert.match(html, /^<figure class="diagram"><svg /);
+        assert.match(html, />Go</);
+        assert.match(html, />Stop</);
+    });
+
+    it('reports unknown flowchart.js nodes with their line', () => {
+        const html = new DiagramRenderer().render('st=>start: Go\nst->missing', 'flowchart');
+        assert.match(html, /Diagram error \(line 2\):<\/strong> Unknown node &quot;missing&quot;/);
+    });
+
+    it('still accepts mermaid syntax in flowchart fences', () => {
+        const renderer = new DiagramRenderer();
+        assert.match(renderer.render('flowchart LR\nA --> B', 'flowchart'), /^<figure class="diagram"><svg /);
+        assert.match(renderer.render('A[Start] --> B', 'flowchart'), /^<figure class="diagram"><svg /);
+    });
+});
@@ -0,0 +1,91 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const DocumentStore = require('../document-store');
+
+// A localStorage stand-in
+class MemoryStorage {
+    constructor(items = {}) {
+        this.items = new Map(Object.entries(items));
+    }
+
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.items.delete(key);
+    }
+}
+
+const legacyItems = () => ({
+    markdownEditor_autoSave: '# Saved text',
+    markdownEditor_autoSave_timestamp: '1',
+    markdownEditor_workspace: JSON.stringify({ tabs: ['stored'], active: 'stored' })
+});
+
+describe('DocumentStore without IndexedDB', () => {
+    it('restores auto-saved content without removing it', async () => {
+        const storage = new MemoryStorage(legacyItems());
+        const store = new DocumentStore({ storage });
+
+        assert.equal(await store.open(), false);
+        const doc = await store.restoreAutoSaved();
+        assert.equal(doc.content, '# Saved text');
+        assert.equal(storage.getItem('markdownEditor_autoSave'), '# Saved text');
+    });
+
+    it('auto-saves the open document to localStorage', async () => {
+        const storage = new MemoryStorage();
+        const store = new DocumentStore({ storage });
+        const doc = await store.create({ content: 'first' });
+
+        doc.content = 'edited';
+        store.autoSave(doc);
+        const reloaded = await new DocumentStore({ storage }).restoreAutoSaved();
+        assert.equal(reloaded.content, 'edited');
+    });
+
+    it('does not replace the stored workspace', async () => {
+        const storage = new MemoryStorage(legacyItems());
+        const store = new DocumentStore({ storage });
+        await store.open();
+
+        store.saveWorkspace({ tabs: ['memory'], active: 'memory' });
+        assert.deepEqual(store.loadWorkspace(), { tabs: ['stored'], active: 'stored' });
+    });
+});
+
+describe('DocumentStore with a blocked upgrade', () => {
+    const indexedDB = global.indexedDB;
+
+    afterEach(() => {
+        global.indexedDB = indexedDB;
+    });
+
+    it('keeps auto-saved content and the workspace for the next session', async () => {
+        global.indexedDB = {
+            open: () => {
+                const request = {};
+                setTimeout(() => request.onblocked());
+                return request;
+            }
+        };
+        const storage = new MemoryStorage(legacyItems());
+        const store = new DocumentStore({ storage });
+
+        assert.equal(await store.open(), false);
+        assert.equal(store.blocked, true);
+        const doc = await store.restoreAutoSaved();
+        assert.equal(doc.content, '# Saved text');
+        store.saveWorkspace({ tabs: [doc.id], active: doc.id });
+        doc.content = 'edited while blocked';
+        store.autoSave(doc);
+
+        assert.equal(storage.getItem('markdownEditor_autoSave'), 'edited while blocked');
+        assert.deepEqual(JSON.parse(storage.getItem('markdownEditor_workspace')), { tabs: ['stored'], active: 'stored' });
+    });
+});
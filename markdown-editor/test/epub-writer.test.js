@@ -0,0 +1,57 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { JSDOM } = require('jsdom');
+const EpubWriter = require('../epub-writer');
+const MarkdownParser = require('../markdown-parser');
+
+// The files of a stored (uncompressed) zip archive by name
+const readZip = bytes => {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const files = new Map();
+    let offset = 0;
+    while (view.getUint32(offset, true) === 0x04034b50) {
+        const size = view.getUint32(offset + 18, true);
+        const nameLength = view.getUint16(offset + 26, true);
+        const start = offset + 30 + nameLength + view.getUint16(offset + 28, true);
+        const name = new TextDecoder().decode(bytes.subarray(offset + 30, offset + 30 + nameLength));
+        files.set(name, new TextDecoder().decode(bytes.subarray(start, start + size)));
+        offset = start + size;
+    }
+    return files;
+};
+
+describe('EpubWriter', () => {
+    let window;
+
+    before(() => {
+        // Chapters are converted with the browser's DOMParser and XMLSerializer
+        window = new JSDOM('').window;
+        global.DOMParser = window.DOMParser;
+        global.XMLSerializer = window.XMLSerializer;
+    });
+
+    after(() => {
+        delete global.DOMParser;
+        delete global.XMLSerializer;
+        window.close();
+    });
+
+    it('writes well-formed XML when the text has control characters', () => {
+        const markdown = '---\ntitle: Book\x01\nauthor: A\x02\n---\n\n# One\x01\n\nText\x0b with \x1f ![pic\x01](x.png)\n\n## Two\x02\n\n[link\x03](#one)';
+        const ast = new MarkdownParser().parseToAst(markdown);
+        const files = readZip(new EpubWriter().write(ast));
+
+        const xmlFiles = [...files.keys()].filter(name => /\.(xhtml|opf|xml)$/.test(name));
+        assert.deepEqual(xmlFiles.sort(), [
+            'META-INF/container.xml', 'OEBPS/chapter-1.xhtml', 'OEBPS/chapter-2.xhtml', 'OEBPS/content.opf', 'OEBPS/nav.xhtml'
+        ]);
+        xmlFiles.forEach(name => {
+            const dom = new window.DOMParser().parseFromString(files.get(name), 'application/xml');
+            assert.equal(dom.getElementsByTagName('parsererror').length, 0, `${name} is not well-formed`);
+        });
+
+        assert.match(files.get('OEBPS/content.opf'), /<dc:title>Book<\/dc:title>\n<dc:language>en<\/dc:language>\n<dc:creator>A<\/dc:creator>/);
+        assert.match(files.get('OEBPS/nav.xhtml'), /<a href="chapter-1.xhtml">One<\/a>/);
+        assert.match(files.get('OEBPS/chapter-1.xhtml'), /<title>One<\/title>[\s\S]*<p>Text with  pic<\/p>/);
+    });
+});
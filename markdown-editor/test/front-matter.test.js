@@ -0,0 +1,50 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const FrontMatter = require('../front-matter');
+const MarkdownParser = require('../markdown-parser');
+
+describe('FrontMatter', () => {
+    const frontMatter = new FrontMatter();
+
+    it('extracts a leading YAML mapping', () => {
+        assert.deepEqual(frontMatter.extract(['---', 'title: Notes', 'tags: [a, b]', '---', 'Body']), {
+            data: { title: 'Notes', tags: ['a', 'b'] },
+            lineCount: 4,
+            error: null
+        });
+    });
+
+    it('ignores blocks that are not a mapping', () => {
+        assert.equal(frontMatter.extract(['---', 'Hello world', '---', 'rest']), null);
+        assert.equal(frontMatter.extract(['---', '- a', '- b', '---']), null);
+        assert.equal(frontMatter.extract(['---', 'title: unclosed']), null);
+    });
+
+    it('reports invalid YAML without data', () => {
+        const result = frontMatter.extract(['---', 'title: [a', '---']);
+        assert.equal(result.data, null);
+        assert.match(result.error, /Unterminated flow sequence/);
+    });
+});
+
+describe('front matter in documents', () => {
+    it('uses front matter as metadata and leaves it out of the output', () => {
+        const ast = new MarkdownParser().parseToAst('---\ntitle: T\n---\nbody');
+        assert.deepEqual(ast.metadata, { title: 'T' });
+        assert.equal(new MarkdownParser().renderDocument(ast), '<p>body</p>');
+    });
+
+    it('renders a leading horizontal rule and the text after it', () => {
+        assert.equal(
+            new MarkdownParser().parse('---\nHello world\n---\nrest'),
+            '<hr>\n<h2 id="hello-world">Hello world</h2>\n<p>rest</p>'
+        );
+    });
+
+    it('renders invalid front matter as Markdown with a warning', () => {
+        const ast = new MarkdownParser().parseToAst('---\ntitle: [a\n---\nbody');
+        assert.deepEqual(ast.metadata, {});
+        assert.deepEqual(ast.warnings.map(warning => warning.type), ['front-matter']);
+        assert.match(new MarkdownParser().renderDocument(ast), /<p>body<\/p>$/);
+    });
+});
@@ -0,0 +1,221 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const MarkdownParser = require('../markdown-parser');
+
+const parse = (markdown, options = {}) => new MarkdownParser({ highlight: false, ...options }).parse(markdown);
+
+describe('block rules', () => {
+    it('parses ATX and setext headings', () => {
+        assert.equal(parse('# Title #'), '<h1 id="title">Title</h1>');
+        assert.equal(parse('Title\n====='), '<h1 id="title">Title</h1>');
+        assert.equal(parse('Sub\n---'), '<h2 id="sub">Sub</h2>');
+    });
+
+    it('parses fenced and indented code', () => {
+        assert.equal(parse('```js\nlet a = 1;\n```'), '<pre><code class="language-js">let a = 1;</code></pre>');
+        assert.equal(parse('    indented\n    code'), '<pre><code class="language-plaintext">indented\ncode</code></pre>');
+    });
+
+    it('parses blockquotes with lazy continuation lines', () => {
+        assert.equal(parse('> quote\nlazy'), '<blockquote>\n<p>quote\nlazy</p>\n</blockquote>');
+    });
+
+    it('parses tight, loose, ordered and task lists', () => {
+        assert.equal(parse('- a\n- b'), '<ul>\n<li>a</li>\n<li>b</li>\n</ul>');
+        assert.equal(parse('- a\n\n- b'), '<ul>\n<li><p>a</p></li>\n<li><p>b</p></li>\n</ul>');
+        assert.equal(parse('3. three\n4. four'), '<ol start="3">\n<li>three</li>\n<li>four</li>\n</ol>');
+        assert.equal(parse('- a\n  - b'), '<ul>\n<li>a\n<ul>\n<li>b</li>\n</ul></li>\n</ul>');
+        assert.equal(
+            parse('- [x] done\n- [ ] todo'),
+            '<ul class="task-list">\n' +
+            '<li class="task-item"><input type="checkbox" checked disabled> done</li>\n' +
+            '<li class="task-item"><input type="checkbox" disabled> todo</li>\n</ul>'
+        );
+    });
+
+    it('parses tables with column alignment', () => {
+        assert.equal(
+            parse('| a | b |\n|:--|--:|\n| 1 | 2 |'),
+            '<table class="markdown-table">\n<thead>\n<tr>\n<th>a</th>\n<th style="text-align: right">b</th>\n</tr>\n</thead>\n' +
+            '<tbody>\n<tr>\n<td>1</td>\n<td style="text-align: right">2</td>\n</tr>\n</tbody>\n</table>'
+        );
+    });
+
+    it('parses thematic breaks and raw HTML blocks', () => {
+        assert.equal(parse('***'), '<hr>');
+        assert.equal(parse('<div>\n*raw*\n</div>'), '<div>\n*raw*\n</div>');
+    });
+
+    it('records the source lines of top-level blocks', () => {
+        const ast = new MarkdownParser().parseToAst('# Hi\n\npara\nmore');
+        assert.deepEqual(ast.children.map(node => [node.type, node.position.start.line, node.position.end.line]), [
+            ['heading', 1, 1],
+            ['paragraph', 3, 4]
+        ]);
+    });
+});
+
+describe('inline rules', () => {
+    it('parses emphasis, strong emphasis and strikethrough', () => {
+        assert.equal(parse('**strong** *em* ~~del~~'), '<p><strong>strong</strong> <em>em</em> <del>del</del></p>');
+        assert.equal(parse('***both***'), '<p><em><strong>both</strong></em></p>');
+        assert.equal(parse('snake_case_name'), '<p>snake_case_name</p>');
+    });
+
+    it('parses code spans and backslash escapes', () => {
+        assert.equal(parse('`a ` b`'), '<p><code>a </code> b`</p>');
+        assert.equal(parse('\\*not em\\*'), '<p>*not em*</p>');
+    });
+
+    it('parses links, images and reference links', () => {
+        assert.equal(
+            parse('[link](http://x.org "T") ![alt *x*](i.png)'),
+            '<p><a href="http://x.org" title="T">link</a> <img src="i.png" alt="alt x"></p>'
+        );
+        assert.equal(parse('[ref]\n\n[ref]: http://r.org'), '<p><a href="http://r.org">ref</a></p>');
+    });
+
+    it('skips brackets in code spans when looking for the end of link text', () => {
+        assert.equal(parse('[a `]` b](u)'), '<p><a href="u">a <code>]</code> b</a></p>');
+        assert.equal(parse('[a ``]`](u)'), '<p>[a ``]`](u)</p>');
+    });
+
+    it('scans unclosed brackets and link targets in linear time', () => {
+        const start = Date.now();
+        ['[', '![', '[`', '[a](', '![a](', '[a](x ('].forEach(text => parse(text.repeat(20000)));
+        assert.ok(Date.now() - start < 2000);
+    });
+
+    it('parses autolinks, bare URLs and entities', () => {
+        assert.equal(parse('<https://a.b> &copy;'), '<p><a href="https://a.b">https://a.b</a> &copy;</p>');
+        assert.equal(parse('see https://example.com.'), '<p>see <a href="https://example.com">https://example.com</a>.</p>');
+    });
+
+    it('links bare email addresses', () => {
+        assert.equal(
+            parse('mail a.b+c@d-e.io, not x@y.c0m or me@host_'),
+            '<p>mail <a href="mailto:a.b+c@d-e.io">a.b+c@d-e.io</a>, not x@y.c0m or me@host_</p>'
+        );
+        assert.equal(parse('p@q.rs@t.uv'), '<p>p@<a href="mailto:q.rs@t.uv">q.rs@t.uv</a></p>');
+    });
+
+    it('scans long words for email addresses in linear time', () => {
+        const start = Date.now();
+        parse('a'.repeat(80000));
+        parse('a.@'.repeat(30000));
+        assert.ok(Date.now() - start < 1000);
+    });
+
+    it('parses hard line breaks', () => {
+        assert.equal(parse('line  \nbreak\\\nnext'), '<p>line<br>break<br>next</p>');
+    });
+});
+
+describe('heading ids', () => {
+    it('builds unique slugs from the visible heading text', () => {
+        const ast = new MarkdownParser().parseToAst('# Intro\n\n# Intro\n\n## A <b>bold</b> &amp; *it* `code`');
+        assert.deepEqual(ast.headings.map(heading => [heading.text, heading.id]), [
+            ['Intro', 'intro'],
+            ['Intro', 'intro-1'],
+            ['A bold & it code', 'a-bold-it-code']
+        ]);
+    });
+
+    it('leaves content the sanitizer drops out of the slug and outline', () => {
+        const ast = new MarkdownParser().parseToAst('# x <script>1</script>\n\n## <style>p {}</style>Styled');
+        assert.deepEqual(ast.headings.map(heading => [heading.text, heading.id]), [['x', 'x'], ['Styled', 'styled']]);
+        assert.match(new MarkdownParser().parse('# x <script>1</script>'), /^<h1 id="x">/);
+    });
+});
+
+describe('nesting limits', () => {
+    it('leaves blockquote and list markers past maxNesting as text', () => {
+        assert.equal(
+            parse('> > > deep', { maxNesting: 2 }),
+            '<blockquote>\n<blockquote>\n<p>&gt; deep</p>\n</blockquote>\n</blockquote>'
+        );
+        assert.equal(
+            parse('- a\n  - b\n    - c', { maxNesting: 2 }),
+            '<ul>\n<li>a\n<ul>\n<li>b\n- c</li>\n</ul></li>\n</ul>'
+        );
+    });
+
+    it('parses pathologically deep input without overflowing the stack', () => {
+        const list = Array.from({ length: 1200 }, (_, i) => `${' '.repeat(2 * i)}- a`).join('\n');
+        assert.doesNotThrow(() => parse(list));
+        assert.doesNotThrow(() => parse(`${'>'.repeat(2000)} a`));
+        assert.doesNotThrow(() => parse(':::note\n'.repeat(2000)));
+        assert.doesNotThrow(() => parse(`${'*'.repeat(5000)}a${'*'.repeat(5000)}`));
+        assert.doesNotThrow(() => parse(`${'![a'.repeat(3000)}${'](x)'.repeat(3000)}`));
+    });
+});
+
+describe('plugin API', () => {
+    // A block rule for "->centered text<-" lines and an inline rule for
+    // ==highlighted== text, packaged the way plugins are meant to be
+    const examplePlugin = {
+        name: 'example',
+        install(parser) {
+            parser.addBlockRule({
+                name: 'center',
+                interruptsParagraph: true,
+                test: line => /^->.*<-$/.test(line),
+                tokenize: state => {
+                    const match = state.lines[state.index].match(/^->(.*)<-$/);
+                    if (!match) return null;
+                    state.index++;
+                    return { type: 'center', raw: match[1].trim() };
+                }
+            });
+            parser.addInlineRule({
+                name: 'mark',
+                triggers: '=',
+                tokenize: state => {
+                    const match = state.src.slice(state.pos).match(/^==([^=\n]+)==/);
+                    if (!match) return false;
+                    state.parser.pushInline(state, { type: 'mark', children: state.parser.tokenizeInline(match[1], state.env) });
+                    state.pos += match[0].length;
+                    return true;
+                }
+            });
+            parser.setRenderer('center', node => `<p class="center">${parser.renderChildren(node.children)}</p>`);
+            parser.setRenderer('mark', node => `<mark>${parser.renderChildren(node.children)}</mark>`);
+        }
+    };
+
+    it('runs block rules registered without placement before the paragraph fallback', () => {
+        const parser = new MarkdownParser({ plugins: [examplePlugin] });
+        assert.equal(parser.parse('->*Title*<-'), '<p class="center"><em>Title</em></p>');
+        assert.equal(parser.parse('text\n->Title<-'), '<p>text</p>\n<p class="center">Title</p>');
+        assert.deepEqual(parser.blockRules.slice(-2).map(rule => rule.name), ['center', 'paragraph']);
+    });
+
+    it('runs inline rules on their trigger characters', () => {
+        const parser = new MarkdownParser().use(examplePlugin);
+        assert.equal(parser.parse('a ==b *c*== d == e'), '<p>a <mark>b <em>c</em></mark> d == e</p>');
+    });
+
+    it('places rules before or after a named rule', () => {
+        const rule = { name: 'custom', tokenize: () => null };
+        const parser = new MarkdownParser().addBlockRule(rule, { before: 'heading' });
+        const names = parser.blockRules.map(entry => entry.name);
+        assert.equal(names.indexOf('custom'), names.indexOf('heading') - 1);
+        assert.throws(() => parser.addBlockRule(rule, { after: 'missing' }), /Unknown rule "missing"/);
+    });
+
+    it('installs named plugins once', () => {
+        let installs = 0;
+        const plugin = { name: 'counted', install: () => installs++ };
+        new MarkdownParser().use(plugin).use(plugin);
+        assert.equal(installs, 1);
+    });
+
+    it('wraps existing renderers and runs hooks', () => {
+        const parser = new MarkdownParser()
+            .setRenderer('thematicBreak', (node, next) => `<div class="rule">${next(node)}</div>`)
+            .addHook('preprocess', markdown => markdown.replace(/:wave:/g, 'hello'))
+            .addHook('postprocess', html => `${html}\n<!-- done -->`);
+        assert.equal(parser.parse(':wave:\n\n***'), '<p>hello</p>\n<div class="rule"><hr></div>\n<!-- done -->');
+        assert.throws(() => parser.addHook('render', () => {}), /Unknown hook "render"/);
+    });
+});
@@ -0,0 +1,130 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawnSync } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const Md2Html = require('../md2html');
+
+const cli = path.join(__dirname, '..', 'md2html.js');
+const md2html = (args, options = {}) => spawnSync(process.execPath, [cli, ...args], { encoding: 'utf8', ...options });
+
+describe('md2html command', () => {
+    let directory;
+
+    before(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'md2html-'));
+    });
+
+    after(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    it('converts stdin to stdout', () => {
+        const result = md2html(['--fragment'], { input: '# Hi *there*' });
+        assert.equal(result.status, 0);
+        assert.equal(result.stdout, '<h1 id="hi-there">Hi <em>there</em></h1>');
+    });
+
+    it('writes pages next to input files and for directory trees', () => {
+        fs.mkdirSync(path.join(directory, 'docs', 'guide'), { recursive: true });
+        fs.writeFileSync(path.join(directory, 'docs', 'index.md'), '# Index');
+        fs.writeFileSync(path.join(directory, 'docs', 'guide', 'start.markdown'), '# Start');
+        fs.writeFileSync(path.join(directory, 'docs', 'notes.txt'), 'not markdown');
+
+        assert.equal(md2html([path.join(directory, 'docs', 'index.md')]).status, 0);
+        assert.match(fs.readFileSync(path.join(directory, 'docs', 'index.html'), 'utf8'), /^<!DOCTYPE html>[\s\S]*<h1 id="index">Index<\/h1>/);
+
+        assert.equal(md2html([path.join(directory, 'docs'), '-o', path.join(directory, 'site')]).status, 0);
+        assert.deepEqual(fs.readdirSync(path.join(directory, 'site')).sort(), ['guide', 'index.html']);
+        assert.ok(fs.existsSync(path.join(directory, 'site', 'guide', 'start.html')));
+    });
+
+    it('takes option values after "="', () => {
+        const output = path.join(directory, 'inline.html');
+        assert.equal(md2html(['-f', `-o=${output}`], { input: '# Inline' }).status, 0);
+        assert.equal(fs.readFileSync(output, 'utf8'), '<h1 id="inline">Inline</h1>');
+
+        const failed = md2html(['--fragment=yes']);
+        assert.equal(failed.status, 2);
+        assert.match(failed.stderr, /^md2html: --fragment does not take a value/);
+    });
+
+    it('refuses to write two inputs to the same file', () => {
+        ['a', 'b'].forEach(name => {
+            fs.mkdirSync(path.join(directory, name));
+            fs.writeFileSync(path.join(directory, name, 'README.md'), `# ${name}`);
+        });
+        const result = md2html([path.join(directory, 'a', 'README.md'), path.join(directory, 'b', 'README.md'), '-o', path.join(directory, 'out')]);
+        assert.equal(result.status, 2);
+        assert.match(result.stderr, /README\.md and .*README\.md would both be written to .*README\.html/);
+        assert.equal(fs.existsSync(path.join(directory, 'out')), false);
+    });
+
+    it('exits with 1 on warnings and 2 on errors', () => {
+        const warned = md2html(['-f'], { input: '[missing][ref]' });
+        assert.equal(warned.status, 1);
+        assert.match(warned.stderr, /<stdin>: warning: /);
+
+        const failed = md2html(['--theme', 'neon']);
+        assert.equal(failed.status, 2);
+        assert.match(failed.stderr, /^md2html: Unknown theme: neon\nUsage: md2html/);
+        assert.equal(md2html([path.join(directory, 'absent.md')]).status, 2);
+    });
+});
+
+describe('Md2Html.watchTree', () => {
+    // Record the changes reported while `steps` changes a directory tree
+    const watchChanges = async ({ recursive }, steps) => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'md2html-watch-'));
+        ['nested', 'node_modules', '.git'].forEach(name => fs.mkdirSync(path.join(directory, name)));
+        const watch = fs.watch;
+        const watchers = [];
+        fs.watch = (target, options, listener) => {
+            if (!recursive && options && options.recursive) {
+                const error = new TypeError('recursive watching is not available');
+                error.code = 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM';
+                throw error;
+            }
+            const watcher = watch(target, options, listener);
+            watchers.push(watcher);
+            return watcher;
+        };
+
+        const changes = [];
+        const changed = name => new Promise(resolve => {
+            const check = () => (changes.includes(name) ? resolve() : setTimeout(check, 20));
+            check();
+        });
+        try {
+            new Md2Html().watchTree(directory, filename => changes.push(filename));
+            await steps(file => path.join(directory, file), changed);
+            await new Promise(resolve => setTimeout(resolve, 100));
+            return changes;
+        } finally {
+            fs.watch = watch;
+            watchers.forEach(watcher => watcher.close());
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    };
+
+    const steps = async (file, changed) => {
+        fs.writeFileSync(file('node_modules/skipped.md'), '# Skipped');
+        fs.writeFileSync(file('.git/skipped.md'), '# Skipped');
+        fs.writeFileSync(file('nested/a.md'), '# A');
+        await changed(path.join('nested', 'a.md'));
+        fs.mkdirSync(file('added'));
+        await changed('added');
+        fs.mkdirSync(file('added/.cache'));
+        fs.writeFileSync(file('added/.cache/skipped.md'), '# Skipped');
+        fs.writeFileSync(file('added/b.md'), '# B');
+        await changed(path.join('added', 'b.md'));
+    };
+
+    [true, false].forEach(recursive => {
+        it(`skips hidden directories and node_modules ${recursive ? 'when watching recursively' : 'when watching each directory'}`, { timeout: 5000 }, async () => {
+            const changes = await watchChanges({ recursive }, steps);
+            assert.deepEqual(changes.filter(change => change.includes('skipped') || change.includes('node_modules')), []);
+        });
+    });
+});
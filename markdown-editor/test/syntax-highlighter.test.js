@@ -0,0 +1,49 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SyntaxHighlighter = require('../syntax-highlighter');
+
+const highlighter = new SyntaxHighlighter();
+const typed = (code, language) => highlighter.tokenize(code, language)
+    .filter(token => token.type)
+    .map(token => `${token.type}:${token.value}`);
+
+describe('SyntaxHighlighter', () => {
+    it('returns null for unsupported languages', () => {
+        assert.equal(highlighter.highlight('x', 'cobol'), null);
+        assert.equal(highlighter.highlight('let a', 'js'), '<span class="token keyword">let</span> a');
+    });
+
+    it('highlights the expressions inside template literals', () => {
+        assert.deepEqual(typed('`a ${b + `c${d}`} e`', 'js'), [
+            'string:`a ', 'punctuation:${', 'operator:+', 'string:`c', 'punctuation:${', 'punctuation:}',
+            'string:`', 'punctuation:}', 'string: e`'
+        ]);
+        assert.deepEqual(typed('`\\${not} interpolated`', 'js'), ['string:`\\${not} interpolated`']);
+    });
+
+    it('tells regex literals from division', () => {
+        assert.deepEqual(typed('x = /a[/]b\\//gi', 'js'), ['regex:/a[/]b\\//gi']);
+        assert.deepEqual(typed('a / b / c', 'js'), ['operator:/', 'operator:/']);
+        assert.deepEqual(typed('return /x/', 'js'), ['keyword:return', 'regex:/x/']);
+    });
+
+    it('highlights CSS selectors, properties and comments', () => {
+        assert.deepEqual(typed('a:hover, b { color: red; }\n/* c */ h1 {}', 'css'), [
+            'selector:a:hover, b ', 'punctuation:{', 'property:color', 'punctuation::', 'punctuation:;', 'punctuation:}',
+            'comment:/* c */', 'selector:h1 ', 'punctuation:{', 'punctuation:}'
+        ]);
+    });
+
+    it('consumes unterminated comments, strings and templates in one token', () => {
+        const text = 'word '.repeat(20000);
+        assert.deepEqual(typed(`/* ${text}`, 'css'), [`comment:/* ${text}`]);
+        assert.deepEqual(typed(`\`${text}`, 'js'), [`string:\`${text}`]);
+        assert.deepEqual(typed('<!-- open', 'html'), ['comment:<!-- open']);
+    });
+
+    it('highlights long CSS without braces in linear time', () => {
+        const start = Date.now();
+        highlighter.highlight('word '.repeat(40000), 'css');
+        assert.ok(Date.now() - start < 1000);
+    });
+});
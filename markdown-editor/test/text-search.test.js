@@ -0,0 +1,54 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const TextSearch = require('../text-search');
+
+const search = new TextSearch();
+const find = (text, query, options) => search.findAll(text, search.compile(query, options)).map(match => match.text);
+
+describe('TextSearch', () => {
+    it('finds literal text case-insensitively by default', () => {
+        assert.deepEqual(find('A.b a.B axb', 'a.b'), ['A.b', 'a.B']);
+        assert.deepEqual(find('A.b a.B', 'a.b', { caseSensitive: true }), []);
+    });
+
+    it('matches whole words only when asked', () => {
+        assert.deepEqual(find('cat concat cat_ café', 'cat', { wholeWord: true }), ['cat']);
+        assert.deepEqual(find('café cafés', 'café', { wholeWord: true }), ['café']);
+    });
+
+    it('compiles regular expressions in unicode mode', () => {
+        assert.ok(search.compile('\\p{Lu}', { regex: true }).unicode);
+        assert.deepEqual(find('aÄb😀', '\\p{Lu}|.$', { regex: true, caseSensitive: true }), ['Ä', '😀']);
+    });
+
+    it('accepts patterns that only unicode mode rejects', () => {
+        assert.deepEqual(find('a-b a/b', 'a\\-b|a\\/b', { regex: true }), ['a-b', 'a/b']);
+        assert.equal(search.compile('\\-', { regex: true }).unicode, false);
+    });
+
+    it('throws for invalid regular expressions', () => {
+        assert.throws(() => search.compile('(a', { regex: true }), SyntaxError);
+    });
+
+    it('limits the matches it finds unless asked for all of them', () => {
+        const text = 'ab '.repeat(12000);
+        const pattern = search.compile('a(b)', { regex: true });
+        const listed = search.findAll(text, pattern);
+        assert.equal(listed.length, 10000);
+        assert.equal(listed.truncated, true);
+
+        const matches = search.findAll(text, pattern, Infinity);
+        assert.equal(matches.length, 12000);
+        assert.equal(matches.truncated, undefined);
+        assert.equal(search.replaceAll(text, matches, '$1', true), 'b '.repeat(12000));
+        assert.equal(search.findAll('ab ab', pattern, 2).truncated, undefined);
+    });
+
+    it('expands replacement references in regex mode', () => {
+        const text = 'John Smith';
+        const pattern = search.compile('(?<first>\\w+) (\\w+)', { regex: true });
+        const matches = search.findAll(text, pattern);
+        assert.equal(search.replaceAll(text, matches, '$2, $<first> $$ $9', true), 'Smith, John $ $9');
+        assert.equal(search.replaceAll(text, matches, '$2', false), '$2');
+    });
+});
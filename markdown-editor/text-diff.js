@@ -0,0 +1,166 @@
+/**
+ * Text Diff Module
+ * Line-based diff (Myers' algorithm) used to compare document snapshots
+ */
+
+class TextDiff {
+    constructor(options = {}) {
+        // Past this many edits the diff gives up on finding a minimal
+        // script and replaces the rest wholesale
+        this.maxEdits = options.maxEdits || 2000;
+    }
+
+    /**
+     * Compare two texts line by line. Returns one entry per line:
+     * { type: 'equal' | 'delete' | 'insert', text, oldLine, newLine },
+     * with 1-based line numbers (null on the side a line is missing from).
+     */
+    diffLines(oldText, newText) {
+        const a = oldText.split('\n');
+        const b = newText.split('\n');
+
+        // Common prefix and suffix need no search
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const operations = [
+            ...a.slice(0, start).map(text => ({ type: 'equal', text })),
+            ...this.shortestEdit(a.slice(start, endA), b.slice(start, endB)),
+            ...a.slice(endA).map(text => ({ type: 'equal', text }))
+        ];
+
+        let oldLine = 0;
+        let newLine = 0;
+        return operations.map(({ type, text }) => ({
+            type,
+            text,
+            oldLine: type === 'insert' ? null : ++oldLine,
+            newLine: type === 'delete' ? null : ++newLine
+        }));
+    }
+
+    /**
+     * Myers' O(ND) shortest edit script between two line arrays
+     */
+    shortestEdit(a, b) {
+        const n = a.length;
+        const m = b.length;
+        if (n === 0 || m === 0) return this.replaceAll(a, b);
+
+        const max = Math.min(n + m, this.maxEdits);
+        const offset = max + 1;
+        const v = new Int32Array(2 * max + 3);
+        const trace = [];
+
+        for (let d = 0; d <= max; d++) {
+            // Furthest reaching x per diagonal k after d - 1 edits
+            trace.push(v.slice(offset - d, offset + d + 1));
+
+            for (let k = -d; k <= d; k += 2) {
+                let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+                let y = x - k;
+                while (x < n && y < m && a[x] === b[y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+                if (x >= n && y >= m) return this.backtrack(trace, a, b);
+            }
+        }
+
+        return this.replaceAll(a, b);
+    }
+
+    backtrack(trace, a, b) {
+        const operations = [];
+        let x = a.length;
+        let y = b.length;
+
+        for (let d = trace.length - 1; d >= 0; d--) {
+            const v = trace[d];
+            const at = k => v[k + d] || 0;
+            const k = x - y;
+            const previousK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+            const previousX = at(previousK);
+            const previousY = previousX - previousK;
+
+            while (x > previousX && y > previousY) {
+                operations.push({ type: 'equal', text: a[--x] });
+                y--;
+            }
+            if (d > 0) {
+                if (x === previousX) {
+                    operations.push({ type: 'insert', text: b[--y] });
+                } else {
+                    operations.push({ type: 'delete', text: a[--x] });
+                }
+            }
+        }
+
+        return operations.reverse();
+    }
+
+    replaceAll(a, b) {
+        return [
+            ...a.map(text => ({ type: 'delete', text })),
+            ...b.map(text => ({ type: 'insert', text }))
+        ];
+    }
+
+    /**
+     * Number of inserted and deleted lines in a diff
+     */
+    stats(lines) {
+        return {
+            added: lines.filter(line => line.type === 'insert').length,
+            removed: lines.filter(line => line.type === 'delete').length
+        };
+    }
+
+    /**
+     * Shorten runs of unchanged lines to the given number of context lines
+     * around each change. Removed runs become { type: 'skip', count }.
+     */
+    collapse(lines, context = 3) {
+        const result = [];
+        let run = [];
+
+        const flush = (atStart, atEnd) => {
+            const keepBefore = atStart ? 0 : context;
+            const keepAfter = atEnd ? 0 : context;
+            if (run.length > keepBefore + keepAfter + 1) {
+                result.push(...run.slice(0, keepBefore));
+                result.push({ type: 'skip', count: run.length - keepBefore - keepAfter });
+                result.push(...run.slice(run.length - keepAfter));
+            } else {
+                result.push(...run);
+            }
+            run = [];
+        };
+
+        lines.forEach(line => {
+            if (line.type === 'equal') {
+                run.push(line);
+            } else {
+                flush(result.length === 0, false);
+                result.push(line);
+            }
+        });
+        flush(result.length === 0, true);
+
+        return result;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextDiff;
+}
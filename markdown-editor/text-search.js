@@ -0,0 +1,110 @@
+/**
+ * Text Search Module
+ * Finds plain-text or regular expression matches, with optional case
+ * sensitivity and whole-word matching, and expands replacements
+ */
+
+class TextSearch {
+    constructor(options = {}) {
+        this.maxMatches = options.maxMatches || 10000;
+        this.wordCharacter = /[\p{L}\p{N}_]/u;
+    }
+
+    /**
+     * Compile a query into a global regular expression. Patterns that
+     * only the stricter unicode mode rejects, like identity escapes such
+     * as \- or \/, are compiled without the u flag. Throws a SyntaxError
+     * for an invalid pattern in regex mode.
+     */
+    compile(query, { caseSensitive = false, wholeWord = false, regex = false } = {}) {
+        if (!query) return null;
+        const source = regex ? query : this.escape(query);
+        const flags = `g${caseSensitive ? '' : 'i'}m`;
+        let pattern;
+        try {
+            pattern = new RegExp(source, `${flags}u`);
+        } catch (error) {
+            if (!regex || !(error instanceof SyntaxError)) throw error;
+            pattern = new RegExp(source, flags);
+        }
+        pattern.wholeWord = wholeWord;
+        return pattern;
+    }
+
+    /**
+     * Escape text for literal use in a regular expression
+     */
+    escape(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Non-empty matches of a compiled pattern, at most `limit` of them:
+     * [{ start, end, text, captures, groups }]. The list is marked
+     * `truncated` when the text has more.
+     */
+    findAll(text, pattern, limit = this.maxMatches) {
+        const matches = [];
+        if (!pattern) return matches;
+
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            if (match[0] === '') {
+                pattern.lastIndex++;
+                continue;
+            }
+            const start = match.index;
+            const end = start + match[0].length;
+            if (!pattern.wholeWord || this.isWholeWord(text, start, end)) {
+                if (matches.length >= limit) {
+                    matches.truncated = true;
+                    break;
+                }
+                matches.push({ start, end, text: match[0], captures: match.slice(1), groups: match.groups || {} });
+            }
+        }
+        return matches;
+    }
+
+    isWholeWord(text, start, end) {
+        return !(start > 0 && this.wordCharacter.test(text[start - 1])) &&
+            !(end < text.length && this.wordCharacter.test(text[end]));
+    }
+
+    /**
+     * The text that replaces a match. In regex mode the replacement may
+     * use $1-$99, $<name>, $& and $$ as in String.prototype.replace.
+     */
+    expand(match, replacement, regex) {
+        if (!regex) return replacement;
+        return replacement.replace(/\$(?:(\$)|(&)|(\d{1,2})|<([^>]*)>)/g, (token, dollar, whole, number, name) => {
+            if (dollar) return '$';
+            if (whole) return match.text;
+            if (number !== undefined) {
+                const index = parseInt(number, 10);
+                if (index === 0 || index > match.captures.length) return token;
+                return match.captures[index - 1] || '';
+            }
+            return name in match.groups ? match.groups[name] || '' : token;
+        });
+    }
+
+    /**
+     * Replace every match at once
+     */
+    replaceAll(text, matches, replacement, regex) {
+        let result = '';
+        let position = 0;
+        matches.forEach(match => {
+            result += text.slice(position, match.start) + this.expand(match, replacement, regex);
+            position = match.end;
+        });
+        return result + text.slice(position);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TextSearch;
+}
@@ -0,0 +1,96 @@
+/**
+ * Undo History Module
+ * Editor-managed undo/redo for a text document. Every edit stores the
+ * resulting text; consecutive edits of the same kind made in quick
+ * succession are merged into one step.
+ */
+
+class UndoHistory {
+    constructor(options = {}) {
+        this.limit = options.limit || 100;
+        this.groupDelay = options.groupDelay || 1000;
+        this.reset('');
+    }
+
+    /**
+     * Start a new history at the given text
+     */
+    reset(text) {
+        this.entries = [text];
+        this.index = 0;
+        this.lastGroup = null;
+        this.lastTime = 0;
+    }
+
+    /**
+     * Record the text after an edit. Edits with the same group key that
+     * follow within the grouping delay extend the previous step; edits
+     * without a group are always a step of their own.
+     */
+    record(text, group = null) {
+        if (text === this.entries[this.index]) return;
+
+        const now = Date.now();
+        const extend = group !== null && group === this.lastGroup &&
+            now - this.lastTime < this.groupDelay && this.index > 0 &&
+            this.index === this.entries.length - 1;
+
+        // A new edit discards everything that could have been redone
+        this.entries.length = this.index + 1;
+        if (extend) {
+            this.entries[this.index] = text;
+        } else {
+            this.entries.push(text);
+            if (this.entries.length > this.limit) this.entries.shift();
+            this.index = this.entries.length - 1;
+        }
+
+        this.lastGroup = group;
+        this.lastTime = now;
+    }
+
+    canUndo() {
+        return this.index > 0;
+    }
+
+    canRedo() {
+        return this.index < this.entries.length - 1;
+    }
+
+    /**
+     * Step back. Returns the text to show and the range that changed in
+     * it (to select or put the caret at), or null at the oldest step.
+     */
+    undo() {
+        if (!this.canUndo()) return null;
+        return this.step(this.index - 1);
+    }
+
+    redo() {
+        if (!this.canRedo()) return null;
+        return this.step(this.index + 1);
+    }
+
+    step(index) {
+        const from = this.entries[this.index];
+        const text = this.entries[index];
+        this.index = index;
+        this.lastGroup = null;
+
+        // The changed range is what lies between the common prefix and suffix
+        let start = 0;
+        while (start < from.length && start < text.length && from[start] === text[start]) start++;
+        let suffix = 0;
+        while (suffix < from.length - start && suffix < text.length - start &&
+            from[from.length - 1 - suffix] === text[text.length - 1 - suffix]) {
+            suffix++;
+        }
+
+        return { text, selectionStart: start, selectionEnd: text.length - suffix };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = UndoHistory;
+}
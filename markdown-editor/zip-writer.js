@@ -0,0 +1,115 @@
+/**
+ * Zip Writer Module
+ * Builds uncompressed (stored) zip archives, enough for export bundles of
+ * Markdown text and already-compressed images
+ */
+
+class ZipWriter {
+    constructor() {
+        this.entries = [];
+    }
+
+    /**
+     * Add a file. Data may be a string (written as UTF-8) or bytes.
+     */
+    addFile(name, data, date = new Date()) {
+        const bytes = typeof data === 'string' ? new TextEncoder().encode(data) : new Uint8Array(data);
+        this.entries.push({ name: new TextEncoder().encode(name), bytes, date });
+    }
+
+    /**
+     * The archive as bytes
+     */
+    generate() {
+        const parts = [];
+        const central = [];
+        let offset = 0;
+
+        this.entries.forEach(entry => {
+            const crc = ZipWriter.crc32(entry.bytes);
+            const { time, date } = this.dosDateTime(entry.date);
+
+            // Local file header
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034b50, true);
+            header.setUint16(4, 20, true); // Version needed to extract
+            header.setUint16(6, 0x0800, true); // UTF-8 names
+            header.setUint16(8, 0, true); // Stored
+            header.setUint16(10, time, true);
+            header.setUint16(12, date, true);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, entry.bytes.length, true);
+            header.setUint32(22, entry.bytes.length, true);
+            header.setUint16(26, entry.name.length, true);
+            header.setUint16(28, 0, true);
+            parts.push(new Uint8Array(header.buffer), entry.name, entry.bytes);
+
+            // Central directory record
+            const record = new DataView(new ArrayBuffer(46));
+            record.setUint32(0, 0x02014b50, true);
+            record.setUint16(4, 20, true); // Version made by
+            record.setUint16(6, 20, true);
+            record.setUint16(8, 0x0800, true);
+            record.setUint16(10, 0, true);
+            record.setUint16(12, time, true);
+            record.setUint16(14, date, true);
+            record.setUint32(16, crc, true);
+            record.setUint32(20, entry.bytes.length, true);
+            record.setUint32(24, entry.bytes.length, true);
+            record.setUint16(28, entry.name.length, true);
+            record.setUint32(42, offset, true);
+            central.push(new Uint8Array(record.buffer), entry.name);
+
+            offset += 30 + entry.name.length + entry.bytes.length;
+        });
+
+        const centralSize = central.reduce((size, part) => size + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, this.entries.length, true);
+        end.setUint16(10, this.entries.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const all = [...parts, ...central, new Uint8Array(end.buffer)];
+        const result = new Uint8Array(all.reduce((size, part) => size + part.length, 0));
+        let position = 0;
+        all.forEach(part => {
+            result.set(part, position);
+            position += part.length;
+        });
+        return result;
+    }
+
+    /**
+     * MS-DOS time and date fields (local time, two-second resolution)
+     */
+    dosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    static crc32(bytes) {
+        if (!ZipWriter.crcTable) {
+            ZipWriter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                ZipWriter.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = ZipWriter.crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ZipWriter;
+}